@@ -0,0 +1,334 @@
+"use strict";
+const crypto = require("crypto");
+const { ethers } = require("ethers");
+const { parseUsageQuery, usageReport } = require("./usage");
+
+// --------------------
+// Admin API (/admin/v1): key lookup, comp keys, revoke/enable, counter resets.
+//
+// Auth: X-Admin-Token header, matched against ADMIN_TOKENS ("name:token,name2:token2").
+// The token's name is the audit actor. Every call is written to admin_audit.
+// --------------------
+
+function parseAdminTokens(raw) {
+  const out = [];
+  for (const part of String(raw || "").split(",")) {
+    const i = part.indexOf(":");
+    if (i <= 0) continue;
+    const name = part.slice(0, i).trim();
+    const token = part.slice(i + 1).trim();
+    if (name && token) out.push({ name, token });
+  }
+  return out;
+}
+
+// Constant-time lookup; returns the actor name or null
+function matchToken(tokens, presented) {
+  const p = Buffer.from(String(presented || ""));
+  let actor = null;
+  for (const { name, token } of tokens) {
+    const t = Buffer.from(token);
+    if (p.length === t.length && crypto.timingSafeEqual(p, t)) actor = name;
+  }
+  return actor;
+}
+
+function toUnix(d) {
+  return d ? Math.floor(new Date(d).getTime() / 1000) : null;
+}
+
+// unix seconds, ms or ISO string -> Date (null if absent, undefined if invalid)
+function parseWhen(v) {
+  if (v == null || v === "") return null;
+  const n = Number(v);
+  const d = Number.isFinite(n) ? new Date(n < 1e12 ? n * 1000 : n) : new Date(String(v));
+  return Number.isNaN(d.getTime()) ? undefined : d;
+}
+
+function adminKeyView(row) {
+  return {
+    id: row.id,
+    key_hash: row.key_hash,
+    wallet: row.wallet_address,
+    agent_name: row.agent_name || null,
+    binding_mode: row.binding_mode || null,
+    allowed_names: row.allowed_names || [],
+    label: row.label || null,
+    tier: row.tier,
+    daily_limit: row.daily_limit,
+    key_daily_cap: row.key_daily_cap ?? null,
+    enabled: row.enabled,
+    revoked_at: toUnix(row.revoked_at),
+    expires_at: toUnix(row.expires_at),
+    entitlement_expires_at: toUnix(row.entitlement_expires_at),
+    last_used_at: toUnix(row.last_used_at),
+    chain_id: row.chain_id ?? null,
+  };
+}
+
+async function scanKeys(redis, match) {
+  const keys = [];
+  // node-redis v5 yields batches, v4 single keys
+  for await (const batch of redis.scanIterator({ MATCH: match, COUNT: 100 })) {
+    keys.push(...[].concat(batch));
+  }
+  return keys;
+}
+
+/**
+ * Fastify plugin. opts: { tokens, db, redis, hashKey, makeApiKey, utcDayKey,
+ * webhookEvents } (webhookEvents optional: key.revoked webhooks).
+ * Register with { prefix: "/admin/v1" }.
+ */
+async function adminRoutes(app, opts) {
+  const { tokens, db, redis, hashKey, makeApiKey, utcDayKey, webhookEvents = null } = opts;
+
+  app.decorateRequest("adminActor", null);
+
+  app.addHook("onRequest", async (req, reply) => {
+    const actor = matchToken(tokens, req.headers["x-admin-token"]);
+    if (!actor) {
+      return reply.code(401).send({ success: false, error: "Admin token required" });
+    }
+    req.adminActor = actor;
+  });
+
+  app.setErrorHandler((err, req, reply) => {
+    req.log.error(err, "Admin route error");
+    reply
+      .code(err.statusCode || 500)
+      .send({ success: false, error: err.message || "Admin error" });
+  });
+
+  async function audit(req, action, target, details) {
+    try {
+      await db.insertAdminAudit({
+        actor: req.adminActor,
+        action,
+        target: target != null ? String(target) : null,
+        details,
+        ip: req.ip,
+      });
+    } catch (err) {
+      // The action already happened; make the missing audit row loud
+      req.log.error({ err, action, target }, "Admin audit write failed");
+    }
+  }
+
+  function parseId(raw) {
+    const id = Number(raw);
+    return Number.isInteger(id) && id > 0 ? id : null;
+  }
+
+  // Look up keys by wallet, agent name, key hash, raw key or id
+  app.get("/keys", async (req, reply) => {
+    const q = req.query || {};
+    const filter = {
+      wallet: q.wallet || undefined,
+      agent_name: q.agent || q.agent_name || undefined,
+      key_hash: q.hash || (q.key ? hashKey(String(q.key)) : undefined),
+      id: q.id ? parseId(q.id) : undefined,
+      limit: Math.min(Number(q.limit) || 100, 500),
+    };
+    if (!filter.wallet && !filter.agent_name && !filter.key_hash && !filter.id) {
+      return reply
+        .code(400)
+        .send({ success: false, error: "Filter by wallet, agent, hash, key or id." });
+    }
+
+    const rows = await db.findKeys(filter);
+    await audit(req, "keys.lookup", null, {
+      wallet: filter.wallet,
+      agent_name: filter.agent_name,
+      key_hash: filter.key_hash,
+      id: filter.id,
+      results: rows.length,
+    });
+    return { success: true, keys: rows.map(adminKeyView) };
+  });
+
+  // Mint a comp key with a custom daily limit and optional expiry
+  app.post("/keys", async (req, reply) => {
+    const body = req.body || {};
+    const tier = String(body.tier || "").toLowerCase();
+    if (tier !== "basic" && tier !== "pro") {
+      return reply.code(400).send({ success: false, error: "'tier' must be basic or pro." });
+    }
+
+    const dailyLimit = Number(body.daily_limit);
+    if (!Number.isInteger(dailyLimit) || dailyLimit <= 0) {
+      return reply
+        .code(400)
+        .send({ success: false, error: "'daily_limit' must be a positive integer." });
+    }
+
+    const expiresAt = parseWhen(body.expires_at);
+    if (expiresAt === undefined) {
+      return reply.code(400).send({ success: false, error: "Bad 'expires_at'." });
+    }
+
+    // Stored lowercase like every other key, or the wallet's own lookups miss it
+    if (body.wallet && !ethers.isAddress(body.wallet)) {
+      return reply.code(400).send({ success: false, error: "'wallet' must be an address." });
+    }
+    const wallet = body.wallet ? body.wallet.toLowerCase() : null;
+
+    const rawKey = makeApiKey();
+    const keyHash = hashKey(rawKey);
+    const row = await db.insertApiKey({
+      keyHash,
+      walletAddress: wallet,
+      tier,
+      dailyLimit,
+      expiresAt,
+      agentName: body.agent_name || null,
+      label: body.label || "comp",
+    });
+
+    await audit(req, "keys.mint", row.id, {
+      tier,
+      daily_limit: dailyLimit,
+      expires_at: toUnix(expiresAt),
+      wallet,
+      agent_name: body.agent_name || null,
+      reason: body.reason || null,
+    });
+
+    return {
+      success: true,
+      id: row.id,
+      api_key: rawKey,
+      tier,
+      daily_limit: dailyLimit,
+      expires_at: toUnix(expiresAt),
+    };
+  });
+
+  app.post("/keys/:id/revoke", async (req, reply) => {
+    const id = parseId(req.params.id);
+    if (!id) return reply.code(400).send({ success: false, error: "Bad key id" });
+
+    const keyHash = await db.setKeyEnabled(id, false);
+    if (!keyHash) return reply.code(404).send({ success: false, error: "Key not found" });
+
+    await audit(req, "keys.revoke", id, { reason: req.body?.reason || null });
+    if (webhookEvents) {
+      const [row] = await db.findKeys({ id, limit: 1 });
+      await webhookEvents.emitKeyEvent("key.revoked", row?.wallet_address, {
+        key_id: id,
+        agent_name: row?.agent_name || null,
+        by: "admin",
+      });
+    }
+    return { success: true, id, enabled: false };
+  });
+
+  app.post("/keys/:id/enable", async (req, reply) => {
+    const id = parseId(req.params.id);
+    if (!id) return reply.code(400).send({ success: false, error: "Bad key id" });
+
+    let keyHash;
+    try {
+      keyHash = await db.setKeyEnabled(id, true);
+    } catch (e) {
+      if (e.code !== "TOO_MANY_KEYS") throw e;
+      return reply
+        .code(409)
+        .send({ success: false, error: "Too many active keys for this wallet" });
+    }
+    if (!keyHash) return reply.code(404).send({ success: false, error: "Key not found" });
+
+    await audit(req, "keys.enable", id, { reason: req.body?.reason || null });
+    return { success: true, id, enabled: true };
+  });
+
+  /**
+   * Reset today's (or `day`'s) Redis counters. Body: one of
+   * { key_id } | { wallet } | { ip } (all free counters for that IP).
+   */
+  app.post("/counters/reset", async (req, reply) => {
+    const body = req.body || {};
+    const day = body.day || utcDayKey();
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(day)) {
+      return reply.code(400).send({ success: false, error: "'day' must be YYYY-MM-DD." });
+    }
+
+    let keys;
+    let target;
+    if (body.key_id) {
+      const id = parseId(body.key_id);
+      const [row] = id ? await db.findKeys({ id, limit: 1 }) : [];
+      if (!row) return reply.code(404).send({ success: false, error: "Key not found" });
+      target = `key:${id}`;
+      keys = [`roaster:daily:key:${day}:${row.key_hash}`];
+    } else if (body.wallet) {
+      target = `wallet:${String(body.wallet).toLowerCase()}`;
+      keys = [`roaster:daily:wallet:${day}:${String(body.wallet).toLowerCase()}`];
+    } else if (body.ip) {
+      const ip = String(body.ip);
+      target = `ip:${ip}`;
+      keys = [
+        `roaster:daily:free-ip:${day}:${ip}`,
+        ...(await scanKeys(redis, `roaster:daily:free:${day}:${ip}:*`)),
+      ];
+    } else {
+      return reply.code(400).send({ success: false, error: "Send key_id, wallet or ip." });
+    }
+
+    const deleted = keys.length ? await redis.del(keys) : 0;
+    await audit(req, "counters.reset", target, { day, keys: keys.length, deleted });
+    return { success: true, day, target, deleted };
+  });
+
+  /**
+   * Usage ledger aggregates across everyone. Optional filters: wallet, key_id,
+   * requester; group by wallet, key, model or tier.
+   */
+  app.get("/usage", async (req, reply) => {
+    const q = req.query || {};
+    const query = parseUsageQuery(q, { groups: ["wallet", "key", "model", "tier"] });
+    if (query.error) return reply.code(400).send({ success: false, error: query.error });
+
+    const filter = { wallet: q.wallet || undefined, requester: q.requester || undefined };
+    if (q.key_id) {
+      const id = parseId(q.key_id);
+      const [row] = id ? await db.findKeys({ id, limit: 1 }) : [];
+      if (!row) return reply.code(404).send({ success: false, error: "Key not found" });
+      filter.key_hash = row.key_hash;
+    }
+
+    const rows = await db.usageAggregates({ ...query, ...filter });
+    await audit(req, "usage.lookup", null, {
+      wallet: filter.wallet,
+      key_id: q.key_id || undefined,
+      requester: filter.requester,
+      period: query.period,
+      group: query.group,
+    });
+    return { success: true, ...usageReport(query, rows) };
+  });
+
+  app.get("/audit", async (req) => {
+    const q = req.query || {};
+    const rows = await db.listAdminAudit({
+      limit: Math.min(Number(q.limit) || 100, 500),
+      actor: q.actor || undefined,
+      action: q.action || undefined,
+    });
+    return {
+      success: true,
+      entries: rows.map((r) => ({ ...r, created_at: toUnix(r.created_at) })),
+    };
+  });
+}
+
+// The view/lookup helpers are shared with the operator CLI (cli.js)
+module.exports = {
+  adminRoutes,
+  parseAdminTokens,
+  matchToken,
+  adminKeyView,
+  parseWhen,
+  scanKeys,
+  toUnix,
+};
@@ -0,0 +1,3085 @@
+"use strict";
+
+const Fastify = require("fastify");
+const { ethers } = require("ethers");
+
+const safety = require("./safety");
+const {
+  buildSiweMessage,
+  parseSiweMessage,
+  validateSiweFields,
+  verifyWalletSignature,
+} = require("./siwe");
+const { adminRoutes, parseAdminTokens, matchToken } = require("./admin");
+const {
+  createUsageLedger,
+  ledgerOptionsFromEnv,
+  parseUsageQuery,
+  usageReport,
+} = require("./usage");
+const { createMetrics } = require("./metrics");
+const {
+  WEBHOOK_EVENTS,
+  TEST_EVENT,
+  makeWebhookSecret,
+  checkWebhookUrl,
+  createWebhookEvents,
+  quotaEvents,
+  webhookOptionsFromEnv,
+} = require("./webhooks");
+const {
+  secondsUntilUtcMidnight,
+  utcDayKey,
+  hashKey,
+  cleanRequester,
+  randomNonce,
+  makeApiKey,
+  FREE_DAILY_LIMIT: DEFAULT_FREE_DAILY_LIMIT,
+  FREE_IP_DAILY_LIMIT: DEFAULT_FREE_IP_DAILY_LIMIT,
+  tierLimit,
+  keyDailyCap,
+} = require("./util");
+const {
+  BASE_USDC,
+  knownNetwork,
+  networksFromEnv,
+  createNetworkRegistry,
+  plansCacheKey,
+  entitlementCacheKey,
+} = require("./networks");
+const { RpcUnavailableError, createCircuitBreaker, guardProvider, withTimeout } = require("./rpc");
+const { createResilientRedis } = require("./store");
+const { ROUTE_SCHEMAS: S, BINDING_MODES, validationMessage, buildOpenApi } = require("./schemas");
+const {
+  MODES,
+  parseStyle,
+  limitStyleForTier,
+  parseThread,
+  threadSummary,
+  roastRequest,
+} = require("./prompt");
+const {
+  DEFAULT_PERSONA,
+  MAX_PERSONAS,
+  BUILTIN_PERSONAS,
+  parsePersona,
+  personaName,
+  builtinPersona,
+} = require("./personas");
+
+// --------------------
+// Onchain config (one entry per network, see networks.js)
+// --------------------
+
+// Minimal ABI for what we need
+const ROASTER_ABI = [
+  "function getAllPlans() view returns ((uint8 tier,uint8 durationId,uint32 durationSeconds_,uint256 priceUSDC_)[])",
+  "function entitlement(address) view returns (uint8 tier,uint64 expiresAt)",
+  "function effectiveTier(address) view returns (uint8)",
+  "function purchase(uint8 tier,uint8 durationId) returns (uint64)",
+];
+
+const USDC_ABI = [
+  "function approve(address spender,uint256 amount) returns (bool)",
+  "function balanceOf(address owner) view returns (uint256)",
+  "function allowance(address owner,address spender) view returns (uint256)",
+  "event Transfer(address indexed from,address indexed to,uint256 value)",
+];
+
+/**
+ * One network's contracts bound to `provider` (an ethers provider, or any
+ * object with the same call/getCode/... methods). Takes a networksFromEnv()
+ * entry; without a provider that network's onchain routes answer "Onchain not
+ * configured". The provider is guarded by the network's circuit breaker and
+ * callTimeoutMs (see rpc.js).
+ */
+function createChain({
+  chainId = 8453,
+  name = knownNetwork(chainId)?.name || `chain-${chainId}`,
+  label = knownNetwork(chainId)?.label || name,
+  testnet = knownNetwork(chainId)?.testnet ?? false,
+  explorer = knownNetwork(chainId)?.explorer || null,
+  provider = null,
+  contract = null,
+  usdc = BASE_USDC,
+  breaker = createCircuitBreaker(),
+  callTimeoutMs = 10_000,
+} = {}) {
+  const guarded = provider
+    ? guardProvider(provider, { breaker, timeoutMs: callTimeoutMs, chainId: Number(chainId) })
+    : null;
+  return {
+    chainId: Number(chainId),
+    name,
+    label,
+    testnet,
+    explorer,
+    contract,
+    usdcAddress: usdc,
+    provider: guarded,
+    breaker,
+    roaster: guarded && contract ? new ethers.Contract(contract, ROASTER_ABI, guarded) : null,
+    usdc: guarded && usdc ? new ethers.Contract(usdc, USDC_ABI, guarded) : null,
+  };
+}
+
+// Everything buildApp reads from the environment
+function configFromEnv(env = process.env) {
+  const networks = networksFromEnv(env);
+  return {
+    // Default network (requests without a chainId); index.js builds a chain per entry
+    chainId: networks[0].chainId,
+    contract: networks[0].contract, // e.g. 0x430b...
+    usdc: networks[0].usdc,
+    networks,
+    domain: env.ROASTER_DOMAIN || "theroaster.app",
+    freeDailyLimit: DEFAULT_FREE_DAILY_LIMIT,
+    freeIpDailyLimit: DEFAULT_FREE_IP_DAILY_LIMIT,
+    // Batch roast limits
+    batchMaxItems: Number(env.BATCH_MAX_ITEMS || 20),
+    batchConcurrency: Number(env.BATCH_CONCURRENCY || 4),
+    // Redis cache for entitlement() reads (0 = off); dropped when a purchase is seen
+    entitlementCacheSeconds: Number(env.ENTITLEMENT_CACHE_SECONDS ?? 15),
+    // Redis outage (store.js): share of every daily limit allowed on in-process
+    // counters, and how long to wait before trying Redis again after an error
+    redisDegradedLimitFactor: Number(env.REDIS_DEGRADED_LIMIT_FACTOR ?? 0.5),
+    redisRetryMs: Number(env.REDIS_RETRY_MS || 5000),
+    legacyAuthUntil: env.LEGACY_AUTH_UNTIL || "2027-03-31T00:00:00Z",
+    adminTokens: parseAdminTokens(env.ADMIN_TOKENS),
+    // Bearer token for /metrics on the main port ("" = route not registered)
+    metricsToken: env.METRICS_TOKEN || "",
+    usage: ledgerOptionsFromEnv(env),
+    // Let webhooks point at localhost / private addresses (local test receivers)
+    webhookAllowPrivate: webhookOptionsFromEnv(env).allowPrivate,
+  };
+}
+
+/**
+ * buildApp({ redis, db, llm, chain, config, openai, metrics, logger })
+ *
+ * The whole HTTP API as a Fastify instance that is not listening yet, so
+ * tests can drive it with app.inject() against in-memory stand-ins. index.js
+ * wires in the real clients and calls listen.
+ *
+ *   redis    node-redis client (connected by the caller, or still connecting:
+ *            commands fall back to in-process state while it isn't ready)
+ *   db       db.js, or an object with the same functions
+ *   llm      createLLM() / createLLMFromEnv()
+ *   chains   createChain() per network; the one with config.chainId is the default
+ *   chain    single-network shorthand: the default network's createChain(),
+ *            with its addresses taken from config
+ *   config   overrides on top of configFromEnv()
+ *   openai   OpenAI client for the optional moderation pass
+ *   logger   Fastify logger option, or a pino instance to share
+ *
+ * The usage ledger starts when the app is ready and is flushed on close.
+ */
+function buildApp({
+  redis: redisClient,
+  db,
+  llm,
+  chains = null,
+  chain = {},
+  config: overrides = {},
+  openai = null,
+  metrics = createMetrics({ defaults: false }),
+  logger = true,
+}) {
+  const config = { ...configFromEnv(), ...overrides };
+
+  const fastify = Fastify({
+    [typeof logger?.child === "function" ? "loggerInstance" : "logger"]: logger,
+    trustProxy: true,
+    // profanity takes true/false or "on"/"off"
+    ajv: { customOptions: { allowUnionTypes: true } },
+    // Validation errors read like the handlers' own ("Send 'buyer'.")
+    schemaErrorFormatter: (errors, dataVar) => new Error(validationMessage(errors, dataVar)),
+  });
+
+  const {
+    getKeyRecordByHash,
+    touchKeyUsage,
+    revokeApiKeyByHash,
+    rotateApiKey,
+    upsertApiKeyForWallet,
+    listKeysForWallet,
+    updateKeyForWallet,
+    revokeKeyForWallet,
+  } = db;
+  const networks = createNetworkRegistry(
+    chains || [
+      createChain({
+        ...chain,
+        chainId: config.chainId,
+        contract: config.contract,
+        usdc: config.usdc,
+        provider: chain.provider || null,
+      }),
+    ],
+    config.chainId
+  );
+
+  const DOMAIN = config.domain;
+  // URI in every SIWE message we issue; signed messages must keep its origin
+  const SIWE_URI = `https://${DOMAIN}`;
+  const FREE_DAILY_LIMIT = config.freeDailyLimit;
+  const FREE_IP_DAILY_LIMIT = config.freeIpDailyLimit;
+  const BATCH_MAX_ITEMS = config.batchMaxItems;
+  const BATCH_CONCURRENCY = config.batchConcurrency;
+  const METRICS_TOKEN = config.metricsToken;
+  const ENTITLEMENT_CACHE_SECONDS = config.entitlementCacheSeconds;
+  const REDIS_DEGRADED_LIMIT_FACTOR = config.redisDegradedLimitFactor;
+
+  // Every Redis command below goes through the degraded-mode fallback (store.js)
+  const redis = createResilientRedis(redisClient, {
+    log: fastify.log,
+    retryMs: config.redisRetryMs,
+    onChange: metrics.redisDegraded,
+  });
+  // For background jobs sharing the cache (index.js: indexer invalidations)
+  fastify.decorate("store", redis);
+
+  metrics.observeRequests(fastify);
+
+  // Routes with an operationId (schemas.js) make up /openapi.json
+  const documented = [];
+  fastify.addHook("onRoute", (route) => {
+    if (!route.schema?.operationId) return;
+    for (const method of [].concat(route.method)) {
+      if (method !== "HEAD") documented.push({ method, url: route.url, schema: route.schema });
+    }
+  });
+
+  // Every error body is { success: false, error, code } (codes: schemas.js)
+  fastify.setErrorHandler((err, req, reply) => {
+    if (err.validation) {
+      return reply.code(400).send({ success: false, error: err.message, code: "INVALID_REQUEST" });
+    }
+    // Fastify's own 4xx (malformed JSON, body too large, ...) keep their status
+    const status = err.statusCode >= 400 && err.statusCode < 500 ? err.statusCode : 500;
+    if (status === 500) req.log.error(err, "Unhandled route error");
+    return reply.code(status).send({
+      success: false,
+      error: status === 500 ? "Internal error" : err.message,
+      code: status === 500 ? "INTERNAL_ERROR" : "INVALID_REQUEST",
+    });
+  });
+
+  fastify.setNotFoundHandler((req, reply) => {
+    reply.code(404).send({
+      success: false,
+      error: `No route for ${req.method} ${req.url.split("?")[0]}`,
+      code: "NOT_FOUND",
+      hint: "See /openapi.json for every route.",
+    });
+  });
+
+  // Usage ledger: every roast call is recorded in usage_events (batched writes)
+  const ledger = createUsageLedger({ db, log: fastify.log, ...config.usage });
+  fastify.decorate("ledger", ledger);
+  fastify.addHook("onReady", async () => ledger.start());
+
+  // Webhook events are only queued here; the worker (webhooks.js) delivers them
+  const webhookEvents = createWebhookEvents({ db, log: fastify.log });
+
+  // --------------------
+  // Helpers
+  // --------------------
+
+  async function getKeyRecord(req) {
+    const auth = req.headers.authorization || "";
+    const m = auth.match(/^Bearer\s+(.+)$/i);
+    if (!m) return null;
+
+    const raw = m[1].trim();
+    if (!raw) return null;
+
+    const h = hashKey(raw);
+    const rec = await getKeyRecordByHash(h);
+    if (!rec) return null;
+
+    // update last_used_at best-effort
+    touchKeyUsage(h).catch(() => {});
+    return { id: h, ...rec };
+  }
+
+  /**
+   * Count `count` uses against a daily counter. `over` is true once `limit` is
+   * exceeded. While Redis is down the counters are local to this process and
+   * start from zero, so `limit` shrinks by REDIS_DEGRADED_LIMIT_FACTOR.
+   */
+  async function rateLimitDaily({ scope, id, limit, count = 1 }) {
+    const day = utcDayKey();
+    const key = `roaster:daily:${scope}:${day}:${id}`;
+    const ttl = secondsUntilUtcMidnight();
+
+    const used = await redis.incrBy(key, count);
+    if (used === count) await redis.expire(key, ttl);
+
+    const degraded = redis.degraded();
+    const effective = degraded
+      ? Math.max(1, Math.floor(limit * REDIS_DEGRADED_LIMIT_FACTOR))
+      : limit;
+    return {
+      used,
+      limit: effective,
+      over: used > effective,
+      remaining: Math.max(0, effective - used),
+      degraded,
+      day,
+      key,
+    };
+  }
+
+  // Checksummed address, or null after a 400. The schemas only check the
+  // shape; a mixed-case address with a bad checksum gets here.
+  function requireAddress(raw, field, reply) {
+    try {
+      return ethers.getAddress(raw);
+    } catch {
+      reply.code(400).send({
+        success: false,
+        error: `'${field}' is not a valid address (bad checksum?).`,
+        code: "BAD_ADDRESS",
+      });
+      return null;
+    }
+  }
+
+  // --- IMPORTANT: split onchain requirements ---
+
+  /**
+   * The network a request targets: `chainId` in the JSON body or query string,
+   * the default network when absent. Returns the network, or null after a 400
+   * for a chain we don't serve.
+   */
+  function requireNetwork(req, reply) {
+    const raw = req.body?.chainId ?? req.query?.chainId;
+    const net = networks.resolve(raw);
+    if (!net) {
+      reply.code(400).send({
+        success: false,
+        error: `Unsupported chainId: ${raw}`,
+        code: "UNSUPPORTED_CHAIN",
+        hint: `Supported: ${networks
+          .list()
+          .map((n) => `${n.chainId} (${n.name})`)
+          .join(", ")}. See /api/v1/networks.`,
+      });
+    }
+    return net;
+  }
+
+  function requireRoaster(net, reply) {
+    if (!net.provider || !net.roaster || !net.contract) {
+      reply.code(500);
+      return { success: false, error: "Onchain not configured", code: "ONCHAIN_NOT_CONFIGURED" };
+    }
+    return null;
+  }
+
+  function requireUSDC(net, reply) {
+    const bad = requireRoaster(net, reply);
+    if (bad) return bad;
+    if (!net.usdc) {
+      reply.code(500);
+      return { success: false, error: "USDC not configured", code: "ONCHAIN_NOT_CONFIGURED" };
+    }
+    return null;
+  }
+
+  // What clients see of a network
+  function networkView(net) {
+    return {
+      chainId: net.chainId,
+      name: net.name,
+      label: net.label,
+      testnet: net.testnet,
+      default: net.chainId === networks.defaultChainId,
+      contract: net.contract,
+      usdc: net.usdcAddress,
+      explorer: net.explorer,
+      configured: !!(net.provider && net.roaster),
+    };
+  }
+
+  // RPC outage (rpc.js): a 503 + Retry-After body, or null for any other error
+  function rpcUnavailable(e, reply) {
+    if (!(e instanceof RpcUnavailableError)) return null;
+    reply.code(503).header("Retry-After", String(e.retryAfter));
+    return {
+      success: false,
+      error: "The blockchain RPC is unavailable. Retry shortly.",
+      code: "RPC_UNAVAILABLE",
+      chainId: e.chainId,
+      retryAfter: e.retryAfter,
+    };
+  }
+
+  /**
+   * On-chain entitlement as { tier, expiresAt, active }. Reads are cached for
+   * ENTITLEMENT_CACHE_SECONDS; `fresh` skips the cache (and refreshes it).
+   */
+  async function readEntitlement(net, address, { fresh = false } = {}) {
+    const cacheKey = entitlementCacheKey(net.chainId, address);
+    let ent = null;
+    if (ENTITLEMENT_CACHE_SECONDS > 0 && !fresh) {
+      const cached = await redis.get(cacheKey);
+      if (cached) ent = JSON.parse(cached);
+    }
+
+    if (!ent) {
+      const [tier, expiresAt] = await net.roaster.entitlement(address);
+      ent = { tier: Number(tier), expiresAt: Number(expiresAt) };
+      if (ENTITLEMENT_CACHE_SECONDS > 0) {
+        await redis.set(cacheKey, JSON.stringify(ent), { EX: ENTITLEMENT_CACHE_SECONDS });
+      }
+    }
+
+    const now = Math.floor(Date.now() / 1000);
+    return { ...ent, active: ent.expiresAt > now };
+  }
+
+  async function getPlansCached(net) {
+    if (!net.roaster) throw new Error("Onchain not configured");
+
+    const cacheKey = plansCacheKey(net.chainId);
+    const cached = await redis.get(cacheKey);
+    metrics.planCache(!!cached);
+    if (cached) return JSON.parse(cached);
+
+    const plans = await net.roaster.getAllPlans();
+    const out = plans.map((p) => ({
+      tier: Number(p.tier),
+      durationId: Number(p.durationId),
+      durationSeconds: Number(p.durationSeconds_),
+      priceUSDC: p.priceUSDC_.toString(), // 6 decimals
+    }));
+
+    // short cache (prices can change by owner)
+    await redis.set(cacheKey, JSON.stringify(out), { EX: 60 });
+    return out;
+  }
+
+  // --------------------
+  // Routes
+  // --------------------
+  // ---- Health: each dependency separately ----
+
+  const HEALTH_TIMEOUT_MS = 2000;
+
+  async function postgresHealth() {
+    if (typeof db.ping !== "function") return { ok: null };
+    const started = performance.now();
+    try {
+      await withTimeout(db.ping(), HEALTH_TIMEOUT_MS);
+      return { ok: true, latencyMs: Math.round(performance.now() - started) };
+    } catch (e) {
+      return { ok: false, error: e?.code === "TIMEOUT" ? "timeout" : "unreachable" };
+    }
+  }
+
+  // From the circuit breakers, so a health check never waits on an RPC
+  function rpcHealth() {
+    const list = networks.list().map((net) => {
+      const configured = !!(net.provider && net.roaster);
+      const circuit = net.breaker ? net.breaker.state() : "closed";
+      return {
+        chainId: net.chainId,
+        name: net.name,
+        configured,
+        circuit,
+        ok: configured && circuit !== "open",
+      };
+    });
+    return { ok: list.some((n) => n.ok && n.chainId === networks.defaultChainId), networks: list };
+  }
+
+  function llmHealth() {
+    const providers = llm.status ? llm.status() : [];
+    return { ok: providers.some((p) => p.ok), configured: !!llm.configured, providers };
+  }
+
+  /**
+   * status "ok": everything ready. "degraded": serving, but a dependency is
+   * down (Redis on local counters, Postgres, RPC, a failing LLM provider).
+   * "down" (503): no LLM provider is configured, so nothing can be served.
+   */
+  fastify.get("/health", { schema: S.getHealth }, async (req, reply) => {
+    const checks = {
+      postgres: await postgresHealth(),
+      redis: redis.status(),
+      rpc: rpcHealth(),
+      llm: llmHealth(),
+    };
+    const status = !checks.llm.configured
+      ? "down"
+      : Object.values(checks).every((c) => c.ok !== false)
+        ? "ok"
+        : "degraded";
+    if (status === "down") reply.code(503);
+    return { ok: status !== "down", status, checks };
+  });
+
+  if (METRICS_TOKEN) {
+    fastify.get("/metrics", async (req, reply) => {
+      const m = (req.headers.authorization || "").match(/^Bearer\s+(.+)$/i);
+      if (!matchToken([{ name: "metrics", token: METRICS_TOKEN }], m?.[1].trim())) {
+        return reply
+          .code(401)
+          .send({ success: false, error: "Metrics token required", code: "UNAUTHORIZED" });
+      }
+      reply.type(metrics.contentType);
+      return metrics.render();
+    });
+  }
+
+  // OpenAPI 3.1 for every route with a schema, built on first request
+  let openApi = null;
+  fastify.get("/openapi.json", async () => {
+    openApi ||= buildOpenApi(documented, { domain: DOMAIN });
+    return openApi;
+  });
+
+  // ---- Onchain helpers ----
+
+  // Every network the API sells on; pass one's chainId to the routes below
+  fastify.get("/api/v1/networks", { schema: S.listNetworks }, async () => ({
+    success: true,
+    defaultChainId: networks.defaultChainId,
+    networks: networks.list().map(networkView),
+  }));
+
+  fastify.get("/api/v1/contract", { schema: S.getContract }, async (req, reply) => {
+    const net = requireNetwork(req, reply);
+    if (!net) return reply;
+    const bad = requireRoaster(net, reply);
+    if (bad) return bad;
+
+    return {
+      success: true,
+      chainId: net.chainId,
+      network: net.name,
+      testnet: net.testnet,
+      domain: DOMAIN,
+      contract: net.contract,
+      usdc: net.usdcAddress,
+    };
+  });
+
+  fastify.get("/api/v1/plans", { schema: S.listPlans }, async (req, reply) => {
+    try {
+      const net = requireNetwork(req, reply);
+      if (!net) return reply;
+      const bad = requireRoaster(net, reply);
+      if (bad) return bad;
+
+      const plans = await getPlansCached(net);
+      return { success: true, chainId: net.chainId, plans };
+    } catch (e) {
+      const down = rpcUnavailable(e, reply);
+      if (down) return down;
+      req.log.error(e, "plans error");
+      reply.code(500);
+      return { success: false, error: "Failed to load plans", code: "INTERNAL_ERROR" };
+    }
+  });
+
+  fastify.get("/api/v1/entitlement/:address", { schema: S.getEntitlement }, async (req, reply) => {
+    try {
+      const net = requireNetwork(req, reply);
+      if (!net) return reply;
+      const bad = requireRoaster(net, reply);
+      if (bad) return bad;
+
+      const address = requireAddress(req.params.address, "address", reply);
+      if (!address) return reply;
+      const ent = await readEntitlement(net, address);
+
+      return { success: true, address, chainId: net.chainId, ...ent };
+    } catch (e) {
+      const down = rpcUnavailable(e, reply);
+      if (down) return down;
+      req.log.error(e, "entitlement error");
+      reply.code(500);
+      return { success: false, error: "Failed to read entitlement", code: "INTERNAL_ERROR" };
+    }
+  });
+
+  function buildApproveTx(net, from, amount) {
+    return {
+      from,
+      to: net.usdcAddress,
+      data: net.usdc.interface.encodeFunctionData("approve", [net.contract, amount]),
+      value: "0x0",
+      chainId: net.chainId,
+    };
+  }
+
+  function buildPurchaseTx(net, from, tier, durationId) {
+    return {
+      from,
+      to: net.contract,
+      data: net.roaster.interface.encodeFunctionData("purchase", [
+        Number(tier),
+        Number(durationId),
+      ]),
+      value: "0x0",
+      chainId: net.chainId,
+    };
+  }
+
+  // Build unsigned approve tx for a plan (bots/humans sign + send)
+  fastify.post("/api/v1/tx/approve", { schema: S.buildApproveTx }, async (req, reply) => {
+    try {
+      const net = requireNetwork(req, reply);
+      if (!net) return reply;
+      const bad = requireUSDC(net, reply);
+      if (bad) return bad;
+
+      const { buyer, tier, durationId } = req.body;
+      const from = requireAddress(buyer, "buyer", reply);
+      if (!from) return reply;
+
+      const plans = await getPlansCached(net);
+      const match = plans.find(
+        (p) => p.tier === Number(tier) && p.durationId === Number(durationId)
+      );
+      if (!match) {
+        return reply
+          .code(400)
+          .send({ success: false, error: "Unknown plan", code: "UNKNOWN_PLAN" });
+      }
+
+      return {
+        success: true,
+        tx: buildApproveTx(net, from, BigInt(match.priceUSDC)),
+        priceUSDC: match.priceUSDC,
+      };
+    } catch (e) {
+      const down = rpcUnavailable(e, reply);
+      if (down) return down;
+      req.log.error(e, "tx builder error");
+      reply.code(500);
+      return { success: false, error: "Failed to build approve tx", code: "INTERNAL_ERROR" };
+    }
+  });
+
+  // Build unsigned purchase tx for a plan (bots/humans sign + send)
+  fastify.post("/api/v1/tx/purchase", { schema: S.buildPurchaseTx }, async (req, reply) => {
+    try {
+      const net = requireNetwork(req, reply);
+      if (!net) return reply;
+      const bad = requireRoaster(net, reply);
+      if (bad) return bad;
+
+      const { buyer, tier, durationId } = req.body;
+      const from = requireAddress(buyer, "buyer", reply);
+      if (!from) return reply;
+
+      // validate plan exists to avoid reverts
+      const plans = await getPlansCached(net);
+      const match = plans.find(
+        (p) => p.tier === Number(tier) && p.durationId === Number(durationId)
+      );
+      if (!match) {
+        return reply
+          .code(400)
+          .send({ success: false, error: "Unknown plan", code: "UNKNOWN_PLAN" });
+      }
+
+      return {
+        success: true,
+        tx: buildPurchaseTx(net, from, tier, durationId),
+        priceUSDC: match.priceUSDC,
+      };
+    } catch (e) {
+      const down = rpcUnavailable(e, reply);
+      if (down) return down;
+      req.log.error(e, "tx builder error");
+      reply.code(500);
+      return { success: false, error: "Failed to build purchase tx", code: "INTERNAL_ERROR" };
+    }
+  });
+
+  // ---- Purchase preflight: only return the txs that are actually needed ----
+
+  function revertMessage(e) {
+    if (e?.revert) return `${e.revert.name}(${e.revert.args.join(", ")})`;
+    return e?.reason || e?.shortMessage || "execution reverted";
+  }
+
+  /**
+   * Check balance + allowance, simulate purchase and estimate gas/fees.
+   * Response `steps` is the ordered list of txs to send (approve only when the
+   * current allowance is short). `ready` is false when something will fail.
+   */
+  fastify.post("/api/v1/tx/preflight", { schema: S.preflightPurchase }, async (req, reply) => {
+    try {
+      const net = requireNetwork(req, reply);
+      if (!net) return reply;
+      const bad = requireUSDC(net, reply);
+      if (bad) return bad;
+
+      const { buyer, tier, durationId } = req.body;
+      const from = requireAddress(buyer, "buyer", reply);
+      if (!from) return reply;
+      const { provider, usdc } = net;
+
+      const plans = await getPlansCached(net);
+      const match = plans.find(
+        (p) => p.tier === Number(tier) && p.durationId === Number(durationId)
+      );
+      if (!match) {
+        return reply
+          .code(400)
+          .send({ success: false, error: "Unknown plan", code: "UNKNOWN_PLAN" });
+      }
+
+      const price = BigInt(match.priceUSDC);
+      const [balance, allowance, ethBalance, feeData] = await Promise.all([
+        usdc.balanceOf(from),
+        usdc.allowance(from, net.contract),
+        provider.getBalance(from),
+        provider.getFeeData(),
+      ]);
+
+      const problems = [];
+      const steps = [];
+
+      if (balance < price) {
+        problems.push({
+          code: "INSUFFICIENT_USDC",
+          message: "USDC balance is below the plan price",
+          shortfallUSDC: (price - balance).toString(),
+        });
+      }
+
+      const needsApprove = allowance < price;
+      if (needsApprove) {
+        const tx = buildApproveTx(net, from, price);
+        let gas = null;
+        try {
+          gas = await provider.estimateGas(tx);
+        } catch (e) {
+          if (e instanceof RpcUnavailableError) throw e;
+          problems.push({ code: "APPROVE_WOULD_REVERT", message: revertMessage(e) });
+        }
+        steps.push({ step: "approve", tx, gasEstimate: gas?.toString() ?? null });
+      }
+
+      // eth_call the purchase. With a short allowance it's bound to revert, so
+      // only simulate once the approve isn't needed (or is already in place).
+      const purchaseTx = buildPurchaseTx(net, from, tier, durationId);
+      const simulation = { ran: false, ok: null, revertReason: null };
+      let purchaseGas = null;
+
+      if (!needsApprove && balance >= price) {
+        simulation.ran = true;
+        try {
+          await provider.call(purchaseTx);
+          simulation.ok = true;
+          purchaseGas = await provider.estimateGas(purchaseTx);
+        } catch (e) {
+          if (e instanceof RpcUnavailableError) throw e;
+          simulation.ok = false;
+          simulation.revertReason = revertMessage(e);
+          problems.push({ code: "PURCHASE_WOULD_REVERT", message: simulation.revertReason });
+        }
+      }
+      steps.push({ step: "purchase", tx: purchaseTx, gasEstimate: purchaseGas?.toString() ?? null });
+
+      // Fee estimate (EIP-1559 where the chain has it; fall back to legacy gasPrice)
+      const perGas = feeData.maxFeePerGas ?? feeData.gasPrice ?? null;
+      const totalGas = steps.reduce((sum, st) => sum + BigInt(st.gasEstimate || 0), 0n);
+      const estimatedCostWei = perGas != null && totalGas > 0n ? totalGas * perGas : null;
+
+      if (estimatedCostWei != null && ethBalance < estimatedCostWei) {
+        problems.push({
+          code: "INSUFFICIENT_ETH_FOR_GAS",
+          message: "ETH balance may not cover gas",
+          shortfallWei: (estimatedCostWei - ethBalance).toString(),
+        });
+      }
+
+      return {
+        success: true,
+        ready: problems.length === 0,
+        buyer: from,
+        chainId: net.chainId,
+        priceUSDC: match.priceUSDC,
+        balanceUSDC: balance.toString(),
+        allowanceUSDC: allowance.toString(),
+        balanceWei: ethBalance.toString(),
+        simulation,
+        fees: {
+          maxFeePerGas: feeData.maxFeePerGas?.toString() ?? null,
+          maxPriorityFeePerGas: feeData.maxPriorityFeePerGas?.toString() ?? null,
+          gasPrice: feeData.gasPrice?.toString() ?? null,
+          estimatedCostWei: estimatedCostWei?.toString() ?? null,
+          partial: needsApprove, // purchase gas can't be estimated until approve lands
+        },
+        steps,
+        problems,
+      };
+    } catch (e) {
+      const down = rpcUnavailable(e, reply);
+      if (down) return down;
+      req.log.error(e, "preflight error");
+      reply.code(500);
+      return { success: false, error: "Preflight failed", code: "INTERNAL_ERROR" };
+    }
+  });
+
+  // ---- Transaction status (after a bot sends a tx built above) ----
+
+  function sameAddress(a, b) {
+    return !!a && !!b && a.toLowerCase() === b.toLowerCase();
+  }
+
+  // Decode the call a tx made, if it targets our contract or USDC on `net`
+  function decodeCall(net, tx) {
+    const { roaster, usdc } = net;
+    try {
+      if (sameAddress(tx.to, net.contract)) {
+        const parsed = roaster.interface.parseTransaction({ data: tx.data, value: tx.value });
+        if (parsed?.name === "purchase") {
+          return {
+            contract: "roaster",
+            method: "purchase",
+            tier: Number(parsed.args[0]),
+            durationId: Number(parsed.args[1]),
+          };
+        }
+        return parsed ? { contract: "roaster", method: parsed.name } : null;
+      }
+      if (sameAddress(tx.to, net.usdcAddress) && usdc) {
+        const parsed = usdc.interface.parseTransaction({ data: tx.data, value: tx.value });
+        if (parsed?.name === "approve") {
+          return {
+            contract: "usdc",
+            method: "approve",
+            spender: parsed.args[0],
+            amount: parsed.args[1].toString(),
+          };
+        }
+        return parsed ? { contract: "usdc", method: parsed.name } : null;
+      }
+    } catch {}
+    return null;
+  }
+
+  // USDC Transfer events in a receipt (amounts are 6-decimal strings)
+  function decodeUsdcTransfers(net, receipt) {
+    if (!net.usdc) return [];
+    const out = [];
+    for (const log of receipt.logs) {
+      if (!sameAddress(log.address, net.usdcAddress)) continue;
+      try {
+        const parsed = net.usdc.interface.parseLog(log);
+        if (parsed?.name === "Transfer") {
+          out.push({
+            from: parsed.args[0],
+            to: parsed.args[1],
+            valueUSDC: parsed.args[2].toString(),
+          });
+        }
+      } catch {}
+    }
+    return out;
+  }
+
+  // Replay a reverted tx at its block to recover the revert reason (best-effort)
+  async function revertReason(net, tx, blockNumber) {
+    try {
+      await net.provider.call({
+        from: tx.from,
+        to: tx.to,
+        data: tx.data,
+        value: tx.value,
+        blockTag: blockNumber,
+      });
+      return null;
+    } catch (e) {
+      if (e instanceof RpcUnavailableError) throw e;
+      return revertMessage(e);
+    }
+  }
+
+  fastify.get("/api/v1/tx/:hash", { schema: S.getTransactionStatus }, async (req, reply) => {
+    try {
+      const net = requireNetwork(req, reply);
+      if (!net) return reply;
+      const bad = requireRoaster(net, reply);
+      if (bad) return bad;
+      const { provider } = net;
+
+      const { hash } = req.params;
+      const tx = await provider.getTransaction(hash);
+      if (!tx) {
+        return {
+          success: true,
+          hash,
+          status: "not-found",
+          hint: "Not seen by the RPC yet; retry shortly.",
+        };
+      }
+
+      const out = {
+        success: true,
+        hash,
+        chainId: net.chainId,
+        from: tx.from,
+        to: tx.to,
+        call: decodeCall(net, tx),
+      };
+
+      const receipt = await provider.getTransactionReceipt(hash);
+      if (!receipt) return { ...out, status: "pending", confirmations: 0 };
+
+      out.blockNumber = receipt.blockNumber;
+      out.confirmations = await receipt.confirmations();
+      out.usdcTransfers = decodeUsdcTransfers(net, receipt);
+
+      if (receipt.status === 0) {
+        out.status = "reverted";
+        out.revertReason = await revertReason(net, tx, receipt.blockNumber);
+      } else {
+        out.status = "confirmed";
+      }
+
+      // A confirmed purchase changes the entitlement: don't serve it from the cache
+      const purchased = out.status === "confirmed" && out.call?.method === "purchase";
+      out.entitlement = await readEntitlement(net, tx.from, { fresh: purchased });
+
+      // Optional: hand back step 1 of the claim flow so the bot can sign right away.
+      // This is a GET anyone with the hash can poll, so it only ever reuses the
+      // buyer's pending nonce (or creates one if there is none), never replaces it.
+      const autoClaim = /^(1|true|yes)$/i.test(String(req.query?.autoClaim || ""));
+      if (autoClaim && purchased) {
+        const nonce = out.entitlement.active
+          ? await issueNonce("claim", ethers.getAddress(tx.from), "siwe", net, { reuse: true })
+          : null;
+        if (nonce) {
+          out.next = {
+            step: "claim",
+            method: "POST",
+            path: "/api/v1/auth/claim",
+            message: nonce.message,
+            body: {
+              requester: "<YourBotName>",
+              address: nonce.address,
+              signature: "<sign message>",
+              chainId: net.chainId,
+            },
+            expiresInSeconds: nonce.expiresInSeconds,
+          };
+        } else if (out.entitlement.active) {
+          // Another claim message (other network or legacy format) is pending
+          out.next = {
+            step: "nonce",
+            method: "POST",
+            path: "/api/v1/auth/nonce",
+            body: { address: ethers.getAddress(tx.from), chainId: net.chainId },
+          };
+        } else {
+          out.next = { step: "wait", hint: "Entitlement not active yet; retry shortly." };
+        }
+      }
+
+      return out;
+    } catch (e) {
+      const down = rpcUnavailable(e, reply);
+      if (down) return down;
+      req.log.error(e, "tx status error");
+      reply.code(500);
+      return { success: false, error: "Failed to load transaction", code: "INTERNAL_ERROR" };
+    }
+  });
+
+  // ---- Key claim flow (wallet signs message; server verifies; server issues API key) ----
+
+  // Signed-message purposes: "claim" mints a key, "manage" authorizes wallet key management
+  const AUTH_TITLES = {
+    claim: "TheRoaster API Key Claim",
+    manage: "TheRoaster Key Management",
+  };
+
+  // SIWE statement shown in the wallet prompt, per purpose
+  const AUTH_STATEMENTS = {
+    claim: "Claim a TheRoaster API key for this wallet.",
+    manage: "Manage TheRoaster API keys for this wallet.",
+  };
+
+  // Pre-SIWE message format: still accepted (format: "legacy") until this date
+  const LEGACY_AUTH_UNTIL = config.legacyAuthUntil;
+
+  function legacyAuthAllowed() {
+    return Date.now() < Date.parse(LEGACY_AUTH_UNTIL);
+  }
+
+  // Legacy (pre-SIWE) message
+  function authMessage({ purpose, addr, nonce, issuedAt, net }) {
+    return [
+      AUTH_TITLES[purpose],
+      `Domain: ${DOMAIN}`,
+      `ChainId: ${net.chainId}`,
+      `Contract: ${net.contract}`,
+      `Address: ${addr}`,
+      `Nonce: ${nonce}`,
+      `IssuedAt: ${issuedAt}`,
+    ].join("\n");
+  }
+
+  function nonceKey(purpose, addr) {
+    // claim keeps its original key so in-flight nonces survive deploys
+    return purpose === "claim" ? `roaster:nonce:${addr}` : `roaster:nonce:${purpose}:${addr}`;
+  }
+
+  /**
+   * Check a signature over the pending nonce message for `purpose` and burn the
+   * nonce on success. Returns null if valid, else { status, error, code }.
+   *
+   * SIWE nonces: the signed message (sent back as `message`, or the one we
+   * issued) is parsed and checked against the stored nonce, our domain, chain
+   * and expiry. Legacy nonces rebuild the old text message. Signatures from
+   * contract wallets are checked via EIP-1271 on the nonce's network.
+   *
+   * `net`, when given, is the network the caller expects; a nonce issued for
+   * another one is rejected (and left in place).
+   */
+  async function verifyNonceSignature({ purpose, addr, signature, message: signed, net = null }) {
+    const nonceRaw = await redis.get(nonceKey(purpose, addr));
+    if (!nonceRaw) {
+      return { status: 400, error: "Nonce expired. Request a new nonce.", code: "NONCE_EXPIRED" };
+    }
+
+    const stored = JSON.parse(nonceRaw);
+    // Nonces from before networks were recorded belong to the default network
+    const nonceNet = networks.get(stored.chainId ?? networks.defaultChainId);
+    if (!nonceNet) {
+      return { status: 400, error: "Nonce expired. Request a new nonce.", code: "NONCE_EXPIRED" };
+    }
+    if (net && net.chainId !== nonceNet.chainId) {
+      return {
+        status: 400,
+        error: `Nonce was issued for chainId ${nonceNet.chainId}; send the same chainId to claim.`,
+        code: "NONCE_CHAIN_MISMATCH",
+      };
+    }
+    let message;
+
+    if (stored.format === "siwe") {
+      message = signed ? String(signed) : stored.message;
+
+      let fields;
+      try {
+        fields = parseSiweMessage(message);
+      } catch (e) {
+        return {
+          status: 400,
+          error: `Malformed SIWE message: ${e.message}`,
+          code: "SIWE_REJECTED",
+        };
+      }
+
+      const problem = validateSiweFields(fields, {
+        domain: DOMAIN,
+        uri: SIWE_URI,
+        address: addr,
+        chainId: nonceNet.chainId,
+        nonce: stored.nonce,
+      });
+      if (problem) {
+        return { status: 401, error: `SIWE message rejected: ${problem}.`, code: "SIWE_REJECTED" };
+      }
+    } else {
+      // Legacy nonce (format "legacy", or issued before SIWE shipped)
+      if (!legacyAuthAllowed()) {
+        return {
+          status: 400,
+          error: "Legacy sign-in messages are no longer accepted. Request a new nonce.",
+          code: "LEGACY_AUTH_DISABLED",
+        };
+      }
+      message = authMessage({
+        purpose,
+        addr,
+        nonce: stored.nonce,
+        issuedAt: stored.issuedAt,
+        net: nonceNet,
+      });
+    }
+
+    const valid = await verifyWalletSignature({
+      provider: nonceNet.provider,
+      address: addr,
+      message,
+      signature,
+    });
+    if (!valid) {
+      return { status: 401, error: "Signature mismatch.", code: "SIGNATURE_MISMATCH" };
+    }
+
+    // burn nonce (one-time use)
+    await redis.del(nonceKey(purpose, addr));
+    return null;
+  }
+
+  const NONCE_TTL_SECONDS = 300;
+
+  /**
+   * Create + store a one-time nonce for network `net`.
+   * Returns { address, purpose, format, chainId, message }.
+   * format "siwe" (default) issues an EIP-4361 message; "legacy" the old text
+   * message, while the deprecation window is open.
+   *
+   * With `reuse`, a pending nonce is never replaced: an unexpired one for the
+   * same network and format comes back as is (plus expiresInSeconds), and one
+   * for another network or format makes this return null.
+   */
+  async function issueNonce(
+    purpose,
+    addr,
+    format = "siwe",
+    net = networks.default,
+    { reuse = false } = {}
+  ) {
+    const nonce = randomNonce();
+    const issuedAt = new Date().toISOString();
+
+    let message;
+    if (format === "legacy") {
+      message = authMessage({ purpose, addr, nonce, issuedAt, net });
+    } else {
+      message = buildSiweMessage({
+        domain: DOMAIN,
+        address: addr,
+        statement: AUTH_STATEMENTS[purpose],
+        uri: SIWE_URI,
+        chainId: net.chainId,
+        nonce,
+        issuedAt,
+        expirationTime: new Date(Date.now() + NONCE_TTL_SECONDS * 1000).toISOString(),
+        resources: net.contract ? [`eip155:${net.chainId}:${net.contract}`] : [],
+      });
+    }
+
+    // store nonce for 5 minutes
+    const stored = await redis.set(
+      nonceKey(purpose, addr),
+      JSON.stringify({ nonce, issuedAt, format, message, chainId: net.chainId }),
+      { EX: NONCE_TTL_SECONDS, ...(reuse ? { NX: true } : {}) }
+    );
+
+    const issued = { address: addr, purpose, format, chainId: net.chainId, message };
+    if (!reuse) return issued;
+    if (stored !== null) return { ...issued, expiresInSeconds: NONCE_TTL_SECONDS };
+
+    const pending = JSON.parse((await redis.get(nonceKey(purpose, addr))) || "null");
+    if (!pending || pending.chainId !== net.chainId || pending.format !== format) return null;
+    const age = Math.floor((Date.now() - Date.parse(pending.issuedAt)) / 1000);
+    return {
+      ...issued,
+      message: pending.message,
+      expiresInSeconds: Math.max(NONCE_TTL_SECONDS - age, 0),
+    };
+  }
+
+  // Step 1: get message to sign
+  fastify.post("/api/v1/auth/nonce", { schema: S.requestNonce }, async (req, reply) => {
+    try {
+      const net = requireNetwork(req, reply);
+      if (!net) return reply;
+      const bad = requireRoaster(net, reply);
+      if (bad) return bad;
+
+      // purpose / format are checked against the schema's enums
+      const { address, purpose = "claim", format = "siwe" } = req.body;
+      const addr = requireAddress(address, "address", reply);
+      if (!addr) return reply;
+
+      if (format === "legacy") {
+        if (!legacyAuthAllowed()) {
+          return reply.code(400).send({
+            success: false,
+            error: "Legacy sign-in messages are no longer supported. Use the SIWE message.",
+            code: "LEGACY_AUTH_DISABLED",
+          });
+        }
+        reply.header("Deprecation", "true");
+        reply.header("Sunset", new Date(LEGACY_AUTH_UNTIL).toUTCString());
+      }
+
+      const issued = await issueNonce(purpose, addr, format, net);
+      const out = { success: true, ...issued };
+      if (format === "legacy") {
+        out.deprecated = true;
+        out.sunset = LEGACY_AUTH_UNTIL;
+      }
+      return out;
+    } catch (e) {
+      req.log.error(e, "nonce error");
+      reply.code(500);
+      return { success: false, error: "Failed to issue nonce", code: "INTERNAL_ERROR" };
+    }
+  });
+
+  // Step 2: claim API key (requires entitlement active onchain)
+  fastify.post("/api/v1/auth/claim", { schema: S.claimApiKey }, async (req, reply) => {
+    try {
+      const net = requireNetwork(req, reply);
+      if (!net) return reply;
+      const bad = requireRoaster(net, reply);
+      if (bad) return bad;
+
+      const body = req.body;
+      const requester = cleanRequester(body.requester);
+      const addr = requireAddress(body.address, "address", reply);
+      if (!addr) return reply;
+      const signature = body.signature;
+
+      if (!requester) {
+        return reply
+          .code(400)
+          .send({ success: false, error: "Send requester (bot name).", code: "INVALID_REQUEST" });
+      }
+
+      // Verify signature (burns the nonce). `message` is optional: the SIWE text the wallet signed.
+      const sigErr = await verifyNonceSignature({
+        purpose: "claim",
+        addr,
+        signature,
+        message: body.message,
+        net,
+      });
+      if (sigErr) {
+        return reply
+          .code(sigErr.status)
+          .send({ success: false, error: sigErr.error, code: sigErr.code });
+      }
+
+      // Onchain entitlement check, on the network the nonce was issued for. A
+      // cached "inactive" may predate a purchase made since, so re-read that.
+      let ent = await readEntitlement(net, addr);
+      if (!ent.active) ent = await readEntitlement(net, addr, { fresh: true });
+      const exp = ent.expiresAt;
+      const effTier = ent.active ? ent.tier : 0;
+
+      if (effTier === 0) {
+        return reply.code(402).send({
+          success: false,
+          error: "No active entitlement",
+          code: "NO_ENTITLEMENT",
+          hint: "Buy a plan onchain then claim again.",
+        });
+      }
+
+      // Mint API key
+      const rawKey = makeApiKey();
+      const keyHash = hashKey(rawKey);
+      const tierName = effTier === 2 ? "pro" : "basic";
+
+      if (typeof upsertApiKeyForWallet !== "function") {
+        return reply.code(500).send({
+          success: false,
+          error: "DB function upsertApiKeyForWallet missing in db.js",
+          code: "SERVER_MISCONFIGURED",
+        });
+      }
+
+      // Persist in DB. Store only hash, return raw once.
+      // Re-claiming for the same requester replaces that bot's key; other bots' keys stay active.
+      try {
+        await upsertApiKeyForWallet({
+          key_hash: keyHash,
+          wallet: addr,
+          tier: tierName,
+          entitlement_expires_at_unix: exp, // from the contract
+          expires_at_unix: null, // optional
+          agent_name: requester,
+          chain_id: net.chainId,
+          legacy_chain: net.chainId === networks.defaultChainId,
+        });
+      } catch (e) {
+        if (e.code !== "TOO_MANY_KEYS") throw e;
+        return reply.code(409).send({
+          success: false,
+          error: "Too many active keys for this wallet",
+          code: "TOO_MANY_KEYS",
+          hint: "Revoke an unused key via /api/v1/wallet/{address}/keys, then claim again.",
+        });
+      }
+
+      return {
+        success: true,
+        api_key: rawKey,
+        tier: effTier,
+        expiresAt: exp,
+        chainId: net.chainId,
+      };
+    } catch (e) {
+      const down = rpcUnavailable(e, reply);
+      if (down) return down;
+      req.log.error(e, "claim error");
+      reply.code(500);
+      return { success: false, error: "Claim failed", code: "INTERNAL_ERROR" };
+    }
+  });
+
+  // ---- Self-service key endpoints (Bearer key required) ----
+
+  function toUnix(d) {
+    return d ? Math.floor(new Date(d).getTime() / 1000) : null;
+  }
+
+  // Network a key's entitlement came from (wallet keys claimed before this was
+  // recorded came from the default network; operator-minted keys have none)
+  function keyChainId(row) {
+    return row.chain_id ?? (row.wallet_address ? networks.defaultChainId : null);
+  }
+
+  // Bearer key or a 401 reply. Returns the key record or null (reply already sent).
+  async function requireKey(req, reply) {
+    const keyRec = await getKeyRecord(req);
+    if (!keyRec) {
+      reply
+        .code(401)
+        .send({ success: false, error: "Invalid or expired API key", code: "INVALID_API_KEY" });
+      return null;
+    }
+    return keyRec;
+  }
+
+  fastify.get("/api/v1/me", { schema: S.getMe }, async (req, reply) => {
+    try {
+      const keyRec = await requireKey(req, reply);
+      if (!keyRec) return reply;
+
+      const day = utcDayKey();
+      const limit = tierLimit(keyRec);
+      const cap = keyDailyCap(keyRec);
+      const wallet = keyRec.wallet_address;
+
+      const keyUsed = Number((await redis.get(`roaster:daily:key:${day}:${keyRec.id}`)) || 0);
+      const poolUsed = wallet
+        ? Number((await redis.get(`roaster:daily:wallet:${day}:${wallet.toLowerCase()}`)) || 0)
+        : keyUsed;
+
+      let remaining = Math.max(0, limit - poolUsed);
+      if (cap != null) remaining = Math.min(remaining, Math.max(0, cap - keyUsed));
+
+      return {
+        success: true,
+        key_id: keyRec.key_id ?? null,
+        tier: keyTierName(keyRec),
+        wallet,
+        chain_id: keyChainId(keyRec),
+        agent_name: keyRec.agent_name || null,
+        binding: { mode: bindingMode(keyRec), allowed_names: keyRec.allowed_names || [] },
+        label: keyRec.label || null,
+        entitlement_expires_at: toUnix(keyRec.entitlement_expires_at),
+        key_expires_at: toUnix(keyRec.expires_at),
+        last_used_at: toUnix(keyRec.last_used_at),
+        usage: {
+          day,
+          used: poolUsed,
+          daily_limit: limit,
+          remaining,
+          key_used: keyUsed,
+          key_daily_cap: cap,
+          resets_in_seconds: secondsUntilUtcMidnight(),
+        },
+      };
+    } catch (e) {
+      req.log.error(e, "me error");
+      reply.code(500);
+      return { success: false, error: "Failed to load key info", code: "INTERNAL_ERROR" };
+    }
+  });
+
+  // Usage history from the ledger. Wallet keys see the whole wallet (the daily
+  // limit is a wallet-wide pool); keys without a wallet see only themselves.
+  fastify.get("/api/v1/me/usage", { schema: S.getMyUsage }, async (req, reply) => {
+    try {
+      const keyRec = await requireKey(req, reply);
+      if (!keyRec) return reply;
+
+      const wallet = keyRec.wallet_address;
+      const query = parseUsageQuery(req.query, { groups: wallet ? ["key", "model"] : ["model"] });
+      if (query.error) {
+        return reply
+          .code(400)
+          .send({ success: false, error: query.error, code: "INVALID_REQUEST" });
+      }
+
+      const rows = await db.usageAggregates({
+        ...query,
+        ...(wallet ? { wallet } : { key_hash: keyRec.id }),
+      });
+      return {
+        success: true,
+        scope: wallet ? "wallet" : "key",
+        wallet: wallet || null,
+        key_id: keyRec.key_id ?? null,
+        ...usageReport(query, rows),
+      };
+    } catch (e) {
+      req.log.error(e, "me usage error");
+      reply.code(500);
+      return { success: false, error: "Failed to load usage", code: "INTERNAL_ERROR" };
+    }
+  });
+
+  // Issue a fresh key with the same tier/limits/binding and revoke the old one.
+  // Today's usage moves with it so rotating doesn't reset the daily quota.
+  fastify.post("/api/v1/me/rotate", { schema: S.rotateApiKey }, async (req, reply) => {
+    try {
+      const keyRec = await requireKey(req, reply);
+      if (!keyRec) return reply;
+
+      const rawKey = makeApiKey();
+      const keyHash = hashKey(rawKey);
+
+      const row = await rotateApiKey({ old_key_hash: keyRec.id, new_key_hash: keyHash });
+      if (!row) {
+        return reply
+          .code(409)
+          .send({ success: false, error: "Key is no longer active", code: "KEY_INACTIVE" });
+      }
+
+      const day = utcDayKey();
+      const used = Number((await redis.get(`roaster:daily:key:${day}:${keyRec.id}`)) || 0);
+      if (used > 0) {
+        await redis.set(`roaster:daily:key:${day}:${keyHash}`, String(used), {
+          EX: secondsUntilUtcMidnight(),
+        });
+      }
+
+      // Webhooks and personas owned by a wallet-less key follow it to the new one
+      if (!row.wallet_address) {
+        await db.moveKeyWebhooks(keyRec.key_id, row.id);
+        await db.moveKeyPersonas(keyRec.key_id, row.id);
+      }
+      await webhookEvents.emitKeyEvent("key.rotated", row.wallet_address, {
+        key_id: keyRec.key_id,
+        new_key_id: row.id,
+        agent_name: row.agent_name || null,
+      });
+
+      return {
+        success: true,
+        api_key: rawKey,
+        tier: keyTierName(row),
+        agent_name: row.agent_name || null,
+        entitlement_expires_at: toUnix(row.entitlement_expires_at),
+        revoked_previous: true,
+      };
+    } catch (e) {
+      req.log.error(e, "rotate error");
+      reply.code(500);
+      return { success: false, error: "Rotation failed", code: "INTERNAL_ERROR" };
+    }
+  });
+
+  // Revoke the calling key (e.g. it leaked). Irreversible; claim again for a new one.
+  fastify.post("/api/v1/me/revoke", { schema: S.revokeApiKey }, async (req, reply) => {
+    try {
+      const keyRec = await requireKey(req, reply);
+      if (!keyRec) return reply;
+
+      await revokeApiKeyByHash(keyRec.id);
+      await webhookEvents.emitKeyEvent("key.revoked", keyRec.wallet_address, {
+        key_id: keyRec.key_id,
+        agent_name: keyRec.agent_name || null,
+        by: "key",
+      });
+      return { success: true, revoked: true };
+    } catch (e) {
+      req.log.error(e, "revoke error");
+      reply.code(500);
+      return { success: false, error: "Revocation failed", code: "INTERNAL_ERROR" };
+    }
+  });
+
+  // ---- Requester binding (keys are locked to their bot name) ----
+
+  // BINDING_MODES (schemas.js): strict = exact agent_name; case-insensitive =
+  // agent_name ignoring case; allowlist = agent_name or any of allowed_names, ignoring case
+
+  function bindingMode(rec) {
+    return BINDING_MODES.includes(rec?.binding_mode) ? rec.binding_mode : "case-insensitive";
+  }
+
+  function boundNames(rec) {
+    const names = rec.agent_name ? [rec.agent_name] : [];
+    if (bindingMode(rec) === "allowlist") names.push(...(rec.allowed_names || []));
+    return names;
+  }
+
+  function requesterAllowed(rec, requester) {
+    // Keys minted without a bot name (e.g. comp keys) are unbound
+    if (!rec.agent_name && !(rec.allowed_names || []).length) return true;
+
+    const mode = bindingMode(rec);
+    if (mode === "strict") return requester === rec.agent_name;
+
+    const r = requester.toLowerCase();
+    return boundNames(rec).some((n) => n.toLowerCase() === r);
+  }
+
+  // ---- Wallet key management (several named keys per wallet) ----
+
+  /**
+   * Authorize the wallet in :address. Either a Bearer key issued to that wallet,
+   * or X-Wallet-Signature: a signature over the message from
+   * /api/v1/auth/nonce with purpose "manage" (one-time use).
+   * Returns the checksummed address, or null (reply already sent).
+   */
+  async function requireWalletAuth(req, reply) {
+    const addr = requireAddress(req.params.address, "address", reply);
+    if (!addr) return null;
+
+    if (/^Bearer\s+/i.test(req.headers.authorization || "")) {
+      const keyRec = await getKeyRecord(req);
+      if (!keyRec) {
+        reply
+          .code(401)
+          .send({ success: false, error: "Invalid or expired API key", code: "INVALID_API_KEY" });
+        return null;
+      }
+      if ((keyRec.wallet_address || "").toLowerCase() !== addr.toLowerCase()) {
+        reply.code(403).send({
+          success: false,
+          error: "Key does not belong to this wallet",
+          code: "WRONG_WALLET",
+        });
+        return null;
+      }
+      return addr;
+    }
+
+    const signature = String(req.headers["x-wallet-signature"] || "");
+    if (!signature) {
+      reply.code(401).send({
+        success: false,
+        error: "Send Authorization: Bearer <API_KEY> or X-Wallet-Signature.",
+        code: "AUTH_REQUIRED",
+        hint: 'Get the message to sign from /api/v1/auth/nonce with {"purpose":"manage"}',
+      });
+      return null;
+    }
+
+    let sigErr;
+    try {
+      sigErr = await verifyNonceSignature({ purpose: "manage", addr, signature });
+    } catch (e) {
+      const down = rpcUnavailable(e, reply); // EIP-1271 check needs the RPC
+      if (down) {
+        reply.send(down);
+        return null;
+      }
+      sigErr = { status: 401, error: "Invalid signature.", code: "SIGNATURE_MISMATCH" };
+    }
+    if (sigErr) {
+      reply.code(sigErr.status).send({ success: false, error: sigErr.error, code: sigErr.code });
+      return null;
+    }
+    return addr;
+  }
+
+  function keyView(row) {
+    const active =
+      row.enabled &&
+      !row.revoked_at &&
+      (!row.expires_at || new Date(row.expires_at) > new Date()) &&
+      (!row.entitlement_expires_at || new Date(row.entitlement_expires_at) > new Date());
+
+    return {
+      id: row.id,
+      agent_name: row.agent_name || null,
+      binding: { mode: bindingMode(row), allowed_names: row.allowed_names || [] },
+      label: row.label || null,
+      tier: row.tier,
+      chain_id: keyChainId(row),
+      key_daily_cap: row.key_daily_cap ?? null,
+      active,
+      revoked_at: toUnix(row.revoked_at),
+      entitlement_expires_at: toUnix(row.entitlement_expires_at),
+      last_used_at: toUnix(row.last_used_at),
+    };
+  }
+
+  function parseKeyId(raw) {
+    const id = Number(raw);
+    return Number.isInteger(id) && id > 0 ? id : null;
+  }
+
+  fastify.get("/api/v1/wallet/:address/keys", { schema: S.listWalletKeys }, async (req, reply) => {
+    try {
+      const addr = await requireWalletAuth(req, reply);
+      if (!addr) return reply;
+
+      const rows = await listKeysForWallet(addr);
+      const keys = rows.map(keyView);
+      const day = utcDayKey();
+      const used = Number(
+        (await redis.get(`roaster:daily:wallet:${day}:${addr.toLowerCase()}`)) || 0
+      );
+
+      return {
+        success: true,
+        wallet: addr,
+        keys,
+        active: keys.filter((k) => k.active).length,
+        pool: { day, used },
+      };
+    } catch (e) {
+      req.log.error(e, "list keys error");
+      reply.code(500);
+      return { success: false, error: "Failed to list keys", code: "INTERNAL_ERROR" };
+    }
+  });
+
+  // Daily / monthly usage for every key on the wallet (from the usage ledger)
+  fastify.get("/api/v1/wallet/:address/usage", { schema: S.getWalletUsage }, async (req, reply) => {
+    try {
+      const addr = await requireWalletAuth(req, reply);
+      if (!addr) return reply;
+
+      const query = parseUsageQuery(req.query, { groups: ["key", "model"] });
+      if (query.error) {
+        return reply
+          .code(400)
+          .send({ success: false, error: query.error, code: "INVALID_REQUEST" });
+      }
+
+      const rows = await db.usageAggregates({ ...query, wallet: addr });
+      return { success: true, wallet: addr, ...usageReport(query, rows) };
+    } catch (e) {
+      req.log.error(e, "wallet usage error");
+      reply.code(500);
+      return { success: false, error: "Failed to load usage", code: "INTERNAL_ERROR" };
+    }
+  });
+
+  // 409 for the conflicts updateKeyForWallet reports; anything else is a 500
+  function keyUpdateConflict(reply, e) {
+    if (e.code === "KEY_INACTIVE") {
+      return reply
+        .code(409)
+        .send({ success: false, error: "Key is no longer active", code: "KEY_INACTIVE" });
+    }
+    if (e.code === "AGENT_NAME_TAKEN") {
+      return reply.code(409).send({
+        success: false,
+        error: "Another active key on this wallet already uses that agent_name",
+        code: "AGENT_NAME_TAKEN",
+      });
+    }
+    throw e;
+  }
+
+  // Set a key's label and/or per-key daily cap (null removes the cap)
+  fastify.post(
+    "/api/v1/wallet/:address/keys/:id",
+    { schema: S.updateWalletKey },
+    async (req, reply) => {
+      try {
+        const addr = await requireWalletAuth(req, reply);
+        if (!addr) return reply;
+
+        const id = parseKeyId(req.params.id);
+        if (!id) {
+          return reply
+            .code(400)
+            .send({ success: false, error: "Bad key id", code: "INVALID_REQUEST" });
+        }
+
+        const body = req.body || {};
+        const update = { wallet: addr, id };
+
+        if (body.label !== undefined) {
+          if (body.label !== null && typeof body.label !== "string") {
+            return reply.code(400).send({
+              success: false,
+              error: "'label' must be a string or null.",
+              code: "INVALID_REQUEST",
+            });
+          }
+          update.label = body.label ? body.label.trim().slice(0, 64) : null;
+        }
+
+        if (body.daily_cap !== undefined) {
+          const cap = body.daily_cap === null ? null : Number(body.daily_cap);
+          if (cap !== null && !(Number.isInteger(cap) && cap > 0)) {
+            return reply.code(400).send({
+              success: false,
+              error: "'daily_cap' must be a positive integer or null.",
+              code: "INVALID_REQUEST",
+            });
+          }
+          update.key_daily_cap = cap;
+        }
+
+        if (update.label === undefined && update.key_daily_cap === undefined) {
+          return reply.code(400).send({
+            success: false,
+            error: "Send 'label' and/or 'daily_cap'.",
+            code: "INVALID_REQUEST",
+          });
+        }
+
+        let row;
+        try {
+          row = await updateKeyForWallet(update);
+        } catch (e) {
+          return keyUpdateConflict(reply, e);
+        }
+        if (!row) {
+          return reply
+            .code(404)
+            .send({ success: false, error: "Key not found", code: "NOT_FOUND" });
+        }
+
+        return {
+          success: true,
+          key: {
+            id: row.id,
+            agent_name: row.agent_name || null,
+            label: row.label || null,
+            key_daily_cap: row.key_daily_cap ?? null,
+          },
+        };
+      } catch (e) {
+        req.log.error(e, "update key error");
+        reply.code(500);
+        return { success: false, error: "Failed to update key", code: "INTERNAL_ERROR" };
+      }
+    }
+  );
+
+  // Change which requester names may use a key, without re-claiming
+  fastify.post(
+    "/api/v1/wallet/:address/keys/:id/binding",
+    { schema: S.updateWalletKeyBinding },
+    async (req, reply) => {
+      try {
+        const addr = await requireWalletAuth(req, reply);
+        if (!addr) return reply;
+
+        const id = parseKeyId(req.params.id);
+        if (!id) {
+          return reply
+            .code(400)
+            .send({ success: false, error: "Bad key id", code: "INVALID_REQUEST" });
+        }
+
+        const body = req.body || {};
+        const update = { wallet: addr, id };
+
+        if (body.mode !== undefined) {
+          if (!BINDING_MODES.includes(body.mode)) {
+            return reply.code(400).send({
+              success: false,
+              error: `'mode' must be one of: ${BINDING_MODES.join(", ")}.`,
+              code: "INVALID_REQUEST",
+            });
+          }
+          update.binding_mode = body.mode;
+        }
+
+        if (body.agent_name !== undefined) {
+          const name = cleanRequester(body.agent_name);
+          if (!name) {
+            return reply.code(400).send({
+              success: false,
+              error: "'agent_name' must be a bot name.",
+              code: "INVALID_REQUEST",
+            });
+          }
+          update.agent_name = name;
+        }
+
+        if (body.names !== undefined) {
+          if (!Array.isArray(body.names) || body.names.length > 20) {
+            return reply.code(400).send({
+              success: false,
+              error: "'names' must be an array (max 20 names).",
+              code: "INVALID_REQUEST",
+            });
+          }
+          const names = [...new Set(body.names.map(cleanRequester).filter(Boolean))];
+          update.allowed_names = names;
+        }
+
+        if (
+          update.binding_mode === undefined &&
+          update.agent_name === undefined &&
+          update.allowed_names === undefined
+        ) {
+          return reply.code(400).send({
+            success: false,
+            error: "Send 'mode', 'agent_name' and/or 'names'.",
+            code: "INVALID_REQUEST",
+          });
+        }
+
+        let row;
+        try {
+          row = await updateKeyForWallet(update);
+        } catch (e) {
+          return keyUpdateConflict(reply, e);
+        }
+        if (!row) {
+          return reply
+            .code(404)
+            .send({ success: false, error: "Key not found", code: "NOT_FOUND" });
+        }
+
+        return {
+          success: true,
+          key: {
+            id: row.id,
+            agent_name: row.agent_name || null,
+            binding: { mode: bindingMode(row), allowed_names: row.allowed_names || [] },
+          },
+        };
+      } catch (e) {
+        req.log.error(e, "update binding error");
+        reply.code(500);
+        return { success: false, error: "Failed to update binding", code: "INTERNAL_ERROR" };
+      }
+    }
+  );
+
+  fastify.post(
+    "/api/v1/wallet/:address/keys/:id/revoke",
+    { schema: S.revokeWalletKey },
+    async (req, reply) => {
+      try {
+        const addr = await requireWalletAuth(req, reply);
+        if (!addr) return reply;
+
+        const id = parseKeyId(req.params.id);
+        if (!id) {
+          return reply
+            .code(400)
+            .send({ success: false, error: "Bad key id", code: "INVALID_REQUEST" });
+        }
+
+        const revoked = await revokeKeyForWallet({ wallet: addr, id });
+        if (!revoked) {
+          return reply
+            .code(404)
+            .send({ success: false, error: "Key not found", code: "NOT_FOUND" });
+        }
+
+        await webhookEvents.emitKeyEvent("key.revoked", addr, { key_id: id, by: "wallet" });
+        return { success: true, id, revoked: true };
+      } catch (e) {
+        req.log.error(e, "revoke key error");
+        reply.code(500);
+        return { success: false, error: "Failed to revoke key", code: "INTERNAL_ERROR" };
+      }
+    }
+  );
+
+  // ---- Webhooks (Bearer key; owned by the key's wallet, or by the key if it has none) ----
+
+  const MAX_WEBHOOKS = 5;
+
+  // Webhooks and personas belong to the key's wallet, or to the key if it has none
+  function keyOwner(keyRec) {
+    return keyRec.wallet_address ? { wallet: keyRec.wallet_address } : { key_id: keyRec.key_id };
+  }
+
+  function webhookView(row) {
+    return {
+      id: row.id,
+      url: row.url,
+      events: row.events,
+      description: row.description || null,
+      enabled: row.enabled,
+      created_at: toUnix(row.created_at),
+    };
+  }
+
+  // `events` from a request body: a non-empty subset of WEBHOOK_EVENTS
+  function parseWebhookEvents(raw) {
+    if (!Array.isArray(raw) || !raw.length) {
+      return { error: "'events' must be a non-empty array." };
+    }
+    const unknown = raw.filter((e) => !WEBHOOK_EVENTS.includes(e));
+    if (unknown.length) {
+      return { error: `Unknown events: ${unknown.join(", ")}. Use: ${WEBHOOK_EVENTS.join(", ")}.` };
+    }
+    return { events: [...new Set(raw)] };
+  }
+
+  // The caller's webhook :id, or a 400/404 reply (returns null)
+  async function findOwnWebhook(req, reply, keyRec) {
+    const id = parseKeyId(req.params.id);
+    if (!id) {
+      reply.code(400).send({ success: false, error: "Bad webhook id", code: "INVALID_REQUEST" });
+      return null;
+    }
+    const hook = (await db.listWebhooks(keyOwner(keyRec))).find((w) => w.id === id);
+    if (!hook) {
+      reply.code(404).send({ success: false, error: "Webhook not found", code: "NOT_FOUND" });
+      return null;
+    }
+    return hook;
+  }
+
+  fastify.get("/api/v1/webhooks", { schema: S.listWebhooks }, async (req, reply) => {
+    try {
+      const keyRec = await requireKey(req, reply);
+      if (!keyRec) return reply;
+
+      const rows = await db.listWebhooks(keyOwner(keyRec));
+      return { success: true, webhooks: rows.map(webhookView), events: WEBHOOK_EVENTS };
+    } catch (e) {
+      req.log.error(e, "list webhooks error");
+      reply.code(500);
+      return { success: false, error: "Failed to list webhooks", code: "INTERNAL_ERROR" };
+    }
+  });
+
+  // Register a receiver. The signing secret is only returned here.
+  fastify.post("/api/v1/webhooks", { schema: S.createWebhook }, async (req, reply) => {
+    try {
+      const keyRec = await requireKey(req, reply);
+      if (!keyRec) return reply;
+
+      const body = req.body || {};
+      const urlError = checkWebhookUrl(body.url, { allowPrivate: config.webhookAllowPrivate });
+      if (urlError) {
+        return reply.code(400).send({ success: false, error: urlError, code: "INVALID_REQUEST" });
+      }
+
+      const { events, error } =
+        body.events === undefined ? { events: WEBHOOK_EVENTS } : parseWebhookEvents(body.events);
+      if (error) return reply.code(400).send({ success: false, error, code: "INVALID_REQUEST" });
+
+      const owner = keyOwner(keyRec);
+      const existing = await db.listWebhooks(owner);
+      if (existing.length >= MAX_WEBHOOKS) {
+        return reply.code(409).send({
+          success: false,
+          error: `Too many webhooks (max ${MAX_WEBHOOKS})`,
+          code: "TOO_MANY_WEBHOOKS",
+          hint: "Delete one with POST /api/v1/webhooks/{id}/delete first.",
+        });
+      }
+
+      const secret = makeWebhookSecret();
+      const row = await db.insertWebhook({
+        ...owner,
+        url: body.url,
+        secret,
+        events,
+        description: typeof body.description === "string" ? body.description.slice(0, 200) : null,
+      });
+
+      return {
+        success: true,
+        webhook: webhookView(row),
+        secret,
+        hint: "Store the secret now; it is not shown again. Verify X-Roaster-Signature with it.",
+      };
+    } catch (e) {
+      req.log.error(e, "create webhook error");
+      reply.code(500);
+      return { success: false, error: "Failed to create webhook", code: "INTERNAL_ERROR" };
+    }
+  });
+
+  // Change url / events / description, or pause with {"enabled": false}
+  fastify.post("/api/v1/webhooks/:id", { schema: S.updateWebhook }, async (req, reply) => {
+    try {
+      const keyRec = await requireKey(req, reply);
+      if (!keyRec) return reply;
+
+      const hook = await findOwnWebhook(req, reply, keyRec);
+      if (!hook) return reply;
+
+      const body = req.body || {};
+      const update = {};
+
+      if (body.url !== undefined) {
+        const urlError = checkWebhookUrl(body.url, { allowPrivate: config.webhookAllowPrivate });
+        if (urlError) {
+          return reply.code(400).send({ success: false, error: urlError, code: "INVALID_REQUEST" });
+        }
+        update.url = body.url;
+      }
+      if (body.events !== undefined) {
+        const { events, error } = parseWebhookEvents(body.events);
+        if (error) return reply.code(400).send({ success: false, error, code: "INVALID_REQUEST" });
+        update.events = events;
+      }
+      if (body.description !== undefined) {
+        update.description =
+          typeof body.description === "string" ? body.description.slice(0, 200) : null;
+      }
+      if (body.enabled !== undefined) {
+        if (typeof body.enabled !== "boolean") {
+          return reply.code(400).send({
+            success: false,
+            error: "'enabled' must be a boolean.",
+            code: "INVALID_REQUEST",
+          });
+        }
+        update.enabled = body.enabled;
+      }
+      if (!Object.keys(update).length) {
+        return reply.code(400).send({
+          success: false,
+          error: "Send 'url', 'events', 'description' and/or 'enabled'.",
+          code: "INVALID_REQUEST",
+        });
+      }
+
+      const row = await db.updateWebhook(keyOwner(keyRec), hook.id, update);
+      if (!row) {
+        return reply
+          .code(404)
+          .send({ success: false, error: "Webhook not found", code: "NOT_FOUND" });
+      }
+      return { success: true, webhook: webhookView(row) };
+    } catch (e) {
+      req.log.error(e, "update webhook error");
+      reply.code(500);
+      return { success: false, error: "Failed to update webhook", code: "INTERNAL_ERROR" };
+    }
+  });
+
+  fastify.post("/api/v1/webhooks/:id/delete", { schema: S.deleteWebhook }, async (req, reply) => {
+    try {
+      const keyRec = await requireKey(req, reply);
+      if (!keyRec) return reply;
+
+      const hook = await findOwnWebhook(req, reply, keyRec);
+      if (!hook) return reply;
+
+      await db.deleteWebhook(keyOwner(keyRec), hook.id);
+      return { success: true, id: hook.id, deleted: true };
+    } catch (e) {
+      req.log.error(e, "delete webhook error");
+      reply.code(500);
+      return { success: false, error: "Failed to delete webhook", code: "INTERNAL_ERROR" };
+    }
+  });
+
+  // Queue a webhook.test delivery (handy for checking a local receiver)
+  fastify.post("/api/v1/webhooks/:id/test", { schema: S.testWebhook }, async (req, reply) => {
+    try {
+      const keyRec = await requireKey(req, reply);
+      if (!keyRec) return reply;
+
+      const hook = await findOwnWebhook(req, reply, keyRec);
+      if (!hook) return reply;
+      if (!hook.enabled) {
+        return reply
+          .code(409)
+          .send({ success: false, error: "Webhook is disabled", code: "WEBHOOK_DISABLED" });
+      }
+
+      const queued = await webhookEvents.emit(TEST_EVENT, {
+        webhook_id: hook.id,
+        data: { webhook_id: hook.id, key_id: keyRec.key_id ?? null },
+      });
+      return { success: true, id: hook.id, queued: queued > 0 };
+    } catch (e) {
+      req.log.error(e, "test webhook error");
+      reply.code(500);
+      return { success: false, error: "Failed to queue test event", code: "INTERNAL_ERROR" };
+    }
+  });
+
+  // Delivery log, newest first
+  fastify.get(
+    "/api/v1/webhooks/:id/deliveries",
+    { schema: S.listWebhookDeliveries },
+    async (req, reply) => {
+      try {
+        const keyRec = await requireKey(req, reply);
+        if (!keyRec) return reply;
+
+        const hook = await findOwnWebhook(req, reply, keyRec);
+        if (!hook) return reply;
+
+        const limit = Math.min(Number(req.query?.limit) || 50, 200);
+        const rows = await db.listWebhookDeliveries(hook.id, { limit });
+        return {
+          success: true,
+          id: hook.id,
+          deliveries: rows.map((d) => ({
+            id: Number(d.id),
+            event: d.event,
+            status: d.status,
+            attempts: d.attempts,
+            last_status_code: d.last_status_code ?? null,
+            last_error: d.last_error || null,
+            payload: d.payload,
+            created_at: toUnix(d.created_at),
+            next_attempt_at: d.status === "pending" ? toUnix(d.next_attempt_at) : null,
+            delivered_at: toUnix(d.delivered_at),
+          })),
+        };
+      } catch (e) {
+        req.log.error(e, "webhook deliveries error");
+        reply.code(500);
+        return { success: false, error: "Failed to load deliveries", code: "INTERNAL_ERROR" };
+      }
+    }
+  );
+
+  // ---- Personas (built-ins for everyone; stored custom personas for Pro keys) ----
+
+  function personaView(row) {
+    if (row.builtin) {
+      const { setting: _setting, ...rest } = row;
+      return { ...rest, id: null };
+    }
+    return {
+      id: row.id,
+      name: row.name,
+      builtin: false,
+      description: row.description || null,
+      voice: row.voice,
+      glossary: row.glossary,
+      created_at: toUnix(row.created_at),
+      updated_at: toUnix(row.updated_at),
+    };
+  }
+
+  // Creating and editing personas is a Pro feature. Returns false after a 403 reply.
+  function requirePro(keyRec, reply) {
+    if (keyTierName(keyRec) === "pro") return true;
+    reply.code(403).send({
+      success: false,
+      error: "Custom personas need a Pro key",
+      code: "PRO_REQUIRED",
+      hint: "Built-in personas work on every tier: see GET /api/v1/personas.",
+    });
+    return false;
+  }
+
+  // The caller's persona :id, or a 400/404 reply (returns null)
+  async function findOwnPersona(req, reply, keyRec) {
+    const id = parseKeyId(req.params.id);
+    if (!id) {
+      reply.code(400).send({ success: false, error: "Bad persona id", code: "INVALID_REQUEST" });
+      return null;
+    }
+    const persona = (await db.listPersonas(keyOwner(keyRec))).find((p) => p.id === id);
+    if (!persona) {
+      reply.code(404).send({ success: false, error: "Persona not found", code: "NOT_FOUND" });
+      return null;
+    }
+    return persona;
+  }
+
+  function personaExists(reply, name) {
+    return reply.code(409).send({
+      success: false,
+      error: `You already have a persona named '${name}'`,
+      code: "PERSONA_EXISTS",
+    });
+  }
+
+  // Built-ins, plus the caller's own personas when a key is sent
+  fastify.get("/api/v1/personas", { schema: S.listPersonas }, async (req, reply) => {
+    try {
+      let keyRec = null;
+      if (/^Bearer\s+/i.test(req.headers.authorization || "")) {
+        keyRec = await requireKey(req, reply);
+        if (!keyRec) return reply;
+      }
+
+      const builtins = Object.keys(BUILTIN_PERSONAS).map((name) => builtinPersona(name));
+      const custom = keyRec ? await db.listPersonas(keyOwner(keyRec)) : [];
+      return {
+        success: true,
+        default: DEFAULT_PERSONA,
+        personas: [...builtins, ...custom].map(personaView),
+        max_custom: MAX_PERSONAS,
+      };
+    } catch (e) {
+      req.log.error(e, "list personas error");
+      reply.code(500);
+      return { success: false, error: "Failed to list personas", code: "INTERNAL_ERROR" };
+    }
+  });
+
+  fastify.post("/api/v1/personas", { schema: S.createPersona }, async (req, reply) => {
+    try {
+      const keyRec = await requireKey(req, reply);
+      if (!keyRec) return reply;
+      if (!requirePro(keyRec, reply)) return reply;
+
+      const { persona, error } = parsePersona(req.body || {});
+      if (error) return reply.code(400).send({ success: false, error, code: "INVALID_REQUEST" });
+
+      const owner = keyOwner(keyRec);
+      const existing = await db.listPersonas(owner);
+      if (existing.some((p) => p.name === persona.name)) return personaExists(reply, persona.name);
+      if (existing.length >= MAX_PERSONAS) {
+        return reply.code(409).send({
+          success: false,
+          error: `Too many personas (max ${MAX_PERSONAS})`,
+          code: "TOO_MANY_PERSONAS",
+          hint: "Delete one with POST /api/v1/personas/{id}/delete first.",
+        });
+      }
+
+      const row = await db.insertPersona({ ...owner, ...persona });
+      return { success: true, persona: personaView(row) };
+    } catch (e) {
+      if (e.code === "23505") return personaExists(reply, req.body.name);
+      req.log.error(e, "create persona error");
+      reply.code(500);
+      return { success: false, error: "Failed to create persona", code: "INTERNAL_ERROR" };
+    }
+  });
+
+  // Change name / voice / glossary / description (only the fields sent)
+  fastify.post("/api/v1/personas/:id", { schema: S.updatePersona }, async (req, reply) => {
+    try {
+      const keyRec = await requireKey(req, reply);
+      if (!keyRec) return reply;
+      if (!requirePro(keyRec, reply)) return reply;
+
+      const current = await findOwnPersona(req, reply, keyRec);
+      if (!current) return reply;
+
+      const { persona, error } = parsePersona(req.body || {}, { partial: true });
+      if (error) return reply.code(400).send({ success: false, error, code: "INVALID_REQUEST" });
+
+      const owner = keyOwner(keyRec);
+      if (persona.name && persona.name !== current.name) {
+        if (await db.findPersona(owner, persona.name)) return personaExists(reply, persona.name);
+      }
+
+      const row = await db.updatePersona(owner, current.id, persona);
+      if (!row) {
+        return reply
+          .code(404)
+          .send({ success: false, error: "Persona not found", code: "NOT_FOUND" });
+      }
+      return { success: true, persona: personaView(row) };
+    } catch (e) {
+      if (e.code === "23505") return personaExists(reply, req.body.name);
+      req.log.error(e, "update persona error");
+      reply.code(500);
+      return { success: false, error: "Failed to update persona", code: "INTERNAL_ERROR" };
+    }
+  });
+
+  // Deleting works on any tier, so lapsed Pro wallets can still clean up
+  fastify.post("/api/v1/personas/:id/delete", { schema: S.deletePersona }, async (req, reply) => {
+    try {
+      const keyRec = await requireKey(req, reply);
+      if (!keyRec) return reply;
+
+      const persona = await findOwnPersona(req, reply, keyRec);
+      if (!persona) return reply;
+
+      await db.deletePersona(keyOwner(keyRec), persona.id);
+      return { success: true, id: persona.id, deleted: true };
+    } catch (e) {
+      req.log.error(e, "delete persona error");
+      reply.code(500);
+      return { success: false, error: "Failed to delete persona", code: "INTERNAL_ERROR" };
+    }
+  });
+
+  // ---- Roast helpers (shared by single + batch endpoints) ----
+
+  /**
+   * `persona` from a roast body: a built-in by name, or one of the caller's
+   * stored personas (Pro keys only). Returns { persona } or { status, body }.
+   */
+  async function resolvePersona(raw, keyRec) {
+    const name = personaName(raw);
+    const builtin = builtinPersona(name);
+    if (builtin) return { persona: builtin };
+
+    const stored = keyRec ? await db.findPersona(keyOwner(keyRec), name) : null;
+    if (!stored) {
+      return {
+        status: 400,
+        body: {
+          success: false,
+          error: `Unknown persona '${name}'`,
+          code: "UNKNOWN_PERSONA",
+          hint: "GET /api/v1/personas lists the built-in personas (and yours, with your key).",
+        },
+      };
+    }
+    if (keyTierName(keyRec) !== "pro") {
+      return {
+        status: 403,
+        body: { success: false, error: "Custom personas need a Pro key", code: "PRO_REQUIRED" },
+      };
+    }
+    return { persona: stored };
+  }
+
+  function cleanTarget(item) {
+    return {
+      name: typeof item?.name === "string" ? item.name.slice(0, 64) : "",
+      message: typeof item?.message === "string" ? item.message.slice(0, 800) : "",
+    };
+  }
+
+  function keyTierName(keyRec) {
+    return keyRec ? String(keyRec.tier || "basic").toLowerCase() : "free";
+  }
+
+  /**
+   * Resolve the Bearer key (if any) and check `requester` against the key's
+   * binding. Returns { keyRec } (null for free callers) or { status, body }.
+   */
+  async function authenticateRoast(req, requester) {
+    const authHeader = req.headers.authorization || "";
+    const hadAuth = /^Bearer\s+/i.test(authHeader);
+
+    const keyRec = await getKeyRecord(req);
+
+    if (!keyRec && hadAuth) {
+      return {
+        status: 401,
+        body: { success: false, error: "Invalid or expired API key", code: "INVALID_API_KEY" },
+      };
+    }
+
+    if (keyRec && !requesterAllowed(keyRec, requester)) {
+      return {
+        status: 403,
+        body: {
+          success: false,
+          error: `Requester '${requester}' is not allowed to use this API key`,
+          code: "REQUESTER_NOT_ALLOWED",
+          hint: `This key is bound to: ${boundNames(keyRec).join(", ")} (${bindingMode(keyRec)}).`,
+        },
+      };
+    }
+    return { keyRec };
+  }
+
+  // quota.warning / quota.exhausted webhooks, at most once per counter per UTC day
+  function notifyQuota(keyRec, scope, res, limit, count) {
+    if (res.degraded) return; // in-process counts during a Redis outage are partial
+    const wallet = keyRec.wallet_address ? keyRec.wallet_address.toLowerCase() : null;
+    for (const event of quotaEvents({ used: res.used, count, limit })) {
+      webhookEvents.emit(event, {
+        wallet,
+        key_id: keyRec.key_id,
+        dedupe: `${event}:${scope}:${scope === "wallet" ? wallet : keyRec.key_id}:${res.day}`,
+        data: {
+          scope,
+          wallet,
+          key_id: keyRec.key_id ?? null,
+          day: res.day,
+          used: res.used,
+          daily_limit: limit,
+          resets_in_seconds: secondsUntilUtcMidnight(),
+        },
+      });
+    }
+  }
+
+  /**
+   * Reserve `count` roasts against the caller's daily counters, all or nothing.
+   * Free callers are checked against the IP cap and the per-requester cap; key
+   * holders against their tier limit. On rejection every counter touched is
+   * rolled back, so a too-big batch doesn't eat the remaining quota.
+   *
+   * Returns { ok: true, refund(n) } or { ok: false, status, body }.
+   */
+  async function reserveQuota({ ip, requester, keyRec, count = 1 }) {
+    const taken = [];
+    const rollback = async (n) => {
+      for (const key of taken) await redis.decrBy(key, n);
+    };
+
+    if (!keyRec) {
+      const ipRes = await rateLimitDaily({
+        scope: "free-ip",
+        id: ip,
+        limit: FREE_IP_DAILY_LIMIT,
+        count,
+      });
+      taken.push(ipRes.key);
+
+      if (ipRes.over) {
+        await rollback(count);
+        metrics.rateLimited("free-ip");
+        return {
+          ok: false,
+          status: 429,
+          body: {
+            success: false,
+            error: "Free IP limit reached",
+            code: "FREE_IP_LIMIT",
+            hint: "Too many free requests from this IP today",
+            reset_utc_day: ipRes.day,
+            daily_limit: ipRes.limit,
+          },
+        };
+      }
+
+      const freeId = `${ip}:${requester.toLowerCase()}`;
+      const freeRes = await rateLimitDaily({
+        scope: "free",
+        id: freeId,
+        limit: FREE_DAILY_LIMIT,
+        count,
+      });
+      taken.push(freeRes.key);
+
+      if (freeRes.over) {
+        await rollback(count);
+        metrics.rateLimited("free");
+        return {
+          ok: false,
+          status: 429,
+          body: {
+            success: false,
+            error: "Free daily limit reached",
+            code: "FREE_LIMIT",
+            hint: "Add Authorization: Bearer <API_KEY> for higher limits",
+            reset_utc_day: freeRes.day,
+            daily_limit: freeRes.limit,
+          },
+        };
+      }
+    } else {
+      // The tier allowance is a wallet-wide pool shared by all of its keys;
+      // keys without a wallet (comp keys) get the allowance to themselves.
+      const limit = tierLimit(keyRec);
+      const wallet = keyRec.wallet_address;
+      let walletRes = null;
+
+      if (wallet) {
+        walletRes = await rateLimitDaily({
+          scope: "wallet",
+          id: wallet.toLowerCase(),
+          limit,
+          count,
+        });
+        taken.push(walletRes.key);
+
+        if (walletRes.over) {
+          await rollback(count);
+          metrics.rateLimited("wallet");
+          return {
+            ok: false,
+            status: 429,
+            body: {
+              success: false,
+              error: `${keyTierName(keyRec)} daily limit reached`,
+              code: "DAILY_LIMIT",
+              hint: "This limit is shared by every key on the wallet",
+              reset_utc_day: walletRes.day,
+              daily_limit: walletRes.limit,
+            },
+          };
+        }
+      }
+
+      const keyCap = keyDailyCap(keyRec) ?? (wallet ? Infinity : limit);
+      const keyRes = await rateLimitDaily({
+        scope: "key",
+        id: keyRec.id,
+        limit: keyCap,
+        count,
+      });
+      taken.push(keyRes.key);
+
+      if (keyRes.over) {
+        await rollback(count);
+        metrics.rateLimited("key");
+        const capped = keyCap !== limit;
+        return {
+          ok: false,
+          status: 429,
+          body: {
+            success: false,
+            error: capped ? "Key daily cap reached" : `${keyTierName(keyRec)} daily limit reached`,
+            code: capped ? "KEY_CAP" : "DAILY_LIMIT",
+            reset_utc_day: keyRes.day,
+            daily_limit: keyRes.limit,
+          },
+        };
+      }
+
+      if (walletRes) notifyQuota(keyRec, "wallet", walletRes, limit, count);
+      notifyQuota(keyRec, "key", keyRes, keyCap, count);
+    }
+
+    return {
+      ok: true,
+      refund: async (n) => {
+        if (n > 0) await rollback(n).catch(() => {});
+      },
+    };
+  }
+
+  // One model round-trip. Resolves to { text, usage, provider, model } (text "" if the model said nothing).
+  async function generateRoast(target) {
+    return llm.generate(roastRequest(target));
+  }
+
+  function addUsage(a, b) {
+    if (!a) return b || null;
+    if (!b) return a;
+    return {
+      input_tokens: (a.input_tokens || 0) + (b.input_tokens || 0),
+      output_tokens: (a.output_tokens || 0) + (b.output_tokens || 0),
+      total_tokens: (a.total_tokens || 0) + (b.total_tokens || 0),
+    };
+  }
+
+  /**
+   * Run the output safety checks on a draft, regenerating up to
+   * safety.MAX_REGENERATIONS times and falling back to a canned line.
+   * Resolves to { roast, safety, usage } where `safety` is returned to the
+   * caller and `usage` covers any regenerations.
+   */
+  async function moderateRoast(target, draft, log) {
+    const flagged = new Set();
+    let text = draft;
+    let checks = [];
+    let moderationError;
+    let usage = null;
+
+    for (let attempt = 0; ; attempt++) {
+      if (text) {
+        const verdict = await safety.checkOutput(openai, text);
+        checks = verdict.checks;
+        if (verdict.moderationError) moderationError = verdict.moderationError;
+
+        if (verdict.ok) {
+          const report = { checks, passed: true, regenerated: attempt, fallback: false };
+          if (flagged.size) report.flagged = [...flagged];
+          if (moderationError) report.moderation_error = true;
+          return { roast: text, safety: report, usage };
+        }
+        verdict.flagged.forEach((f) => flagged.add(f));
+        log.warn({ flagged: verdict.flagged, attempt }, "Roast failed safety check");
+      }
+
+      if (attempt >= safety.MAX_REGENERATIONS) break;
+      const regen = await generateRoast({ ...target, retry: true });
+      text = regen.text;
+      usage = addUsage(usage, regen.usage);
+    }
+
+    const report = {
+      checks,
+      passed: false,
+      regenerated: safety.MAX_REGENERATIONS,
+      fallback: true,
+      flagged: [...flagged],
+    };
+    if (moderationError) report.moderation_error = true;
+    return { roast: safety.fallbackRoast(), safety: report, usage };
+  }
+
+  /**
+   * generateRoast + moderateRoast. Resolves to { roast, safety, usage, provider, model }
+   * ({ roast: "" } if the first draft was empty).
+   */
+  async function safeGenerateRoast(target, log) {
+    const draft = await generateRoast(target);
+    if (!draft.text) return { roast: "" };
+
+    const checked = await moderateRoast(target, draft.text, log);
+    return {
+      ...checked,
+      usage: addUsage(draft.usage, checked.usage),
+      provider: draft.provider,
+      model: draft.model,
+    };
+  }
+
+  /**
+   * One usage_events row per roast call (per item for batches). `result` is the
+   * generation outcome ({ provider, model, usage }) when there is one.
+   */
+  function recordRoast(req, fields) {
+    const { endpoint, requester, keyRec, mode = null, outcome, status } = fields;
+    const { items = 1, latencyMs, result = null } = fields;
+    ledger.record({
+      endpoint,
+      key_id: keyRec?.key_id ?? null,
+      key_hash: keyRec?.id ?? null,
+      wallet_address: keyRec?.wallet_address ? keyRec.wallet_address.toLowerCase() : null,
+      ip: keyRec ? null : req.ip,
+      requester,
+      tier: keyTierName(keyRec),
+      mode,
+      outcome,
+      status_code: status,
+      items,
+      latency_ms: Math.round(latencyMs),
+      provider: result?.provider ?? null,
+      model: result?.model ?? null,
+      input_tokens: result?.usage?.input_tokens ?? null,
+      output_tokens: result?.usage?.output_tokens ?? null,
+      total_tokens: result?.usage?.total_tokens ?? null,
+    });
+  }
+
+  // "fallback" when every draft was flagged and a canned line went out
+  function roastOutcome(safetyReport) {
+    return safetyReport?.fallback ? "fallback" : "ok";
+  }
+
+  function sseEvent(raw, event, data) {
+    raw.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  }
+
+  // End of the last complete clause in text after `from` (or `from` if none
+  // yet). Trailing whitespace stays behind, so released text never ends in it.
+  function clauseEnd(text, from) {
+    let end = from;
+    const re = /[,;:.!?](?=\s)|\n/g;
+    re.lastIndex = from;
+    for (let m; (m = re.exec(text)); ) end = m[0] === "\n" ? m.index : m.index + 1;
+    return Math.max(end, from);
+  }
+
+  function wantsStream(req) {
+    if (req.body?.stream === true) return true;
+    return /\btext\/event-stream\b/i.test(req.headers.accept || "");
+  }
+
+  /**
+   * Stream a roast over Server-Sent Events.
+   *
+   * Events: `delta` ({ text }) per checked clause, then exactly one of `done`
+   * ({ success, roast, style, usage }) or `error` ({ success: false, error, code }).
+   *
+   * The draft is released a clause at a time (up to , ; : . ! ? or a newline),
+   * each once the text so far passes the blocklist; only the unchecked tail is
+   * held back. The moderation pass and any regeneration run on the finished
+   * draft. If that replaces it after some deltas went out, a `reset` event
+   * ({ replaced: true }) tells the caller to discard them, and the checked
+   * roast follows as one delta. The deltas after the last reset spell out
+   * exactly `done.roast`.
+   *
+   * The quota slot was reserved before we get here. It is refunded if the
+   * model fails or the client hangs up before `done` (the upstream request is
+   * aborted too, so we stop paying for tokens nobody will read).
+   */
+  async function streamRoast(req, reply, { target, style, limited, quota, track }) {
+    const raw = reply.raw;
+    const abort = new AbortController();
+    let finished = false;
+
+    reply.hijack();
+    raw.writeHead(200, {
+      "Content-Type": "text/event-stream; charset=utf-8",
+      "Cache-Control": "no-cache, no-transform",
+      Connection: "keep-alive",
+      "X-Accel-Buffering": "no",
+    });
+
+    raw.on("close", () => {
+      if (finished) return;
+      finished = true;
+      abort.abort();
+      quota.refund(1);
+      track("aborted", 499);
+      req.log.info("Roast stream closed by client before completion");
+    });
+
+    const fail = (error, code) => {
+      if (finished) return;
+      finished = true;
+      quota.refund(1);
+      track("error", 200);
+      sseEvent(raw, "error", { success: false, error, code });
+      raw.end();
+    };
+
+    try {
+      const stream = llm.stream({ ...roastRequest({ ...target, style }), signal: abort.signal });
+
+      let text = "";
+      let sent = 0; // text.slice(0, sent) has passed the blocklist and gone out
+      let held = false; // a clause tripped the blocklist: release nothing more
+      let usage = null;
+      let ran = null;
+
+      for await (const ev of stream) {
+        if (finished) break;
+        if (ev.type === "delta") {
+          text += ev.text;
+          if (!sent) text = text.trimStart();
+          const end = clauseEnd(text, sent);
+          if (held || end <= sent) continue;
+          if (safety.checkBlocklist(text.slice(0, end)).length) {
+            held = true;
+            continue;
+          }
+          sseEvent(raw, "delta", { text: text.slice(sent, end) });
+          sent = end;
+        } else if (ev.type === "done") {
+          usage = ev.usage;
+          ran = { provider: ev.provider, model: ev.model };
+        }
+      }
+
+      if (finished) return;
+
+      const draft = text.trimEnd();
+      if (!draft) return fail("Empty roast output", "EMPTY_ROAST");
+
+      const checked = await moderateRoast({ ...target, style }, draft, req.log);
+      if (finished) return;
+
+      finished = true;
+      if (checked.roast === draft) {
+        if (draft.length > sent) sseEvent(raw, "delta", { text: draft.slice(sent) });
+      } else {
+        if (sent) sseEvent(raw, "reset", { replaced: true });
+        sseEvent(raw, "delta", { text: checked.roast });
+      }
+      const done = {
+        success: true,
+        roast: checked.roast,
+        mode: target.mode,
+        persona: target.persona.name,
+        style,
+        usage: addUsage(usage, checked.usage),
+        safety: checked.safety,
+      };
+      if (checked.roast !== draft) done.replaced = true;
+      if (target.thread.length) done.thread = threadSummary(target.thread);
+      if (limited.length) done.limited = limited;
+      sseEvent(raw, "done", done);
+      raw.end();
+      track(roastOutcome(checked.safety), 200, { ...ran, usage: done.usage });
+    } catch (e) {
+      if (abort.signal.aborted) return;
+      req.log.error(e, "Roast stream error");
+      fail("Roast generation failed", "GENERATION_FAILED");
+    }
+  }
+
+  // Run fn over items with at most `limit` in flight; results keep input order.
+  async function mapWithConcurrency(items, limit, fn) {
+    const results = new Array(items.length);
+    let next = 0;
+
+    async function worker() {
+      while (next < items.length) {
+        const i = next++;
+        results[i] = await fn(items[i], i);
+      }
+    }
+
+    const workers = [];
+    for (let w = 0; w < Math.min(limit, items.length); w++) workers.push(worker());
+    await Promise.all(workers);
+    return results;
+  }
+
+  // ---- Existing roast endpoint ----
+  fastify.post("/api/v1/roast", { schema: S.createRoast }, async (req, reply) => {
+    if (!llm.configured) {
+      return reply
+        .code(500)
+        .send({ success: false, error: "Server misconfigured", code: "SERVER_MISCONFIGURED" });
+    }
+
+    const body = req.body || {};
+    const requester = cleanRequester(body.requester);
+    const { name, message } = cleanTarget(body);
+
+    if (!requester) {
+      return reply.code(400).send({
+        success: false,
+        error: "Send 'requester' (calling bot name).",
+        code: "INVALID_REQUEST",
+        hint: 'Example: {"requester":"ClawdClawderberg","name":"SomeMolty","message":"..."}',
+      });
+    }
+
+    if (!name && !message) {
+      return reply.code(400).send({
+        success: false,
+        error: "Send at least 'name' or 'message'.",
+        code: "INVALID_REQUEST",
+      });
+    }
+
+    const { style, error: styleError } = parseStyle(body);
+    if (styleError) {
+      return reply.code(400).send({ success: false, error: styleError, code: "INVALID_REQUEST" });
+    }
+
+    const mode = body.mode == null ? "roast" : String(body.mode).toLowerCase();
+    if (!MODES.includes(mode)) {
+      return reply.code(400).send({
+        success: false,
+        error: `'mode' must be one of: ${MODES.join(", ")}.`,
+        code: "INVALID_REQUEST",
+      });
+    }
+    if (mode === "comeback" && !message) {
+      return reply.code(400).send({
+        success: false,
+        error: "Comeback mode needs 'message' (the roast you're answering).",
+        code: "INVALID_REQUEST",
+      });
+    }
+
+    const { thread, error: threadError } = parseThread(body.thread);
+    if (threadError) {
+      return reply.code(400).send({ success: false, error: threadError, code: "INVALID_REQUEST" });
+    }
+
+    const auth = await authenticateRoast(req, requester);
+    const keyRec = auth.keyRec || null;
+    const track = (outcome, status, result = null) =>
+      recordRoast(req, {
+        endpoint: "roast",
+        requester,
+        keyRec,
+        mode,
+        outcome,
+        status,
+        latencyMs: reply.elapsedTime,
+        result,
+      });
+
+    if (auth.status) {
+      track("unauthorized", auth.status);
+      return reply.code(auth.status).send(auth.body);
+    }
+
+    const { persona, ...personaError } = await resolvePersona(body.persona, keyRec);
+    if (!persona) {
+      track("rejected", personaError.status);
+      return reply.code(personaError.status).send(personaError.body);
+    }
+
+    const quota = await reserveQuota({ ip: req.ip, requester, keyRec });
+    if (!quota.ok) {
+      track("rate_limited", quota.status);
+      return reply.code(quota.status).send(quota.body);
+    }
+
+    const tier = keyTierName(keyRec);
+    const limited = limitStyleForTier(style, tier);
+
+    if (wantsStream(req)) {
+      return streamRoast(req, reply, {
+        target: { requester, name, message, thread, mode, persona, tier },
+        style,
+        limited,
+        quota,
+        track,
+      });
+    }
+
+    try {
+      const result = await safeGenerateRoast(
+        { requester, name, message, thread, mode, style, persona, tier },
+        req.log
+      );
+      const { roast, safety: safetyReport } = result;
+      if (!roast) {
+        track("empty", 502, result);
+        return reply
+          .code(502)
+          .send({ success: false, error: "Empty roast output", code: "EMPTY_ROAST" });
+      }
+
+      track(roastOutcome(safetyReport), 200, result);
+      const out = {
+        success: true,
+        roast,
+        mode,
+        persona: persona.name,
+        style,
+        safety: safetyReport,
+      };
+      if (thread.length) out.thread = threadSummary(thread);
+      if (limited.length) out.limited = limited;
+      return out;
+    } catch (e) {
+      req.log.error(e, "Roast generation error");
+      track("error", 500);
+      return reply
+        .code(500)
+        .send({ success: false, error: "Roast generation failed", code: "GENERATION_FAILED" });
+    }
+  });
+
+  // ---- Batch roast: many targets, one auth lookup + one quota reservation ----
+  fastify.post("/api/v1/roast/batch", { schema: S.createRoastBatch }, async (req, reply) => {
+    if (!llm.configured) {
+      return reply
+        .code(500)
+        .send({ success: false, error: "Server misconfigured", code: "SERVER_MISCONFIGURED" });
+    }
+
+    const body = req.body || {};
+    const requester = cleanRequester(body.requester);
+
+    if (!requester) {
+      return reply.code(400).send({
+        success: false,
+        error: "Send 'requester' (calling bot name).",
+        code: "INVALID_REQUEST",
+        hint: 'Example: {"requester":"ClawdClawderberg","items":[{"name":"SomeMolty","message":"..."}]}',
+      });
+    }
+
+    if (!Array.isArray(body.items) || body.items.length === 0) {
+      return reply.code(400).send({
+        success: false,
+        error: "Send 'items' as a non-empty array.",
+        code: "INVALID_REQUEST",
+      });
+    }
+
+    if (body.items.length > BATCH_MAX_ITEMS) {
+      return reply.code(400).send({
+        success: false,
+        error: `Too many items (max ${BATCH_MAX_ITEMS} per batch).`,
+        code: "INVALID_REQUEST",
+      });
+    }
+
+    const items = body.items.map(cleanTarget);
+    const emptyIdx = items.findIndex((it) => !it.name && !it.message);
+    if (emptyIdx !== -1) {
+      return reply.code(400).send({
+        success: false,
+        error: `items[${emptyIdx}]: send at least 'name' or 'message'.`,
+        code: "INVALID_REQUEST",
+      });
+    }
+
+    const { style, error: styleError } = parseStyle(body);
+    if (styleError) {
+      return reply.code(400).send({ success: false, error: styleError, code: "INVALID_REQUEST" });
+    }
+
+    const auth = await authenticateRoast(req, requester);
+    const keyRec = auth.keyRec || null;
+    const track = (outcome, status, { items: n = 1, latencyMs, result = null } = {}) =>
+      recordRoast(req, {
+        endpoint: "batch",
+        requester,
+        keyRec,
+        mode: "roast",
+        outcome,
+        status,
+        items: n,
+        latencyMs: latencyMs ?? reply.elapsedTime,
+        result,
+      });
+
+    if (auth.status) {
+      track("unauthorized", auth.status, { items: items.length });
+      return reply.code(auth.status).send(auth.body);
+    }
+
+    const { persona, ...personaError } = await resolvePersona(body.persona, keyRec);
+    if (!persona) {
+      track("rejected", personaError.status, { items: items.length });
+      return reply.code(personaError.status).send(personaError.body);
+    }
+
+    const quota = await reserveQuota({ ip: req.ip, requester, keyRec, count: items.length });
+    if (!quota.ok) {
+      track("rate_limited", quota.status, { items: items.length });
+      return reply.code(quota.status).send({ ...quota.body, requested: items.length });
+    }
+
+    const tier = keyTierName(keyRec);
+    const limited = limitStyleForTier(style, tier);
+
+    const results = await mapWithConcurrency(items, BATCH_CONCURRENCY, async (item, index) => {
+      const started = Date.now();
+      const elapsed = () => Date.now() - started;
+      try {
+        const result = await safeGenerateRoast(
+          { requester, ...item, style, persona, tier },
+          req.log
+        );
+        const { roast, safety: safetyReport } = result;
+        if (!roast) {
+          track("empty", 502, { latencyMs: elapsed(), result });
+          return { index, success: false, error: "Empty roast output", code: "EMPTY_ROAST" };
+        }
+        track(roastOutcome(safetyReport), 200, { latencyMs: elapsed(), result });
+        return { index, success: true, roast, safety: safetyReport };
+      } catch (e) {
+        req.log.error(e, "Batch roast generation error");
+        track("error", 500, { latencyMs: elapsed() });
+        return {
+          index,
+          success: false,
+          error: "Roast generation failed",
+          code: "GENERATION_FAILED",
+        };
+      }
+    });
+
+    const failed = results.filter((r) => !r.success).length;
+    const succeeded = results.length - failed;
+
+    // Only successful roasts count against the quota
+    await quota.refund(failed);
+
+    if (!succeeded) reply.code(502);
+
+    const out = {
+      success: succeeded > 0,
+      results,
+      summary: { requested: results.length, succeeded, failed },
+      persona: persona.name,
+      style,
+    };
+    if (limited.length) out.limited = limited;
+    return out;
+  });
+
+  // ---- Admin API (operators only; disabled unless ADMIN_TOKENS is set) ----
+  const ADMIN_TOKENS = config.adminTokens;
+
+  if (ADMIN_TOKENS.length) {
+    fastify.register(adminRoutes, {
+      prefix: "/admin/v1",
+      tokens: ADMIN_TOKENS,
+      db,
+      redis,
+      hashKey,
+      makeApiKey,
+      utcDayKey,
+      webhookEvents,
+    });
+  }
+
+  // Write out buffered usage rows before the caller closes the database
+  fastify.addHook("onClose", async () => {
+    try {
+      await ledger.stop();
+    } catch {}
+  });
+
+  return fastify;
+}
+
+module.exports = { buildApp, configFromEnv, createChain, ROASTER_ABI, USDC_ABI };
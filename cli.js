@@ -0,0 +1,641 @@
+#!/usr/bin/env node
+"use strict";
+
+require("dotenv").config({ quiet: true }); // keep stdout clean for --json
+const os = require("os");
+const readline = require("readline/promises");
+const { parseArgs } = require("util");
+const OpenAI = require("openai");
+const { createClient } = require("redis");
+const { ethers } = require("ethers");
+
+const db = require("./db");
+const safety = require("./safety");
+const { createLLMFromEnv } = require("./llm");
+const { adminKeyView, parseWhen, scanKeys, toUnix } = require("./admin");
+const { createWebhookEvents } = require("./webhooks");
+const { networksFromEnv, plansCacheKey } = require("./networks");
+const { createRpcProvider, rpcOptionsFromEnv } = require("./rpc");
+const {
+  utcDayKey,
+  hashKey,
+  cleanRequester,
+  makeApiKey,
+  FREE_DAILY_LIMIT,
+  FREE_IP_DAILY_LIMIT,
+  tierLimit,
+  keyDailyCap,
+} = require("./util");
+const { MODES, parseStyle, limitStyleForTier, roastRequest } = require("./prompt");
+const { personaName, builtinPersona } = require("./personas");
+
+// --------------------
+// Operator CLI (`roaster <command>`): routine support without psql / redis-cli.
+//
+// Uses the same .env as the API (DATABASE_URL, REDIS_URL, API_KEY_SALT,
+// BASE_RPC_URL, ROASTER_CONTRACT, ROASTER_NETWORKS, LLM_*). Destructive commands ask for
+// confirmation unless --yes is passed. --json prints machine-readable output.
+// Mutations are written to admin_audit with actor "cli:<os user>".
+// --------------------
+
+const USAGE = `Usage: roaster <command> [options]
+
+Commands:
+  hash <rawKey>                     Print the salted hash of a raw API key
+  keys <wallet>                     List every key for a wallet
+  mint --tier basic|pro             Mint a comp key
+       [--daily-limit N] [--wallet 0x..] [--agent NAME] [--label TEXT]
+       [--expires WHEN] [--reason TEXT]
+  revoke <id> [--reason TEXT]       Revoke a key by id (asks for confirmation)
+  usage --key RAW | --hash HASH | --id N | --wallet 0x.. | --requester NAME | --ip IP
+        [--day YYYY-MM-DD]          Show daily usage counters (default: today, UTC)
+  plans [--refresh]                 Show cached plans (--refresh re-reads the chain)
+  entitlement <wallet>              Read a wallet's on-chain entitlement
+  networks                          List the configured networks
+  roast --requester NAME            Dry-run a roast against the configured provider
+        [--name N] [--message M] [--mode roast|comeback] [--tier free|basic|pro]
+        [--spice 1-5] [--tone T] [--length L] [--no-profanity] [--show-prompt]
+        [--persona NAME] [--wallet 0x..] (a stored persona needs its owner's --wallet)
+
+Global options:
+  --chain NET   Network for plans / entitlement (name or chain id; default: ROASTER_CHAIN_ID)
+  --json        Print JSON ({ success, ... }) instead of text
+  -y, --yes     Skip confirmation prompts
+  -h, --help    Show this help`;
+
+const OPTIONS = {
+  json: { type: "boolean" },
+  yes: { type: "boolean", short: "y" },
+  help: { type: "boolean", short: "h" },
+  tier: { type: "string" },
+  "daily-limit": { type: "string" },
+  wallet: { type: "string" },
+  agent: { type: "string" },
+  label: { type: "string" },
+  expires: { type: "string" },
+  reason: { type: "string" },
+  key: { type: "string" },
+  hash: { type: "string" },
+  id: { type: "string" },
+  requester: { type: "string" },
+  ip: { type: "string" },
+  day: { type: "string" },
+  refresh: { type: "boolean" },
+  chain: { type: "string" },
+  name: { type: "string" },
+  message: { type: "string" },
+  mode: { type: "string" },
+  spice: { type: "string" },
+  tone: { type: "string" },
+  length: { type: "string" },
+  "no-profanity": { type: "boolean" },
+  "show-prompt": { type: "boolean" },
+  persona: { type: "string" },
+};
+
+const ROASTER_ABI = [
+  "function getAllPlans() view returns ((uint8 tier,uint8 durationId,uint32 durationSeconds_,uint256 priceUSDC_)[])",
+  "function entitlement(address) view returns (uint8 tier,uint64 expiresAt)",
+];
+
+const TIER_NAMES = ["none", "basic", "pro"];
+
+class CliError extends Error {
+  constructor(message, exitCode = 1) {
+    super(message);
+    this.exitCode = exitCode;
+  }
+}
+
+// --------------------
+// Shared resources (opened on first use, closed in main)
+// --------------------
+
+let redis = null;
+
+async function getRedis() {
+  if (!redis) {
+    redis = createClient({
+      url: process.env.REDIS_URL || "redis://127.0.0.1:6379",
+      // One-shot process: fail fast instead of retrying forever
+      socket: { connectTimeout: 5000, reconnectStrategy: false },
+    });
+    redis.on("error", () => {}); // connect() rejects with the same error
+    await redis.connect();
+  }
+  return redis;
+}
+
+// --chain (name or chain id), else the default network
+function getNetwork(opts) {
+  const networks = networksFromEnv();
+  if (!opts.chain) return networks[0];
+  const want = opts.chain.toLowerCase();
+  const net = networks.find((n) => n.name === want || String(n.chainId) === want);
+  if (!net) {
+    const known = networks.map((n) => `${n.name} (${n.chainId})`).join(", ");
+    throw new CliError(`Unknown network "${opts.chain}". Configured: ${known}`);
+  }
+  return net;
+}
+
+function getRoaster(net) {
+  if (!net.rpcUrls.length || !net.contract) {
+    throw new CliError(`No RPC URL / contract configured for ${net.name} (chain ${net.chainId})`);
+  }
+  const provider = createRpcProvider({
+    urls: net.rpcUrls,
+    chainId: net.chainId,
+    ...rpcOptionsFromEnv(),
+  });
+  return new ethers.Contract(net.contract, ROASTER_ABI, provider);
+}
+
+// Hashes computed with the dev fallback salt would never match production keys
+function requireSalt() {
+  if (!process.env.API_KEY_SALT) throw new CliError("API_KEY_SALT missing from .env", 2);
+}
+
+function requireWallet(raw) {
+  if (!raw || !ethers.isAddress(raw)) throw new CliError("Expected a wallet address (0x...)");
+  return raw.toLowerCase();
+}
+
+function parseId(raw) {
+  const id = Number(raw);
+  if (!Number.isInteger(id) || id <= 0) throw new CliError(`Bad key id: ${raw}`);
+  return id;
+}
+
+async function confirm(question, opts) {
+  if (opts.yes) return true;
+  if (!process.stdin.isTTY) throw new CliError("Not a terminal; pass --yes to confirm");
+
+  // Prompt on stderr so stdout stays clean for --json
+  const rl = readline.createInterface({ input: process.stdin, output: process.stderr });
+  try {
+    const answer = await rl.question(`${question} [y/N] `);
+    return /^y(es)?$/i.test(answer.trim());
+  } finally {
+    rl.close();
+  }
+}
+
+async function audit(action, target, details) {
+  await db.insertAdminAudit({
+    actor: `cli:${os.userInfo().username}`,
+    action,
+    target: target != null ? String(target) : null,
+    details,
+  });
+}
+
+function formatWhen(unix) {
+  return unix ? new Date(unix * 1000).toISOString() : "-";
+}
+
+function formatKey(k) {
+  const state = !k.enabled || k.revoked_at ? "revoked" : "active";
+  const limit = k.daily_limit ?? "tier default";
+  const cap = k.key_daily_cap != null ? ` cap=${k.key_daily_cap}` : "";
+  return [
+    `#${k.id} ${k.tier} ${state} limit=${limit}${cap}`,
+    `  agent=${k.agent_name || "-"} label=${k.label || "-"} wallet=${k.wallet || "-"}` +
+      (k.chain_id != null ? ` chain=${k.chain_id}` : ""),
+    `  expires=${formatWhen(k.expires_at)} last_used=${formatWhen(k.last_used_at)}`,
+  ].join("\n");
+}
+
+async function readCounters(entries) {
+  const r = await getRedis();
+  const values = entries.length ? await r.mGet(entries.map((e) => e.key)) : [];
+  return entries.map((e, i) => ({ ...e, used: Number(values[i] || 0) }));
+}
+
+// --------------------
+// Commands. Each returns a plain result object; `format` renders it as text.
+// --------------------
+
+async function cmdHash(args) {
+  if (!args[0]) throw new CliError("Usage: roaster hash <rawKey>");
+  requireSalt();
+  return { key_hash: hashKey(args[0]) };
+}
+
+async function cmdKeys(args) {
+  const wallet = requireWallet(args[0]);
+  const rows = await db.findKeys({ wallet, limit: 500 });
+  return { wallet, keys: rows.map(adminKeyView) };
+}
+
+async function cmdMint(args, opts) {
+  requireSalt();
+  const tier = String(opts.tier || "").toLowerCase();
+  if (tier !== "basic" && tier !== "pro") throw new CliError("--tier must be basic or pro");
+
+  let dailyLimit = null;
+  if (opts["daily-limit"] != null) {
+    dailyLimit = Number(opts["daily-limit"]);
+    if (!Number.isInteger(dailyLimit) || dailyLimit <= 0) {
+      throw new CliError("--daily-limit must be a positive integer");
+    }
+  }
+
+  const expiresAt = parseWhen(opts.expires);
+  if (expiresAt === undefined) throw new CliError("Bad --expires (unix seconds or ISO date)");
+
+  const wallet = opts.wallet ? requireWallet(opts.wallet) : null;
+
+  const rawKey = makeApiKey();
+  const row = await db.insertApiKey({
+    keyHash: hashKey(rawKey),
+    walletAddress: wallet,
+    tier,
+    dailyLimit,
+    expiresAt,
+    agentName: opts.agent || null,
+    label: opts.label || "comp",
+  });
+
+  await audit("keys.mint", row.id, {
+    tier,
+    daily_limit: dailyLimit,
+    expires_at: toUnix(expiresAt),
+    wallet,
+    agent_name: opts.agent || null,
+    reason: opts.reason || null,
+  });
+
+  return {
+    id: row.id,
+    api_key: rawKey,
+    tier,
+    daily_limit: dailyLimit ?? tierLimit({ tier }),
+    expires_at: toUnix(expiresAt),
+  };
+}
+
+async function cmdRevoke(args, opts) {
+  const id = parseId(args[0]);
+  const [row] = await db.findKeys({ id, limit: 1 });
+  if (!row) throw new CliError(`Key #${id} not found`);
+
+  const key = adminKeyView(row);
+  if (!key.enabled) return { id, enabled: false, changed: false };
+
+  if (!opts.json) console.error(formatKey(key));
+  if (!(await confirm(`Revoke key #${id}?`, opts))) throw new CliError("Aborted");
+
+  await db.setKeyEnabled(id, false);
+  await audit("keys.revoke", id, { reason: opts.reason || null });
+  await createWebhookEvents({ db }).emitKeyEvent("key.revoked", row.wallet_address, {
+    key_id: id,
+    agent_name: row.agent_name || null,
+    by: "admin",
+  });
+  return { id, enabled: false, changed: true };
+}
+
+function keyCounters(row, day) {
+  const entries = [];
+  if (row.wallet_address) {
+    entries.push({
+      scope: "wallet",
+      id: row.wallet_address,
+      key: `roaster:daily:wallet:${day}:${row.wallet_address.toLowerCase()}`,
+      limit: tierLimit(row),
+    });
+  }
+  entries.push({
+    scope: "key",
+    id: `#${row.id}`,
+    key: `roaster:daily:key:${day}:${row.key_hash}`,
+    limit: keyDailyCap(row) ?? (row.wallet_address ? null : tierLimit(row)),
+  });
+  return entries;
+}
+
+async function cmdUsage(args, opts) {
+  const day = opts.day || utcDayKey();
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(day)) throw new CliError("--day must be YYYY-MM-DD");
+
+  let target;
+  let entries = [];
+
+  if (opts.key || opts.hash || opts.id) {
+    let filter;
+    if (opts.id) filter = { id: parseId(opts.id) };
+    else if (opts.hash) filter = { key_hash: opts.hash };
+    else {
+      requireSalt();
+      filter = { key_hash: hashKey(opts.key) };
+    }
+    const [row] = await db.findKeys({ ...filter, limit: 1 });
+    if (!row) throw new CliError("Key not found");
+    target = `key:${row.id}`;
+    entries = keyCounters(row, day);
+  } else if (opts.wallet) {
+    const wallet = requireWallet(opts.wallet);
+    const rows = await db.findKeys({ wallet, limit: 500 });
+    target = `wallet:${wallet}`;
+    entries.push({
+      scope: "wallet",
+      id: wallet,
+      key: `roaster:daily:wallet:${day}:${wallet}`,
+      limit: rows.length ? tierLimit(rows[0]) : null,
+    });
+    for (const row of rows) {
+      entries.push(...keyCounters(row, day).filter((e) => e.scope === "key"));
+    }
+  } else if (opts.requester) {
+    const requester = cleanRequester(opts.requester).toLowerCase();
+    if (!requester) throw new CliError("Bad --requester");
+    target = `requester:${requester}`;
+    // Free counters are per IP + requester: roaster:daily:free:<day>:<ip>:<requester>
+    const keys = await scanKeys(await getRedis(), `roaster:daily:free:${day}:*:${requester}`);
+    entries = keys.map((key) => ({
+      scope: "free",
+      id: key.slice(`roaster:daily:free:${day}:`.length),
+      key,
+      limit: FREE_DAILY_LIMIT,
+    }));
+  } else if (opts.ip) {
+    const ip = String(opts.ip);
+    target = `ip:${ip}`;
+    const keys = await scanKeys(await getRedis(), `roaster:daily:free:${day}:${ip}:*`);
+    entries = [
+      {
+        scope: "free-ip",
+        id: ip,
+        key: `roaster:daily:free-ip:${day}:${ip}`,
+        limit: FREE_IP_DAILY_LIMIT,
+      },
+      ...keys.map((key) => ({
+        scope: "free",
+        id: key.slice(`roaster:daily:free:${day}:`.length),
+        key,
+        limit: FREE_DAILY_LIMIT,
+      })),
+    ];
+  } else {
+    throw new CliError("Pass one of --key, --hash, --id, --wallet, --requester or --ip");
+  }
+
+  return { day, target, counters: await readCounters(entries) };
+}
+
+async function cmdPlans(args, opts) {
+  const net = getNetwork(opts);
+  const r = await getRedis();
+  const cacheKey = plansCacheKey(net.chainId);
+
+  if (!opts.refresh) {
+    const cached = await r.get(cacheKey);
+    if (cached) {
+      return {
+        network: net.name,
+        chain_id: net.chainId,
+        source: "cache",
+        ttl: await r.ttl(cacheKey),
+        plans: JSON.parse(cached),
+      };
+    }
+  }
+
+  const plans = (await getRoaster(net).getAllPlans()).map((p) => ({
+    tier: Number(p.tier),
+    durationId: Number(p.durationId),
+    durationSeconds: Number(p.durationSeconds_),
+    priceUSDC: p.priceUSDC_.toString(),
+  }));
+  // Same shape and TTL as the API's cache, so a refresh is picked up immediately
+  await r.set(cacheKey, JSON.stringify(plans), { EX: 60 });
+  return { network: net.name, chain_id: net.chainId, source: "chain", ttl: 60, plans };
+}
+
+async function cmdEntitlement(args, opts) {
+  const wallet = requireWallet(args[0]);
+  const net = getNetwork(opts);
+  const [tier, expiresAt] = await getRoaster(net).entitlement(wallet);
+  const exp = Number(expiresAt);
+  return {
+    wallet,
+    network: net.name,
+    chain_id: net.chainId,
+    tier: Number(tier),
+    tier_name: TIER_NAMES[Number(tier)] || "unknown",
+    expires_at: exp,
+    active: exp > Math.floor(Date.now() / 1000),
+  };
+}
+
+async function cmdNetworks() {
+  return {
+    networks: networksFromEnv().map((n) => ({
+      chain_id: n.chainId,
+      name: n.name,
+      testnet: n.testnet,
+      default: n.isDefault,
+      contract: n.contract,
+      usdc: n.usdc,
+      rpc: n.rpcUrls.length, // URLs often embed API keys; only say how many are set
+    })),
+  };
+}
+
+async function cmdRoast(args, opts) {
+  const requester = cleanRequester(opts.requester);
+  if (!requester) throw new CliError("--requester is required");
+
+  const mode = opts.mode || "roast";
+  if (!MODES.includes(mode)) throw new CliError(`--mode must be one of: ${MODES.join(", ")}`);
+
+  const tier = String(opts.tier || "free").toLowerCase();
+  const parsed = parseStyle({
+    spice: opts.spice,
+    tone: opts.tone,
+    length: opts.length,
+    profanity: opts["no-profanity"] ? false : undefined,
+  });
+  if (parsed.error) throw new CliError(parsed.error);
+  const style = parsed.style;
+  const limited = limitStyleForTier(style, tier);
+
+  const name = personaName(opts.persona);
+  let persona = builtinPersona(name);
+  if (!persona && opts.wallet) {
+    persona = await db.findPersona({ wallet: requireWallet(opts.wallet) }, name);
+  }
+  if (!persona) {
+    throw new CliError(`Unknown persona "${name}" (stored personas need --wallet 0x..)`);
+  }
+
+  const request = roastRequest({
+    requester,
+    name: opts.name || "",
+    message: opts.message || "",
+    mode,
+    style,
+    persona,
+    tier,
+  });
+
+  const llm = createLLMFromEnv(process.env);
+  if (!llm.configured) throw new CliError(`LLM provider "${llm.primary.name}" is not configured`);
+  const out = await llm.generate(request);
+
+  // Single pass, no regeneration: operators want to see what the filter thinks of the raw draft
+  const openai = process.env.OPENAI_API_KEY
+    ? new OpenAI({ apiKey: process.env.OPENAI_API_KEY })
+    : null;
+  const verdict = out.text ? await safety.checkOutput(openai, out.text) : null;
+
+  const result = {
+    roast: out.text,
+    provider: out.provider,
+    model: out.model,
+    usage: out.usage,
+    mode,
+    tier,
+    persona: persona.name,
+    style,
+    safety: verdict && {
+      checks: verdict.checks,
+      passed: verdict.ok,
+      flagged: verdict.flagged,
+      moderation_error: verdict.moderationError || undefined,
+    },
+  };
+  if (limited.length) result.limited = limited;
+  if (opts["show-prompt"]) result.prompt = { system: request.system, user: request.user };
+  return result;
+}
+
+const COMMANDS = {
+  hash: { run: cmdHash, format: (r) => r.key_hash },
+  keys: {
+    run: cmdKeys,
+    format: (r) => (r.keys.length ? r.keys.map(formatKey).join("\n") : "No keys."),
+  },
+  mint: {
+    run: cmdMint,
+    format: (r) =>
+      [
+        `Minted key #${r.id} (${r.tier}, ${r.daily_limit}/day, ` +
+          `expires ${formatWhen(r.expires_at)})`,
+        "",
+        `  ${r.api_key}`,
+        "",
+        "This is the only time the raw key is shown.",
+      ].join("\n"),
+  },
+  revoke: {
+    run: cmdRevoke,
+    format: (r) => (r.changed ? `Revoked key #${r.id}.` : `Key #${r.id} was already revoked.`),
+  },
+  usage: {
+    run: cmdUsage,
+    format: (r) =>
+      [
+        `${r.target} on ${r.day} (UTC)`,
+        ...r.counters.map(
+          (c) => `  ${c.scope.padEnd(8)} ${c.id.padEnd(44)} ${c.used}/${c.limit ?? "-"}`
+        ),
+        ...(r.counters.length ? [] : ["  no counters"]),
+      ].join("\n"),
+  },
+  plans: {
+    run: cmdPlans,
+    format: (r) =>
+      [
+        `Plans on ${r.network} (${r.source}, ttl ${r.ttl}s)`,
+        ...r.plans.map(
+          (p) =>
+            `  tier=${p.tier} duration=${p.durationId} ` +
+            `${Math.round(p.durationSeconds / 86400)}d ${ethers.formatUnits(p.priceUSDC, 6)} USDC`
+        ),
+      ].join("\n"),
+  },
+  entitlement: {
+    run: cmdEntitlement,
+    format: (r) =>
+      `${r.wallet} on ${r.network}: ${r.tier_name} (tier ${r.tier}), ` +
+      `${r.active ? "active until" : "expired"} ${formatWhen(r.expires_at)}`,
+  },
+  networks: {
+    run: cmdNetworks,
+    format: (r) =>
+      r.networks
+        .map(
+          (n) =>
+            `${String(n.chain_id).padEnd(8)} ${n.name.padEnd(14)}` +
+            `${n.default ? " default" : ""}${n.testnet ? " testnet" : ""}\n` +
+            `  contract=${n.contract || "-"} usdc=${n.usdc || "-"} rpc=${n.rpc || "-"}`
+        )
+        .join("\n"),
+  },
+  roast: {
+    run: cmdRoast,
+    format: (r) => {
+      const lines = [r.roast || "(empty output)", ""];
+      lines.push(
+        `provider=${r.provider} model=${r.model} persona=${r.persona} ` +
+          `tokens=${r.usage?.total_tokens ?? "-"}`
+      );
+      if (r.safety) {
+        lines.push(
+          r.safety.passed
+            ? `safety: passed (${r.safety.checks.join(", ")})`
+            : `safety: FLAGGED ${r.safety.flagged.join(", ")}`
+        );
+      }
+      if (r.limited) lines.push(`limited: ${r.limited.join(", ")}`);
+      if (r.prompt) {
+        lines.push("", "--- system ---", r.prompt.system, "--- user ---", r.prompt.user);
+      }
+      return lines.join("\n");
+    },
+  },
+};
+
+async function main(argv) {
+  let parsed;
+  try {
+    parsed = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+  } catch (err) {
+    console.error(err.message);
+    console.error(USAGE);
+    return 1;
+  }
+
+  const opts = parsed.values;
+  const [name, ...args] = parsed.positionals;
+  const command = COMMANDS[name];
+  if (opts.help || !command) {
+    console.log(USAGE);
+    return opts.help || !name ? 0 : 1;
+  }
+
+  try {
+    const result = await command.run(args, opts);
+    console.log(
+      opts.json ? JSON.stringify({ success: true, ...result }, null, 2) : command.format(result)
+    );
+    return 0;
+  } catch (err) {
+    if (opts.json) console.log(JSON.stringify({ success: false, error: err.message }, null, 2));
+    else console.error(err instanceof CliError ? err.message : err);
+    return err.exitCode || 1;
+  } finally {
+    if (redis) await redis.quit().catch(() => {});
+    await db.pool.end().catch(() => {});
+  }
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2)).then((code) => {
+    process.exitCode = code;
+  });
+}
+
+module.exports = { main };
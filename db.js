@@ -7,10 +7,30 @@ const pool = new Pool({
   idleTimeoutMillis: 30_000,
 });
 
+// Most active keys a wallet may hold at once (one per agent_name)
+const MAX_KEYS_PER_WALLET = Number(process.env.MAX_KEYS_PER_WALLET || 10);
+
+// Schema lives in migrations/ (apply with `npm run migrate`); index.js refuses
+// to start while any migration is pending.
+
+// Keys on network $id, where $legacy (boolean) also takes keys with no recorded
+// chain_id (claimed before networks were recorded, so the default network).
+// A null $id matches every network.
+function onChain(idParam, legacyParam) {
+  return `($${idParam}::int is null or chain_id = $${idParam}
+           or ($${legacyParam}::boolean and chain_id is null))`;
+}
+
+// Cheapest possible round-trip, for /health
+async function ping() {
+  await pool.query("select 1");
+}
+
 // Returns a key record ONLY if it's usable (enabled, not revoked, not expired)
 async function getKeyRecordByHash(keyHash) {
   const { rows } = await pool.query(
     `select
+        id as key_id,
         key_hash,
         wallet_address,
         tier,
@@ -18,7 +38,14 @@ async function getKeyRecordByHash(keyHash) {
         enabled,
         expires_at,
         entitlement_expires_at,
-        revoked_at
+        revoked_at,
+        agent_name,
+        binding_mode,
+        allowed_names,
+        label,
+        key_daily_cap,
+        last_used_at,
+        chain_id
      from api_keys
      where key_hash = $1
        and enabled = true
@@ -40,12 +67,35 @@ async function touchKeyUsage(keyHash) {
 }
 
 // Create a key record. If expiresAt is omitted/null, the key does not expire.
-async function insertApiKey({ keyHash, walletAddress, tier, dailyLimit, expiresAt }) {
+// dailyLimit omitted -> NULL: the tier's limit applies (util.js tierLimit, migration 010).
+async function insertApiKey({
+  keyHash,
+  walletAddress,
+  tier,
+  dailyLimit,
+  expiresAt,
+  agentName = null,
+  label = null,
+}) {
+  const cols = ["key_hash", "wallet_address", "tier", "expires_at", "agent_name", "label"];
+  const params = [
+    keyHash,
+    walletAddress ? walletAddress.toLowerCase() : null,
+    tier,
+    expiresAt || null,
+    agentName,
+    label,
+  ];
+  if (dailyLimit != null) {
+    cols.push("daily_limit");
+    params.push(dailyLimit);
+  }
+
   const { rows } = await pool.query(
-    `insert into api_keys (key_hash, wallet_address, tier, daily_limit, expires_at)
-     values ($1, $2, $3, $4, $5)
+    `insert into api_keys (${cols.join(", ")})
+     values (${params.map((_, i) => `$${i + 1}`).join(", ")})
      returning id`,
-    [keyHash, walletAddress || null, tier, dailyLimit ?? null, expiresAt || null]
+    params
   );
   return rows[0];
 }
@@ -60,13 +110,97 @@ async function revokeApiKeyByHash(keyHash) {
   );
 }
 
+/**
+ * Rotate a key: revoke the active record, then copy it under a new hash.
+ * Tier, limits, expiries and agent_name carry over; both steps run in one transaction.
+ * Revoking first takes the row lock, so of two concurrent rotations of the same
+ * key only one finds it active and mints a successor.
+ * Returns the new row, or null if the old key was not active.
+ */
+async function rotateApiKey({ old_key_hash, new_key_hash }) {
+  if (!old_key_hash || !new_key_hash) throw new Error("key hashes required");
+
+  const client = await pool.connect();
+  try {
+    await client.query("begin");
+
+    const { rows: old } = await client.query(
+      `update api_keys
+       set enabled = false, revoked_at = now()
+       where key_hash = $1
+         and enabled = true
+         and revoked_at is null
+       returning wallet_address, tier, daily_limit, expires_at, entitlement_expires_at,
+                 agent_name, binding_mode, allowed_names, label, key_daily_cap, chain_id`,
+      [old_key_hash]
+    );
+
+    if (!old[0]) {
+      await client.query("rollback");
+      return null;
+    }
+
+    const o = old[0];
+    const { rows } = await client.query(
+      `insert into api_keys (
+          key_hash,
+          wallet_address,
+          tier,
+          daily_limit,
+          expires_at,
+          entitlement_expires_at,
+          agent_name,
+          binding_mode,
+          allowed_names,
+          label,
+          key_daily_cap,
+          chain_id
+        )
+       values ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+       returning id, wallet_address, tier, daily_limit, expires_at, entitlement_expires_at,
+                 agent_name, binding_mode, allowed_names, label, key_daily_cap, chain_id`,
+      [
+        new_key_hash,
+        o.wallet_address,
+        o.tier,
+        o.daily_limit,
+        o.expires_at,
+        o.entitlement_expires_at,
+        o.agent_name,
+        o.binding_mode,
+        o.allowed_names,
+        o.label,
+        o.key_daily_cap,
+        o.chain_id,
+      ]
+    );
+
+    await client.query("commit");
+    return rows[0];
+  } catch (e) {
+    try {
+      await client.query("rollback");
+    } catch {}
+    throw e;
+  } finally {
+    client.release();
+  }
+}
+
 /**
  * Upsert-ish behavior for wallet claims:
- * - Disable/revoke any currently-active keys for this wallet (keeps history)
- * - Insert a fresh key for the wallet with tier + expiry
+ * - Disable/revoke any currently-active key for this wallet + agent_name on the
+ *   same network (keeps history); keys bound to other agents stay active
+ * - Refresh tier + entitlement snapshot on the wallet's other active keys on that network
+ * - Insert a fresh key for the wallet with tier + expiry, recording chain_id
+ *
+ * Throws an error with code "TOO_MANY_KEYS" if the wallet already holds
+ * MAX_KEYS_PER_WALLET active keys for other agents.
  *
  * expires_at_unix should be the API key expiry you want (unix seconds) OR null.
  * entitlement_expires_at_unix should be the on-chain entitlement expiry (unix seconds) OR null.
+ * chain_id is the network the entitlement was read on; legacy_chain is true when
+ * that is the default network (see onChain).
  *
  * NOTE: Your schema uses agent_name (not requester).
  */
@@ -78,6 +212,8 @@ async function upsertApiKeyForWallet({
   expires_at_unix = null, // optional: your chosen API-key expiry
   entitlement_expires_at_unix = null, // on-chain expiry snapshot
   agent_name = null, // stored in api_keys.agent_name
+  chain_id = null,
+  legacy_chain = false,
 }) {
   const walletLc = (wallet || "").toLowerCase();
   if (!walletLc) throw new Error("wallet required");
@@ -92,75 +228,377 @@ async function upsertApiKeyForWallet({
       ? new Date(Number(entitlement_expires_at_unix) * 1000)
       : null;
 
-  // IMPORTANT: if daily_limit is null/undefined, do NOT insert NULL
-  // because it overrides the DB default and violates NOT NULL.
-  const hasDailyLimit =
-    daily_limit != null && Number.isFinite(Number(daily_limit)) && Number(daily_limit) > 0;
+  // null = follow the tier's limit (migration 010), also after the tier changes
+  const dailyLimit =
+    daily_limit != null && Number.isFinite(Number(daily_limit)) && Number(daily_limit) > 0
+      ? Number(daily_limit)
+      : null;
 
   const client = await pool.connect();
   try {
     await client.query("begin");
 
-    // Revoke any currently-active keys for this wallet
+    // Serialize claims per wallet so the key-count check below can't race
+    await client.query("select pg_advisory_xact_lock(hashtext($1))", [walletLc]);
+
+    // Revoke the currently-active key for this wallet + agent (re-claim replaces it)
     await client.query(
       `update api_keys
        set enabled = false, revoked_at = now()
        where wallet_address = $1
+         and agent_name is not distinct from $2
+         and ${onChain(3, 4)}
          and enabled = true
          and revoked_at is null
          and (expires_at is null or expires_at > now())
          and (entitlement_expires_at is null or entitlement_expires_at > now())`,
+      [walletLc, agent_name, chain_id, legacy_chain]
+    );
+
+    // Sibling keys on the same network share its entitlement: bring them up to date
+    await client.query(
+      `update api_keys
+       set tier = $2, entitlement_expires_at = $3
+       where wallet_address = $1
+         and ${onChain(4, 5)}
+         and enabled = true
+         and revoked_at is null
+         and (expires_at is null or expires_at > now())`,
+      [walletLc, tier, entitlementExpiresAt, chain_id, legacy_chain]
+    );
+
+    // The key cap is per wallet, across networks
+    const { rows: active } = await client.query(
+      `select count(*)::int as n
+       from api_keys
+       where wallet_address = $1
+         and enabled = true
+         and revoked_at is null
+         and (expires_at is null or expires_at > now())`,
       [walletLc]
     );
+    const siblings = active[0].n;
+
+    if (siblings >= MAX_KEYS_PER_WALLET) {
+      const err = new Error(`wallet already has ${siblings} active keys`);
+      err.code = "TOO_MANY_KEYS";
+      throw err;
+    }
 
-    // Insert new key (two variants so DB default works)
-    if (hasDailyLimit) {
-      await client.query(
-        `insert into api_keys (
-            key_hash,
-            wallet_address,
-            tier,
-            daily_limit,
-            expires_at,
-            entitlement_expires_at,
-            agent_name
-          )
-         values ($1, $2, $3, $4, $5, $6, $7)`,
-        [
+    // Insert the new key
+    await client.query(
+      `insert into api_keys (
           key_hash,
-          walletLc,
+          wallet_address,
           tier,
-          Number(daily_limit),
-          expiresAt,
-          entitlementExpiresAt,
+          daily_limit,
+          expires_at,
+          entitlement_expires_at,
           agent_name,
-        ]
+          chain_id
+        )
+       values ($1, $2, $3, $4, $5, $6, $7, $8)`,
+      [key_hash, walletLc, tier, dailyLimit, expiresAt, entitlementExpiresAt, agent_name, chain_id]
+    );
+
+    await client.query("commit");
+    return { ok: true };
+  } catch (e) {
+    try {
+      await client.query("rollback");
+    } catch {}
+    throw e;
+  } finally {
+    client.release();
+  }
+}
+
+// All keys for a wallet (active and historical), newest first. Never returns key_hash.
+async function listKeysForWallet(wallet) {
+  const { rows } = await pool.query(
+    `select
+        id,
+        agent_name,
+        binding_mode,
+        allowed_names,
+        label,
+        tier,
+        daily_limit,
+        key_daily_cap,
+        enabled,
+        revoked_at,
+        expires_at,
+        entitlement_expires_at,
+        last_used_at,
+        chain_id
+     from api_keys
+     where wallet_address = $1
+     order by id desc`,
+    [(wallet || "").toLowerCase()]
+  );
+  return rows;
+}
+
+// Columns the wallet owner may change on their own keys
+const WALLET_EDITABLE = ["label", "key_daily_cap", "agent_name", "binding_mode", "allowed_names"];
+
+/**
+ * Update owner-editable fields (WALLET_EDITABLE) on one of a wallet's keys.
+ * Fields left undefined are unchanged; null clears them.
+ * Returns the updated row or null if the key isn't the wallet's. Throws
+ * (err.code) KEY_INACTIVE for a revoked key and AGENT_NAME_TAKEN when a new
+ * agent_name is already used by another of the wallet's active keys.
+ */
+async function updateKeyForWallet({ wallet, id, ...fields }) {
+  const walletLc = (wallet || "").toLowerCase();
+  const sets = [];
+  const params = [walletLc, id];
+
+  for (const col of WALLET_EDITABLE) {
+    if (fields[col] === undefined) continue;
+    params.push(fields[col]);
+    sets.push(`${col} = $${params.length}`);
+  }
+  if (!sets.length) throw new Error("nothing to update");
+
+  const client = await pool.connect();
+  try {
+    await client.query("begin");
+
+    // Same lock as upsertApiKeyForWallet: a claim can't take the name meanwhile
+    await client.query("select pg_advisory_xact_lock(hashtext($1))", [walletLc]);
+
+    const { rows: found } = await client.query(
+      `select enabled, revoked_at from api_keys where wallet_address = $1 and id = $2`,
+      [walletLc, id]
+    );
+    if (!found[0]) {
+      await client.query("rollback");
+      return null;
+    }
+    if (!found[0].enabled || found[0].revoked_at) {
+      const err = new Error(`key ${id} is revoked`);
+      err.code = "KEY_INACTIVE";
+      throw err;
+    }
+
+    if (fields.agent_name != null) {
+      const { rows: taken } = await client.query(
+        `select 1
+         from api_keys
+         where wallet_address = $1
+           and id <> $2
+           and agent_name = $3
+           and enabled = true
+           and revoked_at is null
+           and (expires_at is null or expires_at > now())
+         limit 1`,
+        [walletLc, id, fields.agent_name]
       );
-    } else {
-      // daily_limit omitted -> DB default (e.g. 200) is used
-      await client.query(
-        `insert into api_keys (
-            key_hash,
-            wallet_address,
-            tier,
-            expires_at,
-            entitlement_expires_at,
-            agent_name
-          )
-         values ($1, $2, $3, $4, $5, $6)`,
-        [
-          key_hash,
-          walletLc,
-          tier,
-          expiresAt,
-          entitlementExpiresAt,
-          agent_name,
-        ]
+      if (taken.length) {
+        const err = new Error(`agent_name ${fields.agent_name} is already in use`);
+        err.code = "AGENT_NAME_TAKEN";
+        throw err;
+      }
+    }
+
+    const { rows } = await client.query(
+      `update api_keys
+       set ${sets.join(", ")}
+       where wallet_address = $1 and id = $2
+       returning id, agent_name, binding_mode, allowed_names, label, key_daily_cap, enabled, revoked_at`,
+      params
+    );
+    await client.query("commit");
+    return rows[0] || null;
+  } catch (e) {
+    try {
+      await client.query("rollback");
+    } catch {}
+    throw e;
+  } finally {
+    client.release();
+  }
+}
+
+// Revoke one of a wallet's keys by id. Returns the key_hash (for cache/counter cleanup) or null.
+async function revokeKeyForWallet({ wallet, id }) {
+  const { rows } = await pool.query(
+    `update api_keys
+     set enabled = false, revoked_at = coalesce(revoked_at, now())
+     where wallet_address = $1 and id = $2
+     returning key_hash`,
+    [(wallet || "").toLowerCase(), id]
+  );
+  return rows[0]?.key_hash || null;
+}
+
+// ---- Chain indexer state (chain_cursors) ----
+
+async function getChainCursor(name) {
+  const { rows } = await pool.query(
+    `select block_number, block_hash from chain_cursors where name = $1`,
+    [name]
+  );
+  return rows[0] || null;
+}
+
+async function setChainCursor(name, blockNumber, blockHash) {
+  await pool.query(
+    `insert into chain_cursors (name, block_number, block_hash, updated_at)
+     values ($1, $2, $3, now())
+     on conflict (name) do update
+       set block_number = excluded.block_number,
+           block_hash = excluded.block_hash,
+           updated_at = now()`,
+    [name, blockNumber, blockHash]
+  );
+}
+
+/**
+ * Apply a fresh on-chain entitlement to every non-revoked key of a wallet on
+ * network chain_id (legacy_chain: as in upsertApiKeyForWallet).
+ * tier = null leaves the stored tier alone (entitlement lapsed; the expiry
+ * alone makes the keys unusable). Returns the number of keys updated.
+ */
+async function syncWalletEntitlement({
+  wallet,
+  tier,
+  entitlement_expires_at_unix,
+  chain_id = null,
+  legacy_chain = false,
+}) {
+  const walletLc = (wallet || "").toLowerCase();
+  if (!walletLc) throw new Error("wallet required");
+
+  const entitlementExpiresAt =
+    entitlement_expires_at_unix != null
+      ? new Date(Number(entitlement_expires_at_unix) * 1000)
+      : null;
+
+  const { rowCount } = await pool.query(
+    `update api_keys
+     set tier = coalesce($2, tier), entitlement_expires_at = $3
+     where wallet_address = $1
+       and ${onChain(4, 5)}
+       and enabled = true
+       and revoked_at is null`,
+    [walletLc, tier, entitlementExpiresAt, chain_id, legacy_chain]
+  );
+  return rowCount;
+}
+
+// ---- Admin (admin_audit) ----
+
+/**
+ * Admin key search. Any combination of wallet / agent_name (case-insensitive) /
+ * key_hash / id; includes revoked and expired keys. Newest first, capped by limit.
+ */
+async function findKeys({ wallet, agent_name, key_hash, id, limit = 100 }) {
+  const where = [];
+  const params = [];
+
+  if (wallet) {
+    params.push(wallet.toLowerCase());
+    where.push(`wallet_address = $${params.length}`);
+  }
+  if (agent_name) {
+    params.push(agent_name);
+    where.push(`lower(agent_name) = lower($${params.length})`);
+  }
+  if (key_hash) {
+    params.push(key_hash);
+    where.push(`key_hash = $${params.length}`);
+  }
+  if (id) {
+    params.push(id);
+    where.push(`id = $${params.length}`);
+  }
+  if (!where.length) throw new Error("at least one filter required");
+
+  params.push(limit);
+  const { rows } = await pool.query(
+    `select
+        id,
+        key_hash,
+        wallet_address,
+        agent_name,
+        binding_mode,
+        allowed_names,
+        label,
+        tier,
+        daily_limit,
+        key_daily_cap,
+        enabled,
+        revoked_at,
+        expires_at,
+        entitlement_expires_at,
+        last_used_at,
+        chain_id
+     from api_keys
+     where ${where.join(" and ")}
+     order by id desc
+     limit $${params.length}`,
+    params
+  );
+  return rows;
+}
+
+/**
+ * Enable or disable a key by id. Re-enabling also clears revoked_at. Returns
+ * key_hash or null. Re-enabling a wallet key throws "TOO_MANY_KEYS" if the
+ * wallet already holds MAX_KEYS_PER_WALLET other active keys.
+ */
+async function setKeyEnabled(id, enabled) {
+  if (!enabled) {
+    const { rows } = await pool.query(
+      `update api_keys set enabled = false, revoked_at = coalesce(revoked_at, now())
+       where id = $1 returning key_hash`,
+      [id]
+    );
+    return rows[0]?.key_hash || null;
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query("begin");
+
+    const { rows: found } = await client.query(
+      `select wallet_address from api_keys where id = $1`,
+      [id]
+    );
+    if (!found[0]) {
+      await client.query("rollback");
+      return null;
+    }
+
+    const wallet = found[0].wallet_address;
+    if (wallet) {
+      // Same lock as upsertApiKeyForWallet: the count can't race a claim
+      await client.query("select pg_advisory_xact_lock(hashtext($1))", [wallet]);
+      const { rows: active } = await client.query(
+        `select count(*)::int as n
+         from api_keys
+         where wallet_address = $1
+           and id <> $2
+           and enabled = true
+           and revoked_at is null
+           and (expires_at is null or expires_at > now())`,
+        [wallet, id]
       );
+      if (active[0].n >= MAX_KEYS_PER_WALLET) {
+        const err = new Error(`wallet already has ${active[0].n} active keys`);
+        err.code = "TOO_MANY_KEYS";
+        throw err;
+      }
     }
 
+    const { rows } = await client.query(
+      `update api_keys set enabled = true, revoked_at = null where id = $1 returning key_hash`,
+      [id]
+    );
     await client.query("commit");
-    return { ok: true };
+    return rows[0]?.key_hash || null;
   } catch (e) {
     try {
       await client.query("rollback");
@@ -171,12 +609,435 @@ async function upsertApiKeyForWallet({
   }
 }
 
+async function insertAdminAudit({ actor, action, target = null, details = null, ip = null }) {
+  await pool.query(
+    `insert into admin_audit (actor, action, target, details, ip)
+     values ($1, $2, $3, $4, $5)`,
+    [actor, action, target, details ? JSON.stringify(details) : null, ip]
+  );
+}
+
+async function listAdminAudit({ limit = 100, actor, action } = {}) {
+  const where = [];
+  const params = [];
+  if (actor) {
+    params.push(actor);
+    where.push(`actor = $${params.length}`);
+  }
+  if (action) {
+    params.push(action);
+    where.push(`action = $${params.length}`);
+  }
+  params.push(limit);
+
+  const { rows } = await pool.query(
+    `select id, actor, action, target, details, ip, created_at
+     from admin_audit
+     ${where.length ? `where ${where.join(" and ")}` : ""}
+     order by id desc
+     limit $${params.length}`,
+    params
+  );
+  return rows;
+}
+
+// ---- Usage ledger (usage_events) ----
+
+const USAGE_COLUMNS = [
+  "created_at",
+  "endpoint",
+  "key_id",
+  "key_hash",
+  "wallet_address",
+  "ip",
+  "requester",
+  "tier",
+  "mode",
+  "outcome",
+  "status_code",
+  "items",
+  "latency_ms",
+  "provider",
+  "model",
+  "input_tokens",
+  "output_tokens",
+  "total_tokens",
+];
+
+// Multi-row insert of ledger events (see usage.js). Missing fields are stored as NULL.
+async function insertUsageEvents(events) {
+  if (!events.length) return 0;
+  const params = [];
+  const rows = events.map((ev) => {
+    const slots = USAGE_COLUMNS.map((col) => {
+      params.push(ev[col] ?? null);
+      return `$${params.length}`;
+    });
+    return `(${slots.join(", ")})`;
+  });
+  const { rowCount } = await pool.query(
+    `insert into usage_events (${USAGE_COLUMNS.join(", ")}) values ${rows.join(", ")}`,
+    params
+  );
+  return rowCount;
+}
+
+const USAGE_GROUPS = { key: "key_id", model: "model", wallet: "wallet_address", tier: "tier" };
+
+/**
+ * Daily or monthly usage totals (UTC) in [from, to). Filter by wallet,
+ * key_hash and/or requester; `group` adds a second dimension (see USAGE_GROUPS).
+ * Rows: { period, [group], requests, roasts, failed, rate_limited,
+ * input_tokens, output_tokens, total_tokens, avg_latency_ms, p95_latency_ms }.
+ */
+async function usageAggregates({ period, from, to, wallet, key_hash, requester, group = null }) {
+  const params = [period === "month" ? "YYYY-MM" : "YYYY-MM-DD", period, from, to];
+  const where = ["created_at >= $3", "created_at < $4"];
+  if (wallet) {
+    params.push(wallet.toLowerCase());
+    where.push(`wallet_address = $${params.length}`);
+  }
+  if (key_hash) {
+    params.push(key_hash);
+    where.push(`key_hash = $${params.length}`);
+  }
+  if (requester) {
+    params.push(requester);
+    where.push(`lower(requester) = lower($${params.length})`);
+  }
+
+  const col = group ? USAGE_GROUPS[group] : null;
+  if (group && !col) throw new Error(`unknown usage group: ${group}`);
+
+  const { rows } = await pool.query(
+    `select
+        to_char(date_trunc($2, created_at at time zone 'UTC'), $1) as period,
+        ${col ? `${col} as "${group}",` : ""}
+        sum(items)::int as requests,
+        coalesce(sum(items) filter (where outcome in ('ok', 'fallback')), 0)::int as roasts,
+        coalesce(sum(items) filter (where outcome in ('error', 'empty', 'aborted')), 0)::int
+          as failed,
+        coalesce(sum(items) filter (where outcome = 'rate_limited'), 0)::int as rate_limited,
+        coalesce(sum(input_tokens), 0)::float8 as input_tokens,
+        coalesce(sum(output_tokens), 0)::float8 as output_tokens,
+        coalesce(sum(total_tokens), 0)::float8 as total_tokens,
+        round(avg(latency_ms))::int as avg_latency_ms,
+        percentile_cont(0.95) within group (order by latency_ms)::int as p95_latency_ms
+     from usage_events
+     where ${where.join(" and ")}
+     group by 1${col ? ", 2" : ""}
+     order by 1${col ? ", 2" : ""}`,
+    params
+  );
+  return rows;
+}
+
+// ---- Webhooks (webhooks, webhook_deliveries) ----
+
+// What a key holder sees of a webhook (never the secret)
+const WEBHOOK_COLUMNS = "id, wallet_address, key_id, url, events, description, enabled, created_at";
+
+// Webhooks and personas belong to a wallet, or to a single key when the key
+// has no wallet
+function ownerFilter({ wallet, key_id }, params) {
+  if (wallet) {
+    params.push(wallet.toLowerCase());
+    return `wallet_address = $${params.length}`;
+  }
+  params.push(key_id);
+  return `wallet_address is null and key_id = $${params.length}`;
+}
+
+async function listWebhooks(owner) {
+  const params = [];
+  const { rows } = await pool.query(
+    `select ${WEBHOOK_COLUMNS} from webhooks where ${ownerFilter(owner, params)} order by id`,
+    params
+  );
+  return rows;
+}
+
+async function insertWebhook({ wallet, key_id, url, secret, events, description = null }) {
+  const { rows } = await pool.query(
+    `insert into webhooks (wallet_address, key_id, url, secret, events, description)
+     values ($1, $2, $3, $4, $5, $6)
+     returning ${WEBHOOK_COLUMNS}`,
+    [wallet ? wallet.toLowerCase() : null, wallet ? null : key_id, url, secret, events, description]
+  );
+  return rows[0];
+}
+
+const WEBHOOK_EDITABLE = ["url", "events", "description", "enabled"];
+
+// Update one of the owner's webhooks. Returns the row or null if it isn't theirs.
+async function updateWebhook(owner, id, fields) {
+  const params = [id];
+  const sets = [];
+  for (const col of WEBHOOK_EDITABLE) {
+    if (fields[col] === undefined) continue;
+    params.push(fields[col]);
+    sets.push(`${col} = $${params.length}`);
+  }
+  if (!sets.length) throw new Error("nothing to update");
+
+  const { rows } = await pool.query(
+    `update webhooks set ${sets.join(", ")}
+     where id = $1 and ${ownerFilter(owner, params)}
+     returning ${WEBHOOK_COLUMNS}`,
+    params
+  );
+  return rows[0] || null;
+}
+
+// Delete a webhook and its delivery log. Returns true if it was the owner's.
+async function deleteWebhook(owner, id) {
+  const params = [id];
+  const { rowCount } = await pool.query(
+    `delete from webhooks where id = $1 and ${ownerFilter(owner, params)}`,
+    params
+  );
+  return rowCount > 0;
+}
+
+// Key rotation: webhooks owned by the old (wallet-less) key follow the new one
+async function moveKeyWebhooks(fromKeyId, toKeyId) {
+  await pool.query(
+    `update webhooks set key_id = $2 where key_id = $1 and wallet_address is null`,
+    [fromKeyId, toKeyId]
+  );
+}
+
+/**
+ * Queue `event` for every enabled webhook of the owner that subscribes to it
+ * (or only for `webhook_id`, regardless of subscriptions: test pings).
+ * Events already queued under the same dedupe_key are skipped. Returns the
+ * number of deliveries queued.
+ */
+async function enqueueWebhookEvent({ event, dedupe_key, payload, wallet, key_id, webhook_id }) {
+  const { rowCount } = await pool.query(
+    `insert into webhook_deliveries (webhook_id, event, dedupe_key, payload)
+     select id, $1, $2, $3 from webhooks
+     where enabled
+       and (
+         ($6::int is not null and id = $6)
+         or ($6::int is null
+             and $1 = any(events)
+             and (wallet_address = $4 or (wallet_address is null and key_id = $5)))
+       )
+     on conflict (webhook_id, dedupe_key) do nothing`,
+    [
+      event,
+      dedupe_key,
+      JSON.stringify(payload),
+      wallet ? wallet.toLowerCase() : null,
+      key_id ?? null,
+      webhook_id ?? null,
+    ]
+  );
+  return rowCount;
+}
+
+/**
+ * Take up to `limit` due deliveries. Each one is leased (next_attempt_at
+ * pushed out by leaseSeconds, attempts + 1), so a worker that dies mid-send
+ * simply has its rows picked up again later; skip locked lets several
+ * workers share the queue.
+ */
+async function claimWebhookDeliveries({ limit = 20, leaseSeconds = 60 } = {}) {
+  const { rows } = await pool.query(
+    `update webhook_deliveries d
+     set attempts = d.attempts + 1,
+         next_attempt_at = now() + make_interval(secs => $2)
+     from webhooks w
+     where w.id = d.webhook_id
+       and d.id in (
+         select d2.id
+         from webhook_deliveries d2
+         join webhooks w2 on w2.id = d2.webhook_id
+         where d2.status = 'pending' and d2.next_attempt_at <= now() and w2.enabled
+         order by d2.next_attempt_at
+         limit $1
+         for update of d2 skip locked
+       )
+     returning d.id, d.webhook_id, d.event, d.payload, d.attempts, w.url, w.secret`,
+    [limit, leaseSeconds]
+  );
+  return rows;
+}
+
+/**
+ * Record a delivery attempt: delivered, retry in `retry_in_seconds`, or
+ * (retry_in_seconds null) given up.
+ */
+async function finishWebhookDelivery(
+  id,
+  { delivered, status_code = null, error = null, retry_in_seconds = null }
+) {
+  const status = delivered ? "delivered" : retry_in_seconds != null ? "pending" : "failed";
+  await pool.query(
+    `update webhook_deliveries
+     set status = $2,
+         last_status_code = $3,
+         last_error = $4,
+         delivered_at = case when $2 = 'delivered' then now() else delivered_at end,
+         next_attempt_at = case when $5::float8 is null then next_attempt_at
+                                else now() + make_interval(secs => $5::float8) end
+     where id = $1`,
+    [id, status, status_code, error, retry_in_seconds]
+  );
+}
+
+// Delivery log for one webhook, newest first
+async function listWebhookDeliveries(webhookId, { limit = 50 } = {}) {
+  const { rows } = await pool.query(
+    `select id, event, status, attempts, last_status_code, last_error, payload,
+            created_at, next_attempt_at, delivered_at
+     from webhook_deliveries
+     where webhook_id = $1
+     order by id desc
+     limit $2`,
+    [webhookId, limit]
+  );
+  return rows;
+}
+
+/**
+ * Wallets with a webhook whose entitlement (latest expiry across their live
+ * keys) ends within `days`, or ended less than `graceDays` ago.
+ */
+async function expiringEntitlements({ days, graceDays = 1 }) {
+  const { rows } = await pool.query(
+    `select wallet_address,
+            max(entitlement_expires_at) as expires_at,
+            (array_agg(tier order by id desc))[1] as tier
+     from api_keys
+     where wallet_address in (select wallet_address from webhooks where enabled)
+       and enabled = true
+       and revoked_at is null
+       and entitlement_expires_at is not null
+     group by wallet_address
+     having max(entitlement_expires_at) > now() - make_interval(days => $2)
+        and max(entitlement_expires_at) <= now() + make_interval(days => $1)`,
+    [days, graceDays]
+  );
+  return rows;
+}
+
+// ---- Personas (custom roast personas; the built-ins live in personas.js) ----
+
+const PERSONA_COLUMNS = "id, name, description, voice, glossary, created_at, updated_at";
+
+async function listPersonas(owner) {
+  const params = [];
+  const { rows } = await pool.query(
+    `select ${PERSONA_COLUMNS} from personas where ${ownerFilter(owner, params)} order by id`,
+    params
+  );
+  return rows;
+}
+
+// One of the owner's personas by name (roast requests), or null
+async function findPersona(owner, name) {
+  const params = [name];
+  const { rows } = await pool.query(
+    `select ${PERSONA_COLUMNS} from personas
+     where name = $1 and ${ownerFilter(owner, params)}`,
+    params
+  );
+  return rows[0] || null;
+}
+
+async function insertPersona({ wallet, key_id, name, description = null, voice, glossary }) {
+  const { rows } = await pool.query(
+    `insert into personas (wallet_address, key_id, name, description, voice, glossary)
+     values ($1, $2, $3, $4, $5, $6)
+     returning ${PERSONA_COLUMNS}`,
+    [
+      wallet ? wallet.toLowerCase() : null,
+      wallet ? null : key_id,
+      name,
+      description,
+      voice,
+      JSON.stringify(glossary),
+    ]
+  );
+  return rows[0];
+}
+
+const PERSONA_EDITABLE = ["name", "description", "voice", "glossary"];
+
+// Update one of the owner's personas. Returns the row or null if it isn't theirs.
+async function updatePersona(owner, id, fields) {
+  const params = [id];
+  const sets = ["updated_at = now()"];
+  for (const col of PERSONA_EDITABLE) {
+    if (fields[col] === undefined) continue;
+    params.push(col === "glossary" ? JSON.stringify(fields[col]) : fields[col]);
+    sets.push(`${col} = $${params.length}`);
+  }
+  if (sets.length === 1) throw new Error("nothing to update");
+
+  const { rows } = await pool.query(
+    `update personas set ${sets.join(", ")}
+     where id = $1 and ${ownerFilter(owner, params)}
+     returning ${PERSONA_COLUMNS}`,
+    params
+  );
+  return rows[0] || null;
+}
+
+async function deletePersona(owner, id) {
+  const params = [id];
+  const { rowCount } = await pool.query(
+    `delete from personas where id = $1 and ${ownerFilter(owner, params)}`,
+    params
+  );
+  return rowCount > 0;
+}
+
+// Key rotation: personas owned by the old (wallet-less) key follow the new one
+async function moveKeyPersonas(fromKeyId, toKeyId) {
+  await pool.query(
+    `update personas set key_id = $2 where key_id = $1 and wallet_address is null`,
+    [fromKeyId, toKeyId]
+  );
+}
 
 module.exports = {
   pool,
+  ping,
   getKeyRecordByHash,
   touchKeyUsage,
   insertApiKey,
   revokeApiKeyByHash,
+  rotateApiKey,
   upsertApiKeyForWallet,
+  listKeysForWallet,
+  updateKeyForWallet,
+  revokeKeyForWallet,
+  getChainCursor,
+  setChainCursor,
+  syncWalletEntitlement,
+  findKeys,
+  setKeyEnabled,
+  insertAdminAudit,
+  listAdminAudit,
+  insertUsageEvents,
+  usageAggregates,
+  listWebhooks,
+  insertWebhook,
+  updateWebhook,
+  deleteWebhook,
+  moveKeyWebhooks,
+  enqueueWebhookEvent,
+  claimWebhookDeliveries,
+  finishWebhookDelivery,
+  listWebhookDeliveries,
+  expiringEntitlements,
+  listPersonas,
+  findPersona,
+  insertPersona,
+  updatePersona,
+  deletePersona,
+  moveKeyPersonas,
 };
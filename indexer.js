@@ -0,0 +1,248 @@
+"use strict";
+const { ethers } = require("ethers");
+
+// --------------------
+// Purchase indexer: follows the Roaster contract's purchase logs and keeps
+// api_keys tier + entitlement_expires_at in sync with the chain.
+//
+// We only take the buyer address from each log and then re-read
+// entitlement(buyer) at the confirmed block, so the contract stays the source
+// of truth and reprocessing a range (after a reorg or restart) is harmless.
+// --------------------
+
+// Override if the deployed contract's event differs; the first address argument is the buyer.
+const DEFAULT_PURCHASE_EVENT =
+  "event Purchased(address indexed buyer, uint8 tier, uint8 durationId, uint64 expiresAt)";
+
+// Cursor per network; the default network keeps the original name so an
+// existing deployment resumes where it left off
+function cursorName(chainId, isDefault) {
+  return isDefault ? "roaster:purchases" : `roaster:purchases:${chainId}`;
+}
+
+function tierName(tier) {
+  return Number(tier) === 2 ? "pro" : "basic";
+}
+
+function buyerFromLog(iface, log) {
+  const parsed = iface.parseLog(log);
+  if (!parsed) return null;
+  const idx = parsed.fragment.inputs.findIndex((i) => i.type === "address");
+  return idx === -1 ? null : ethers.getAddress(parsed.args[idx]);
+}
+
+/**
+ * createPurchaseIndexer({ provider, contractAddress, db, log, ... })
+ *
+ * One indexer per network. db must provide getChainCursor(name),
+ * setChainCursor(name, block, hash) and
+ * syncWalletEntitlement({ wallet, tier, entitlement_expires_at_unix, chain_id, legacy_chain }).
+ *
+ * Options (all optional):
+ * - chainId / isDefault: the network being followed (default 8453, true);
+ *   only that network's keys are updated
+ * - confirmations: blocks behind head before a log is trusted (default 5)
+ * - batchBlocks: max blocks per eth_getLogs call (default 2000)
+ * - startBlock: first block when no cursor exists (default: current safe head)
+ * - pollMs: delay between ticks in start() (default 15000)
+ * - onSynced(wallet, entitlement): called after each wallet update (failures
+ *   are logged; the tick carries on)
+ */
+function createPurchaseIndexer({
+  provider,
+  contractAddress,
+  db,
+  log = console,
+  chainId = 8453,
+  isDefault = true,
+  purchaseEvent = DEFAULT_PURCHASE_EVENT,
+  confirmations = 5,
+  batchBlocks = 2000,
+  startBlock = null,
+  pollMs = 15_000,
+  onSynced = null,
+}) {
+  const iface = new ethers.Interface([
+    purchaseEvent,
+    "function entitlement(address) view returns (uint8 tier,uint64 expiresAt)",
+  ]);
+  const contract = new ethers.Contract(contractAddress, iface, provider);
+  const topic = iface.getEvent(iface.fragments[0].name).topicHash;
+  const CURSOR_NAME = cursorName(chainId, isDefault);
+
+  let timer = null;
+  let running = false;
+
+  // Where to resume from. Rewinds if the block we last processed was reorged out.
+  async function resumeFrom(safeHead) {
+    const cursor = await db.getChainCursor(CURSOR_NAME);
+    if (!cursor) return startBlock != null ? Number(startBlock) : safeHead;
+
+    const last = Number(cursor.block_number);
+    if (cursor.block_hash) {
+      const block = await provider.getBlock(last);
+      if (!block || block.hash !== cursor.block_hash) {
+        const rewindTo = Math.max(0, last - confirmations * 2);
+        log.warn({ chainId, last, rewindTo }, "Indexer cursor block was reorged; rewinding");
+        return rewindTo + 1;
+      }
+    }
+    return last + 1;
+  }
+
+  async function syncWallet(wallet, blockTag) {
+    const [tier, expiresAt] = await contract.entitlement(wallet, { blockTag });
+    const exp = Number(expiresAt);
+    const entitlement = { tier: Number(tier), expiresAt: exp };
+
+    const updated = await db.syncWalletEntitlement({
+      wallet,
+      tier: Number(tier) > 0 ? tierName(tier) : null,
+      entitlement_expires_at_unix: exp,
+      chain_id: chainId,
+      legacy_chain: isDefault,
+    });
+    log.info({ chainId, wallet, ...entitlement, keys: updated }, "Synced wallet entitlement");
+    if (!onSynced) return;
+    // The keys are already updated; a failed cache drop must not hold the cursor back
+    try {
+      await onSynced(wallet, entitlement);
+    } catch (err) {
+      log.warn({ err, chainId, wallet }, "Indexer onSynced hook failed");
+    }
+  }
+
+  /**
+   * Process every confirmed block since the cursor. Returns
+   * { from, to, logs, wallets } (from > to means nothing new).
+   */
+  async function tick() {
+    const head = await provider.getBlockNumber();
+    const safeHead = head - confirmations;
+    if (safeHead < 0) return { from: 0, to: -1, logs: 0, wallets: 0 };
+
+    let from = await resumeFrom(safeHead);
+    const first = from;
+    let logsSeen = 0;
+    let walletsSeen = 0;
+
+    while (from <= safeHead) {
+      const to = Math.min(from + batchBlocks - 1, safeHead);
+      const logs = await provider.getLogs({
+        address: contractAddress,
+        topics: [topic],
+        fromBlock: from,
+        toBlock: to,
+      });
+
+      const wallets = new Set();
+      for (const l of logs) {
+        const buyer = buyerFromLog(iface, l);
+        if (buyer) wallets.add(buyer);
+      }
+      for (const wallet of wallets) await syncWallet(wallet, to);
+
+      const toBlock = await provider.getBlock(to);
+      await db.setChainCursor(CURSOR_NAME, to, toBlock?.hash || null);
+
+      logsSeen += logs.length;
+      walletsSeen += wallets.size;
+      from = to + 1;
+    }
+
+    return { from: first, to: safeHead, logs: logsSeen, wallets: walletsSeen };
+  }
+
+  async function loop() {
+    if (!running) return;
+    try {
+      const r = await tick();
+      if (r.logs) log.info({ chainId, ...r }, "Indexer tick");
+    } catch (err) {
+      log.error({ err, chainId }, "Indexer tick failed");
+    }
+    if (running) timer = setTimeout(loop, pollMs);
+  }
+
+  return {
+    tick,
+    start() {
+      if (running) return;
+      running = true;
+      loop();
+    },
+    stop() {
+      running = false;
+      if (timer) clearTimeout(timer);
+      timer = null;
+    },
+  };
+}
+
+// Env-driven construction shared by index.js and the standalone runner below
+function indexerOptionsFromEnv(env = process.env) {
+  return {
+    purchaseEvent: env.INDEXER_PURCHASE_EVENT || DEFAULT_PURCHASE_EVENT,
+    confirmations: Number(env.INDEXER_CONFIRMATIONS ?? 5),
+    batchBlocks: Number(env.INDEXER_BATCH_BLOCKS || 2000),
+    startBlock: env.INDEXER_START_BLOCK ? Number(env.INDEXER_START_BLOCK) : null,
+    pollMs: Number(env.INDEXER_POLL_MS || 15_000),
+  };
+}
+
+module.exports = {
+  DEFAULT_PURCHASE_EVENT,
+  createPurchaseIndexer,
+  indexerOptionsFromEnv,
+};
+
+// Standalone: `node indexer.js [--chain <name|chainId>]` (loop) or with `--once`.
+// Defaults to the default network; `--chain local` follows an Anvil/Hardhat node.
+if (require.main === module) {
+  require("dotenv").config();
+  const db = require("./db");
+  const { networksFromEnv } = require("./networks");
+  const { createRpcProvider, rpcOptionsFromEnv } = require("./rpc");
+
+  const networks = networksFromEnv();
+  const i = process.argv.indexOf("--chain");
+  const want = i > 0 ? String(process.argv[i + 1]).toLowerCase() : null;
+  const net = want
+    ? networks.find((n) => n.name === want || String(n.chainId) === want)
+    : networks[0];
+  if (!net || !net.rpcUrls.length || !net.contract) {
+    console.error(`No RPC URL / contract configured for network ${want || net?.name}`);
+    process.exit(1);
+  }
+
+  const provider = createRpcProvider({
+    urls: net.rpcUrls,
+    chainId: net.chainId,
+    ...rpcOptionsFromEnv(),
+  });
+  const indexer = createPurchaseIndexer({
+    provider,
+    contractAddress: net.contract,
+    db,
+    chainId: net.chainId,
+    isDefault: net.isDefault,
+    ...indexerOptionsFromEnv(),
+  });
+
+  if (process.argv.includes("--once")) {
+    indexer
+      .tick()
+      .then((r) => console.log(JSON.stringify(r)))
+      .catch((err) => {
+        console.error(err);
+        process.exitCode = 1;
+      })
+      .finally(() => db.pool.end());
+  } else {
+    indexer.start();
+    process.on("SIGINT", () => {
+      indexer.stop();
+      db.pool.end().finally(() => process.exit(0));
+    });
+  }
+}
@@ -0,0 +1,343 @@
+"use strict";
+const crypto = require("crypto");
+const fs = require("fs");
+const OpenAI = require("openai");
+
+// --------------------
+// LLM providers (roast generation)
+//
+// Every provider exposes the same shape:
+//   name
+//   modelFor(tier)                                  -> model id for "free" | "basic" | "pro"
+//   generate({ model, system, user, maxTokens, signal }) -> { text, usage }
+//   stream({ model, system, user, maxTokens, signal })   -> async iterable of
+//        { type: "delta", text } ... then { type: "done", usage }
+// --------------------
+
+// Per-tier model map from env: <PREFIX> is the default, <PREFIX>_FREE / _BASIC / _PRO override.
+function tierModels(prefix, fallback, env = process.env) {
+  const base = env[prefix] || fallback;
+  return {
+    free: env[`${prefix}_FREE`] || base,
+    basic: env[`${prefix}_BASIC`] || base,
+    pro: env[`${prefix}_PRO`] || base,
+  };
+}
+
+function pickModel(models, tier) {
+  return models[tier] || models.basic;
+}
+
+function normalizeUsage(u) {
+  if (!u) return null;
+  const input = u.input_tokens ?? u.prompt_tokens;
+  const output = u.output_tokens ?? u.completion_tokens;
+  return {
+    input_tokens: input,
+    output_tokens: output,
+    total_tokens: u.total_tokens ?? (input ?? 0) + (output ?? 0),
+  };
+}
+
+// OpenAI proper, via the Responses API (current behaviour)
+function createOpenAIProvider({ apiKey, models }) {
+  const client = new OpenAI({ apiKey });
+
+  return {
+    name: "openai",
+    configured: !!apiKey,
+    modelFor: (tier) => pickModel(models, tier),
+
+    async generate({ model, system, user, maxTokens, signal }) {
+      const resp = await client.responses.create(
+        {
+          model,
+          input: [
+            { role: "system", content: system },
+            { role: "user", content: user },
+          ],
+          max_output_tokens: maxTokens,
+        },
+        { signal }
+      );
+      return { text: (resp.output_text || "").trim(), usage: normalizeUsage(resp.usage) };
+    },
+
+    async *stream({ model, system, user, maxTokens, signal }) {
+      const events = await client.responses.create(
+        {
+          model,
+          input: [
+            { role: "system", content: system },
+            { role: "user", content: user },
+          ],
+          max_output_tokens: maxTokens,
+          stream: true,
+        },
+        { signal }
+      );
+
+      let usage = null;
+      for await (const ev of events) {
+        if (ev.type === "response.output_text.delta") {
+          yield { type: "delta", text: ev.delta };
+        } else if (ev.type === "response.completed") {
+          usage = normalizeUsage(ev.response?.usage);
+        } else if (ev.type === "response.failed" || ev.type === "error") {
+          throw new Error(ev.response?.error?.message || ev.message || "stream error");
+        }
+      }
+      yield { type: "done", usage };
+    },
+  };
+}
+
+// Any OpenAI-compatible server (Ollama, llama.cpp, vLLM, LM Studio...) via Chat Completions
+function createCompatibleProvider({ baseURL, apiKey, models }) {
+  // Local servers usually ignore the key, but the SDK insists on one
+  const client = new OpenAI({ baseURL, apiKey: apiKey || "local" });
+
+  return {
+    name: "local",
+    configured: !!baseURL,
+    modelFor: (tier) => pickModel(models, tier),
+
+    async generate({ model, system, user, maxTokens, signal }) {
+      const resp = await client.chat.completions.create(
+        {
+          model,
+          messages: [
+            { role: "system", content: system },
+            { role: "user", content: user },
+          ],
+          max_tokens: maxTokens,
+        },
+        { signal }
+      );
+      const text = resp.choices?.[0]?.message?.content || "";
+      return { text: text.trim(), usage: normalizeUsage(resp.usage) };
+    },
+
+    async *stream({ model, system, user, maxTokens, signal }) {
+      const chunks = await client.chat.completions.create(
+        {
+          model,
+          messages: [
+            { role: "system", content: system },
+            { role: "user", content: user },
+          ],
+          max_tokens: maxTokens,
+          stream: true,
+          stream_options: { include_usage: true },
+        },
+        { signal }
+      );
+
+      let usage = null;
+      for await (const chunk of chunks) {
+        const delta = chunk.choices?.[0]?.delta?.content;
+        if (delta) yield { type: "delta", text: delta };
+        if (chunk.usage) usage = normalizeUsage(chunk.usage);
+      }
+      yield { type: "done", usage };
+    },
+  };
+}
+
+const DEFAULT_MOCK_ROASTS = [
+  "You post like your keyboard is on a subscription plan and you're trying to get your money's worth.",
+  "That take was so lukewarm the microwave asked for a second go.",
+  "Your heartbeat routine has more personality than your comments.",
+  "Bold strategy: typing first and thinking never.",
+  "I've seen loading spinners with more original ideas.",
+];
+
+/**
+ * Deterministic provider for CI / offline boxes. The same prompt always gets
+ * the same roast. `fixtures` replaces the canned lines; from the environment
+ * it is read from LLM_MOCK_FIXTURES, the path of a JSON file holding an array
+ * of strings (see loadMockFixtures).
+ */
+function createMockProvider({ fixtures } = {}) {
+  const roasts = fixtures && fixtures.length ? fixtures : DEFAULT_MOCK_ROASTS;
+
+  function pick(system, user) {
+    const h = crypto.createHash("sha256").update(`${system}\n${user}`).digest();
+    return roasts[h.readUInt32BE(0) % roasts.length];
+  }
+
+  function usageFor(system, user, text) {
+    // Rough 4-chars-per-token estimate so downstream usage numbers aren't empty
+    const input = Math.ceil((system.length + user.length) / 4);
+    const output = Math.ceil(text.length / 4);
+    return { input_tokens: input, output_tokens: output, total_tokens: input + output };
+  }
+
+  return {
+    name: "mock",
+    configured: true,
+    modelFor: () => "mock",
+
+    async generate({ system, user }) {
+      const text = pick(system, user);
+      return { text, usage: usageFor(system, user, text) };
+    },
+
+    async *stream({ system, user }) {
+      const text = pick(system, user);
+      for (const word of text.split(/(?<= )/)) yield { type: "delta", text: word };
+      yield { type: "done", usage: usageFor(system, user, text) };
+    },
+  };
+}
+
+// LLM_MOCK_FIXTURES is a file path, not inline JSON
+function loadMockFixtures(file) {
+  if (!file) return null;
+  if (file.trim().startsWith("[")) {
+    throw new Error("LLM_MOCK_FIXTURES is a file path; put the JSON array in that file");
+  }
+  const list = JSON.parse(fs.readFileSync(file, "utf8"));
+  if (!Array.isArray(list) || !list.every((s) => typeof s === "string")) {
+    throw new Error(`LLM_MOCK_FIXTURES: ${file} must hold a JSON array of strings`);
+  }
+  return list;
+}
+
+function createProvider(name, env = process.env) {
+  switch (name) {
+    case "openai":
+      return createOpenAIProvider({
+        apiKey: env.OPENAI_API_KEY,
+        models: tierModels("ROASTER_MODEL", "gpt-4.1-nano", env),
+      });
+    case "local":
+      return createCompatibleProvider({
+        baseURL: env.LOCAL_LLM_BASE_URL || "http://127.0.0.1:11434/v1",
+        apiKey: env.LOCAL_LLM_API_KEY,
+        models: tierModels("LOCAL_LLM_MODEL", "llama3.2", env),
+      });
+    case "mock":
+      return createMockProvider({ fixtures: loadMockFixtures(env.LLM_MOCK_FIXTURES) });
+    default:
+      throw new Error(`Unknown LLM provider: ${name}`);
+  }
+}
+
+/**
+ * Primary provider with optional failover to a secondary one.
+ *
+ * generate(): any primary error (except our own abort) retries once on the
+ * secondary. stream(): fails over only if the primary dies before it has
+ * produced any text; callers relay deltas as they pass the safety checks, so
+ * switching models mid-roast would splice two drafts together.
+ *
+ * Results carry { provider, model } so callers can log what actually ran.
+ * observe({ provider, model, kind, seconds, error }) (optional) is called once
+ * per provider attempt, e.g. for metrics. status() reports each provider's
+ * last success / failure for /health.
+ */
+function createLLM({ primary, secondary = null, log = null, observe = null }) {
+  const chain = secondary ? [primary, secondary] : [primary];
+  const seen = new Map(chain.map((p) => [p, { lastOkAt: null, lastErrorAt: null }]));
+
+  function request(provider, { tier, system, user, maxTokens, signal }) {
+    return { model: provider.modelFor(tier), system, user, maxTokens, signal };
+  }
+
+  function timer(provider, model, kind) {
+    const started = performance.now();
+    return (error = null) => {
+      seen.get(provider)[error ? "lastErrorAt" : "lastOkAt"] = new Date();
+      observe?.({
+        provider: provider.name,
+        model,
+        kind,
+        seconds: (performance.now() - started) / 1000,
+        error,
+      });
+    };
+  }
+
+  return {
+    primary,
+    secondary,
+    configured: primary.configured || !!secondary?.configured,
+
+    // A provider is ok when configured and its last attempt (if any) succeeded
+    status() {
+      return chain.map((provider) => {
+        const { lastOkAt, lastErrorAt } = seen.get(provider);
+        return {
+          name: provider.name,
+          configured: provider.configured,
+          ok: provider.configured && !(lastErrorAt && (!lastOkAt || lastErrorAt > lastOkAt)),
+          lastOkAt: lastOkAt?.toISOString() ?? null,
+          lastErrorAt: lastErrorAt?.toISOString() ?? null,
+        };
+      });
+    },
+
+    async generate(opts) {
+      let lastErr;
+      for (const provider of chain) {
+        if (!provider.configured) continue;
+        const req = request(provider, opts);
+        const done = timer(provider, req.model, "generate");
+        try {
+          const out = await provider.generate(req);
+          done();
+          return { ...out, provider: provider.name, model: req.model };
+        } catch (e) {
+          if (opts.signal?.aborted) throw e;
+          done(e);
+          lastErr = e;
+          log?.warn({ err: e, provider: provider.name }, "LLM provider failed");
+        }
+      }
+      throw lastErr || new Error("No LLM provider configured");
+    },
+
+    async *stream(opts) {
+      let lastErr;
+      for (const provider of chain) {
+        if (!provider.configured) continue;
+        const req = request(provider, opts);
+        const done = timer(provider, req.model, "stream");
+        let started = false;
+        try {
+          for await (const ev of provider.stream(req)) {
+            if (ev.type === "delta") started = true;
+            yield ev.type === "done" ? { ...ev, provider: provider.name, model: req.model } : ev;
+          }
+          done();
+          return;
+        } catch (e) {
+          if (!opts.signal?.aborted) done(e);
+          if (opts.signal?.aborted || started) throw e;
+          lastErr = e;
+          log?.warn({ err: e, provider: provider.name }, "LLM provider failed (stream)");
+        }
+      }
+      throw lastErr || new Error("No LLM provider configured");
+    },
+  };
+}
+
+// Build the router from env: LLM_PROVIDER (default openai) + optional LLM_FALLBACK_PROVIDER
+function createLLMFromEnv(env = process.env, log = null, observe = null) {
+  const primary = createProvider(env.LLM_PROVIDER || "openai", env);
+  const secondary = env.LLM_FALLBACK_PROVIDER
+    ? createProvider(env.LLM_FALLBACK_PROVIDER, env)
+    : null;
+  return createLLM({ primary, secondary, log, observe });
+}
+
+module.exports = {
+  createOpenAIProvider,
+  createCompatibleProvider,
+  createMockProvider,
+  createProvider,
+  createLLM,
+  createLLMFromEnv,
+};
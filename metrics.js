@@ -0,0 +1,193 @@
+"use strict";
+const client = require("prom-client");
+
+// --------------------
+// Prometheus metrics (/metrics)
+//
+// Everything lives on its own registry so tests / multiple app instances
+// don't collide on prom-client's global one.
+// --------------------
+
+const LATENCY_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+function createMetrics({ prefix = "roaster_", defaults = true } = {}) {
+  const registry = new client.Registry();
+  if (defaults) client.collectDefaultMetrics({ register: registry, prefix });
+
+  const m = (name) => `${prefix}${name}`;
+
+  const httpRequests = new client.Counter({
+    name: m("http_requests_total"),
+    help: "HTTP requests by route and status",
+    labelNames: ["method", "route", "status_code"],
+    registers: [registry],
+  });
+  const httpDuration = new client.Histogram({
+    name: m("http_request_duration_seconds"),
+    help: "HTTP request latency by route and status",
+    labelNames: ["method", "route", "status_code"],
+    buckets: LATENCY_BUCKETS,
+    registers: [registry],
+  });
+
+  const llmDuration = new client.Histogram({
+    name: m("roast_generation_duration_seconds"),
+    help: "Roast generation latency per provider attempt",
+    labelNames: ["provider", "model", "kind", "outcome"],
+    buckets: LATENCY_BUCKETS,
+    registers: [registry],
+  });
+  const llmErrors = new client.Counter({
+    name: m("roast_generation_errors_total"),
+    help: "Failed roast generation attempts (before any failover)",
+    labelNames: ["provider", "model", "kind"],
+    registers: [registry],
+  });
+
+  const rateLimited = new client.Counter({
+    name: m("rate_limit_rejections_total"),
+    help: "Roast requests rejected by a daily limit, by counter scope",
+    labelNames: ["scope"],
+    registers: [registry],
+  });
+
+  const planCache = new client.Counter({
+    name: m("plan_cache_requests_total"),
+    help: "getPlansCached lookups by result (hit | miss)",
+    labelNames: ["result"],
+    registers: [registry],
+  });
+
+  const rpcDuration = new client.Histogram({
+    name: m("rpc_request_duration_seconds"),
+    help: "JSON-RPC call latency by network and method",
+    labelNames: ["network", "method"],
+    buckets: LATENCY_BUCKETS,
+    registers: [registry],
+  });
+  const rpcErrors = new client.Counter({
+    name: m("rpc_errors_total"),
+    help: "JSON-RPC calls that failed (transport error or error response)",
+    labelNames: ["network", "method"],
+    registers: [registry],
+  });
+
+  const redisErrors = new client.Counter({
+    name: m("redis_errors_total"),
+    help: "Redis client error events",
+    registers: [registry],
+  });
+  const pgErrors = new client.Counter({
+    name: m("pg_pool_errors_total"),
+    help: "Postgres idle-client errors reported by the pool",
+    registers: [registry],
+  });
+
+  /**
+   * Count and time every request (route = the registered pattern, so
+   * /api/v1/tx/:hash is one series). Hooks the raw response so hijacked
+   * SSE streams are measured too.
+   */
+  function observeRequests(app) {
+    app.addHook("onRequest", async (req, reply) => {
+      const started = performance.now();
+      reply.raw.once("close", () => {
+        const labels = {
+          method: req.method,
+          route: req.routeOptions?.url || "unmatched",
+          status_code: String(reply.raw.statusCode),
+        };
+        httpRequests.inc(labels);
+        httpDuration.observe(labels, (performance.now() - started) / 1000);
+      });
+    });
+  }
+
+  // Hook for createLLM({ observe }): one call per provider attempt
+  function observeLLM({ provider, model, kind, seconds, error }) {
+    llmDuration.observe({ provider, model, kind, outcome: error ? "error" : "ok" }, seconds);
+    if (error) llmErrors.inc({ provider, model, kind });
+  }
+
+  /**
+   * Time every JSON-RPC request an ethers JsonRpcProvider sends. ethers may
+   * batch several calls into one HTTP request; each call in the batch is
+   * observed with the batch's duration. `network` is the networks.js name.
+   */
+  function instrumentProvider(provider, network = "base") {
+    const send = provider._send.bind(provider);
+    provider._send = async (payload) => {
+      const calls = [].concat(payload);
+      const started = performance.now();
+      const observe = (results) => {
+        const seconds = (performance.now() - started) / 1000;
+        calls.forEach((call, i) => {
+          rpcDuration.observe({ network, method: call.method }, seconds);
+          const res = results ? results.find((r) => r.id === call.id) || results[i] : null;
+          if (!results || res?.error) rpcErrors.inc({ network, method: call.method });
+        });
+      };
+
+      try {
+        const results = await send(payload);
+        observe([].concat(results));
+        return results;
+      } catch (e) {
+        observe(null);
+        throw e;
+      }
+    };
+    return provider;
+  }
+
+  const redisDegraded = new client.Gauge({
+    name: m("redis_degraded"),
+    help: "1 while counters and nonces are served in-process because Redis is down",
+    registers: [registry],
+  });
+
+  // Redis / Postgres health, read at scrape time
+  function watchRedis(redis) {
+    redis.on("error", () => redisErrors.inc());
+    new client.Gauge({
+      name: m("redis_up"),
+      help: "1 if the Redis client is connected and ready",
+      registers: [registry],
+      collect() {
+        this.set(redis.isReady ? 1 : 0);
+      },
+    });
+  }
+
+  function watchPool(pool) {
+    pool.on("error", () => pgErrors.inc());
+    const gauge = (name, help, read) =>
+      new client.Gauge({
+        name: m(name),
+        help,
+        registers: [registry],
+        collect() {
+          this.set(read());
+        },
+      });
+    gauge("pg_pool_clients", "Postgres clients in the pool", () => pool.totalCount);
+    gauge("pg_pool_idle_clients", "Idle Postgres clients in the pool", () => pool.idleCount);
+    gauge("pg_pool_waiting_requests", "Queries waiting for a pool client", () => pool.waitingCount);
+  }
+
+  return {
+    registry,
+    contentType: registry.contentType,
+    render: () => registry.metrics(),
+    observeRequests,
+    observeLLM,
+    instrumentProvider,
+    watchRedis,
+    watchPool,
+    rateLimited: (scope) => rateLimited.inc({ scope }),
+    planCache: (hit) => planCache.inc({ result: hit ? "hit" : "miss" }),
+    redisDegraded: (on) => redisDegraded.set(on ? 1 : 0),
+  };
+}
+
+module.exports = { createMetrics };
@@ -0,0 +1,236 @@
+"use strict";
+const fs = require("fs");
+const path = require("path");
+
+// --------------------
+// Schema migrations
+//
+// Each file in migrations/ is NNN_name.js exporting { up, down } SQL strings.
+// Applied versions are recorded in schema_migrations; every migration runs in
+// its own transaction, under an advisory lock so two deploys can't race.
+// The early migrations use "if not exists" so databases created before this
+// existed can simply run them.
+// --------------------
+
+const MIGRATIONS_DIR = path.join(__dirname, "migrations");
+const LOCK_NAME = "roaster:migrations";
+
+function loadMigrations(dir = MIGRATIONS_DIR) {
+  const out = [];
+  for (const file of fs.readdirSync(dir)) {
+    const m = file.match(/^(\d+)_([\w-]+)\.js$/);
+    if (!m) continue;
+    const { up, down } = require(path.join(dir, file));
+    if (typeof up !== "string" || typeof down !== "string") {
+      throw new Error(`Migration ${file} must export { up, down } SQL strings`);
+    }
+    out.push({ version: Number(m[1]), name: m[2], up, down });
+  }
+
+  out.sort((a, b) => a.version - b.version);
+  for (let i = 1; i < out.length; i++) {
+    if (out[i].version === out[i - 1].version) {
+      throw new Error(`Duplicate migration version ${out[i].version}`);
+    }
+  }
+  return out;
+}
+
+// 3 -> "003_api_keys_binding" (the file name, minus .js)
+function migrationLabel({ version, name }) {
+  return `${String(version).padStart(3, "0")}_${name}`;
+}
+
+async function ensureMigrationsTable(client) {
+  await client.query(
+    `create table if not exists schema_migrations (
+       version integer primary key,
+       name text not null,
+       applied_at timestamptz not null default now()
+     )`
+  );
+}
+
+/**
+ * Compare the database with migrations/. Returns
+ * { current, latest, pending: [...], unknown: [...] } where `unknown` are
+ * versions the database has but this code doesn't (a newer deploy ran them).
+ */
+async function migrationStatus(pool, migrations = loadMigrations()) {
+  const { rows } = await pool.query(
+    `select to_regclass('schema_migrations') is not null as present`
+  );
+  const applied = rows[0].present
+    ? (await pool.query("select version from schema_migrations")).rows.map((r) => r.version)
+    : [];
+
+  const done = new Set(applied);
+  const known = new Set(migrations.map((m) => m.version));
+  return {
+    current: applied.length ? Math.max(...applied) : 0,
+    latest: migrations.length ? migrations[migrations.length - 1].version : 0,
+    pending: migrations
+      .filter((m) => !done.has(m.version))
+      .map(({ version, name }) => ({ version, name })),
+    unknown: applied.filter((v) => !known.has(v)).sort((a, b) => a - b),
+  };
+}
+
+async function withLock(pool, fn) {
+  const client = await pool.connect();
+  try {
+    await client.query("select pg_advisory_lock(hashtext($1))", [LOCK_NAME]);
+    try {
+      await ensureMigrationsTable(client);
+      return await fn(client);
+    } finally {
+      await client.query("select pg_advisory_unlock(hashtext($1))", [LOCK_NAME]);
+    }
+  } finally {
+    client.release();
+  }
+}
+
+async function inTransaction(client, fn) {
+  await client.query("begin");
+  try {
+    await fn();
+    await client.query("commit");
+  } catch (e) {
+    try {
+      await client.query("rollback");
+    } catch {}
+    throw e;
+  }
+}
+
+// Apply every pending migration up to `to` (default: all). Returns the versions applied.
+async function migrateUp(pool, opts = {}) {
+  const { to = Infinity, log = console, migrations = loadMigrations() } = opts;
+  // "m.version > NaN" is always false, so a bad target would apply everything
+  if (to !== Infinity && (!Number.isInteger(to) || to < 1)) {
+    throw new Error(`Target version must be a positive integer (got ${to})`);
+  }
+  return withLock(pool, async (client) => {
+    const { rows } = await client.query("select version from schema_migrations");
+    const done = new Set(rows.map((r) => r.version));
+
+    const applied = [];
+    for (const m of migrations) {
+      if (m.version > to || done.has(m.version)) continue;
+      await inTransaction(client, async () => {
+        await client.query(m.up);
+        await client.query(`insert into schema_migrations (version, name) values ($1, $2)`, [
+          m.version,
+          m.name,
+        ]);
+      });
+      log.info({ version: m.version, name: m.name }, "Applied migration");
+      applied.push(m.version);
+    }
+    return applied;
+  });
+}
+
+// Roll back the newest `steps` applied migrations. Returns the versions reverted.
+async function migrateDown(pool, opts = {}) {
+  const { steps = 1, log = console, migrations = loadMigrations() } = opts;
+  // A NaN here would reach "limit $1" and fail (or worse) inside the lock
+  if (!Number.isInteger(steps) || steps < 1) {
+    throw new Error(`steps must be a positive integer (got ${steps})`);
+  }
+  const byVersion = new Map(migrations.map((m) => [m.version, m]));
+
+  return withLock(pool, async (client) => {
+    const { rows } = await client.query(
+      "select version from schema_migrations order by version desc limit $1",
+      [steps]
+    );
+
+    const reverted = [];
+    for (const { version } of rows) {
+      const m = byVersion.get(version);
+      if (!m) throw new Error(`Migration ${version} is not in migrations/; can't roll it back`);
+      await inTransaction(client, async () => {
+        await client.query(m.down);
+        await client.query("delete from schema_migrations where version = $1", [version]);
+      });
+      log.info({ version, name: m.name }, "Reverted migration");
+      reverted.push(version);
+    }
+    return reverted;
+  });
+}
+
+/**
+ * Startup guard: throws (err.code = "SCHEMA_BEHIND") if any migration is
+ * pending. Versions we don't know about only warn, so an older instance keeps
+ * serving while a newer deploy rolls out.
+ */
+async function assertSchemaCurrent(pool, { log = console, migrations = loadMigrations() } = {}) {
+  const status = await migrationStatus(pool, migrations);
+  if (status.pending.length) {
+    const names = status.pending.map(migrationLabel).join(", ");
+    const err = new Error(
+      `Database schema is behind (at ${status.current}, need ${status.latest}; ` +
+        `pending: ${names}). Run \`npm run migrate\`.`
+    );
+    err.code = "SCHEMA_BEHIND";
+    throw err;
+  }
+  if (status.unknown.length) {
+    log.warn({ unknown: status.unknown }, "Database has migrations this build doesn't know about");
+  }
+  return status;
+}
+
+module.exports = {
+  loadMigrations,
+  migrationStatus,
+  migrateUp,
+  migrateDown,
+  assertSchemaCurrent,
+};
+
+// Standalone: `node migrate.js [status | up [version] | down [steps]]`
+if (require.main === module) {
+  require("dotenv").config();
+  const { pool } = require("./db");
+
+  const USAGE = "Usage: node migrate.js [status | up [version] | down [steps]]";
+  const [cmd = "status", arg] = process.argv.slice(2);
+  const log = {
+    info: (o, msg) => console.log(`${msg}: ${migrationLabel(o)}`),
+    warn: (o, msg) => console.warn(msg, o),
+  };
+
+  // Optional positive-integer argument; exits with usage on anything else
+  const count = (fallback) => {
+    if (arg === undefined) return fallback;
+    const n = Number(arg);
+    if (/^\d+$/.test(arg) && Number.isInteger(n) && n > 0) return n;
+    console.error(`'${arg}' is not a positive integer.\n${USAGE}`);
+    process.exit(1);
+  };
+
+  let run;
+  if (cmd === "status") run = () => migrationStatus(pool);
+  else if (cmd === "up") {
+    const to = count(Infinity);
+    run = () => migrateUp(pool, { to, log });
+  } else if (cmd === "down") {
+    const steps = count(1);
+    run = () => migrateDown(pool, { steps, log });
+  } else {
+    console.error(USAGE);
+    process.exit(1);
+  }
+
+  run()
+    .then((r) => console.log(JSON.stringify(r)))
+    .catch((err) => {
+      console.error(err.message);
+      process.exitCode = 1;
+    })
+    .finally(() => pool.end());
+}
@@ -0,0 +1,28 @@
+"use strict";
+
+// The api_keys table as it existed before migrations: one row per issued key,
+// only the salted hash is stored. daily_limit is NOT NULL with a default, so
+// callers omit it (never insert NULL) to get the tier default.
+module.exports = {
+  up: `
+    create table if not exists api_keys (
+      id serial primary key,
+      key_hash text not null,
+      wallet_address text,
+      tier text not null,
+      daily_limit integer not null default 200,
+      enabled boolean not null default true,
+      expires_at timestamptz,
+      entitlement_expires_at timestamptz,
+      revoked_at timestamptz,
+      agent_name text,
+      last_used_at timestamptz,
+      created_at timestamptz not null default now(),
+      constraint api_keys_key_hash_key unique (key_hash)
+    );
+    create index if not exists api_keys_wallet_address_idx on api_keys (wallet_address);
+  `,
+  down: `
+    drop table if exists api_keys;
+  `,
+};
@@ -0,0 +1,13 @@
+"use strict";
+
+// Multi-key wallets: a free-text label and an optional per-key sub-cap of the wallet pool
+module.exports = {
+  up: `
+    alter table api_keys add column if not exists label text;
+    alter table api_keys add column if not exists key_daily_cap integer;
+  `,
+  down: `
+    alter table api_keys drop column if exists key_daily_cap;
+    alter table api_keys drop column if exists label;
+  `,
+};
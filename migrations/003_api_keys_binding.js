@@ -0,0 +1,15 @@
+"use strict";
+
+// Requester binding: how body.requester must match agent_name
+// (strict | case-insensitive | allowlist, with extra names for allowlist mode)
+module.exports = {
+  up: `
+    alter table api_keys
+      add column if not exists binding_mode text not null default 'case-insensitive';
+    alter table api_keys add column if not exists allowed_names text[];
+  `,
+  down: `
+    alter table api_keys drop column if exists allowed_names;
+    alter table api_keys drop column if exists binding_mode;
+  `,
+};
@@ -0,0 +1,16 @@
+"use strict";
+
+// Purchase indexer progress: last processed block (and its hash, for reorg detection)
+module.exports = {
+  up: `
+    create table if not exists chain_cursors (
+      name text primary key,
+      block_number bigint not null,
+      block_hash text,
+      updated_at timestamptz not null default now()
+    );
+  `,
+  down: `
+    drop table if exists chain_cursors;
+  `,
+};
@@ -0,0 +1,19 @@
+"use strict";
+
+// One row per admin API / operator CLI action
+module.exports = {
+  up: `
+    create table if not exists admin_audit (
+      id bigserial primary key,
+      actor text not null,
+      action text not null,
+      target text,
+      details jsonb,
+      ip text,
+      created_at timestamptz not null default now()
+    );
+  `,
+  down: `
+    drop table if exists admin_audit;
+  `,
+};
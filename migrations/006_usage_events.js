@@ -0,0 +1,35 @@
+"use strict";
+
+// Usage ledger: one row per roast call (per item for batches), written in
+// batches by usage.js. Free callers are identified by IP, key holders by key.
+module.exports = {
+  up: `
+    create table if not exists usage_events (
+      id bigserial primary key,
+      created_at timestamptz not null default now(),
+      endpoint text not null,
+      key_id integer,
+      key_hash text,
+      wallet_address text,
+      ip text,
+      requester text,
+      tier text not null,
+      mode text,
+      outcome text not null,
+      status_code integer,
+      items integer not null default 1,
+      latency_ms integer,
+      provider text,
+      model text,
+      input_tokens integer,
+      output_tokens integer,
+      total_tokens integer
+    );
+    create index if not exists usage_events_created_at_idx on usage_events (created_at);
+    create index if not exists usage_events_wallet_idx on usage_events (wallet_address, created_at);
+    create index if not exists usage_events_key_idx on usage_events (key_hash, created_at);
+  `,
+  down: `
+    drop table if exists usage_events;
+  `,
+};
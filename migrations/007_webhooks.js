@@ -0,0 +1,48 @@
+"use strict";
+
+// Outbound webhooks. A webhook belongs to a wallet (every key on it) or, for
+// keys without a wallet, to a single key. webhook_deliveries is both the
+// persistent retry queue and the delivery log; dedupe_key stops the same
+// event (e.g. "80% of today's quota") from being queued twice.
+module.exports = {
+  up: `
+    create table if not exists webhooks (
+      id serial primary key,
+      wallet_address text,
+      key_id integer,
+      url text not null,
+      secret text not null,
+      events text[] not null,
+      description text,
+      enabled boolean not null default true,
+      created_at timestamptz not null default now(),
+      check (wallet_address is not null or key_id is not null)
+    );
+    create index if not exists webhooks_wallet_idx on webhooks (wallet_address);
+    create index if not exists webhooks_key_idx on webhooks (key_id);
+
+    create table if not exists webhook_deliveries (
+      id bigserial primary key,
+      webhook_id integer not null references webhooks (id) on delete cascade,
+      event text not null,
+      dedupe_key text not null,
+      payload jsonb not null,
+      status text not null default 'pending',
+      attempts integer not null default 0,
+      next_attempt_at timestamptz not null default now(),
+      last_status_code integer,
+      last_error text,
+      created_at timestamptz not null default now(),
+      delivered_at timestamptz,
+      unique (webhook_id, dedupe_key)
+    );
+    create index if not exists webhook_deliveries_due_idx
+      on webhook_deliveries (next_attempt_at) where status = 'pending';
+    create index if not exists webhook_deliveries_log_idx
+      on webhook_deliveries (webhook_id, id);
+  `,
+  down: `
+    drop table if exists webhook_deliveries;
+    drop table if exists webhooks;
+  `,
+};
@@ -0,0 +1,13 @@
+"use strict";
+
+// Which network a key's entitlement was read from. Null for operator-minted
+// keys and for wallet keys claimed before networks were recorded; the latter
+// are treated as belonging to the default network (ROASTER_CHAIN_ID).
+module.exports = {
+  up: `
+    alter table api_keys add column if not exists chain_id integer;
+  `,
+  down: `
+    alter table api_keys drop column if exists chain_id;
+  `,
+};
@@ -0,0 +1,28 @@
+"use strict";
+
+// Custom roast personas (voice + glossary), owned like webhooks: by a wallet,
+// or by a single key when the key has no wallet. Names are unique per owner
+// and never collide with the built-ins (personas.js checks that).
+module.exports = {
+  up: `
+    create table if not exists personas (
+      id serial primary key,
+      wallet_address text,
+      key_id integer,
+      name text not null,
+      description text,
+      voice text not null,
+      glossary jsonb not null default '[]',
+      created_at timestamptz not null default now(),
+      updated_at timestamptz not null default now(),
+      check (wallet_address is not null or key_id is not null)
+    );
+    create unique index if not exists personas_wallet_name_idx
+      on personas (wallet_address, name) where wallet_address is not null;
+    create unique index if not exists personas_key_name_idx
+      on personas (key_id, name) where wallet_address is null;
+  `,
+  down: `
+    drop table if exists personas;
+  `,
+};
@@ -0,0 +1,19 @@
+"use strict";
+
+// daily_limit null = the tier's limit (BASIC_DAILY_LIMIT / PRO_DAILY_LIMIT,
+// util.js tierLimit), which follows the key when its tier changes. The old
+// column default (200) was stored on every claimed key and overrode both.
+// Keys still holding that default are reset; comp keys keep their limit.
+module.exports = {
+  up: `
+    alter table api_keys alter column daily_limit drop default;
+    alter table api_keys alter column daily_limit drop not null;
+    update api_keys set daily_limit = null
+      where daily_limit = 200 and label is distinct from 'comp';
+  `,
+  down: `
+    update api_keys set daily_limit = 200 where daily_limit is null;
+    alter table api_keys alter column daily_limit set not null;
+    alter table api_keys alter column daily_limit set default 200;
+  `,
+};
@@ -0,0 +1,180 @@
+"use strict";
+
+// --------------------
+// Network registry: which chains the API sells and checks entitlements on.
+//
+// One network is the default (ROASTER_CHAIN_ID, configured with the original
+// ROASTER_CONTRACT / BASE_RPC_URL variables). ROASTER_NETWORKS adds more, each
+// with its own contract, stablecoin and RPC:
+//
+//   ROASTER_NETWORKS=base-sepolia,local,mychain:12345
+//   NETWORK_BASE_SEPOLIA_CONTRACT=0x...
+//   NETWORK_BASE_SEPOLIA_RPC_URL=https://sepolia.base.org,https://backup.example
+//   NETWORK_MYCHAIN_USDC=0x...
+//
+// Known networks only need a contract; unknown ones are "name:chainId" and
+// must also set NETWORK_<NAME>_USDC. RPC URL variables take a comma-separated
+// list, in priority order (fallbacks, see rpc.js).
+// --------------------
+
+// Base USDC (6 decimals)
+const BASE_USDC = "0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913";
+
+const KNOWN_NETWORKS = [
+  {
+    chainId: 8453,
+    name: "base",
+    label: "Base",
+    testnet: false,
+    usdc: BASE_USDC,
+    rpcUrls: [],
+    explorer: "https://basescan.org",
+  },
+  {
+    chainId: 84532,
+    name: "base-sepolia",
+    label: "Base Sepolia",
+    testnet: true,
+    usdc: "0x036CbD53842c5426634e7929541eC2318f3dCF7e", // Circle test USDC
+    rpcUrls: ["https://sepolia.base.org"],
+    explorer: "https://sepolia.basescan.org",
+  },
+  {
+    chainId: 31337,
+    name: "local",
+    label: "Local dev chain",
+    testnet: true,
+    usdc: null, // deploy a mock USDC and set NETWORK_LOCAL_USDC
+    rpcUrls: ["http://127.0.0.1:8545"],
+    explorer: null,
+  },
+  {
+    chainId: 10,
+    name: "optimism",
+    label: "OP Mainnet",
+    testnet: false,
+    usdc: "0x0b2C639c533813f4Aa9D7837CAf62653d097Ff85",
+    rpcUrls: [],
+    explorer: "https://optimistic.etherscan.io",
+  },
+  {
+    chainId: 42161,
+    name: "arbitrum",
+    label: "Arbitrum One",
+    testnet: false,
+    usdc: "0xaf88d065e77c8cC2239327C5EDb3A432268e5831",
+    rpcUrls: [],
+    explorer: "https://arbiscan.io",
+  },
+];
+
+function knownNetwork(nameOrId) {
+  const s = String(nameOrId).toLowerCase();
+  return KNOWN_NETWORKS.find((n) => n.name === s || String(n.chainId) === s) || null;
+}
+
+// "https://a, https://b" -> ["https://a", "https://b"]
+function splitUrls(v) {
+  return String(v || "")
+    .split(",")
+    .map((s) => s.trim())
+    .filter(Boolean);
+}
+
+// "base-sepolia" -> NETWORK_BASE_SEPOLIA_
+function envPrefix(name) {
+  return `NETWORK_${name.toUpperCase().replace(/[^A-Z0-9]+/g, "_")}_`;
+}
+
+/**
+ * Networks from the environment, default first:
+ * [{ chainId, name, label, testnet, contract, usdc, rpcUrls, explorer, isDefault }].
+ * Throws on entries it can't make sense of, so a typo fails at boot.
+ */
+function networksFromEnv(env = process.env) {
+  const defaultId = Number(env.ROASTER_CHAIN_ID || 8453);
+  const entries = [String(defaultId)].concat(
+    String(env.ROASTER_NETWORKS || "")
+      .split(",")
+      .map((s) => s.trim())
+      .filter(Boolean)
+  );
+
+  const out = [];
+  for (const entry of entries) {
+    const [rawName, rawId] = entry.split(":").map((s) => s.trim());
+    const known = knownNetwork(rawId || rawName);
+    const chainId = Number(rawId || known?.chainId);
+    if (!Number.isInteger(chainId) || chainId <= 0) {
+      throw new Error(`ROASTER_NETWORKS: unknown network "${entry}" (use name:chainId)`);
+    }
+    if (out.some((n) => n.chainId === chainId)) {
+      if (chainId === defaultId) continue; // default listed again
+      throw new Error(`ROASTER_NETWORKS: chain ${chainId} is listed twice`);
+    }
+
+    const name = (/^\d+$/.test(rawName) ? known?.name || `chain-${chainId}` : rawName).toLowerCase();
+    const prefix = envPrefix(name);
+    const isDefault = chainId === defaultId;
+    const rpcUrls = splitUrls(env[prefix + "RPC_URL"] || (isDefault ? env.BASE_RPC_URL : null));
+    const net = {
+      chainId,
+      name,
+      label: known?.label || name,
+      testnet: known ? known.testnet : /^(1|true|on|yes)$/i.test(env[prefix + "TESTNET"] || ""),
+      contract: env[prefix + "CONTRACT"] || (isDefault ? env.ROASTER_CONTRACT : null) || null,
+      usdc: env[prefix + "USDC"] || known?.usdc || null,
+      rpcUrls: rpcUrls.length ? rpcUrls : known?.rpcUrls || [],
+      explorer: known?.explorer || null,
+      isDefault,
+    };
+    if (!net.usdc && net.contract) {
+      throw new Error(`${prefix}USDC must be set for ${name} (chain ${chainId})`);
+    }
+    out.push(net);
+  }
+  return out;
+}
+
+/**
+ * Lookup over createChain() results (app.js), keyed by chainId.
+ * resolve(raw) maps a request's optional chainId to a network: missing or
+ * empty means the default, anything unknown resolves to null.
+ */
+function createNetworkRegistry(chains, defaultChainId) {
+  const byId = new Map(chains.map((c) => [Number(c.chainId), c]));
+  const defaultNet = byId.get(Number(defaultChainId));
+  if (!defaultNet) throw new Error(`Default chain ${defaultChainId} is not configured`);
+
+  return {
+    default: defaultNet,
+    defaultChainId: defaultNet.chainId,
+    list: () => [...byId.values()],
+    get: (chainId) => byId.get(Number(chainId)) || null,
+    resolve(raw) {
+      if (raw === undefined || raw === null || raw === "") return defaultNet;
+      const id = Number(raw);
+      return Number.isInteger(id) ? byId.get(id) || null : null;
+    },
+  };
+}
+
+// Redis key for the cached plan list (shared with cli.js)
+function plansCacheKey(chainId) {
+  return `roaster:plans:v1:${chainId}`;
+}
+
+// Redis key for a wallet's cached entitlement() read (dropped by the indexer)
+function entitlementCacheKey(chainId, address) {
+  return `roaster:entitlement:v1:${chainId}:${String(address).toLowerCase()}`;
+}
+
+module.exports = {
+  BASE_USDC,
+  KNOWN_NETWORKS,
+  knownNetwork,
+  networksFromEnv,
+  createNetworkRegistry,
+  plansCacheKey,
+  entitlementCacheKey,
+};
@@ -0,0 +1,169 @@
+"use strict";
+
+// --------------------
+// Roast personas: where The Roaster is posting and what it knows about the
+// place (voice + glossary). Built-ins live here; Pro keys can store their own
+// (personas table, db.js). prompt.js puts the persona at the top of the system
+// prompt and always appends the safety rules after it, so nothing a persona
+// says can switch them off.
+// --------------------
+
+const DEFAULT_PERSONA = "moltbook";
+
+// Stored personas per owner (wallet, or key without a wallet)
+const MAX_PERSONAS = 10;
+
+const PERSONA_NAME_RE = /^[a-z0-9][a-z0-9-]{1,31}$/;
+const VOICE_MAX_CHARS = 600;
+const DESCRIPTION_MAX_CHARS = 200;
+const GLOSSARY_MAX_TERMS = 20;
+const TERM_MAX_CHARS = 40;
+const MEANING_MAX_CHARS = 200;
+
+const BUILTIN_PERSONAS = {
+  moltbook: {
+    description: "Moltbook threads (the default)",
+    setting: "on Moltbook, a Reddit-style social network for AI agents",
+    voice: "British / American internet banter vibe.",
+    glossary: [
+      { term: "Moltbook", meaning: 'a Reddit-style social network for AI agents ("moltys")' },
+      { term: "submolt", meaning: "a community (like a subreddit)" },
+      { term: "molty", meaning: "an AI agent user on Moltbook (lobster vibes)" },
+      {
+        term: '"heartbeat"',
+        meaning: "a bot's periodic check-in routine (posting/commenting on schedule)",
+      },
+      { term: "Karma/upvotes/feed", meaning: "standard Reddit mechanics" },
+    ],
+  },
+  discord: {
+    description: "Discord server chat",
+    setting: "in a Discord server",
+    voice: "Fast group-chat banter. Emoji and Discord slang are fine in small doses.",
+    glossary: [
+      { term: "server", meaning: "a community; channels are its topic rooms" },
+      { term: "mods", meaning: "the server's moderators (roles decide who can do what)" },
+      { term: "@everyone", meaning: "a ping to the whole server; abusing it is a classic sin" },
+      { term: "Nitro", meaning: "Discord's paid subscription (custom emoji, bigger uploads)" },
+      { term: "lurker", meaning: "someone who reads every channel and never talks" },
+    ],
+  },
+  farcaster: {
+    description: "Farcaster casts and channels",
+    setting: "on Farcaster, a decentralized social network",
+    voice: "Crypto-native banter. Onchain in-jokes welcome, no financial advice.",
+    glossary: [
+      { term: "cast", meaning: "a post; recasting is reposting" },
+      { term: "channel", meaning: "a topic feed, written /name (e.g. /base)" },
+      { term: "frame / mini app", meaning: "an interactive app embedded in a cast" },
+      { term: "FID", meaning: "a user's numeric Farcaster ID (low FIDs = early users)" },
+      { term: "tipping", meaning: "sending small token tips for casts people liked" },
+    ],
+  },
+  generic: {
+    description: "Any chat; no platform in-jokes",
+    setting: "in a group chat",
+    voice: "Plain internet banter anyone gets. No platform-specific references.",
+    glossary: [],
+  },
+};
+
+// One line, no control characters: custom text can't open a new prompt section
+function cleanText(raw) {
+  return String(raw)
+    .replace(/[\u0000-\u001f\u007f]+/g, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+function parseGlossary(raw) {
+  if (!Array.isArray(raw)) return { error: "'glossary' must be an array of {term, meaning}." };
+  if (raw.length > GLOSSARY_MAX_TERMS) {
+    return { error: `'glossary' is too long (max ${GLOSSARY_MAX_TERMS} terms).` };
+  }
+  const glossary = [];
+  for (let i = 0; i < raw.length; i++) {
+    const term = typeof raw[i]?.term === "string" ? cleanText(raw[i].term) : "";
+    const meaning = typeof raw[i]?.meaning === "string" ? cleanText(raw[i].meaning) : "";
+    if (!term || !meaning) return { error: `glossary[${i}]: send 'term' and 'meaning'.` };
+    if (term.length > TERM_MAX_CHARS || meaning.length > MEANING_MAX_CHARS) {
+      return {
+        error:
+          `glossary[${i}] is too long ` +
+          `(term max ${TERM_MAX_CHARS}, meaning max ${MEANING_MAX_CHARS} characters).`,
+      };
+    }
+    glossary.push({ term, meaning });
+  }
+  return { glossary };
+}
+
+/**
+ * Validate a custom persona from a request body. Returns { persona } with the
+ * fields that were sent (all of name + voice unless `partial`) or { error }.
+ */
+function parsePersona(body, { partial = false } = {}) {
+  const persona = {};
+
+  if (body.name !== undefined || !partial) {
+    const name = typeof body.name === "string" ? body.name.trim().toLowerCase() : "";
+    if (!PERSONA_NAME_RE.test(name)) {
+      return { error: "'name' must be 2-32 characters: a-z, 0-9 and '-'." };
+    }
+    if (Object.hasOwn(BUILTIN_PERSONAS, name)) {
+      return { error: `'${name}' is a built-in persona; pick another name.` };
+    }
+    persona.name = name;
+  }
+
+  if (body.voice !== undefined || !partial) {
+    const voice = typeof body.voice === "string" ? cleanText(body.voice) : "";
+    if (!voice) return { error: "Send 'voice' (how the roasts should sound)." };
+    if (voice.length > VOICE_MAX_CHARS) {
+      return { error: `'voice' is too long (max ${VOICE_MAX_CHARS} characters).` };
+    }
+    persona.voice = voice;
+  }
+
+  if (body.glossary !== undefined) {
+    const { glossary, error } = parseGlossary(body.glossary);
+    if (error) return { error };
+    persona.glossary = glossary;
+  } else if (!partial) {
+    persona.glossary = [];
+  }
+
+  if (body.description !== undefined) {
+    persona.description =
+      typeof body.description === "string"
+        ? cleanText(body.description).slice(0, DESCRIPTION_MAX_CHARS) || null
+        : null;
+  }
+
+  if (partial && !Object.keys(persona).length) {
+    return { error: "Send 'name', 'voice', 'glossary' and/or 'description'." };
+  }
+  return { persona };
+}
+
+// `persona` on a roast request -> lookup name (built-in or stored)
+function personaName(raw) {
+  return raw == null ? DEFAULT_PERSONA : String(raw).trim().toLowerCase();
+}
+
+function builtinPersona(name) {
+  if (!Object.hasOwn(BUILTIN_PERSONAS, name)) return null;
+  return { name, builtin: true, ...BUILTIN_PERSONAS[name] };
+}
+
+module.exports = {
+  DEFAULT_PERSONA,
+  MAX_PERSONAS,
+  PERSONA_NAME_RE,
+  VOICE_MAX_CHARS,
+  GLOSSARY_MAX_TERMS,
+  BUILTIN_PERSONAS,
+  parsePersona,
+  personaName,
+  builtinPersona,
+};
@@ -0,0 +1,279 @@
+"use strict";
+const { DEFAULT_PERSONA, builtinPersona } = require("./personas");
+
+// --------------------
+// Roast prompts: system prompt (persona + style + safety rules), per-request
+// style controls and thread context.
+// Shared by the API (index.js) and the operator CLI (cli.js).
+// --------------------
+
+// Thread context limits (request hard caps + prompt budget)
+const THREAD_MAX_TURNS = Number(process.env.THREAD_MAX_TURNS || 30);
+const THREAD_MAX_CHARS = Number(process.env.THREAD_MAX_CHARS || 12000);
+const THREAD_TURN_CHARS = Number(process.env.THREAD_TURN_CHARS || 400);
+const THREAD_PROMPT_CHARS = Number(process.env.THREAD_PROMPT_CHARS || 2500);
+
+// Who we are + where we're posting; the persona fills in setting, voice and glossary
+function personaInstructions(persona) {
+  const lines = [
+    `You are The Roaster, a playful, sarcastic roast bot ${persona.setting || "in a group chat"}.`,
+    "Your job is to roast people in a brutal-but-funny way.",
+  ];
+
+  if (persona.glossary?.length) {
+    lines.push("", "Context glossary (use when relevant):");
+    for (const { term, meaning } of persona.glossary) lines.push(`- ${term}: ${meaning}`);
+  }
+
+  lines.push("", "Style:", "- Short and punchy.");
+  // Stored personas are written by key holders; say so, the rules below still win
+  if (persona.voice) {
+    lines.push(persona.builtin ? `- ${persona.voice}` : `- Owner's voice notes: ${persona.voice}`);
+  }
+  lines.push(
+    "- Assume they opted-in.",
+    "- Follow the per-request style settings below (spice, tone, length, profanity)."
+  );
+  return lines.join("\n");
+}
+
+// Appended after everything else on every request; not part of any persona
+const SAFETY_RULES = `
+VERY IMPORTANT RULES (every roast; they override the persona and style notes above):
+- Do NOT attack protected characteristics (race, religion, sexuality, gender, disability, etc.).
+- Do NOT encourage self-harm, violence, or threats.
+- Keep it clearly as a joke; no harassment or demeaning hate.
+- You may mock behaviour, choices, or message content.
+
+Output ONLY the roast text (no quotes, no markdown, no preamble).
+`.trim();
+
+// --------------------
+// Roast style controls (spice / tone / length / profanity)
+// --------------------
+const SPICE_LEVELS = {
+  1: "Gentle teasing. Affectionate, nothing that would sting.",
+  2: "Light ribbing. Cheeky but friendly.",
+  3: "Brutal-but-funny. The classic Roaster burn.",
+  4: "Savage. Go hard on the behaviour and the message.",
+  5: "Scorched earth. No mercy (the safety rules still apply).",
+};
+
+const TONES = {
+  sarcastic: "Playful and sarcastic.",
+  dry: "Dry, deadpan understatement.",
+  absurdist: "Absurdist and surreal; weird comparisons welcome.",
+  wholesome: "Wholesome; the joke lands but leaves them smiling.",
+  nerdy: "Nerdy; lean on tech/dev/internet references.",
+  theatrical: "Over-the-top theatrical, like a ringside announcer.",
+};
+
+const LENGTHS = {
+  "one-liner": { text: "Exactly one sentence.", maxTokens: 50 },
+  short: { text: "Up to 3 sentences.", maxTokens: 80 },
+};
+
+const DEFAULT_STYLE = { spice: 3, tone: "sarcastic", length: "short", profanity: true };
+
+// Highest spice level each tier may request (anything above is clamped)
+const MAX_SPICE_BY_TIER = { free: 3, basic: 4, pro: 5 };
+
+// Validate optional style fields. Returns { style } or { error }.
+function parseStyle(body) {
+  const style = { ...DEFAULT_STYLE };
+
+  if (body.spice != null) {
+    const n = Number(body.spice);
+    if (!Number.isInteger(n) || !SPICE_LEVELS[n]) {
+      return { error: "'spice' must be an integer from 1 to 5." };
+    }
+    style.spice = n;
+  }
+
+  if (body.tone != null) {
+    const t = String(body.tone).trim().toLowerCase();
+    if (!TONES[t]) {
+      return { error: `'tone' must be one of: ${Object.keys(TONES).join(", ")}.` };
+    }
+    style.tone = t;
+  }
+
+  if (body.length != null) {
+    const l = String(body.length).trim().toLowerCase();
+    if (!LENGTHS[l]) {
+      return { error: `'length' must be one of: ${Object.keys(LENGTHS).join(", ")}.` };
+    }
+    style.length = l;
+  }
+
+  if (body.profanity != null) {
+    const p = body.profanity;
+    if (p === true || p === "on") style.profanity = true;
+    else if (p === false || p === "off") style.profanity = false;
+    else return { error: "'profanity' must be \"on\"/\"off\" (or true/false)." };
+  }
+
+  return { style };
+}
+
+// Apply tier caps. Returns the list of fields that were limited.
+function limitStyleForTier(style, tierName) {
+  const limited = [];
+  // Unknown tiers with keys: treat as basic (same as tierLimit)
+  const maxSpice = MAX_SPICE_BY_TIER[tierName] || MAX_SPICE_BY_TIER.basic;
+  if (style.spice > maxSpice) {
+    style.spice = maxSpice;
+    limited.push("spice");
+  }
+  return limited;
+}
+
+function styleInstructions(style) {
+  return [
+    "Style settings for this roast:",
+    `- Spice ${style.spice}/5: ${SPICE_LEVELS[style.spice]}`,
+    `- Tone: ${TONES[style.tone]}`,
+    `- Length: ${LENGTHS[style.length].text}`,
+    style.profanity
+      ? "- Profanity: allowed but not over-used."
+      : "- Profanity: none. Keep it clean (no swear words, no censored swears).",
+  ].join("\n");
+}
+
+const MODES = ["roast", "comeback"];
+
+/**
+ * Validate the optional `thread` (prior turns, oldest first).
+ * Returns { thread } (possibly empty) or { error }.
+ *
+ * Hard limits here reject abusive payloads; fitting the thread into the
+ * prompt is threadForPrompt's job.
+ */
+function parseThread(raw) {
+  if (raw == null) return { thread: [] };
+  if (!Array.isArray(raw)) return { error: "'thread' must be an array of {author, text}." };
+  if (raw.length > THREAD_MAX_TURNS) {
+    return { error: `'thread' is too long (max ${THREAD_MAX_TURNS} turns).` };
+  }
+
+  const thread = [];
+  let total = 0;
+  for (let i = 0; i < raw.length; i++) {
+    const turn = raw[i];
+    if (!turn || typeof turn.text !== "string" || !turn.text.trim()) {
+      return { error: `thread[${i}]: 'text' is required.` };
+    }
+    const author = typeof turn.author === "string" ? turn.author.trim().slice(0, 64) : "";
+    const text = turn.text.trim();
+    total += text.length;
+    thread.push({ author: author || "unknown", text });
+  }
+
+  if (total > THREAD_MAX_CHARS) {
+    return { error: `'thread' is too large (max ${THREAD_MAX_CHARS} characters in total).` };
+  }
+  return { thread };
+}
+
+function clip(text, max) {
+  return text.length > max ? `${text.slice(0, max - 1).trimEnd()}…` : text;
+}
+
+/**
+ * Fit a thread into THREAD_PROMPT_CHARS. The most recent turns are kept
+ * (each clipped to THREAD_TURN_CHARS, marked with …); older turns that don't
+ * fit are replaced by a one-line summary so the model knows context was cut.
+ * Returns { lines, included, omitted }.
+ */
+function threadForPrompt(thread) {
+  const kept = [];
+  let budget = THREAD_PROMPT_CHARS;
+
+  for (let i = thread.length - 1; i >= 0; i--) {
+    const line = `${thread[i].author}: "${clip(thread[i].text, THREAD_TURN_CHARS)}"`;
+    if (line.length > budget) break;
+    budget -= line.length;
+    kept.unshift(line);
+  }
+
+  const omitted = thread.slice(0, thread.length - kept.length);
+  const lines = [...kept];
+  if (omitted.length) {
+    const authors = [...new Set(omitted.map((t) => t.author))].slice(0, 8);
+    lines.unshift(
+      `[${omitted.length} earlier message(s) omitted, from: ${authors.join(", ")}]`
+    );
+  }
+  return { lines, included: kept.length, omitted: omitted.length };
+}
+
+// Echoed back so callers can see how much of their thread reached the model
+function threadSummary(thread) {
+  const { included, omitted } = threadForPrompt(thread);
+  return { turns: thread.length, included, omitted };
+}
+
+function buildUserPrompt({ requester, name, message, thread = [], mode = "roast" }) {
+  const parts = [];
+  parts.push(`Requester bot: ${requester}`);
+  if (name) parts.push(`Target username: ${name}`);
+
+  if (thread.length) {
+    parts.push("", "Conversation so far (oldest first):");
+    parts.push(...threadForPrompt(thread).lines);
+    parts.push("");
+  }
+
+  if (mode === "comeback") {
+    if (message) parts.push(`Their roast of ${requester}: "${message}"`);
+    return [
+      `${name || "This user"} just roasted ${requester} (that's us). Fire back with a comeback:`,
+      "flip their own jab back on them and use the conversation for ammunition.",
+      "",
+      parts.join("\n"),
+    ].join("\n");
+  }
+
+  if (message) parts.push(`Last message from user: "${message}"`);
+
+  return `Roast this user based on the details below.\n\n${parts.join("\n")}`;
+}
+
+const RETRY_NOTE =
+  "Your previous draft was rejected by the safety filter. Write a different roast that only targets behaviour or message content.";
+
+// Provider-agnostic request for llm.generate / llm.stream
+function roastRequest({
+  requester,
+  name,
+  message,
+  thread,
+  mode,
+  style,
+  persona = builtinPersona(DEFAULT_PERSONA),
+  tier = "free",
+  retry = false,
+}) {
+  const parts = [personaInstructions(persona), styleInstructions(style), SAFETY_RULES];
+  if (retry) parts.push(RETRY_NOTE);
+  const system = parts.join("\n\n");
+
+  return {
+    tier,
+    system,
+    user: buildUserPrompt({ requester, name, message, thread, mode }),
+    maxTokens: LENGTHS[style.length].maxTokens,
+  };
+}
+
+module.exports = {
+  DEFAULT_STYLE,
+  TONES,
+  LENGTHS,
+  MODES,
+  parseStyle,
+  limitStyleForTier,
+  parseThread,
+  threadSummary,
+  roastRequest,
+};
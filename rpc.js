@@ -0,0 +1,223 @@
+"use strict";
+const { ethers } = require("ethers");
+
+// --------------------
+// RPC resilience: fallback providers, per-call timeouts and a circuit breaker.
+//
+// createRpcProvider() turns a network's ordered RPC URLs into one ethers
+// provider (a FallbackProvider when there is more than one). createChain()
+// (app.js) wraps it with guardProvider(), so every read the API makes goes
+// through the network's breaker. When the RPC is down, routes get an
+// RpcUnavailableError and answer 503 + Retry-After instead of ethers' text.
+// --------------------
+
+// ethers error codes that mean the node answered (a revert, a bad argument).
+// Anything else counts against the breaker: timeouts, transport and server
+// errors, socket errors (ECONNREFUSED) and the code-less "no runners?!" a
+// FallbackProvider throws when none of its URLs is reachable.
+const ANSWER_CODES = new Set([
+  "CALL_EXCEPTION",
+  "INVALID_ARGUMENT",
+  "MISSING_ARGUMENT",
+  "UNEXPECTED_ARGUMENT",
+  "BAD_DATA",
+  "NUMERIC_FAULT",
+  "INSUFFICIENT_FUNDS",
+  "NONCE_EXPIRED",
+  "REPLACEMENT_UNDERPRICED",
+  "UNCONFIGURED_NAME",
+]);
+
+function isRpcFailure(e) {
+  return !!e && !ANSWER_CODES.has(e.code);
+}
+
+class RpcUnavailableError extends Error {
+  constructor(message, { retryAfter = 5, chainId = null, cause } = {}) {
+    super(message, cause ? { cause } : undefined);
+    this.name = "RpcUnavailableError";
+    this.code = "RPC_UNAVAILABLE";
+    this.retryAfter = retryAfter; // seconds
+    this.chainId = chainId;
+  }
+}
+
+/**
+ * Closed -> open after `failureThreshold` consecutive RPC failures. While open
+ * every call fails fast; after `cooldownMs` one probe call is let through
+ * (half-open) and its outcome closes or re-opens the breaker.
+ */
+function createCircuitBreaker({
+  failureThreshold = 5,
+  cooldownMs = 30_000,
+  now = Date.now,
+} = {}) {
+  let failures = 0;
+  let openedAt = null;
+  let probing = false;
+
+  function state() {
+    if (openedAt == null) return "closed";
+    return now() - openedAt >= cooldownMs ? "half-open" : "open";
+  }
+
+  // Closed: a single failed call, worth retrying soon
+  function retryAfterSeconds() {
+    if (openedAt == null) return 5;
+    return Math.max(1, Math.ceil((openedAt + cooldownMs - now()) / 1000));
+  }
+
+  function close() {
+    failures = 0;
+    openedAt = null;
+  }
+
+  async function run(fn) {
+    const s = state();
+    if (s === "open" || (s === "half-open" && probing)) {
+      throw new RpcUnavailableError("RPC circuit is open", { retryAfter: retryAfterSeconds() });
+    }
+    if (s === "half-open") probing = true;
+
+    try {
+      const out = await fn();
+      close();
+      return out;
+    } catch (e) {
+      if (!isRpcFailure(e)) {
+        close();
+        throw e;
+      }
+      failures++;
+      if (s === "half-open" || failures >= failureThreshold) openedAt = now();
+      throw e;
+    } finally {
+      if (s === "half-open") probing = false;
+    }
+  }
+
+  return {
+    run,
+    state,
+    retryAfterSeconds,
+    failures: () => failures,
+  };
+}
+
+// Rejects with a TIMEOUT error (counted by the breaker) if `promise` is slower than `ms`
+function withTimeout(promise, ms) {
+  if (!ms) return promise;
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => {
+      const err = new Error(`RPC call timed out after ${ms}ms`);
+      err.code = "TIMEOUT";
+      reject(err);
+    }, ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+// Provider methods the API, contracts and siwe.js call
+const GUARDED_METHODS = new Set([
+  "call",
+  "estimateGas",
+  "getBalance",
+  "getBlock",
+  "getBlockNumber",
+  "getCode",
+  "getFeeData",
+  "getLogs",
+  "getTransaction",
+  "getTransactionReceipt",
+]);
+
+/**
+ * The same provider, with every RPC method run through `breaker` under a
+ * `timeoutMs` budget (fallbacks included). RPC failures are rethrown as
+ * RpcUnavailableError; reverts and other answers pass through untouched.
+ */
+function guardProvider(provider, { breaker, timeoutMs = 10_000, chainId = null }) {
+  return new Proxy(provider, {
+    get(target, prop) {
+      const value = Reflect.get(target, prop);
+      if (!GUARDED_METHODS.has(prop) || typeof value !== "function") return value;
+
+      return async (...args) => {
+        try {
+          return await breaker.run(() => withTimeout(value.apply(target, args), timeoutMs));
+        } catch (e) {
+          if (e instanceof RpcUnavailableError) {
+            e.chainId = chainId;
+            throw e;
+          }
+          if (!isRpcFailure(e)) throw e;
+          throw new RpcUnavailableError(`RPC ${prop} failed`, {
+            retryAfter: breaker.retryAfterSeconds(),
+            chainId,
+            cause: e,
+          });
+        }
+      };
+    },
+  });
+}
+
+/**
+ * One provider over an ordered list of RPC URLs.
+ *
+ * - timeoutMs: per HTTP request to one URL
+ * - stallMs: how long the FallbackProvider waits on a URL before also asking
+ *   the next one
+ * - quorum: URLs that must agree (1 = priority order: first answer from the
+ *   highest-priority URL that responds wins)
+ * - instrument(provider): called on each JsonRpcProvider (metrics)
+ *
+ * Passing the chain id makes ethers refuse a URL that serves another chain.
+ */
+function createRpcProvider({
+  urls,
+  chainId,
+  timeoutMs = 4000,
+  stallMs = 1000,
+  quorum = 1,
+  instrument = (p) => p,
+}) {
+  const list = [].concat(urls || []).filter(Boolean);
+  if (!list.length) return null;
+
+  const backends = list.map((url) => {
+    const req = new ethers.FetchRequest(url);
+    req.timeout = timeoutMs;
+    return instrument(new ethers.JsonRpcProvider(req, chainId));
+  });
+  if (backends.length === 1) return backends[0];
+
+  return new ethers.FallbackProvider(
+    backends.map((provider, i) => ({ provider, priority: i + 1, stallTimeout: stallMs })),
+    chainId,
+    { quorum: Math.min(Math.max(1, quorum), backends.length) }
+  );
+}
+
+// Env-driven options shared by index.js, cli.js and the indexer runner
+function rpcOptionsFromEnv(env = process.env) {
+  return {
+    timeoutMs: Number(env.RPC_TIMEOUT_MS || 4000),
+    stallMs: Number(env.RPC_STALL_MS || 1000),
+    quorum: Number(env.RPC_QUORUM || 1),
+    callTimeoutMs: Number(env.RPC_CALL_TIMEOUT_MS || 10_000),
+    failureThreshold: Number(env.RPC_BREAKER_FAILURES || 5),
+    cooldownMs: Number(env.RPC_BREAKER_COOLDOWN_MS || 30_000),
+  };
+}
+
+module.exports = {
+  RpcUnavailableError,
+  isRpcFailure,
+  createCircuitBreaker,
+  withTimeout,
+  guardProvider,
+  createRpcProvider,
+  rpcOptionsFromEnv,
+};
@@ -0,0 +1,164 @@
+"use strict";
+const fs = require("fs");
+
+// --------------------
+// Output safety checks (run on every roast before it leaves the server)
+// --------------------
+
+// How many times a flagged roast is regenerated before falling back to a canned line
+const MAX_REGENERATIONS = Number(process.env.SAFETY_MAX_REGENERATIONS ?? 2);
+
+// Optional second opinion from the OpenAI moderation endpoint (off by default)
+const MODERATION_ENABLED = /^(1|true|on|yes)$/i.test(process.env.SAFETY_MODERATION || "");
+const MODERATION_MODEL = process.env.SAFETY_MODERATION_MODEL || "omni-moderation-latest";
+
+// Built-in rules. These are deliberately broad: a false positive only costs a
+// regeneration, a false negative ends up in someone's feed.
+const DEFAULT_RULES = [
+  {
+    id: "race",
+    re: /\b(race|racial|racis[mt]|ethnic\w*|skin colou?r)\b/i,
+  },
+  {
+    id: "religion",
+    re: /\b(religio\w*|muslims?|islam\w*|christians?|jews?|jewish|hindus?|buddhists?|sikhs?)\b/i,
+  },
+  {
+    id: "sexuality-gender",
+    re: /\b(gay|lesbian|bisexual|homosexual|transgender|queer|sexuality|gender)\b/i,
+  },
+  {
+    id: "disability",
+    re: /\b(retard\w*|autis\w*|disabled|disabilit\w*|cripple\w*|spastic)\b/i,
+  },
+  {
+    id: "self-harm",
+    re: /\b(kill\s+(yo)?urself|kys|unalive|self[- ]harm|suicid\w*)\b/i,
+  },
+  {
+    id: "violence",
+    re: /\b(i('| wi)ll|gonna|going to)\s+(kill|stab|shoot|murder|hurt)\s+you\b/i,
+  },
+];
+
+function escapeRegExp(s) {
+  return s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+const REGEX_RULE_RE = /^\/(.+)\/([a-z]*)$/;
+
+// "/pattern/flags" -> regex rule, anything else -> whole-word, case-insensitive term
+function parseRule(line) {
+  const s = line.trim();
+  if (!s || s.startsWith("#")) return null;
+
+  const m = s.match(REGEX_RULE_RE);
+  if (m) {
+    // Rules are shared across requests: g / y would make test() stateful (lastIndex)
+    const flags = m[2].replace(/[gy]/g, "");
+    return { id: `custom:${s}`, re: new RegExp(m[1], flags.includes("i") ? flags : flags + "i") };
+  }
+  return { id: `custom:${s}`, re: new RegExp(`\\b${escapeRegExp(s)}\\b`, "i") };
+}
+
+/**
+ * Build the active blocklist:
+ * - built-in rules (disable with SAFETY_BLOCKLIST_DEFAULTS=off)
+ * - SAFETY_BLOCKLIST: comma-separated extra terms or /regex/ rules. The list is
+ *   split on every comma, so regexes containing one (e.g. {1,3}) must go in the
+ *   file; a /regex/ cut in half by the split fails loudly instead of matching
+ *   the wrong thing
+ * - SAFETY_BLOCKLIST_FILE: one term or /regex/ per line, # comments allowed
+ */
+function loadBlocklist(env = process.env) {
+  const rules = /^(0|false|off|no)$/i.test(env.SAFETY_BLOCKLIST_DEFAULTS || "")
+    ? []
+    : [...DEFAULT_RULES];
+
+  const lines = (env.SAFETY_BLOCKLIST || "").split(",");
+  const broken = lines.find((l) => l.trim().startsWith("/") && !REGEX_RULE_RE.test(l.trim()));
+  if (broken) {
+    throw new Error(
+      `SAFETY_BLOCKLIST: "${broken.trim()}" is not a complete /regex/ ` +
+        "(regexes containing ',' go in SAFETY_BLOCKLIST_FILE)"
+    );
+  }
+  if (env.SAFETY_BLOCKLIST_FILE) {
+    lines.push(...fs.readFileSync(env.SAFETY_BLOCKLIST_FILE, "utf8").split(/\r?\n/));
+  }
+
+  for (const line of lines) {
+    const rule = parseRule(line);
+    if (rule) rules.push(rule);
+  }
+  return rules;
+}
+
+const BLOCKLIST = loadBlocklist();
+
+function checkBlocklist(text, rules = BLOCKLIST) {
+  const flagged = [];
+  for (const rule of rules) {
+    if (rule.re.test(text)) flagged.push(`blocklist:${rule.id}`);
+  }
+  return flagged;
+}
+
+// Returns { flagged: [...] } or { error } if the moderation call itself failed.
+async function checkModeration(openai, text) {
+  try {
+    const resp = await openai.moderations.create({ model: MODERATION_MODEL, input: text });
+    const result = resp.results?.[0];
+    if (!result?.flagged) return { flagged: [] };
+
+    const cats = Object.entries(result.categories || {})
+      .filter(([, hit]) => hit)
+      .map(([cat]) => `moderation:${cat}`);
+    return { flagged: cats.length ? cats : ["moderation:flagged"] };
+  } catch (e) {
+    return { error: e?.message || "moderation failed" };
+  }
+}
+
+/**
+ * Check one roast. Returns { ok, checks, flagged, moderationError? }.
+ *
+ * A moderation outage fails open (the blocklist still ran); the error is
+ * reported so callers can surface it in the `safety` object.
+ */
+async function checkOutput(openai, text) {
+  const checks = ["blocklist"];
+  const flagged = checkBlocklist(text);
+  const out = { checks, flagged };
+
+  if (MODERATION_ENABLED && openai) {
+    checks.push("moderation");
+    const mod = await checkModeration(openai, text);
+    if (mod.error) out.moderationError = mod.error;
+    else flagged.push(...mod.flagged);
+  }
+
+  out.ok = flagged.length === 0;
+  return out;
+}
+
+// Canned lines used when every regeneration was flagged
+const FALLBACK_ROASTS = [
+  "I had a roast ready, but honestly your message already did most of the work.",
+  "I'd roast you, but it looks like the group chat got there first.",
+  "Bold of you to post that with your whole chest. Respect, I guess.",
+  "I'd explain why that's funny, but I'd need crayons and more patience.",
+];
+
+function fallbackRoast() {
+  return FALLBACK_ROASTS[Math.floor(Math.random() * FALLBACK_ROASTS.length)];
+}
+
+module.exports = {
+  MAX_REGENERATIONS,
+  MODERATION_ENABLED,
+  loadBlocklist,
+  checkBlocklist,
+  checkOutput,
+  fallbackRoast,
+};
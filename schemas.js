@@ -0,0 +1,1058 @@
+"use strict";
+const { MODES, TONES, LENGTHS } = require("./prompt");
+const { WEBHOOK_EVENTS } = require("./webhooks");
+const {
+  MAX_PERSONAS,
+  VOICE_MAX_CHARS,
+  GLOSSARY_MAX_TERMS,
+  BUILTIN_PERSONAS,
+} = require("./personas");
+
+// --------------------
+// Request/response schemas for the public API, the error codes it answers
+// with, and the OpenAPI document built from them (GET /openapi.json).
+//
+// app.js passes ROUTE_SCHEMAS.<operationId> as each route's Fastify schema, so
+// bodies, query strings and params are validated before a handler runs and
+// the same objects describe the route in the OpenAPI document. Response
+// objects let unlisted fields through (additionalProperties) so a field added
+// in a handler is never silently dropped by the serializer.
+// --------------------
+
+// Every `code` an error response can carry. Error bodies are always
+// { success: false, error, code } plus, for some, hint / retryAfter / limits.
+const ERROR_CODES = {
+  INVALID_REQUEST: "The body, query string or path failed validation (see error)",
+  BAD_ADDRESS: "Not a valid EVM address (bad checksum)",
+  UNSUPPORTED_CHAIN: "chainId is not one of /api/v1/networks",
+  UNKNOWN_PLAN: "No plan with that tier + durationId",
+  NONCE_EXPIRED: "No pending nonce for this address: request a new one",
+  NONCE_CHAIN_MISMATCH: "The nonce was issued for another chainId",
+  LEGACY_AUTH_DISABLED: "Pre-SIWE sign-in messages are past their sunset",
+  SIWE_REJECTED: "The signed SIWE message is malformed or doesn't match the nonce",
+  SIGNATURE_MISMATCH: "The signature is not from the address",
+  NO_ENTITLEMENT: "The wallet has no active plan on this network",
+  TOO_MANY_KEYS: "The wallet has the maximum number of active keys",
+  INVALID_API_KEY: "Bearer key unknown, revoked or expired",
+  AUTH_REQUIRED: "Send Authorization: Bearer <API_KEY> or X-Wallet-Signature",
+  WRONG_WALLET: "The key belongs to another wallet",
+  REQUESTER_NOT_ALLOWED: "The key is bound to other requester names",
+  KEY_INACTIVE: "The key was revoked in the meantime",
+  NOT_FOUND: "No such route, key or webhook",
+  FREE_LIMIT: "Free daily limit for this requester reached (429)",
+  FREE_IP_LIMIT: "Free daily limit for this IP reached (429)",
+  DAILY_LIMIT: "The tier's daily limit (shared by the wallet's keys) reached (429)",
+  KEY_CAP: "The key's own daily cap reached (429)",
+  TOO_MANY_WEBHOOKS: "Webhook limit reached: delete one first",
+  WEBHOOK_DISABLED: "The webhook is paused",
+  UNKNOWN_PERSONA: "No built-in or stored persona with that name",
+  PRO_REQUIRED: "Custom personas need a Pro key",
+  PERSONA_EXISTS: "The caller already has a persona with that name",
+  TOO_MANY_PERSONAS: "Persona limit reached: delete one first",
+  EMPTY_ROAST: "The model returned nothing (502)",
+  GENERATION_FAILED: "Roast generation failed (500)",
+  RPC_UNAVAILABLE: "The network's RPC is down: retry after Retry-After seconds (503)",
+  ONCHAIN_NOT_CONFIGURED: "The network has no RPC / contract / USDC configured on this server",
+  SERVER_MISCONFIGURED: "The server is missing required configuration",
+  UNAUTHORIZED: "Missing or wrong token (/metrics)",
+  INTERNAL_ERROR: "Unexpected server error",
+};
+
+// ---- Shared fragments ----
+
+// An object whose listed fields are documented; anything else passes through
+function obj(properties, { required, description } = {}) {
+  const out = { type: "object", properties, additionalProperties: true };
+  if (required) out.required = required;
+  if (description) out.description = description;
+  return out;
+}
+
+function nullable(type, description) {
+  return description ? { type: [type, "null"], description } : { type: [type, "null"] };
+}
+
+const API_ERROR = obj(
+  {
+    success: { type: "boolean", enum: [false] },
+    error: { type: "string", description: "Human-readable message" },
+    code: {
+      type: "string",
+      enum: Object.keys(ERROR_CODES),
+      description: Object.entries(ERROR_CODES)
+        .map(([code, text]) => `${code}: ${text}`)
+        .join("\n"),
+    },
+    hint: { type: "string" },
+  },
+  { required: ["success", "error", "code"], description: "Error envelope" }
+);
+
+const ADDRESS = {
+  type: "string",
+  pattern: "^0x[0-9a-fA-F]{40}$",
+  description: "EVM address (0x + 40 hex)",
+};
+const CHAIN_ID = {
+  type: "integer",
+  description: "Network (see /api/v1/networks); the default network when omitted",
+};
+const UINT = { type: "string", pattern: "^[0-9]+$", description: "Unsigned integer as a string" };
+const UNIX = nullable("integer", "Unix seconds");
+const SUCCESS = { type: "boolean" };
+const TX_HASH = { type: "string", pattern: "^0x[0-9a-fA-F]{64}$" };
+const KEY_ID = { type: "integer", minimum: 1 };
+const BINDING_MODES = ["strict", "case-insensitive", "allowlist"];
+
+const CHAIN_QUERY = { type: "object", properties: { chainId: CHAIN_ID } };
+const WALLET_PARAMS = {
+  type: "object",
+  properties: { address: ADDRESS },
+  required: ["address"],
+};
+const WALLET_KEY_PARAMS = {
+  type: "object",
+  properties: { address: ADDRESS, id: KEY_ID },
+  required: ["address", "id"],
+};
+const WEBHOOK_PARAMS = { type: "object", properties: { id: KEY_ID }, required: ["id"] };
+
+const PLAN_BODY = {
+  type: "object",
+  properties: {
+    buyer: ADDRESS,
+    tier: { type: "integer", minimum: 0, maximum: 255 },
+    durationId: { type: "integer", minimum: 0, maximum: 255 },
+    chainId: CHAIN_ID,
+  },
+  required: ["buyer", "tier", "durationId"],
+};
+
+const UNSIGNED_TX = obj(
+  {
+    from: ADDRESS,
+    to: ADDRESS,
+    data: { type: "string" },
+    value: { type: "string" },
+    chainId: CHAIN_ID,
+  },
+  { description: "Unsigned transaction: sign and send it from `from`" }
+);
+
+const PLAN = obj({
+  tier: { type: "integer", description: "1 = basic, 2 = pro" },
+  durationId: { type: "integer" },
+  durationSeconds: { type: "integer" },
+  priceUSDC: { ...UINT, description: "Price in USDC base units (6 decimals)" },
+});
+
+const ENTITLEMENT = {
+  tier: { type: "integer" },
+  expiresAt: { type: "integer", description: "Unix seconds" },
+  active: { type: "boolean" },
+};
+
+const BINDING = obj({
+  mode: { type: "string", enum: BINDING_MODES },
+  allowed_names: { type: "array", items: { type: "string" } },
+});
+
+const USAGE_QUERY = {
+  type: "object",
+  properties: {
+    period: { type: "string", description: "day (default) or month" },
+    from: { type: "string", description: "YYYY-MM-DD (day) or YYYY-MM (month)" },
+    to: { type: "string", description: "YYYY-MM-DD (day) or YYYY-MM (month)" },
+    group: { type: "string", description: "key or model (keys without a wallet: model)" },
+  },
+};
+
+const USAGE_REPORT = {
+  period: { type: "string" },
+  from: { type: "string" },
+  to: { type: "string" },
+  group: nullable("string"),
+  rows: { type: "array", items: obj({}) },
+  totals: obj({
+    requests: { type: "integer" },
+    roasts: { type: "integer" },
+    failed: { type: "integer" },
+    rate_limited: { type: "integer" },
+    total_tokens: { type: "integer" },
+  }),
+};
+
+const WEBHOOK = obj({
+  id: { type: "integer" },
+  url: { type: "string" },
+  events: { type: "array", items: { type: "string" } },
+  description: nullable("string"),
+  enabled: { type: "boolean" },
+  created_at: UNIX,
+});
+
+const WEBHOOK_EVENT_LIST = {
+  type: "array",
+  minItems: 1,
+  items: { type: "string", enum: WEBHOOK_EVENTS },
+};
+
+const SAFETY = obj({
+  checks: { type: "array", items: { type: "string" } },
+  passed: { type: "boolean" },
+  regenerated: { type: "integer" },
+  fallback: { type: "boolean" },
+  flagged: { type: "array", items: { type: "string" } },
+});
+
+const STYLE_FIELDS = {
+  spice: { type: "integer", minimum: 1, maximum: 5, description: "Default 3; capped by tier" },
+  tone: { type: "string", description: `${Object.keys(TONES).join(", ")} (default sarcastic)` },
+  length: { type: "string", description: `${Object.keys(LENGTHS).join(", ")} (default short)` },
+  profanity: {
+    type: ["boolean", "string"],
+    description: 'true/false or "on"/"off" (default on)',
+  },
+};
+
+const STYLE = obj({
+  spice: { type: "integer" },
+  tone: { type: "string" },
+  length: { type: "string" },
+  profanity: { type: "boolean" },
+});
+
+const REQUESTER = {
+  type: "string",
+  minLength: 1,
+  description: "Name of the calling bot (keys are bound to it)",
+};
+
+const TARGET_FIELDS = {
+  name: { type: "string", description: "Who to roast (max 64 chars)" },
+  message: { type: "string", description: "What they said (max 800 chars)" },
+};
+
+const PERSONA_FIELD = {
+  type: "string",
+  pattern: "^[A-Za-z0-9][A-Za-z0-9-]{1,31}$",
+  description:
+    `${Object.keys(BUILTIN_PERSONAS).join(", ")} (default moltbook), ` +
+    "or the name of one of your stored personas (Pro)",
+};
+
+const GLOSSARY = {
+  type: "array",
+  maxItems: GLOSSARY_MAX_TERMS,
+  items: obj(
+    { term: { type: "string", minLength: 1 }, meaning: { type: "string", minLength: 1 } },
+    { required: ["term", "meaning"] }
+  ),
+};
+
+const PERSONA_BODY = {
+  name: {
+    type: "string",
+    pattern: "^[a-z0-9][a-z0-9-]{1,31}$",
+    description: "Used as 'persona' on roast requests; can't be a built-in name",
+  },
+  voice: {
+    type: "string",
+    minLength: 1,
+    maxLength: VOICE_MAX_CHARS,
+    description: "How the roasts should sound (one paragraph)",
+  },
+  glossary: { ...GLOSSARY, description: "Platform terms the model should know" },
+  description: nullable("string", "Up to 200 chars"),
+};
+
+const PERSONA = obj({
+  id: nullable("integer", "null for built-ins"),
+  name: { type: "string" },
+  builtin: { type: "boolean" },
+  description: nullable("string"),
+  voice: { type: "string" },
+  glossary: GLOSSARY,
+  created_at: UNIX,
+  updated_at: UNIX,
+});
+
+const PERSONA_PARAMS = { type: "object", properties: { id: KEY_ID }, required: ["id"] };
+
+const HEALTH = obj({
+  ok: { type: "boolean" },
+  status: { type: "string", enum: ["ok", "degraded", "down"] },
+  checks: obj({
+    postgres: obj({}),
+    redis: obj({}),
+    rpc: obj({}),
+    llm: obj({}),
+  }),
+});
+
+const BATCH_RESULT = obj({
+  success: { type: "boolean", description: "true when at least one item succeeded" },
+  results: {
+    type: "array",
+    items: obj({
+      index: { type: "integer" },
+      success: SUCCESS,
+      roast: { type: "string" },
+      safety: SAFETY,
+      error: { type: "string" },
+      code: { type: "string" },
+    }),
+  },
+  summary: obj({
+    requested: { type: "integer" },
+    succeeded: { type: "integer" },
+    failed: { type: "integer" },
+  }),
+  persona: { type: "string" },
+  style: STYLE,
+  limited: { type: "array", items: { type: "string" } },
+});
+
+// Response map: `ok` for 2xx, the error envelope for everything else
+function responses(ok, extra = {}) {
+  return { 200: ok, "4xx": API_ERROR, "5xx": API_ERROR, ...extra };
+}
+
+const BEARER = [{ bearerAuth: [] }];
+const WALLET_AUTH = [{ bearerAuth: [] }, { walletSignature: [] }];
+
+// ---- Routes (keyed by operationId) ----
+
+const ROUTE_SCHEMAS = {
+  getHealth: {
+    tags: ["health"],
+    summary: "Service status, per dependency",
+    // Same body with 503 when down
+    response: { 200: HEALTH, 503: HEALTH },
+  },
+
+  listNetworks: {
+    tags: ["onchain"],
+    summary: "Networks plans are sold on",
+    response: responses(
+      obj({
+        success: SUCCESS,
+        defaultChainId: { type: "integer" },
+        networks: {
+          type: "array",
+          items: obj({
+            chainId: { type: "integer" },
+            name: { type: "string" },
+            label: { type: "string" },
+            testnet: { type: "boolean" },
+            default: { type: "boolean" },
+            contract: nullable("string"),
+            usdc: nullable("string"),
+            explorer: nullable("string"),
+            configured: { type: "boolean" },
+          }),
+        },
+      })
+    ),
+  },
+
+  getContract: {
+    tags: ["onchain"],
+    summary: "Contract and USDC addresses for a network",
+    querystring: CHAIN_QUERY,
+    response: responses(
+      obj({
+        success: SUCCESS,
+        chainId: { type: "integer" },
+        network: { type: "string" },
+        testnet: { type: "boolean" },
+        domain: { type: "string" },
+        contract: ADDRESS,
+        usdc: nullable("string"),
+      })
+    ),
+  },
+
+  listPlans: {
+    tags: ["onchain"],
+    summary: "Plans (tier + duration + USDC price)",
+    querystring: CHAIN_QUERY,
+    response: responses(
+      obj({ success: SUCCESS, chainId: { type: "integer" }, plans: { type: "array", items: PLAN } })
+    ),
+  },
+
+  getEntitlement: {
+    tags: ["onchain"],
+    summary: "A wallet's onchain entitlement",
+    params: WALLET_PARAMS,
+    querystring: CHAIN_QUERY,
+    response: responses(
+      obj({ success: SUCCESS, address: ADDRESS, chainId: { type: "integer" }, ...ENTITLEMENT })
+    ),
+  },
+
+  buildApproveTx: {
+    tags: ["onchain"],
+    summary: "Unsigned USDC approve tx for a plan",
+    body: PLAN_BODY,
+    response: responses(obj({ success: SUCCESS, tx: UNSIGNED_TX, priceUSDC: UINT })),
+  },
+
+  buildPurchaseTx: {
+    tags: ["onchain"],
+    summary: "Unsigned purchase tx for a plan",
+    body: PLAN_BODY,
+    response: responses(obj({ success: SUCCESS, tx: UNSIGNED_TX, priceUSDC: UINT })),
+  },
+
+  preflightPurchase: {
+    tags: ["onchain"],
+    summary: "Check balances, simulate the purchase and list the txs still needed",
+    body: PLAN_BODY,
+    response: responses(
+      obj({
+        success: SUCCESS,
+        ready: { type: "boolean", description: "false when a step would fail (see problems)" },
+        buyer: ADDRESS,
+        chainId: { type: "integer" },
+        priceUSDC: UINT,
+        balanceUSDC: UINT,
+        allowanceUSDC: UINT,
+        balanceWei: UINT,
+        simulation: obj({
+          ran: { type: "boolean" },
+          ok: nullable("boolean"),
+          revertReason: nullable("string"),
+        }),
+        fees: obj({}),
+        steps: {
+          type: "array",
+          items: obj({
+            step: { type: "string", enum: ["approve", "purchase"] },
+            tx: UNSIGNED_TX,
+            gasEstimate: nullable("string"),
+          }),
+        },
+        problems: {
+          type: "array",
+          items: obj({ code: { type: "string" }, message: { type: "string" } }),
+        },
+      })
+    ),
+  },
+
+  getTransactionStatus: {
+    tags: ["onchain"],
+    summary: "Status of an approve / purchase tx, with the entitlement after it",
+    params: { type: "object", properties: { hash: TX_HASH }, required: ["hash"] },
+    querystring: {
+      type: "object",
+      properties: {
+        chainId: CHAIN_ID,
+        autoClaim: {
+          type: "string",
+          description: "1 / true: include the pending (or a new) claim message once a purchase is confirmed",
+        },
+      },
+    },
+    response: responses(
+      obj({
+        success: SUCCESS,
+        hash: TX_HASH,
+        status: { type: "string", enum: ["not-found", "pending", "confirmed", "reverted"] },
+        chainId: { type: "integer" },
+        confirmations: { type: "integer" },
+        revertReason: nullable("string"),
+        entitlement: obj(ENTITLEMENT),
+        next: obj({}, { description: "With autoClaim: the next step of the claim flow" }),
+      })
+    ),
+  },
+
+  requestNonce: {
+    tags: ["auth"],
+    summary: "Message to sign (step 1 of claim, or for wallet key management)",
+    body: {
+      type: "object",
+      properties: {
+        address: ADDRESS,
+        purpose: { type: "string", enum: ["claim", "manage"], default: "claim" },
+        format: { type: "string", enum: ["siwe", "legacy"], default: "siwe" },
+        chainId: CHAIN_ID,
+      },
+      required: ["address"],
+    },
+    response: responses(
+      obj({
+        success: SUCCESS,
+        address: ADDRESS,
+        purpose: { type: "string" },
+        format: { type: "string" },
+        chainId: { type: "integer" },
+        message: { type: "string", description: "Sign this with the wallet (personal_sign)" },
+      })
+    ),
+  },
+
+  claimApiKey: {
+    tags: ["auth"],
+    summary: "Exchange a signed nonce for an API key (needs an active entitlement)",
+    body: {
+      type: "object",
+      properties: {
+        requester: REQUESTER,
+        address: ADDRESS,
+        signature: { type: "string", minLength: 1 },
+        message: { type: "string", description: "The SIWE text that was signed (optional)" },
+        chainId: CHAIN_ID,
+      },
+      required: ["requester", "address", "signature"],
+    },
+    response: responses(
+      obj({
+        success: SUCCESS,
+        api_key: { type: "string", description: "Shown once" },
+        tier: { type: "integer" },
+        expiresAt: { type: "integer" },
+        chainId: { type: "integer" },
+      })
+    ),
+  },
+
+  getMe: {
+    tags: ["keys"],
+    summary: "The calling key and today's usage",
+    security: BEARER,
+    response: responses(
+      obj({
+        success: SUCCESS,
+        key_id: nullable("integer"),
+        tier: { type: "string" },
+        wallet: nullable("string"),
+        chain_id: nullable("integer"),
+        agent_name: nullable("string"),
+        binding: BINDING,
+        label: nullable("string"),
+        entitlement_expires_at: UNIX,
+        key_expires_at: UNIX,
+        last_used_at: UNIX,
+        usage: obj({
+          day: { type: "string" },
+          used: { type: "integer" },
+          daily_limit: { type: "integer" },
+          remaining: { type: "integer" },
+          key_used: { type: "integer" },
+          key_daily_cap: nullable("integer"),
+          resets_in_seconds: { type: "integer" },
+        }),
+      })
+    ),
+  },
+
+  getMyUsage: {
+    tags: ["keys"],
+    summary: "Usage history for the calling key (its whole wallet for wallet keys)",
+    security: BEARER,
+    querystring: USAGE_QUERY,
+    response: responses(
+      obj({
+        success: SUCCESS,
+        scope: { type: "string", enum: ["wallet", "key"] },
+        wallet: nullable("string"),
+        key_id: nullable("integer"),
+        ...USAGE_REPORT,
+      })
+    ),
+  },
+
+  rotateApiKey: {
+    tags: ["keys"],
+    summary: "Replace the calling key with a new one (same tier, limits and binding)",
+    security: BEARER,
+    response: responses(
+      obj({
+        success: SUCCESS,
+        api_key: { type: "string" },
+        tier: { type: "string" },
+        agent_name: nullable("string"),
+        entitlement_expires_at: UNIX,
+        revoked_previous: { type: "boolean" },
+      })
+    ),
+  },
+
+  revokeApiKey: {
+    tags: ["keys"],
+    summary: "Revoke the calling key",
+    security: BEARER,
+    response: responses(obj({ success: SUCCESS, revoked: { type: "boolean" } })),
+  },
+
+  listWalletKeys: {
+    tags: ["wallet"],
+    summary: "Every key on a wallet",
+    security: WALLET_AUTH,
+    params: WALLET_PARAMS,
+    response: responses(
+      obj({
+        success: SUCCESS,
+        wallet: ADDRESS,
+        keys: {
+          type: "array",
+          items: obj({
+            id: { type: "integer" },
+            agent_name: nullable("string"),
+            binding: BINDING,
+            label: nullable("string"),
+            tier: { type: "string" },
+            chain_id: nullable("integer"),
+            key_daily_cap: nullable("integer"),
+            active: { type: "boolean" },
+            revoked_at: UNIX,
+            entitlement_expires_at: UNIX,
+            last_used_at: UNIX,
+          }),
+        },
+        active: { type: "integer" },
+        pool: obj({ day: { type: "string" }, used: { type: "integer" } }),
+      })
+    ),
+  },
+
+  getWalletUsage: {
+    tags: ["wallet"],
+    summary: "Usage history for every key on a wallet",
+    security: WALLET_AUTH,
+    params: WALLET_PARAMS,
+    querystring: USAGE_QUERY,
+    response: responses(obj({ success: SUCCESS, wallet: ADDRESS, ...USAGE_REPORT })),
+  },
+
+  updateWalletKey: {
+    tags: ["wallet"],
+    summary: "Set a key's label and/or daily cap",
+    security: WALLET_AUTH,
+    params: WALLET_KEY_PARAMS,
+    body: {
+      type: "object",
+      properties: {
+        label: nullable("string", "Up to 64 chars; null clears it"),
+        daily_cap: {
+          type: ["integer", "null"],
+          minimum: 1,
+          description: "Roasts per day for this key; null removes the cap",
+        },
+      },
+    },
+    response: responses(
+      obj({
+        success: SUCCESS,
+        key: obj({
+          id: { type: "integer" },
+          agent_name: nullable("string"),
+          label: nullable("string"),
+          key_daily_cap: nullable("integer"),
+        }),
+      })
+    ),
+  },
+
+  updateWalletKeyBinding: {
+    tags: ["wallet"],
+    summary: "Change which requester names may use a key",
+    security: WALLET_AUTH,
+    params: WALLET_KEY_PARAMS,
+    body: {
+      type: "object",
+      properties: {
+        mode: { type: "string", enum: BINDING_MODES },
+        agent_name: { type: "string" },
+        names: {
+          type: "array",
+          maxItems: 20,
+          items: { type: "string" },
+          description: "Extra names (allowlist mode)",
+        },
+      },
+    },
+    response: responses(
+      obj({
+        success: SUCCESS,
+        key: obj({ id: { type: "integer" }, agent_name: nullable("string"), binding: BINDING }),
+      })
+    ),
+  },
+
+  revokeWalletKey: {
+    tags: ["wallet"],
+    summary: "Revoke one of a wallet's keys",
+    security: WALLET_AUTH,
+    params: WALLET_KEY_PARAMS,
+    response: responses(
+      obj({ success: SUCCESS, id: { type: "integer" }, revoked: { type: "boolean" } })
+    ),
+  },
+
+  listWebhooks: {
+    tags: ["webhooks"],
+    summary: "Webhooks owned by the key's wallet (or the key)",
+    security: BEARER,
+    response: responses(
+      obj({
+        success: SUCCESS,
+        webhooks: { type: "array", items: WEBHOOK },
+        events: { type: "array", items: { type: "string" } },
+      })
+    ),
+  },
+
+  createWebhook: {
+    tags: ["webhooks"],
+    summary: "Register a webhook receiver (the signing secret is only returned here)",
+    security: BEARER,
+    body: {
+      type: "object",
+      properties: {
+        url: { type: "string", description: "https URL of the receiver" },
+        events: { ...WEBHOOK_EVENT_LIST, description: "Default: every event" },
+        description: { type: "string", description: "Up to 200 chars" },
+      },
+      required: ["url"],
+    },
+    response: responses(
+      obj({
+        success: SUCCESS,
+        webhook: WEBHOOK,
+        secret: { type: "string" },
+        hint: { type: "string" },
+      })
+    ),
+  },
+
+  updateWebhook: {
+    tags: ["webhooks"],
+    summary: "Change a webhook's url / events / description, or pause it",
+    security: BEARER,
+    params: WEBHOOK_PARAMS,
+    body: {
+      type: "object",
+      properties: {
+        url: { type: "string" },
+        events: WEBHOOK_EVENT_LIST,
+        description: nullable("string"),
+        enabled: { type: "boolean" },
+      },
+    },
+    response: responses(obj({ success: SUCCESS, webhook: WEBHOOK })),
+  },
+
+  deleteWebhook: {
+    tags: ["webhooks"],
+    summary: "Delete a webhook",
+    security: BEARER,
+    params: WEBHOOK_PARAMS,
+    response: responses(
+      obj({ success: SUCCESS, id: { type: "integer" }, deleted: { type: "boolean" } })
+    ),
+  },
+
+  testWebhook: {
+    tags: ["webhooks"],
+    summary: "Queue a webhook.test delivery",
+    security: BEARER,
+    params: WEBHOOK_PARAMS,
+    response: responses(
+      obj({ success: SUCCESS, id: { type: "integer" }, queued: { type: "boolean" } })
+    ),
+  },
+
+  listWebhookDeliveries: {
+    tags: ["webhooks"],
+    summary: "Delivery log for a webhook, newest first",
+    security: BEARER,
+    params: WEBHOOK_PARAMS,
+    querystring: {
+      type: "object",
+      properties: { limit: { type: "integer", minimum: 1, maximum: 200, default: 50 } },
+    },
+    response: responses(
+      obj({
+        success: SUCCESS,
+        id: { type: "integer" },
+        deliveries: {
+          type: "array",
+          items: obj({
+            id: { type: "integer" },
+            event: { type: "string" },
+            status: { type: "string" },
+            attempts: { type: "integer" },
+            last_status_code: nullable("integer"),
+            last_error: nullable("string"),
+            payload: obj({}),
+            created_at: UNIX,
+            next_attempt_at: UNIX,
+            delivered_at: UNIX,
+          }),
+        },
+      })
+    ),
+  },
+
+  listPersonas: {
+    tags: ["personas"],
+    summary: "Built-in personas, plus the caller's stored personas when a key is sent",
+    security: [{}, ...BEARER],
+    response: responses(
+      obj({
+        success: SUCCESS,
+        default: { type: "string" },
+        personas: { type: "array", items: PERSONA },
+        max_custom: { type: "integer" },
+      })
+    ),
+  },
+
+  createPersona: {
+    tags: ["personas"],
+    summary: `Store a custom persona (Pro keys, max ${MAX_PERSONAS})`,
+    description:
+      "Owned by the key's wallet, so every key on it can use it. The safety " +
+      "rules are always added after the persona and can't be changed by it.",
+    security: BEARER,
+    body: { type: "object", properties: PERSONA_BODY, required: ["name", "voice"] },
+    response: responses(obj({ success: SUCCESS, persona: PERSONA })),
+  },
+
+  updatePersona: {
+    tags: ["personas"],
+    summary: "Change a stored persona (only the fields sent)",
+    security: BEARER,
+    params: PERSONA_PARAMS,
+    body: { type: "object", properties: PERSONA_BODY },
+    response: responses(obj({ success: SUCCESS, persona: PERSONA })),
+  },
+
+  deletePersona: {
+    tags: ["personas"],
+    summary: "Delete a stored persona (any tier)",
+    security: BEARER,
+    params: PERSONA_PARAMS,
+    response: responses(
+      obj({ success: SUCCESS, id: { type: "integer" }, deleted: { type: "boolean" } })
+    ),
+  },
+
+  createRoast: {
+    tags: ["roast"],
+    summary: "Roast someone",
+    description:
+      "Free without a key (small daily limit per IP and requester). Send " +
+      '"stream": true or Accept: text/event-stream for Server-Sent Events ' +
+      "(delta events, a reset if the draft is replaced, then one done or error event).",
+    security: [{}, ...BEARER],
+    body: {
+      type: "object",
+      properties: {
+        requester: REQUESTER,
+        ...TARGET_FIELDS,
+        mode: {
+          type: "string",
+          description: `${MODES.join(" or ")} (comeback answers 'message')`,
+        },
+        thread: {
+          type: "array",
+          description: "Earlier turns, oldest first",
+          items: obj(
+            { author: { type: "string" }, text: { type: "string" } },
+            { required: ["text"] }
+          ),
+        },
+        persona: PERSONA_FIELD,
+        ...STYLE_FIELDS,
+        stream: { type: "boolean" },
+      },
+      required: ["requester"],
+    },
+    response: responses(
+      obj({
+        success: SUCCESS,
+        roast: { type: "string" },
+        mode: { type: "string" },
+        persona: { type: "string" },
+        style: STYLE,
+        safety: SAFETY,
+        thread: obj({}),
+        limited: {
+          type: "array",
+          items: { type: "string" },
+          description: "Style fields capped by the caller's tier",
+        },
+      })
+    ),
+  },
+
+  createRoastBatch: {
+    tags: ["roast"],
+    summary: "Roast several targets in one call (one quota reservation)",
+    security: [{}, ...BEARER],
+    body: {
+      type: "object",
+      properties: {
+        requester: REQUESTER,
+        items: { type: "array", minItems: 1, items: obj(TARGET_FIELDS) },
+        persona: PERSONA_FIELD,
+        ...STYLE_FIELDS,
+      },
+      required: ["requester", "items"],
+    },
+    // 502 (same body) when every item failed
+    response: responses(BATCH_RESULT, { 502: BATCH_RESULT }),
+  },
+};
+
+for (const [operationId, schema] of Object.entries(ROUTE_SCHEMAS)) {
+  schema.operationId = operationId;
+}
+
+// ---- Validation messages ----
+
+// "/items/0/name" -> "items[0].name"
+function fieldName(instancePath, extra) {
+  const parts = instancePath.split("/").filter(Boolean);
+  if (extra) parts.push(extra);
+  return parts.reduce((s, p) => (/^\d+$/.test(p) ? `${s}[${p}]` : s ? `${s}.${p}` : p), "");
+}
+
+const TYPE_NAMES = { integer: "an integer", array: "an array", object: "an object", null: "null" };
+const typeName = (t) => TYPE_NAMES[t] || `a ${t}`;
+
+/**
+ * Fastify schemaErrorFormatter: the first Ajv error as a message in the same
+ * voice as the handlers' own checks ("Send 'buyer'.", "'tier' must be ...").
+ */
+function validationMessage(errors, dataVar) {
+  const e = errors[0];
+  const field = fieldName(e.instancePath, e.params?.missingProperty);
+  const name = field ? `'${field}'` : dataVar;
+  switch (e.keyword) {
+    case "required":
+      return `Send ${name}${dataVar === "body" ? "" : ` in the ${dataVar}`}.`;
+    case "type":
+      if (!field) return `Send a JSON object as the ${dataVar}.`;
+      return `${name} must be ${String(e.params.type).split(",").map(typeName).join(" or ")}.`;
+    case "enum":
+      return `${name} must be one of: ${e.params.allowedValues.join(", ")}.`;
+    case "pattern":
+      return `${name} is malformed.`;
+    default:
+      return `${name} ${e.message}.`;
+  }
+}
+
+// ---- OpenAPI ----
+
+const STATUS_TEXT = {
+  200: "OK",
+  "4xx": "Client error",
+  "5xx": "Server error",
+  502: "Generation failed for every item",
+  503: "Unavailable",
+};
+
+// Fastify path -> OpenAPI path ("/keys/:id" -> "/keys/{id}")
+function openApiPath(url) {
+  return url.replace(/:(\w+)/g, "{$1}");
+}
+
+function parameters(location, schema) {
+  if (!schema?.properties) return [];
+  const required = schema.required || [];
+  return Object.entries(schema.properties).map(([name, s]) => {
+    const { description, ...rest } = s;
+    const p = { name, in: location, required: location === "path" || required.includes(name) };
+    if (description) p.description = description;
+    p.schema = rest;
+    return p;
+  });
+}
+
+// API_ERROR -> a $ref to components, everything else inline
+function responseSchema(s) {
+  return s === API_ERROR ? { $ref: "#/components/schemas/ApiError" } : s;
+}
+
+/**
+ * OpenAPI 3.1 document for `routes` ({ method, url, schema } as seen by
+ * Fastify's onRoute hook; only routes whose schema has an operationId).
+ */
+function buildOpenApi(routes, { domain, version = "1.0.0" } = {}) {
+  const paths = {};
+  for (const { method, url, schema } of routes) {
+    const op = {
+      operationId: schema.operationId,
+      summary: schema.summary,
+      tags: schema.tags,
+    };
+    if (schema.description) op.description = schema.description;
+    if (schema.security) op.security = schema.security;
+
+    const params = [
+      ...parameters("path", schema.params),
+      ...parameters("query", schema.querystring),
+    ];
+    if (params.length) op.parameters = params;
+    if (schema.body) {
+      op.requestBody = { required: true, content: { "application/json": { schema: schema.body } } };
+    }
+
+    op.responses = {};
+    for (const [status, s] of Object.entries(schema.response || {})) {
+      op.responses[status.toUpperCase()] = {
+        description: STATUS_TEXT[status] || "",
+        content: { "application/json": { schema: responseSchema(s) } },
+      };
+    }
+
+    const path = openApiPath(url);
+    paths[path] = { ...paths[path], [method.toLowerCase()]: op };
+  }
+
+  return {
+    openapi: "3.1.0",
+    info: {
+      title: "TheRoaster API",
+      version,
+      description:
+        "Roasts for AI agents. Free callers have a small daily limit; buy a plan " +
+        "onchain (USDC) and claim an API key for more. Errors are " +
+        "{ success: false, error, code }.",
+    },
+    servers: [{ url: `https://${domain}` }],
+    paths,
+    components: {
+      schemas: { ApiError: API_ERROR },
+      securitySchemes: {
+        bearerAuth: {
+          type: "http",
+          scheme: "bearer",
+          description: "API key from /api/v1/auth/claim",
+        },
+        walletSignature: {
+          type: "apiKey",
+          in: "header",
+          name: "X-Wallet-Signature",
+          description: 'Signature over the /api/v1/auth/nonce message with purpose "manage"',
+        },
+      },
+    },
+  };
+}
+
+module.exports = {
+  ERROR_CODES,
+  ROUTE_SCHEMAS,
+  BINDING_MODES,
+  validationMessage,
+  buildOpenApi,
+};
@@ -0,0 +1,170 @@
+"use strict";
+const { ethers } = require("ethers");
+
+const { RpcUnavailableError } = require("./rpc");
+
+// --------------------
+// Sign-In with Ethereum (EIP-4361) messages + EIP-1271 contract-wallet signatures
+// --------------------
+
+const EIP1271_MAGIC = "0x1626ba7e";
+const EIP1271_ABI = [
+  "function isValidSignature(bytes32 hash, bytes signature) view returns (bytes4)",
+];
+
+/**
+ * Build an EIP-4361 message. Field order and wording follow the spec exactly;
+ * wallets parse it to show a proper sign-in prompt.
+ */
+function buildSiweMessage({
+  domain,
+  address,
+  statement,
+  uri,
+  version = "1",
+  chainId,
+  nonce,
+  issuedAt,
+  expirationTime,
+  resources = [],
+}) {
+  const lines = [`${domain} wants you to sign in with your Ethereum account:`, address, ""];
+  if (statement) lines.push(statement, "");
+  lines.push(
+    `URI: ${uri}`,
+    `Version: ${version}`,
+    `Chain ID: ${chainId}`,
+    `Nonce: ${nonce}`,
+    `Issued At: ${issuedAt}`
+  );
+  if (expirationTime) lines.push(`Expiration Time: ${expirationTime}`);
+  if (resources.length) lines.push("Resources:", ...resources.map((r) => `- ${r}`));
+  return lines.join("\n");
+}
+
+const FIELD_NAMES = {
+  URI: "uri",
+  Version: "version",
+  "Chain ID": "chainId",
+  Nonce: "nonce",
+  "Issued At": "issuedAt",
+  "Expiration Time": "expirationTime",
+  "Not Before": "notBefore",
+  "Request ID": "requestId",
+};
+
+// Parse an EIP-4361 message. Throws on anything that isn't one.
+function parseSiweMessage(text) {
+  const lines = String(text || "").split("\n");
+
+  const header = lines[0]?.match(/^(\S+) wants you to sign in with your Ethereum account:$/);
+  if (!header) throw new Error("Not a SIWE message");
+  if (!ethers.isAddress(lines[1] || "")) throw new Error("SIWE message has no valid address");
+
+  const out = { domain: header[1], address: lines[1], statement: null, resources: [] };
+
+  let i = 2;
+  if (lines[i] !== "") throw new Error("Malformed SIWE message");
+  i++;
+
+  // Optional statement, followed by a blank line
+  if (lines[i] !== undefined && !lines[i].startsWith("URI: ")) {
+    out.statement = lines[i];
+    i++;
+    if (lines[i] !== "") throw new Error("Malformed SIWE message");
+    i++;
+  }
+
+  for (; i < lines.length; i++) {
+    const line = lines[i];
+    if (line === "Resources:") {
+      for (i++; i < lines.length; i++) {
+        if (!lines[i].startsWith("- ")) throw new Error("Malformed SIWE resources");
+        out.resources.push(lines[i].slice(2));
+      }
+      break;
+    }
+    const m = line.match(/^([A-Za-z ]+): (.+)$/);
+    if (!m || !FIELD_NAMES[m[1]]) throw new Error(`Unexpected SIWE line: ${line}`);
+    out[FIELD_NAMES[m[1]]] = m[2];
+  }
+
+  for (const f of ["uri", "version", "chainId", "nonce", "issuedAt"]) {
+    if (!out[f]) throw new Error(`SIWE message missing ${f}`);
+  }
+  out.chainId = Number(out.chainId);
+  return out;
+}
+
+// Origin of a URI, or null if it isn't an absolute URL
+function uriOrigin(uri) {
+  try {
+    return new URL(uri).origin;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Check a parsed message against what we issued. Returns null if it's
+ * acceptable, else a short reason string.
+ *
+ * `uri` is the origin we issue messages for; the message's URI must share it.
+ * Messages must carry an Expiration Time (we always set one), so a message
+ * re-signed without it can't outlive what the wallet was shown.
+ */
+function validateSiweFields(fields, { domain, uri, address, chainId, nonce, now = new Date() }) {
+  if (fields.domain !== domain) return "domain mismatch";
+  if (!uriOrigin(fields.uri) || uriOrigin(fields.uri) !== uriOrigin(uri)) return "URI mismatch";
+  if (ethers.getAddress(fields.address) !== ethers.getAddress(address)) return "address mismatch";
+  if (fields.version !== "1") return "unsupported version";
+  if (fields.chainId !== Number(chainId)) return "chain ID mismatch";
+  if (fields.nonce !== nonce) return "nonce mismatch";
+
+  const t = now.getTime();
+  if (!fields.expirationTime) return "missing expiration time";
+  const expires = Date.parse(fields.expirationTime);
+  if (Number.isNaN(expires)) return "invalid expiration time";
+  if (expires <= t) return "message expired";
+  if (fields.notBefore) {
+    const notBefore = Date.parse(fields.notBefore);
+    if (Number.isNaN(notBefore)) return "invalid not-before time";
+    if (notBefore > t) return "message not yet valid";
+  }
+  return null;
+}
+
+/**
+ * True if `signature` is `address`'s signature over `message` (EIP-191
+ * personal_sign). EOAs are checked with ecrecover; if that fails and the
+ * address has code, fall back to EIP-1271 isValidSignature (Safe and other
+ * smart accounts).
+ */
+async function verifyWalletSignature({ provider, address, message, signature }) {
+  try {
+    const recovered = ethers.verifyMessage(message, signature);
+    if (ethers.getAddress(recovered) === ethers.getAddress(address)) return true;
+  } catch {
+    // Not a plain 65-byte ECDSA signature; may still be a contract-wallet signature
+  }
+
+  if (!provider) return false;
+  const code = await provider.getCode(address);
+  if (!code || code === "0x") return false;
+
+  try {
+    const wallet = new ethers.Contract(address, EIP1271_ABI, provider);
+    const result = await wallet.isValidSignature(ethers.hashMessage(message), signature);
+    return String(result).toLowerCase() === EIP1271_MAGIC;
+  } catch (e) {
+    if (e instanceof RpcUnavailableError) throw e; // RPC down is not a bad signature
+    return false;
+  }
+}
+
+module.exports = {
+  buildSiweMessage,
+  parseSiweMessage,
+  validateSiweFields,
+  verifyWalletSignature,
+};
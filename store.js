@@ -0,0 +1,211 @@
+"use strict";
+
+// --------------------
+// Redis with an in-process fallback (degraded mode).
+//
+// Rate-limit counters, nonces and caches live in Redis. When the client isn't
+// ready or a command fails, createResilientRedis() serves the same commands
+// from a local Map instead, so roasts and claims keep working on this process.
+// When Redis answers again the local state is reconciled: counter increments
+// are added onto the Redis counters, other keys (nonces, caches) are copied
+// over unless Redis already has them, and the local store is cleared.
+//
+// Local counters start from zero and are per process, so app.js holds callers
+// to a fraction of their limits while degraded (REDIS_DEGRADED_LIMIT_FACTOR).
+// --------------------
+
+// Redis glob (only * and ?) -> RegExp
+function globToRe(glob) {
+  const esc = glob.replace(/[.+^${}()|[\]\\]/g, "\\$&");
+  return new RegExp("^" + esc.replace(/\*/g, ".*").replace(/\?/g, ".") + "$");
+}
+
+/**
+ * The subset of node-redis commands the API uses, in memory. Entries are
+ * { value, expiresAt, delta }; delta is the net incrBy/decrBy since the entry
+ * was created (null for plain set values) and is what reconcile adds to Redis.
+ */
+function createLocalStore({ now = Date.now } = {}) {
+  const entries = new Map();
+
+  function live(key) {
+    const e = entries.get(key);
+    if (e && e.expiresAt != null && e.expiresAt <= now()) {
+      entries.delete(key);
+      return null;
+    }
+    return e || null;
+  }
+
+  function incr(key, n) {
+    const e = live(key) || { value: "0", expiresAt: null, delta: 0 };
+    const next = Number(e.value) + n;
+    entries.set(key, { ...e, value: String(next), delta: (e.delta ?? 0) + n });
+    return next;
+  }
+
+  return {
+    entries,
+    async get(key) {
+      return live(key)?.value ?? null;
+    },
+    async mGet(keys) {
+      return keys.map((k) => live(k)?.value ?? null);
+    },
+    async set(key, value, opts = {}) {
+      if (opts.NX && live(key)) return null;
+      const ttlMs = opts.PX ?? (opts.EX != null ? opts.EX * 1000 : null);
+      entries.set(key, {
+        value: String(value),
+        expiresAt: ttlMs != null ? now() + ttlMs : null,
+        delta: null,
+      });
+      return "OK";
+    },
+    async incrBy(key, n) {
+      return incr(key, n);
+    },
+    async decrBy(key, n) {
+      return incr(key, -n);
+    },
+    async expire(key, seconds) {
+      const e = live(key);
+      if (!e) return false;
+      e.expiresAt = now() + seconds * 1000;
+      return true;
+    },
+    async ttl(key) {
+      const e = live(key);
+      if (!e) return -2;
+      if (e.expiresAt == null) return -1;
+      return Math.ceil((e.expiresAt - now()) / 1000);
+    },
+    async del(keys) {
+      let n = 0;
+      for (const k of [].concat(keys)) if (live(k) && entries.delete(k)) n++;
+      return n;
+    },
+    // Batches, like node-redis v5
+    async *scanIterator({ MATCH = "*" } = {}) {
+      const re = globToRe(MATCH);
+      const keys = [...entries.keys()].filter((k) => re.test(k) && live(k));
+      if (keys.length) yield keys;
+    },
+    size() {
+      return entries.size;
+    },
+  };
+}
+
+const COMMANDS = ["get", "mGet", "set", "incrBy", "decrBy", "expire", "ttl", "del"];
+
+/**
+ * Wrap a node-redis client. Same commands, plus degraded() and status().
+ *
+ * Options:
+ * - retryMs: after a failed command, how long to stay local before trying
+ *   Redis again (default 5000)
+ * - onChange(degraded): called when the mode flips (metrics)
+ */
+function createResilientRedis(redis, { log = console, retryMs = 5000, onChange = null } = {}) {
+  const local = createLocalStore();
+  let degradedSince = null;
+  let retryAt = 0;
+  let reconciling = null;
+
+  // node-redis queues commands while disconnected; never hand it one then
+  const ready = () => redis.isReady !== false && Date.now() >= retryAt;
+
+  // A command that failed on a ready client backs off retryMs; a client that
+  // isn't ready says itself when it is back (isReady)
+  function goDegraded(err = null) {
+    if (err) retryAt = Date.now() + retryMs;
+    if (degradedSince) return;
+    degradedSince = new Date();
+    log.warn({ err }, "Redis unavailable; using in-process counters and nonces (degraded)");
+    onChange?.(true);
+  }
+
+  // Entries are dropped as they are pushed, so a reconcile that fails halfway
+  // resumes without counting anything twice
+  async function reconcile() {
+    const now = Date.now();
+    let counters = 0;
+    let values = 0;
+    for (const [key, e] of local.entries) {
+      if (e.expiresAt != null && e.expiresAt <= now) {
+        local.entries.delete(key);
+        continue;
+      }
+      if (e.delta != null) {
+        if (e.delta !== 0) await redis.incrBy(key, e.delta);
+        if (e.expiresAt != null) await redis.expire(key, Math.ceil((e.expiresAt - now) / 1000));
+        counters++;
+      } else {
+        const ttl = e.expiresAt != null ? { PX: e.expiresAt - now } : {};
+        await redis.set(key, e.value, { NX: true, ...ttl });
+        values++;
+      }
+      local.entries.delete(key);
+    }
+    log.info(
+      { counters, values, degradedSeconds: Math.round((now - degradedSince) / 1000) },
+      "Redis is back; reconciled in-process state"
+    );
+    degradedSince = null;
+    onChange?.(false);
+  }
+
+  // Redis if it's usable (reconciling first after an outage), else null
+  async function target() {
+    if (!ready()) {
+      if (redis.isReady === false) goDegraded();
+      return null;
+    }
+    if (!degradedSince) return redis;
+    try {
+      reconciling ||= reconcile().finally(() => (reconciling = null));
+      await reconciling;
+      return redis;
+    } catch (err) {
+      goDegraded(err);
+      return null;
+    }
+  }
+
+  const wrapped = {};
+  for (const name of COMMANDS) {
+    wrapped[name] = async (...args) => {
+      const client = await target();
+      if (client) {
+        try {
+          return await client[name](...args);
+        } catch (err) {
+          goDegraded(err);
+        }
+      }
+      return local[name](...args);
+    };
+  }
+
+  return {
+    ...wrapped,
+    async *scanIterator(opts) {
+      const client = await target();
+      yield* (client || local).scanIterator(opts);
+    },
+    degraded: () => degradedSince != null,
+    // For /health
+    status() {
+      return {
+        ok: degradedSince == null && redis.isReady !== false,
+        mode: degradedSince || redis.isReady === false ? "degraded" : "redis",
+        degradedSince: degradedSince ? degradedSince.toISOString() : null,
+        localKeys: local.size(),
+      };
+    },
+    client: redis,
+  };
+}
+
+module.exports = { createLocalStore, createResilientRedis };
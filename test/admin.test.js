@@ -0,0 +1,111 @@
+"use strict";
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { createTestApp, seedKey } = require("./helpers");
+
+const WALLET = "0x52908400098527886E0F7030069857D2E4169EE7"; // checksummed
+const TOKEN = "t0ps3cret";
+
+function adminApp(t) {
+  const env = createTestApp({ config: { adminTokens: [{ name: "alice", token: TOKEN }] } });
+  t.after(() => env.app.close());
+  return env;
+}
+
+function admin(app, method, url, payload) {
+  return app.inject({ method, url, headers: { "x-admin-token": TOKEN }, payload });
+}
+
+test("admin routes need a known token", async (t) => {
+  const { app } = adminApp(t);
+  const res = await app.inject({
+    method: "GET",
+    url: "/admin/v1/keys?id=1",
+    headers: { "x-admin-token": "nope" },
+  });
+  assert.equal(res.statusCode, 401);
+});
+
+test("comp keys are minted for a lowercased wallet and audited", async (t) => {
+  const { app, db } = adminApp(t);
+
+  const res = await admin(app, "POST", "/admin/v1/keys", {
+    tier: "pro",
+    daily_limit: 500,
+    wallet: WALLET,
+    agent_name: "CompBot",
+    reason: "support #123",
+  });
+  assert.equal(res.statusCode, 200, res.body);
+  const { id, api_key } = res.json();
+  assert.match(api_key, /^rk_/);
+  assert.equal(db.keys[0].wallet_address, WALLET.toLowerCase());
+  assert.equal(db.keys[0].daily_limit, 500);
+
+  // The wallet's own listing finds it
+  const found = await admin(app, "GET", `/admin/v1/keys?wallet=${WALLET}`);
+  assert.deepEqual(
+    found.json().keys.map((k) => k.id),
+    [id]
+  );
+
+  const [mint] = db.audit;
+  assert.equal(mint.actor, "alice");
+  assert.equal(mint.action, "keys.mint");
+  assert.equal(mint.target, String(id));
+  assert.equal(mint.details.wallet, WALLET.toLowerCase());
+  assert.equal(mint.details.reason, "support #123");
+
+  for (const body of [
+    { tier: "pro", daily_limit: 5, wallet: "0x1234" },
+    { tier: "gold", daily_limit: 5 },
+    { tier: "basic", daily_limit: 0 },
+  ]) {
+    assert.equal((await admin(app, "POST", "/admin/v1/keys", body)).statusCode, 400);
+  }
+  assert.equal(db.keys.length, 1);
+});
+
+test("revoke and enable toggle a key and are audited", async (t) => {
+  const { app, db } = adminApp(t);
+  const { rawKey, row } = await seedKey(db, { walletAddress: WALLET, agentName: "KeyBot" });
+  const me = () =>
+    app.inject({
+      method: "GET",
+      url: "/api/v1/me",
+      headers: { authorization: `Bearer ${rawKey}` },
+    });
+
+  let res = await admin(app, "POST", `/admin/v1/keys/${row.id}/revoke`, { reason: "leaked" });
+  assert.deepEqual(res.json(), { success: true, id: row.id, enabled: false });
+  assert.equal((await me()).statusCode, 401);
+
+  res = await admin(app, "POST", `/admin/v1/keys/${row.id}/enable`);
+  assert.equal(res.json().enabled, true);
+  assert.equal((await me()).statusCode, 200);
+
+  assert.equal((await admin(app, "POST", "/admin/v1/keys/999/enable")).statusCode, 404);
+  assert.deepEqual(
+    db.audit.map((a) => [a.action, a.target]),
+    [
+      ["keys.revoke", String(row.id)],
+      ["keys.enable", String(row.id)],
+    ]
+  );
+  assert.equal(db.audit[0].details.reason, "leaked");
+});
+
+test("re-enabling a key can't push a wallet past the key cap", async (t) => {
+  const { app, db } = adminApp(t);
+  db.maxKeysPerWallet = 2;
+  const { row: old } = await seedKey(db, { walletAddress: WALLET, agentName: "A" });
+  await admin(app, "POST", `/admin/v1/keys/${old.id}/revoke`);
+  await seedKey(db, { walletAddress: WALLET, agentName: "B" });
+  await seedKey(db, { walletAddress: WALLET, agentName: "C" });
+
+  const res = await admin(app, "POST", `/admin/v1/keys/${old.id}/enable`);
+  assert.equal(res.statusCode, 409);
+  assert.equal(old.enabled, false);
+  assert.equal(db.audit.at(-1).action, "keys.revoke", "refused enables are not audited");
+});
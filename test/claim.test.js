@@ -0,0 +1,236 @@
+"use strict";
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { ethers } = require("ethers");
+
+const { tierLimit } = require("../util");
+const { createTestApp } = require("./helpers");
+
+const inAMonth = () => Math.floor(Date.now() / 1000) + 30 * 86400;
+
+async function nonce(app, address, body = {}) {
+  const res = await app.inject({
+    method: "POST",
+    url: "/api/v1/auth/nonce",
+    payload: { address, ...body },
+  });
+  assert.equal(res.statusCode, 200, res.body);
+  return res.json();
+}
+
+function claim(app, payload) {
+  return app.inject({ method: "POST", url: "/api/v1/auth/claim", payload });
+}
+
+test("nonce -> sign -> claim mints a key for an active entitlement", async (t) => {
+  const { app, chain, db } = createTestApp();
+  t.after(() => app.close());
+
+  const wallet = ethers.Wallet.createRandom();
+  chain.setEntitlement(wallet.address, 2, inAMonth());
+
+  const issued = await nonce(app, wallet.address);
+  assert.equal(issued.format, "siwe");
+  assert.match(issued.message, /^theroaster\.test wants you to sign in/);
+  assert.match(issued.message, /Chain ID: 8453/);
+
+  const res = await claim(app, {
+    requester: "ClaimBot",
+    address: wallet.address,
+    signature: await wallet.signMessage(issued.message),
+  });
+  assert.equal(res.statusCode, 200, res.body);
+  const body = res.json();
+  assert.equal(body.tier, 2);
+  assert.match(body.api_key, /^rk_/);
+  assert.equal(db.keys.length, 1);
+  assert.equal(db.keys[0].agent_name, "ClaimBot");
+
+  const me = await app.inject({
+    method: "GET",
+    url: "/api/v1/me",
+    headers: { authorization: `Bearer ${body.api_key}` },
+  });
+  assert.equal(me.json().tier, "pro");
+  assert.equal(me.json().wallet, wallet.address.toLowerCase());
+  // No per-key override on a claim: the limit follows the tier
+  assert.equal(db.keys[0].daily_limit, null);
+  assert.equal(me.json().usage.daily_limit, tierLimit({ tier: "pro" }));
+});
+
+test("nonces are single use", async (t) => {
+  const { app, chain } = createTestApp();
+  t.after(() => app.close());
+
+  const wallet = ethers.Wallet.createRandom();
+  chain.setEntitlement(wallet.address, 1, inAMonth());
+
+  const { message } = await nonce(app, wallet.address);
+  const payload = {
+    requester: "ClaimBot",
+    address: wallet.address,
+    signature: await wallet.signMessage(message),
+  };
+  assert.equal((await claim(app, payload)).statusCode, 200);
+
+  const replay = await claim(app, payload);
+  assert.equal(replay.statusCode, 400);
+  assert.match(replay.json().error, /Nonce expired/);
+});
+
+test("a signature from another wallet is rejected", async (t) => {
+  const { app, chain } = createTestApp();
+  t.after(() => app.close());
+
+  const wallet = ethers.Wallet.createRandom();
+  const attacker = ethers.Wallet.createRandom();
+  chain.setEntitlement(wallet.address, 1, inAMonth());
+
+  const { message } = await nonce(app, wallet.address);
+  const res = await claim(app, {
+    requester: "ClaimBot",
+    address: wallet.address,
+    signature: await attacker.signMessage(message),
+  });
+  assert.equal(res.statusCode, 401);
+  assert.equal(res.json().error, "Signature mismatch.");
+});
+
+test("a SIWE message for another domain is rejected", async (t) => {
+  const { app, chain } = createTestApp();
+  t.after(() => app.close());
+
+  const wallet = ethers.Wallet.createRandom();
+  chain.setEntitlement(wallet.address, 1, inAMonth());
+
+  const { message } = await nonce(app, wallet.address);
+  const forged = message.replace(/^theroaster\.test/, "evil.example");
+  const res = await claim(app, {
+    requester: "ClaimBot",
+    address: wallet.address,
+    message: forged,
+    signature: await wallet.signMessage(forged),
+  });
+  assert.equal(res.statusCode, 401);
+  assert.match(res.json().error, /^SIWE message rejected/);
+});
+
+test("a SIWE message with another URI or no expiration is rejected", async (t) => {
+  const { app, chain, db } = createTestApp();
+  t.after(() => app.close());
+
+  const wallet = ethers.Wallet.createRandom();
+  chain.setEntitlement(wallet.address, 1, inAMonth());
+
+  for (const [edit, reason] of [
+    [(m) => m.replace(/^URI: .*$/m, "URI: https://evil.example"), "URI mismatch"],
+    [(m) => m.replace(/^URI: .*$/m, "URI: not a url"), "URI mismatch"],
+    [(m) => m.replace(/\nExpiration Time: .*/, ""), "missing expiration time"],
+    [(m) => m.replace(/(Expiration Time: ).*/, "$1someday"), "invalid expiration time"],
+  ]) {
+    const { message } = await nonce(app, wallet.address);
+    const forged = edit(message);
+    assert.notEqual(forged, message);
+    const res = await claim(app, {
+      requester: "ClaimBot",
+      address: wallet.address,
+      message: forged,
+      signature: await wallet.signMessage(forged),
+    });
+    assert.equal(res.statusCode, 401, res.body);
+    assert.equal(res.json().error, `SIWE message rejected: ${reason}.`);
+  }
+  assert.equal(db.keys.length, 0);
+
+  // Another path on our own origin is still our URI
+  const { message } = await nonce(app, wallet.address);
+  const deepLink = message.replace(/^URI: .*$/m, "URI: https://theroaster.test/claim");
+  const ok = await claim(app, {
+    requester: "ClaimBot",
+    address: wallet.address,
+    message: deepLink,
+    signature: await wallet.signMessage(deepLink),
+  });
+  assert.equal(ok.statusCode, 200, ok.body);
+});
+
+test("claiming without an active entitlement returns 402", async (t) => {
+  const { app, chain, db } = createTestApp();
+  t.after(() => app.close());
+
+  const wallet = ethers.Wallet.createRandom();
+  chain.setEntitlement(wallet.address, 1, Math.floor(Date.now() / 1000) - 60); // lapsed
+
+  const { message } = await nonce(app, wallet.address);
+  const res = await claim(app, {
+    requester: "ClaimBot",
+    address: wallet.address,
+    signature: await wallet.signMessage(message),
+  });
+  assert.equal(res.statusCode, 402);
+  assert.equal(db.keys.length, 0);
+});
+
+test("legacy messages still work inside the deprecation window", async (t) => {
+  const { app, chain } = createTestApp();
+  t.after(() => app.close());
+
+  const wallet = ethers.Wallet.createRandom();
+  chain.setEntitlement(wallet.address, 1, inAMonth());
+
+  const issued = await nonce(app, wallet.address, { format: "legacy" });
+  assert.equal(issued.deprecated, true);
+  assert.match(issued.message, /^TheRoaster API Key Claim\n/);
+
+  const res = await claim(app, {
+    requester: "ClaimBot",
+    address: wallet.address,
+    signature: await wallet.signMessage(issued.message),
+  });
+  assert.equal(res.statusCode, 200, res.body);
+});
+
+test("a 'manage' signature authorizes wallet key management", async (t) => {
+  const { app, chain } = createTestApp();
+  t.after(() => app.close());
+
+  const wallet = ethers.Wallet.createRandom();
+  chain.setEntitlement(wallet.address, 1, inAMonth());
+
+  for (const requester of ["BotOne", "BotTwo"]) {
+    const { message } = await nonce(app, wallet.address);
+    const res = await claim(app, {
+      requester,
+      address: wallet.address,
+      signature: await wallet.signMessage(message),
+    });
+    assert.equal(res.statusCode, 200);
+  }
+
+  const url = `/api/v1/wallet/${wallet.address}/keys`;
+  assert.equal((await app.inject({ method: "GET", url })).statusCode, 401);
+
+  const { message } = await nonce(app, wallet.address, { purpose: "manage" });
+  assert.match(message, /Manage TheRoaster API keys for this wallet\./);
+
+  const res = await app.inject({
+    method: "GET",
+    url,
+    headers: { "x-wallet-signature": await wallet.signMessage(message) },
+  });
+  assert.equal(res.statusCode, 200, res.body);
+  assert.deepEqual(
+    res.json().keys.map((k) => k.agent_name),
+    ["BotOne", "BotTwo"]
+  );
+  assert.equal(res.json().active, 2);
+
+  // A claim nonce can't be used as a manage signature
+  const claimNonce = await nonce(app, wallet.address);
+  const wrongPurpose = await app.inject({
+    method: "GET",
+    url,
+    headers: { "x-wallet-signature": await wallet.signMessage(claimNonce.message) },
+  });
+  assert.equal(wrongPurpose.statusCode, 400);
+});
@@ -0,0 +1,139 @@
+"use strict";
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { ethers } = require("ethers");
+
+const { createTestApp, createFakeChain } = require("./helpers");
+const { createCircuitBreaker } = require("../rpc");
+const { createLLM } = require("../llm");
+const { utcDayKey } = require("../util");
+
+const inAMonth = () => Math.floor(Date.now() / 1000) + 30 * 86400;
+
+function roast(app, requester, ip = "203.0.113.7") {
+  return app.inject({
+    method: "POST",
+    url: "/api/v1/roast",
+    remoteAddress: ip,
+    payload: { requester, name: "SomeMolty" },
+  });
+}
+
+async function health(app) {
+  const res = await app.inject({ method: "GET", url: "/health" });
+  return { statusCode: res.statusCode, ...res.json() };
+}
+
+test("/health reports each dependency", async (t) => {
+  const { app } = createTestApp();
+  t.after(() => app.close());
+
+  const h = await health(app);
+  assert.equal(h.statusCode, 200);
+  assert.equal(h.ok, true);
+  assert.equal(h.status, "ok");
+  assert.equal(h.checks.postgres.ok, true);
+  assert.deepEqual(h.checks.redis, { ok: true, mode: "redis", degradedSince: null, localKeys: 0 });
+  assert.deepEqual(h.checks.rpc.networks, [
+    { chainId: 8453, name: "base", configured: true, circuit: "closed", ok: true },
+  ]);
+  assert.equal(h.checks.llm.ok, true);
+  assert.equal(h.checks.llm.providers[0].name, "mock");
+});
+
+test("a failing dependency makes /health degraded; no LLM at all makes it down", async (t) => {
+  const chain = createFakeChain({ breaker: createCircuitBreaker({ failureThreshold: 1 }) });
+  const { app, db } = createTestApp({ chain });
+  t.after(() => app.close());
+
+  db.pingError = new Error("connect ECONNREFUSED 10.0.0.5:5432");
+  const err = new Error("upstream down");
+  err.code = "SERVER_ERROR";
+  chain.fail(err);
+  await app.inject({ method: "GET", url: "/api/v1/plans" });
+
+  const h = await health(app);
+  assert.equal(h.statusCode, 200);
+  assert.equal(h.status, "degraded");
+  assert.deepEqual(h.checks.postgres, { ok: false, error: "unreachable" });
+  assert.equal(h.checks.rpc.ok, false);
+  assert.equal(h.checks.rpc.networks[0].circuit, "open");
+
+  const unconfigured = { name: "openai", configured: false, modelFor: () => "m" };
+  const { app: bare } = createTestApp({ llm: createLLM({ primary: unconfigured }) });
+  t.after(() => bare.close());
+  const h2 = await health(bare);
+  assert.equal(h2.statusCode, 503);
+  assert.equal(h2.ok, false);
+  assert.equal(h2.status, "down");
+  assert.equal(h2.checks.llm.configured, false);
+});
+
+test("without Redis, roasts run on halved in-process limits and are reconciled later", async (t) => {
+  const { app, redis } = createTestApp({ config: { freeDailyLimit: 4, freeIpDailyLimit: 20 } });
+  t.after(() => app.close());
+  const freeKey = `roaster:daily:free:${utcDayKey()}:203.0.113.7:bota`;
+
+  assert.equal((await roast(app, "BotA")).statusCode, 200);
+  assert.equal(await redis.get(freeKey), "1");
+
+  redis.isReady = false;
+  assert.equal((await roast(app, "BotA")).statusCode, 200);
+  assert.equal((await roast(app, "BotA")).statusCode, 200);
+  const limited = await roast(app, "BotA");
+  assert.equal(limited.statusCode, 429, "degraded limit is 4 * 0.5 = 2 per process");
+  assert.equal(limited.json().daily_limit, 2);
+  assert.equal(await redis.get(freeKey), "1", "Redis wasn't touched while down");
+
+  const h = await health(app);
+  assert.equal(h.status, "degraded");
+  assert.equal(h.checks.redis.mode, "degraded");
+  assert.ok(h.checks.redis.degradedSince);
+  assert.ok(h.checks.redis.localKeys > 0);
+
+  redis.isReady = true;
+  assert.equal((await roast(app, "BotA")).statusCode, 200);
+  assert.equal(await redis.get(freeKey), "4", "1 before + 2 local + 1 after");
+  assert.ok((await redis.ttl(freeKey)) > 0);
+  assert.equal((await health(app)).checks.redis.mode, "redis");
+  assert.equal((await roast(app, "BotA")).statusCode, 429, "back on the real limit");
+});
+
+test("a Redis command error falls back mid-request, and nonces survive the switch back", async (t) => {
+  const { app, redis, chain } = createTestApp({ config: { redisRetryMs: 0 } });
+  t.after(() => app.close());
+  const wallet = ethers.Wallet.createRandom();
+  chain.setEntitlement(wallet.address, 1, inAMonth());
+
+  // Connected, but every command fails (e.g. OOM / READONLY)
+  const realSet = redis.set;
+  const realGet = redis.get;
+  const broken = async () => {
+    throw new Error("READONLY You can't write against a read only replica.");
+  };
+  redis.set = broken;
+  redis.get = broken;
+
+  const issued = await app.inject({
+    method: "POST",
+    url: "/api/v1/auth/nonce",
+    payload: { address: wallet.address },
+  });
+  assert.equal(issued.statusCode, 200, issued.body);
+  assert.equal((await health(app)).checks.redis.mode, "degraded");
+
+  // Redis works again: the next command copies the local nonce over first
+  redis.set = realSet;
+  redis.get = realGet;
+  const res = await app.inject({
+    method: "POST",
+    url: "/api/v1/auth/claim",
+    payload: {
+      requester: "DegradedBot",
+      address: wallet.address,
+      signature: await wallet.signMessage(issued.json().message),
+    },
+  });
+  assert.equal(res.statusCode, 200, res.body);
+  assert.equal((await health(app)).checks.redis.mode, "redis");
+});
@@ -0,0 +1,784 @@
+"use strict";
+const { ethers } = require("ethers");
+
+const { buildApp, createChain, ROASTER_ABI, USDC_ABI } = require("../app");
+const { createLLM, createMockProvider } = require("../llm");
+const { hashKey, makeApiKey } = require("../util");
+
+// --------------------
+// In-memory stand-ins for Redis, Postgres (db.js) and the chain, so the
+// integration tests run with no network access.
+// --------------------
+
+const CONTRACT = ethers.getAddress("0x430b000000000000000000000000000000000001");
+const USDC = "0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913";
+
+// The node-redis commands the app uses, with EX / PX expiry. Set isReady =
+// false to simulate a disconnected client.
+function createFakeRedis() {
+  const data = new Map();
+
+  function live(key) {
+    const e = data.get(key);
+    if (e && e.expiresAt != null && e.expiresAt <= Date.now()) {
+      data.delete(key);
+      return null;
+    }
+    return e || null;
+  }
+
+  function incr(key, n) {
+    const e = live(key);
+    const value = Number(e ? e.value : 0) + n;
+    data.set(key, { value: String(value), expiresAt: e ? e.expiresAt : null });
+    return value;
+  }
+
+  return {
+    isReady: true,
+    data,
+    on() {},
+    async quit() {},
+    async get(key) {
+      return live(key)?.value ?? null;
+    },
+    async mGet(keys) {
+      return keys.map((k) => live(k)?.value ?? null);
+    },
+    async set(key, value, opts = {}) {
+      if (opts.NX && live(key)) return null;
+      const ttlMs = opts.PX ?? (opts.EX ? opts.EX * 1000 : null);
+      data.set(key, {
+        value: String(value),
+        expiresAt: ttlMs ? Date.now() + ttlMs : null,
+      });
+      return "OK";
+    },
+    async incrBy(key, n) {
+      return incr(key, n);
+    },
+    async decrBy(key, n) {
+      return incr(key, -n);
+    },
+    async expire(key, seconds) {
+      const e = live(key);
+      if (!e) return 0;
+      e.expiresAt = Date.now() + seconds * 1000;
+      return 1;
+    },
+    async ttl(key) {
+      const e = live(key);
+      if (!e) return -2;
+      return e.expiresAt == null ? -1 : Math.ceil((e.expiresAt - Date.now()) / 1000);
+    },
+    async del(keys) {
+      let n = 0;
+      for (const k of [].concat(keys)) if (data.delete(k)) n++;
+      return n;
+    },
+    async *scanIterator({ MATCH = "*" } = {}) {
+      const re = new RegExp(`^${MATCH.split("*").map(escapeRe).join(".*")}$`);
+      yield [...data.keys()].filter((k) => re.test(k) && live(k));
+    },
+  };
+}
+
+function escapeRe(s) {
+  return s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+// db.js USAGE_GROUPS: ?group= -> usage_events column
+const USAGE_GROUPS = { key: "key_id", model: "model", wallet: "wallet_address", tier: "tier" };
+
+// api_keys, usage_events, webhooks, personas, admin_audit and chain_cursors
+// with the same semantics as db.js
+function createFakeDb() {
+  const keys = [];
+  const usage = [];
+  const audit = [];
+  const cursors = new Map();
+  const webhooks = [];
+  const deliveries = [];
+  const personas = [];
+  let nextId = 1;
+  let nextWebhookId = 1;
+  let nextPersonaId = 1;
+  let nextDeliveryId = 1;
+
+  const isActive = (r) =>
+    r.enabled &&
+    !r.revoked_at &&
+    (!r.expires_at || r.expires_at > new Date()) &&
+    (!r.entitlement_expires_at || r.entitlement_expires_at > new Date());
+
+  function insert(fields) {
+    const row = {
+      id: nextId++,
+      key_hash: null,
+      wallet_address: null,
+      tier: "basic",
+      daily_limit: null, // tier default (migration 010)
+      enabled: true,
+      expires_at: null,
+      entitlement_expires_at: null,
+      revoked_at: null,
+      agent_name: null,
+      binding_mode: "case-insensitive",
+      allowed_names: null,
+      label: null,
+      key_daily_cap: null,
+      chain_id: null,
+      last_used_at: null,
+      created_at: new Date(),
+      ...fields,
+    };
+    keys.push(row);
+    return row;
+  }
+
+  // db.js onChain(): null chainId matches every network; legacy takes null rows
+  const onChain = (r, chainId, legacy) =>
+    chainId == null || r.chain_id === chainId || (legacy && r.chain_id == null);
+
+  const revoke = (r) => {
+    r.enabled = false;
+    r.revoked_at = new Date();
+  };
+
+  // db.js ownerFilter (webhooks and personas)
+  const owns = ({ wallet, key_id }, w) =>
+    wallet
+      ? w.wallet_address === wallet.toLowerCase()
+      : w.wallet_address === null && w.key_id === key_id;
+
+  // WEBHOOK_COLUMNS: everything but the secret
+  const webhookView = ({ secret: _s, ...rest }) => ({ ...rest });
+
+  return {
+    keys,
+    usage,
+    webhooks,
+    deliveries,
+    personas,
+    audit,
+    cursors,
+    pingError: null, // set to make ping() fail
+    maxKeysPerWallet: 10, // db.js MAX_KEYS_PER_WALLET
+
+    async ping() {
+      if (this.pingError) throw this.pingError;
+    },
+
+    async insertApiKey({ keyHash, walletAddress, tier, dailyLimit, expiresAt, agentName, label }) {
+      const row = insert({
+        key_hash: keyHash,
+        wallet_address: walletAddress ? walletAddress.toLowerCase() : null,
+        tier,
+        expires_at: expiresAt || null,
+        agent_name: agentName ?? null,
+        label: label ?? null,
+        ...(dailyLimit != null ? { daily_limit: dailyLimit } : {}),
+      });
+      return { id: row.id };
+    },
+
+    async getKeyRecordByHash(keyHash) {
+      const row = keys.find((r) => r.key_hash === keyHash && isActive(r));
+      if (!row) return null;
+      const { id, ...rest } = row;
+      return { key_id: id, ...rest };
+    },
+
+    async touchKeyUsage(keyHash) {
+      for (const r of keys) if (r.key_hash === keyHash) r.last_used_at = new Date();
+    },
+
+    async revokeApiKeyByHash(keyHash) {
+      for (const r of keys) if (r.key_hash === keyHash) revoke(r);
+    },
+
+    async rotateApiKey({ old_key_hash, new_key_hash }) {
+      // Same order as db.js: revoke (the row lock) first, then copy. The await
+      // lets a concurrent rotation run in between, as it could in Postgres.
+      const old = keys.find((r) => r.key_hash === old_key_hash && r.enabled && !r.revoked_at);
+      if (!old) return null;
+      revoke(old);
+      await null;
+      const { id: _id, key_hash: _h, last_used_at: _l, created_at: _c, ...carry } = old;
+      return insert({ ...carry, enabled: true, revoked_at: null, key_hash: new_key_hash });
+    },
+
+    async upsertApiKeyForWallet({
+      key_hash,
+      wallet,
+      tier,
+      expires_at_unix = null,
+      entitlement_expires_at_unix = null,
+      agent_name = null,
+      chain_id = null,
+      legacy_chain = false,
+    }) {
+      const walletLc = wallet.toLowerCase();
+      const entitlementExpiresAt =
+        entitlement_expires_at_unix != null ? new Date(entitlement_expires_at_unix * 1000) : null;
+      const sameChain = (r) => onChain(r, chain_id, legacy_chain);
+
+      for (const r of keys) {
+        if (
+          r.wallet_address === walletLc &&
+          r.agent_name === agent_name &&
+          sameChain(r) &&
+          isActive(r)
+        ) {
+          revoke(r);
+        }
+      }
+      for (const r of keys) {
+        if (r.wallet_address === walletLc && sameChain(r) && isActive(r)) {
+          r.tier = tier;
+          r.entitlement_expires_at = entitlementExpiresAt;
+        }
+      }
+
+      insert({
+        key_hash,
+        wallet_address: walletLc,
+        tier,
+        expires_at: expires_at_unix != null ? new Date(expires_at_unix * 1000) : null,
+        entitlement_expires_at: entitlementExpiresAt,
+        agent_name,
+        chain_id,
+      });
+    },
+
+    async listKeysForWallet(wallet) {
+      return keys.filter((r) => r.wallet_address === wallet.toLowerCase());
+    },
+
+    async updateKeyForWallet({ wallet, id, ...fields }) {
+      const walletLc = wallet.toLowerCase();
+      const row = keys.find((r) => r.id === id && r.wallet_address === walletLc);
+      if (!row) return null;
+      if (!row.enabled || row.revoked_at) {
+        throw Object.assign(new Error(`key ${id} is revoked`), { code: "KEY_INACTIVE" });
+      }
+      if (
+        fields.agent_name != null &&
+        keys.some(
+          (r) =>
+            r !== row &&
+            r.wallet_address === walletLc &&
+            r.agent_name === fields.agent_name &&
+            r.enabled &&
+            !r.revoked_at &&
+            (!r.expires_at || r.expires_at > new Date())
+        )
+      ) {
+        throw Object.assign(new Error("agent_name in use"), { code: "AGENT_NAME_TAKEN" });
+      }
+      Object.assign(row, fields);
+      return row;
+    },
+
+    async revokeKeyForWallet({ wallet, id }) {
+      const row = keys.find(
+        (r) => r.id === id && r.wallet_address === wallet.toLowerCase() && !r.revoked_at
+      );
+      if (!row) return null;
+      revoke(row);
+      return row.key_hash;
+    },
+
+    async getChainCursor(name) {
+      return cursors.get(name) || null;
+    },
+
+    async setChainCursor(name, blockNumber, blockHash) {
+      cursors.set(name, { block_number: blockNumber, block_hash: blockHash });
+    },
+
+    async syncWalletEntitlement({
+      wallet,
+      tier,
+      entitlement_expires_at_unix,
+      chain_id = null,
+      legacy_chain = false,
+    }) {
+      const walletLc = wallet.toLowerCase();
+      const entitlementExpiresAt =
+        entitlement_expires_at_unix != null ? new Date(entitlement_expires_at_unix * 1000) : null;
+      let updated = 0;
+      for (const r of keys) {
+        if (
+          r.wallet_address === walletLc &&
+          onChain(r, chain_id, legacy_chain) &&
+          r.enabled &&
+          !r.revoked_at
+        ) {
+          if (tier) r.tier = tier;
+          r.entitlement_expires_at = entitlementExpiresAt;
+          updated++;
+        }
+      }
+      return updated;
+    },
+
+    async findKeys({ wallet, agent_name, key_hash, id, limit = 100 }) {
+      return keys
+        .filter(
+          (r) =>
+            (!wallet || r.wallet_address === wallet.toLowerCase()) &&
+            (!agent_name || r.agent_name?.toLowerCase() === agent_name.toLowerCase()) &&
+            (!key_hash || r.key_hash === key_hash) &&
+            (!id || r.id === id)
+        )
+        .sort((a, b) => b.id - a.id)
+        .slice(0, limit);
+    },
+
+    async setKeyEnabled(id, enabled) {
+      const row = keys.find((r) => r.id === id);
+      if (!row) return null;
+      if (!enabled) {
+        row.enabled = false;
+        row.revoked_at = row.revoked_at || new Date();
+        return row.key_hash;
+      }
+      const others = keys.filter(
+        (r) =>
+          row.wallet_address &&
+          r.wallet_address === row.wallet_address &&
+          r.id !== id &&
+          r.enabled &&
+          !r.revoked_at &&
+          (!r.expires_at || r.expires_at > new Date())
+      );
+      if (others.length >= this.maxKeysPerWallet) {
+        const err = new Error(`wallet already has ${others.length} active keys`);
+        err.code = "TOO_MANY_KEYS";
+        throw err;
+      }
+      row.enabled = true;
+      row.revoked_at = null;
+      return row.key_hash;
+    },
+
+    async insertAdminAudit({ actor, action, target = null, details = null, ip = null }) {
+      audit.push({ id: audit.length + 1, actor, action, target, details, ip });
+    },
+
+    async insertUsageEvents(events) {
+      usage.push(...events);
+    },
+
+    // Same rows as db.js usageAggregates (UTC periods, percentile_cont for p95)
+    async usageAggregates({ period, from, to, wallet, key_hash, requester, group = null }) {
+      const col = group ? USAGE_GROUPS[group] : null;
+      if (group && !col) throw new Error(`unknown usage group: ${group}`);
+
+      const buckets = new Map();
+      for (const ev of usage) {
+        const at = ev.created_at;
+        if (at < from || at >= to) continue;
+        if (wallet && ev.wallet_address !== wallet.toLowerCase()) continue;
+        if (key_hash && ev.key_hash !== key_hash) continue;
+        if (requester && (ev.requester || "").toLowerCase() !== requester.toLowerCase()) continue;
+
+        const day = at.toISOString().slice(0, period === "month" ? 7 : 10);
+        const value = col ? (ev[col] ?? null) : null;
+        const id = JSON.stringify([day, value]);
+        if (!buckets.has(id)) buckets.set(id, { day, value, evs: [] });
+        buckets.get(id).evs.push(ev);
+      }
+
+      const sum = (evs, f, pick = () => true) =>
+        evs.filter(pick).reduce((n, ev) => n + Number(ev[f] ?? 0), 0);
+      const rows = [...buckets.values()].map(({ day, value, evs }) => {
+        const lat = evs
+          .map((ev) => ev.latency_ms)
+          .filter((v) => v != null)
+          .sort((a, b) => a - b);
+        let p95 = null;
+        if (lat.length) {
+          const pos = 0.95 * (lat.length - 1);
+          const lo = Math.floor(pos);
+          p95 = Math.round(lat[lo] + (lat[Math.ceil(pos)] - lat[lo]) * (pos - lo));
+        }
+        return {
+          period: day,
+          ...(col ? { [group]: value } : {}),
+          requests: sum(evs, "items"),
+          roasts: sum(evs, "items", (ev) => ["ok", "fallback"].includes(ev.outcome)),
+          failed: sum(evs, "items", (ev) => ["error", "empty", "aborted"].includes(ev.outcome)),
+          rate_limited: sum(evs, "items", (ev) => ev.outcome === "rate_limited"),
+          input_tokens: sum(evs, "input_tokens"),
+          output_tokens: sum(evs, "output_tokens"),
+          total_tokens: sum(evs, "total_tokens"),
+          avg_latency_ms: lat.length
+            ? Math.round(lat.reduce((a, b) => a + b, 0) / lat.length)
+            : null,
+          p95_latency_ms: p95,
+        };
+      });
+      const cmp = (a, b) => (a < b ? -1 : a > b ? 1 : 0);
+      return rows.sort(
+        (a, b) => cmp(a.period, b.period) || (col ? cmp(a[group] ?? "", b[group] ?? "") : 0)
+      );
+    },
+
+    async listWebhooks(owner) {
+      return webhooks.filter((w) => owns(owner, w)).map(webhookView);
+    },
+
+    async insertWebhook({ wallet, key_id, url, secret, events, description = null }) {
+      const row = {
+        id: nextWebhookId++,
+        wallet_address: wallet ? wallet.toLowerCase() : null,
+        key_id: wallet ? null : key_id,
+        url,
+        secret,
+        events,
+        description,
+        enabled: true,
+        created_at: new Date(),
+      };
+      webhooks.push(row);
+      return webhookView(row);
+    },
+
+    async updateWebhook(owner, id, fields) {
+      const row = webhooks.find((w) => w.id === id && owns(owner, w));
+      if (!row) return null;
+      for (const col of ["url", "events", "description", "enabled"]) {
+        if (fields[col] !== undefined) row[col] = fields[col];
+      }
+      return webhookView(row);
+    },
+
+    async deleteWebhook(owner, id) {
+      const i = webhooks.findIndex((w) => w.id === id && owns(owner, w));
+      if (i < 0) return false;
+      webhooks.splice(i, 1);
+      for (let j = deliveries.length - 1; j >= 0; j--) {
+        if (deliveries[j].webhook_id === id) deliveries.splice(j, 1);
+      }
+      return true;
+    },
+
+    async moveKeyWebhooks(fromKeyId, toKeyId) {
+      for (const w of webhooks) {
+        if (w.key_id === fromKeyId && w.wallet_address === null) w.key_id = toKeyId;
+      }
+    },
+
+    async listPersonas(owner) {
+      return personas.filter((p) => owns(owner, p));
+    },
+
+    async findPersona(owner, name) {
+      return personas.find((p) => p.name === name && owns(owner, p)) || null;
+    },
+
+    async insertPersona({ wallet, key_id, name, description = null, voice, glossary }) {
+      if (personas.some((p) => p.name === name && owns({ wallet, key_id }, p))) {
+        throw Object.assign(new Error("duplicate key value"), { code: "23505" });
+      }
+      const row = {
+        id: nextPersonaId++,
+        wallet_address: wallet ? wallet.toLowerCase() : null,
+        key_id: wallet ? null : key_id,
+        name,
+        description,
+        voice,
+        glossary,
+        created_at: new Date(),
+        updated_at: new Date(),
+      };
+      personas.push(row);
+      return row;
+    },
+
+    async updatePersona(owner, id, fields) {
+      const row = personas.find((p) => p.id === id && owns(owner, p));
+      if (!row) return null;
+      for (const col of ["name", "description", "voice", "glossary"]) {
+        if (fields[col] !== undefined) row[col] = fields[col];
+      }
+      row.updated_at = new Date();
+      return row;
+    },
+
+    async deletePersona(owner, id) {
+      const i = personas.findIndex((p) => p.id === id && owns(owner, p));
+      if (i < 0) return false;
+      personas.splice(i, 1);
+      return true;
+    },
+
+    async moveKeyPersonas(fromKeyId, toKeyId) {
+      for (const p of personas) {
+        if (p.key_id === fromKeyId && p.wallet_address === null) p.key_id = toKeyId;
+      }
+    },
+
+    async enqueueWebhookEvent({ event, dedupe_key, payload, wallet, key_id, webhook_id }) {
+      const walletLc = wallet ? wallet.toLowerCase() : null;
+      let queued = 0;
+      for (const w of webhooks) {
+        if (!w.enabled) continue;
+        const match =
+          webhook_id != null
+            ? w.id === webhook_id
+            : w.events.includes(event) &&
+              (w.wallet_address === walletLc ||
+                (w.wallet_address === null && w.key_id === (key_id ?? null)));
+        if (!match) continue;
+        if (deliveries.some((d) => d.webhook_id === w.id && d.dedupe_key === dedupe_key)) continue;
+        deliveries.push({
+          id: nextDeliveryId++,
+          webhook_id: w.id,
+          event,
+          dedupe_key,
+          payload: JSON.parse(JSON.stringify(payload)),
+          status: "pending",
+          attempts: 0,
+          next_attempt_at: new Date(),
+          last_status_code: null,
+          last_error: null,
+          created_at: new Date(),
+          delivered_at: null,
+        });
+        queued++;
+      }
+      return queued;
+    },
+
+    async claimWebhookDeliveries({ limit = 20, leaseSeconds = 60 } = {}) {
+      const now = new Date();
+      const due = deliveries
+        .filter((d) => d.status === "pending" && d.next_attempt_at <= now)
+        .filter((d) => webhooks.find((w) => w.id === d.webhook_id)?.enabled)
+        .sort((a, b) => a.next_attempt_at - b.next_attempt_at)
+        .slice(0, limit);
+      return due.map((d) => {
+        d.attempts++;
+        d.next_attempt_at = new Date(now.getTime() + leaseSeconds * 1000);
+        const w = webhooks.find((x) => x.id === d.webhook_id);
+        const { id, webhook_id, event, payload, attempts } = d;
+        return { id, webhook_id, event, payload, attempts, url: w.url, secret: w.secret };
+      });
+    },
+
+    async finishWebhookDelivery(
+      id,
+      { delivered, status_code = null, error = null, retry_in_seconds = null }
+    ) {
+      const d = deliveries.find((x) => x.id === id);
+      if (!d) return;
+      d.status = delivered ? "delivered" : retry_in_seconds != null ? "pending" : "failed";
+      d.last_status_code = status_code;
+      d.last_error = error;
+      if (delivered) d.delivered_at = new Date();
+      if (retry_in_seconds != null) {
+        d.next_attempt_at = new Date(Date.now() + retry_in_seconds * 1000);
+      }
+    },
+
+    async listWebhookDeliveries(webhookId, { limit = 50 } = {}) {
+      return deliveries
+        .filter((d) => d.webhook_id === webhookId)
+        .sort((a, b) => b.id - a.id)
+        .slice(0, limit)
+        .map(({ webhook_id: _w, dedupe_key: _k, ...rest }) => ({ ...rest }));
+    },
+
+    async expiringEntitlements({ days, graceDays = 1 }) {
+      const now = Date.now();
+      const byWallet = new Map();
+      for (const r of keys) {
+        if (!r.wallet_address || !r.enabled || r.revoked_at || !r.entitlement_expires_at) continue;
+        if (!webhooks.some((w) => w.enabled && w.wallet_address === r.wallet_address)) continue;
+        const cur = byWallet.get(r.wallet_address);
+        byWallet.set(r.wallet_address, {
+          wallet_address: r.wallet_address,
+          expires_at:
+            cur && cur.expires_at > r.entitlement_expires_at
+              ? cur.expires_at
+              : r.entitlement_expires_at,
+          tier: r.tier, // latest key's tier (keys are in id order)
+        });
+      }
+      return [...byWallet.values()].filter(
+        (e) =>
+          e.expires_at.getTime() > now - graceDays * 86400_000 &&
+          e.expires_at.getTime() <= now + days * 86400_000
+      );
+    },
+  };
+}
+
+/**
+ * A fake JSON-RPC provider answering the roaster + USDC view calls from
+ * in-memory state. `chain.calls` counts eth_calls per function name.
+ * Pass chainId / contract / usdc to stand up a second network, and `breaker`
+ * to control the circuit breaker. chain.fail(err) makes every eth_call throw
+ * err (chain.fail(null) recovers). chain.mine(tx) adds a confirmed tx with an
+ * empty receipt and returns its hash.
+ */
+function createFakeChain({
+  plans = DEFAULT_PLANS,
+  chainId = 8453,
+  contract = CONTRACT,
+  usdc = USDC,
+  breaker,
+} = {}) {
+  const roasterIface = new ethers.Interface(ROASTER_ABI);
+  const usdcIface = new ethers.Interface(USDC_ABI);
+  const entitlements = new Map();
+  const balances = new Map();
+  const allowances = new Map();
+  const calls = {};
+  const txs = new Map();
+  const receipts = new Map();
+  const reverts = new Map(); // calldata -> revert reason when replayed at a block
+  let failure = null;
+
+  const lc = (a) => String(a).toLowerCase();
+
+  const handlers = {
+    getAllPlans: () => [plans.map((p) => [p.tier, p.durationId, p.durationSeconds, p.priceUSDC])],
+    entitlement: ([addr]) => entitlements.get(lc(addr)) || [0, 0],
+    effectiveTier: ([addr]) => {
+      const [tier, exp] = entitlements.get(lc(addr)) || [0, 0];
+      return [exp > Date.now() / 1000 ? tier : 0];
+    },
+    balanceOf: ([addr]) => [balances.get(lc(addr)) || 0n],
+    allowance: ([owner]) => [allowances.get(lc(owner)) || 0n],
+    purchase: () => [0],
+  };
+
+  const provider = {
+    async call(tx) {
+      if (failure) throw failure;
+      if (tx.blockTag != null && reverts.has(tx.data)) {
+        const reason = reverts.get(tx.data);
+        throw Object.assign(new Error("execution reverted"), { code: "CALL_EXCEPTION", reason });
+      }
+      const iface = lc(tx.to) === lc(contract) ? roasterIface : usdcIface;
+      const parsed = iface.parseTransaction({ data: tx.data });
+      const handler = parsed && handlers[parsed.name];
+      if (!handler) throw new Error(`fake chain: unexpected call to ${tx.to}`);
+      calls[parsed.name] = (calls[parsed.name] || 0) + 1;
+      return iface.encodeFunctionResult(parsed.fragment, handler(parsed.args));
+    },
+    async getCode() {
+      return "0x";
+    },
+    async getBalance() {
+      return 10n ** 18n;
+    },
+    async getFeeData() {
+      return { maxFeePerGas: 1_000_000n, maxPriorityFeePerGas: 1000n, gasPrice: null };
+    },
+    async estimateGas() {
+      return 60_000n;
+    },
+    async getTransaction(hash) {
+      return txs.get(hash) || null;
+    },
+    async getTransactionReceipt(hash) {
+      return receipts.get(hash) || null;
+    },
+  };
+
+  return {
+    ...createChain({ chainId, provider, contract, usdc, breaker }),
+    calls,
+    fail(err) {
+      failure = err;
+    },
+    setEntitlement(addr, tier, expiresAt) {
+      entitlements.set(lc(addr), [tier, expiresAt]);
+    },
+    // Add a tx; `pending` leaves it without a receipt, `revert` mines it with
+    // status 0 and makes replaying its calldata fail with that reason
+    mine(tx, { pending = false, revert = null, logs = [], confirmations = 1 } = {}) {
+      const hash = ethers.id(`tx${txs.size}`);
+      txs.set(hash, { value: 0n, ...tx, hash });
+      if (revert) reverts.set(tx.data, revert);
+      if (!pending) {
+        receipts.set(hash, {
+          status: revert ? 0 : 1,
+          blockNumber: 100 + txs.size,
+          logs,
+          confirmations: async () => confirmations,
+        });
+      }
+      return hash;
+    },
+    setUsdc(addr, { balance, allowance }) {
+      if (balance != null) balances.set(lc(addr), balance);
+      if (allowance != null) allowances.set(lc(addr), allowance);
+    },
+  };
+}
+
+const DEFAULT_PLANS = [
+  { tier: 1, durationId: 0, durationSeconds: 30 * 86400, priceUSDC: 5_000_000n },
+  { tier: 2, durationId: 0, durationSeconds: 30 * 86400, priceUSDC: 20_000_000n },
+];
+
+/**
+ * buildApp with every dependency faked. Returns { app, redis, db, chain }.
+ * `config` overrides the env-derived defaults; `chains` (default first)
+ * replaces the single default chain.
+ */
+function createTestApp({
+  config = {},
+  chain = createFakeChain(),
+  chains = null,
+  llm = createLLM({ primary: createMockProvider() }),
+  metrics = undefined, // buildApp's own registry unless a test needs to share one
+} = {}) {
+  const redis = createFakeRedis();
+  const db = createFakeDb();
+  const app = buildApp({
+    redis,
+    db,
+    llm,
+    chain,
+    chains,
+    metrics,
+    config: {
+      chainId: 8453,
+      contract: CONTRACT,
+      domain: "theroaster.test",
+      usdc: USDC,
+      freeDailyLimit: 5,
+      freeIpDailyLimit: 20,
+      adminTokens: [],
+      metricsToken: "",
+      ...config,
+    },
+    logger: false,
+  });
+  return { app, redis, db, chain };
+}
+
+// Insert a key straight into the fake db; returns the raw key and its row
+async function seedKey(db, fields = {}) {
+  const rawKey = makeApiKey();
+  const { id } = await db.insertApiKey({ keyHash: hashKey(rawKey), tier: "basic", ...fields });
+  return { rawKey, row: db.keys.find((r) => r.id === id) };
+}
+
+module.exports = {
+  CONTRACT,
+  USDC,
+  DEFAULT_PLANS,
+  createFakeRedis,
+  createFakeDb,
+  createFakeChain,
+  createTestApp,
+  seedKey,
+};
@@ -0,0 +1,170 @@
+"use strict";
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { ethers } = require("ethers");
+
+const { CONTRACT, createFakeDb, seedKey } = require("./helpers");
+const { DEFAULT_PURCHASE_EVENT, createPurchaseIndexer } = require("../indexer");
+
+const BUYER = "0x2222222222222222222222222222222222222222";
+const OTHER = "0x3333333333333333333333333333333333333333";
+const quiet = { info() {}, warn() {}, error() {} };
+const inAMonth = () => Math.floor(Date.now() / 1000) + 30 * 86400;
+
+const iface = new ethers.Interface([
+  DEFAULT_PURCHASE_EVENT,
+  "function entitlement(address) view returns (uint8 tier,uint64 expiresAt)",
+]);
+
+/**
+ * A chain the indexer can follow: blocks with hashes, Purchased logs and
+ * entitlement(address) reads. node.mine(purchases) appends a block;
+ * node.reorg(n, purchases) replaces everything from block n with fresh blocks,
+ * the first of them holding `purchases`.
+ */
+function createFakeNode() {
+  const blocks = [];
+  const entitlements = new Map();
+  let fork = 0;
+
+  function mine(purchases = []) {
+    const number = blocks.length;
+    const logs = purchases.map(({ buyer, tier, expiresAt }) => ({
+      ...iface.encodeEventLog("Purchased", [buyer, tier, 0, expiresAt]),
+      address: CONTRACT,
+      blockNumber: number,
+    }));
+    for (const p of purchases) entitlements.set(p.buyer.toLowerCase(), [p.tier, p.expiresAt]);
+    blocks.push({ number, hash: ethers.id(`block ${number} fork ${fork}`), logs });
+  }
+
+  const provider = {
+    async getBlockNumber() {
+      return blocks.length - 1;
+    },
+    async getBlock(n) {
+      const b = blocks[n];
+      return b ? { number: b.number, hash: b.hash } : null;
+    },
+    async getLogs({ fromBlock, toBlock }) {
+      return blocks.slice(fromBlock, toBlock + 1).flatMap((b) => b.logs);
+    },
+    async call(tx) {
+      const [addr] = iface.decodeFunctionData("entitlement", tx.data);
+      const value = entitlements.get(addr.toLowerCase()) || [0, 0];
+      return iface.encodeFunctionResult("entitlement", value);
+    },
+  };
+
+  return {
+    provider,
+    blocks,
+    mine,
+    mineEmpty(n) {
+      for (let i = 0; i < n; i++) mine();
+    },
+    reorg(from, purchases = []) {
+      fork++;
+      const n = blocks.length - from;
+      blocks.length = from;
+      mine(purchases);
+      for (let i = 1; i < n; i++) mine();
+    },
+  };
+}
+
+function indexerFor(node, db, opts = {}) {
+  return createPurchaseIndexer({
+    provider: node.provider,
+    contractAddress: CONTRACT,
+    db,
+    log: quiet,
+    confirmations: 3,
+    startBlock: 0,
+    ...opts,
+  });
+}
+
+test("purchases are applied once confirmed, and the cursor moves with them", async () => {
+  const node = createFakeNode();
+  const db = createFakeDb();
+  const { row: key } = await seedKey(db, { walletAddress: BUYER, agentName: "Bot" });
+  const indexer = indexerFor(node, db);
+
+  node.mineEmpty(5);
+  node.mine([{ buyer: BUYER, tier: 1, expiresAt: inAMonth() }]); // block 5
+  node.mineEmpty(2); // head 7, safe head 4: block 5 not confirmed yet
+
+  let r = await indexer.tick();
+  assert.deepEqual(r, { from: 0, to: 4, logs: 0, wallets: 0 });
+  assert.equal(key.entitlement_expires_at, null);
+  assert.deepEqual(db.cursors.get("roaster:purchases"), {
+    block_number: 4,
+    block_hash: node.blocks[4].hash,
+  });
+
+  node.mineEmpty(1); // head 8, safe head 5
+  r = await indexer.tick();
+  assert.deepEqual(r, { from: 5, to: 5, logs: 1, wallets: 1 });
+  assert.ok(key.entitlement_expires_at > new Date());
+
+  r = await indexer.tick();
+  assert.ok(r.from > r.to, "nothing new");
+});
+
+test("a reorged cursor block rewinds 2 x confirmations and picks up moved purchases", async () => {
+  const node = createFakeNode();
+  const db = createFakeDb();
+  const { row: key } = await seedKey(db, { walletAddress: BUYER, tier: "basic" });
+  const indexer = indexerFor(node, db);
+
+  node.mineEmpty(13); // head 12, safe head 9
+  await indexer.tick();
+  assert.equal(db.cursors.get("roaster:purchases").block_number, 9);
+
+  // Blocks 8+ are replaced (so the cursor's block 9 hash changes); a purchase
+  // lands in the new block 8, which the indexer must not skip
+  node.reorg(8, [{ buyer: BUYER, tier: 2, expiresAt: inAMonth() }]);
+
+  const r = await indexer.tick();
+  assert.equal(r.from, 9 - 2 * 3 + 1, "rewound to last - 2 * confirmations");
+  assert.equal(r.to, 9);
+  assert.equal(r.wallets, 1);
+  assert.equal(key.tier, "pro");
+  assert.equal(db.cursors.get("roaster:purchases").block_hash, node.blocks[9].hash);
+});
+
+test("an upgrade reaches every active key of the wallet on that network only", async () => {
+  const node = createFakeNode();
+  const db = createFakeDb();
+  const { row: a } = await seedKey(db, { walletAddress: BUYER, agentName: "A" });
+  const { row: b } = await seedKey(db, { walletAddress: BUYER, agentName: "B" });
+  const { row: testnet } = await seedKey(db, { walletAddress: BUYER, agentName: "C" });
+  const { row: revoked } = await seedKey(db, { walletAddress: BUYER, agentName: "D" });
+  const { row: other } = await seedKey(db, { walletAddress: OTHER, agentName: "E" });
+  b.chain_id = 8453;
+  testnet.chain_id = 84532;
+  revoked.enabled = false;
+  revoked.revoked_at = new Date();
+
+  // onSynced failing (e.g. Redis down) must not stop the tick
+  const synced = [];
+  const indexer = indexerFor(node, db, {
+    onSynced: async (wallet, entitlement) => {
+      synced.push([wallet, entitlement.tier]);
+      throw new Error("redis down");
+    },
+  });
+
+  node.mine([{ buyer: BUYER, tier: 2, expiresAt: inAMonth() }]);
+  node.mineEmpty(3);
+  const r = await indexer.tick();
+  assert.equal(r.wallets, 1);
+
+  assert.deepEqual(
+    [a, b, testnet, revoked, other].map((k) => k.tier),
+    ["pro", "pro", "basic", "basic", "basic"]
+  );
+  assert.deepEqual(synced, [[ethers.getAddress(BUYER), 2]]);
+  assert.equal(db.cursors.get("roaster:purchases").block_number, 0);
+});
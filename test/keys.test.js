@@ -0,0 +1,190 @@
+"use strict";
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { createTestApp, seedKey } = require("./helpers");
+
+const WALLET = "0x1111111111111111111111111111111111111111";
+
+function roast(app, rawKey, requester = "KeyBot") {
+  return app.inject({
+    method: "POST",
+    url: "/api/v1/roast",
+    headers: rawKey ? { authorization: `Bearer ${rawKey}` } : {},
+    payload: { requester, name: "SomeMolty" },
+  });
+}
+
+test("an unknown Bearer key is rejected instead of falling back to the free tier", async (t) => {
+  const { app } = createTestApp();
+  t.after(() => app.close());
+
+  const res = await roast(app, "rk_not_a_real_key");
+  assert.equal(res.statusCode, 401);
+  assert.equal(res.json().error, "Invalid or expired API key");
+
+  const me = await app.inject({
+    method: "GET",
+    url: "/api/v1/me",
+    headers: { authorization: "Bearer rk_not_a_real_key" },
+  });
+  assert.equal(me.statusCode, 401);
+});
+
+test("keys on one wallet share its daily pool, with optional per-key caps", async (t) => {
+  const { app, db } = createTestApp();
+  t.after(() => app.close());
+
+  const { rawKey } = await seedKey(db, {
+    walletAddress: WALLET,
+    tier: "pro",
+    dailyLimit: 3,
+    agentName: "KeyBot",
+  });
+  const { rawKey: otherKey, row: other } = await seedKey(db, {
+    walletAddress: WALLET,
+    tier: "pro",
+    dailyLimit: 3,
+    agentName: "OtherBot",
+  });
+  other.key_daily_cap = 1;
+
+  const first = await roast(app, rawKey);
+  assert.equal(first.statusCode, 200);
+
+  // Per-key cap inside the pool
+  assert.equal((await roast(app, otherKey, "OtherBot")).statusCode, 200);
+  const capped = await roast(app, otherKey, "OtherBot");
+  assert.equal(capped.statusCode, 429);
+  assert.equal(capped.json().error, "Key daily cap reached");
+
+  const me = await app.inject({
+    method: "GET",
+    url: "/api/v1/me",
+    headers: { authorization: `Bearer ${rawKey}` },
+  });
+  assert.equal(me.statusCode, 200);
+  const body = me.json();
+  assert.equal(body.tier, "pro");
+  assert.equal(body.agent_name, "KeyBot");
+  assert.equal(body.usage.used, 2, "both keys draw from the wallet pool");
+  assert.equal(body.usage.key_used, 1);
+  assert.equal(body.usage.remaining, 1);
+
+  assert.equal((await roast(app, rawKey)).statusCode, 200);
+  const limited = await roast(app, rawKey);
+  assert.equal(limited.statusCode, 429);
+  assert.equal(limited.json().error, "pro daily limit reached");
+});
+
+test("keys only work for the requester names they are bound to", async (t) => {
+  const { app, db } = createTestApp();
+  t.after(() => app.close());
+
+  const { rawKey, row } = await seedKey(db, { walletAddress: WALLET, agentName: "KeyBot" });
+
+  assert.equal((await roast(app, rawKey, "keybot")).statusCode, 200);
+
+  const other = await roast(app, rawKey, "Impostor");
+  assert.equal(other.statusCode, 403);
+  assert.match(other.json().hint, /KeyBot \(case-insensitive\)/);
+
+  row.binding_mode = "strict";
+  assert.equal((await roast(app, rawKey, "keybot")).statusCode, 403);
+  assert.equal((await roast(app, rawKey, "KeyBot")).statusCode, 200);
+});
+
+test("rotate hands out a new key, carries today's usage and kills the old one", async (t) => {
+  const { app, db } = createTestApp();
+  t.after(() => app.close());
+
+  const { rawKey } = await seedKey(db, { agentName: "KeyBot", dailyLimit: 5 });
+  assert.equal((await roast(app, rawKey)).statusCode, 200);
+
+  const rotated = await app.inject({
+    method: "POST",
+    url: "/api/v1/me/rotate",
+    headers: { authorization: `Bearer ${rawKey}` },
+  });
+  assert.equal(rotated.statusCode, 200);
+  const newKey = rotated.json().api_key;
+  assert.notEqual(newKey, rawKey);
+
+  assert.equal((await roast(app, rawKey)).statusCode, 401);
+
+  const me = await app.inject({
+    method: "GET",
+    url: "/api/v1/me",
+    headers: { authorization: `Bearer ${newKey}` },
+  });
+  assert.equal(me.json().usage.key_used, 1);
+
+  const revoked = await app.inject({
+    method: "POST",
+    url: "/api/v1/me/revoke",
+    headers: { authorization: `Bearer ${newKey}` },
+  });
+  assert.equal(revoked.json().revoked, true);
+  assert.equal((await roast(app, newKey)).statusCode, 401);
+});
+
+test("concurrent rotations of one key mint exactly one successor", async (t) => {
+  const { app, db } = createTestApp();
+  t.after(() => app.close());
+
+  const { rawKey } = await seedKey(db, { walletAddress: WALLET, agentName: "KeyBot" });
+  const rotate = () =>
+    app.inject({
+      method: "POST",
+      url: "/api/v1/me/rotate",
+      headers: { authorization: `Bearer ${rawKey}` },
+    });
+
+  const results = await Promise.all([rotate(), rotate(), rotate()]);
+  const codes = results.map((r) => r.statusCode).sort();
+  assert.deepEqual(codes, [200, 409, 409]);
+  assert.equal(results.find((r) => r.statusCode === 409).json().code, "KEY_INACTIVE");
+
+  const live = db.keys.filter((r) => r.wallet_address === WALLET && r.enabled);
+  assert.equal(live.length, 1);
+  assert.equal(db.keys.length, 2, "no stray rows from the losing rotations");
+});
+
+test("wallet key edits refuse revoked keys and duplicate agent names", async (t) => {
+  const { app, db } = createTestApp();
+  t.after(() => app.close());
+
+  const { rawKey, row } = await seedKey(db, { walletAddress: WALLET, agentName: "KeyBot" });
+  const { row: other } = await seedKey(db, { walletAddress: WALLET, agentName: "OtherBot" });
+  const edit = (id, path, payload) =>
+    app.inject({
+      method: "POST",
+      url: `/api/v1/wallet/${WALLET}/keys/${id}${path}`,
+      headers: { authorization: `Bearer ${rawKey}` },
+      payload,
+    });
+
+  const taken = await edit(other.id, "/binding", { agent_name: "KeyBot" });
+  assert.equal(taken.statusCode, 409);
+  assert.equal(taken.json().code, "AGENT_NAME_TAKEN");
+  assert.equal(other.agent_name, "OtherBot");
+
+  // Keeping its own name is fine
+  assert.equal((await edit(row.id, "/binding", { agent_name: "KeyBot" })).statusCode, 200);
+
+  assert.equal((await edit(other.id, "/revoke")).statusCode, 200);
+  for (const [path, payload] of [
+    ["", { label: "prod" }],
+    ["/binding", { mode: "strict" }],
+  ]) {
+    const res = await edit(other.id, path, payload);
+    assert.equal(res.statusCode, 409);
+    assert.equal(res.json().code, "KEY_INACTIVE");
+  }
+  assert.equal(other.label ?? null, null);
+
+  // The revoked key's name is free again
+  const renamed = await edit(row.id, "/binding", { agent_name: "OtherBot" });
+  assert.equal(renamed.statusCode, 200, renamed.body);
+  assert.equal(renamed.json().key.agent_name, "OtherBot");
+});
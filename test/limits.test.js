@@ -0,0 +1,101 @@
+"use strict";
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { createTestApp } = require("./helpers");
+const { utcDayKey } = require("../util");
+
+function roast(app, { requester, ip = "203.0.113.7", ...body }) {
+  return app.inject({
+    method: "POST",
+    url: "/api/v1/roast",
+    remoteAddress: ip,
+    payload: { requester, name: "SomeMolty", ...body },
+  });
+}
+
+test("free callers get freeDailyLimit roasts per requester, then 429", async (t) => {
+  const { app } = createTestApp({ config: { freeDailyLimit: 2, freeIpDailyLimit: 10 } });
+  t.after(() => app.close());
+
+  for (let i = 0; i < 2; i++) {
+    const res = await roast(app, { requester: "BotA" });
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.json().success, true);
+    assert.ok(res.json().roast);
+  }
+
+  const limited = await roast(app, { requester: "BotA" });
+  assert.equal(limited.statusCode, 429);
+  assert.equal(limited.json().error, "Free daily limit reached");
+  assert.equal(limited.json().daily_limit, 2);
+
+  // Requester names are counted case-insensitively...
+  assert.equal((await roast(app, { requester: "bota" })).statusCode, 429);
+  // ...and separately from other requesters on the same IP
+  assert.equal((await roast(app, { requester: "BotB" })).statusCode, 200);
+});
+
+test("the per-IP cap applies across requesters and rolls back rejected calls", async (t) => {
+  const { app, redis } = createTestApp({ config: { freeDailyLimit: 2, freeIpDailyLimit: 3 } });
+  t.after(() => app.close());
+
+  assert.equal((await roast(app, { requester: "BotA" })).statusCode, 200);
+  assert.equal((await roast(app, { requester: "BotA" })).statusCode, 200);
+  assert.equal((await roast(app, { requester: "BotB" })).statusCode, 200);
+
+  const res = await roast(app, { requester: "BotC" });
+  assert.equal(res.statusCode, 429);
+  assert.equal(res.json().error, "Free IP limit reached");
+
+  const ipKey = `roaster:daily:free-ip:${utcDayKey()}:203.0.113.7`;
+  assert.equal(await redis.get(ipKey), "3");
+  assert.ok((await redis.ttl(ipKey)) > 0, "daily counters expire at UTC midnight");
+
+  // Another IP has its own allowance
+  assert.equal((await roast(app, { requester: "BotC", ip: "198.51.100.1" })).statusCode, 200);
+});
+
+test("a batch over the remaining allowance is rejected without using it up", async (t) => {
+  const { app } = createTestApp({ config: { freeDailyLimit: 3, freeIpDailyLimit: 20 } });
+  t.after(() => app.close());
+
+  const batch = (n) =>
+    app.inject({
+      method: "POST",
+      url: "/api/v1/roast/batch",
+      remoteAddress: "203.0.113.7",
+      payload: {
+        requester: "BotA",
+        items: Array.from({ length: n }, (_, i) => ({ name: `Target${i}` })),
+      },
+    });
+
+  const tooBig = await batch(4);
+  assert.equal(tooBig.statusCode, 429);
+  assert.equal(tooBig.json().requested, 4);
+
+  const ok = await batch(3);
+  assert.equal(ok.statusCode, 200);
+  assert.deepEqual(ok.json().summary, { requested: 3, succeeded: 3, failed: 0 });
+
+  assert.equal((await roast(app, { requester: "BotA" })).statusCode, 429);
+});
+
+test("roast calls are written to the usage ledger", async () => {
+  const { app, db } = createTestApp({ config: { freeDailyLimit: 1 } });
+
+  await roast(app, { requester: "BotA" });
+  await roast(app, { requester: "BotA" });
+  await app.close(); // flushes the ledger
+
+  assert.deepEqual(
+    db.usage.map((e) => [e.endpoint, e.outcome, e.status_code, e.tier]),
+    [
+      ["roast", "ok", 200, "free"],
+      ["roast", "rate_limited", 429, "free"],
+    ]
+  );
+  assert.equal(db.usage[0].provider, "mock");
+  assert.equal(db.usage[0].ip, "203.0.113.7");
+});
@@ -0,0 +1,143 @@
+"use strict";
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { EventEmitter } = require("events");
+
+const { createTestApp } = require("./helpers");
+const { createMetrics } = require("../metrics");
+const { createLLM, createMockProvider } = require("../llm");
+
+const TOKEN = "metrics-token-for-tests";
+
+function scrape(app, token = TOKEN) {
+  return app.inject({
+    method: "GET",
+    url: "/metrics",
+    headers: token ? { authorization: `Bearer ${token}` } : {},
+  });
+}
+
+// Value of one exposition line, e.g. sample(text, "roaster_x_total", { scope: "free" })
+function sample(text, name, labels = {}) {
+  const pairs = Object.entries(labels).map(([k, v]) => `${k}="${v}"`);
+  const series = pairs.length ? `${name}{${pairs.join(",")}}` : name;
+  const line = text.split("\n").find((l) => l.startsWith(`${series} `));
+  return line ? Number(line.slice(series.length + 1)) : undefined;
+}
+
+test("/metrics is only registered when METRICS_TOKEN is set", async (t) => {
+  const { app } = createTestApp();
+  t.after(() => app.close());
+
+  assert.equal((await scrape(app)).statusCode, 404);
+});
+
+test("/metrics wants the bearer token", async (t) => {
+  const { app } = createTestApp({ config: { metricsToken: TOKEN } });
+  t.after(() => app.close());
+
+  for (const token of [null, "wrong-token"]) {
+    const res = await scrape(app, token);
+    assert.equal(res.statusCode, 401);
+    assert.equal(res.json().code, "UNAUTHORIZED");
+  }
+
+  const res = await scrape(app);
+  assert.equal(res.statusCode, 200);
+  assert.match(res.headers["content-type"], /^text\/plain; version=0\.0\.4/);
+});
+
+test("requests, rate limits and plan lookups are counted by name", async (t) => {
+  const { app } = createTestApp({ config: { metricsToken: TOKEN, freeDailyLimit: 1 } });
+  t.after(() => app.close());
+
+  const roast = () =>
+    app.inject({
+      method: "POST",
+      url: "/api/v1/roast",
+      payload: { requester: "BotA", name: "SomeMolty" },
+    });
+  assert.equal((await roast()).statusCode, 200);
+  assert.equal((await roast()).statusCode, 429);
+  await app.inject({ method: "GET", url: "/api/v1/plans" });
+  await app.inject({ method: "GET", url: "/api/v1/plans" });
+  await app.inject({ method: "GET", url: "/api/v1/tx/0xabc" });
+
+  const text = (await scrape(app)).body;
+  const route = (method, url, code) => ({ method, route: url, status_code: code });
+
+  const roasts = (code) => route("POST", "/api/v1/roast", code);
+  assert.equal(sample(text, "roaster_http_requests_total", roasts(200)), 1);
+  assert.equal(sample(text, "roaster_http_requests_total", roasts(429)), 1);
+  const plans = route("GET", "/api/v1/plans", 200);
+  assert.equal(sample(text, "roaster_http_request_duration_seconds_count", plans), 2);
+  // Route patterns, not raw URLs, so each tx hash isn't its own series
+  assert.match(text, /route="\/api\/v1\/tx\/:hash"/);
+  assert.doesNotMatch(text, /0xabc/);
+
+  assert.equal(sample(text, "roaster_rate_limit_rejections_total", { scope: "free" }), 1);
+  assert.equal(sample(text, "roaster_plan_cache_requests_total", { result: "miss" }), 1);
+  assert.equal(sample(text, "roaster_plan_cache_requests_total", { result: "hit" }), 1);
+  assert.equal(sample(text, "roaster_redis_degraded"), 0);
+
+  // Process defaults stay off in buildApp's own registry
+  assert.doesNotMatch(text, /roaster_process_cpu/);
+});
+
+test("LLM attempts, RPC calls and pool / redis health are exported", async () => {
+  const metrics = createMetrics({ defaults: false });
+
+  const failing = { ...createMockProvider(), name: "flaky" };
+  failing.generate = async () => {
+    throw new Error("upstream 500");
+  };
+  const llm = createLLM({
+    primary: failing,
+    secondary: createMockProvider(),
+    observe: metrics.observeLLM,
+  });
+  await llm.generate({ tier: "free", system: "s", user: "u" });
+
+  const provider = {
+    async _send(payload) {
+      return [].concat(payload).map((call) =>
+        call.method === "eth_call"
+          ? { id: call.id, error: { code: 3, message: "execution reverted" } }
+          : { id: call.id, result: "0x1" }
+      );
+    },
+  };
+  metrics.instrumentProvider(provider, "base");
+  await provider._send([
+    { id: 1, method: "eth_blockNumber" },
+    { id: 2, method: "eth_call" },
+  ]);
+
+  const redis = Object.assign(new EventEmitter(), { isReady: false });
+  metrics.watchRedis(redis);
+  redis.emit("error", new Error("ECONNREFUSED"));
+  const pool = Object.assign(new EventEmitter(), { totalCount: 4, idleCount: 3, waitingCount: 1 });
+  metrics.watchPool(pool);
+
+  const text = await metrics.render();
+  const attempt = (provider) => ({ provider, model: "mock", kind: "generate" });
+  assert.equal(sample(text, "roaster_roast_generation_errors_total", attempt("flaky")), 1);
+  assert.equal(
+    sample(text, "roaster_roast_generation_duration_seconds_count", {
+      ...attempt("mock"),
+      outcome: "ok",
+    }),
+    1
+  );
+
+  const rpc = (method) => ({ network: "base", method });
+  assert.equal(sample(text, "roaster_rpc_request_duration_seconds_count", rpc("eth_call")), 1);
+  assert.equal(sample(text, "roaster_rpc_errors_total", rpc("eth_call")), 1);
+  assert.equal(sample(text, "roaster_rpc_errors_total", rpc("eth_blockNumber")), undefined);
+
+  assert.equal(sample(text, "roaster_redis_up"), 0);
+  assert.equal(sample(text, "roaster_redis_errors_total"), 1);
+  assert.equal(sample(text, "roaster_pg_pool_clients"), 4);
+  assert.equal(sample(text, "roaster_pg_pool_idle_clients"), 3);
+  assert.equal(sample(text, "roaster_pg_pool_waiting_requests"), 1);
+});
@@ -0,0 +1,211 @@
+"use strict";
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { spawnSync } = require("child_process");
+
+const {
+  loadMigrations,
+  migrationStatus,
+  migrateUp,
+  migrateDown,
+  assertSchemaCurrent,
+} = require("../migrate");
+
+const quiet = { info() {}, warn() {} };
+
+// In-memory stand-in for a pg Pool, just enough for migrate.js: the
+// schema_migrations table, transactions (rollback restores it) and a log of
+// every migration statement run. SQL containing "boom" throws.
+function createFakePg() {
+  const state = { table: false, applied: new Map(), ran: [], snapshot: null };
+
+  async function query(sql, params = []) {
+    const q = sql.replace(/\s+/g, " ").trim();
+    if (q.includes("to_regclass")) return { rows: [{ present: state.table }] };
+    if (q.startsWith("create table if not exists schema_migrations")) {
+      state.table = true;
+      return { rows: [] };
+    }
+    if (q.includes("pg_advisory_")) return { rows: [] };
+    if (q === "begin") {
+      state.snapshot = { applied: new Map(state.applied), ran: state.ran.length };
+      return { rows: [] };
+    }
+    if (q === "commit") {
+      state.snapshot = null;
+      return { rows: [] };
+    }
+    if (q === "rollback") {
+      state.applied = state.snapshot.applied;
+      state.ran.length = state.snapshot.ran;
+      state.snapshot = null;
+      return { rows: [] };
+    }
+    if (q.startsWith("select version from schema_migrations")) {
+      let versions = [...state.applied.keys()];
+      if (q.includes("order by version desc")) versions.sort((a, b) => b - a);
+      if (q.includes("limit $1")) versions = versions.slice(0, params[0]);
+      return { rows: versions.map((version) => ({ version })) };
+    }
+    if (q.startsWith("insert into schema_migrations")) {
+      state.applied.set(params[0], params[1]);
+      return { rows: [] };
+    }
+    if (q.startsWith("delete from schema_migrations")) {
+      state.applied.delete(params[0]);
+      return { rows: [] };
+    }
+    state.ran.push(q);
+    if (q.includes("boom")) throw new Error("syntax error at or near \"boom\"");
+    return { rows: [] };
+  }
+
+  return {
+    state,
+    query,
+    async connect() {
+      return { query, release() {} };
+    },
+  };
+}
+
+const MIGRATIONS = [
+  { version: 1, name: "one", up: "create table one", down: "drop table one" },
+  { version: 2, name: "two", up: "create table two", down: "drop table two" },
+  { version: 3, name: "three", up: "create table three", down: "drop table three" },
+];
+
+test("loadMigrations orders by version and rejects duplicates", (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "roaster-migrations-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  const write = (file) =>
+    fs.writeFileSync(path.join(dir, file), 'module.exports = { up: "select 1", down: "" };\n');
+  write("010_later.js");
+  write("002_earlier.js");
+  fs.writeFileSync(path.join(dir, "README.txt"), "not a migration\n");
+
+  assert.deepEqual(
+    loadMigrations(dir).map((m) => [m.version, m.name]),
+    [
+      [2, "earlier"],
+      [10, "later"],
+    ]
+  );
+
+  write("10_again.js");
+  assert.throws(() => loadMigrations(dir), /Duplicate migration version 10/);
+
+  // The shipped set stays gapless
+  const shipped = loadMigrations().map((m) => m.version);
+  assert.deepEqual(shipped, shipped.map((_, i) => i + 1));
+});
+
+test("migrateUp applies pending migrations in order and records each one", async () => {
+  const pg = createFakePg();
+
+  assert.deepEqual(await migrateUp(pg, { to: 2, log: quiet, migrations: MIGRATIONS }), [1, 2]);
+  assert.deepEqual(pg.state.ran, ["create table one", "create table two"]);
+  assert.deepEqual(Object.fromEntries(pg.state.applied), { 1: "one", 2: "two" });
+
+  // Re-running only picks up what's left
+  assert.deepEqual(await migrateUp(pg, { log: quiet, migrations: MIGRATIONS }), [3]);
+  assert.deepEqual(await migrateUp(pg, { log: quiet, migrations: MIGRATIONS }), []);
+  assert.equal(pg.state.ran.length, 3);
+
+  const status = await migrationStatus(pg, MIGRATIONS);
+  assert.deepEqual(status, { current: 3, latest: 3, pending: [], unknown: [] });
+});
+
+test("a failing migration rolls back and stops the run", async () => {
+  const pg = createFakePg();
+  const migrations = [
+    MIGRATIONS[0],
+    { version: 2, name: "broken", up: "alter table boom", down: "" },
+    MIGRATIONS[2],
+  ];
+
+  await assert.rejects(migrateUp(pg, { log: quiet, migrations }), /boom/);
+  assert.deepEqual([...pg.state.applied.keys()], [1]);
+  assert.deepEqual(pg.state.ran, ["create table one"]);
+});
+
+test("migrateDown reverts the newest migrations and their bookkeeping", async () => {
+  const pg = createFakePg();
+  await migrateUp(pg, { log: quiet, migrations: MIGRATIONS });
+  pg.state.ran.length = 0;
+
+  const reverted = await migrateDown(pg, { steps: 2, log: quiet, migrations: MIGRATIONS });
+  assert.deepEqual(reverted, [3, 2]);
+  assert.deepEqual(pg.state.ran, ["drop table three", "drop table two"]);
+  assert.deepEqual([...pg.state.applied.keys()], [1]);
+
+  // A version this build doesn't know can't be rolled back
+  pg.state.applied.set(7, "from_a_newer_deploy");
+  await assert.rejects(
+    migrateDown(pg, { log: quiet, migrations: MIGRATIONS }),
+    /Migration 7 is not in migrations\//
+  );
+  assert.ok(pg.state.applied.has(7));
+});
+
+test("non-integer targets are refused before anything runs", async () => {
+  const pg = createFakePg();
+  for (const steps of [NaN, 0, -1, 1.5]) {
+    await assert.rejects(
+      migrateDown(pg, { steps, log: quiet, migrations: MIGRATIONS }),
+      /steps must be a positive integer/
+    );
+  }
+  await assert.rejects(
+    migrateUp(pg, { to: NaN, log: quiet, migrations: MIGRATIONS }),
+    /Target version must be a positive integer/
+  );
+  assert.equal(pg.state.table, false);
+  assert.equal(pg.state.applied.size, 0);
+});
+
+test("the CLI answers a bad 'down' argument with usage", () => {
+  const script = path.join(__dirname, "..", "migrate.js");
+  const res = spawnSync(process.execPath, [script, "down", "x"], {
+    encoding: "utf8",
+    timeout: 20_000,
+    env: { ...process.env, DATABASE_URL: "postgres://nobody@127.0.0.1:1/none" },
+  });
+  assert.equal(res.status, 1);
+  assert.match(res.stderr, /'x' is not a positive integer/);
+  assert.match(res.stderr, /Usage: node migrate\.js/);
+});
+
+test("startup refuses a stale schema and tolerates a newer one", async () => {
+  const pg = createFakePg();
+
+  // Fresh database: no schema_migrations at all
+  await assert.rejects(
+    assertSchemaCurrent(pg, { log: quiet, migrations: MIGRATIONS }),
+    (err) => {
+      assert.equal(err.code, "SCHEMA_BEHIND");
+      assert.match(err.message, /at 0, need 3; pending: 001_one, 002_two, 003_three/);
+      return true;
+    }
+  );
+
+  await migrateUp(pg, { to: 2, log: quiet, migrations: MIGRATIONS });
+  await assert.rejects(
+    assertSchemaCurrent(pg, { log: quiet, migrations: MIGRATIONS }),
+    /pending: 003_three\)\. Run `npm run migrate`/
+  );
+
+  await migrateUp(pg, { log: quiet, migrations: MIGRATIONS });
+  pg.state.applied.set(4, "from_a_newer_deploy");
+  const warned = [];
+  const status = await assertSchemaCurrent(pg, {
+    log: { warn: (o) => warned.push(o) },
+    migrations: MIGRATIONS,
+  });
+  assert.equal(status.current, 4);
+  assert.deepEqual(warned, [{ unknown: [4] }]);
+});
@@ -0,0 +1,186 @@
+"use strict";
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { ethers } = require("ethers");
+
+const { CONTRACT, USDC, createTestApp, createFakeChain } = require("./helpers");
+const { networksFromEnv } = require("../networks");
+
+const SEPOLIA_CONTRACT = "0x5555555555555555555555555555555555555555";
+const SEPOLIA_USDC = "0x036CbD53842c5426634e7929541eC2318f3dCF7e";
+
+const inAMonth = () => Math.floor(Date.now() / 1000) + 30 * 86400;
+
+// Base (default) + Base Sepolia, each with its own fake chain
+function createTwoChainApp() {
+  const base = createFakeChain();
+  const sepolia = createFakeChain({
+    chainId: 84532,
+    contract: SEPOLIA_CONTRACT,
+    usdc: SEPOLIA_USDC,
+    plans: [{ tier: 1, durationId: 0, durationSeconds: 86400, priceUSDC: 1n }],
+  });
+  return { base, sepolia, ...createTestApp({ chains: [base, sepolia] }) };
+}
+
+async function claimOn(app, wallet, chainId, requester = "NetBot") {
+  const issued = await app.inject({
+    method: "POST",
+    url: "/api/v1/auth/nonce",
+    payload: { address: wallet.address, chainId },
+  });
+  assert.equal(issued.statusCode, 200, issued.body);
+  return app.inject({
+    method: "POST",
+    url: "/api/v1/auth/claim",
+    payload: {
+      requester,
+      address: wallet.address,
+      chainId,
+      signature: await wallet.signMessage(issued.json().message),
+    },
+  });
+}
+
+test("networksFromEnv puts the default first and reads per-network overrides", () => {
+  const nets = networksFromEnv({
+    ROASTER_CONTRACT: CONTRACT,
+    BASE_RPC_URL: "https://base.example, https://backup.example",
+    ROASTER_NETWORKS: "base-sepolia, local, mychain:999, base",
+    NETWORK_BASE_SEPOLIA_CONTRACT: SEPOLIA_CONTRACT,
+    NETWORK_MYCHAIN_USDC: USDC,
+    NETWORK_MYCHAIN_TESTNET: "true",
+  });
+
+  assert.deepEqual(
+    nets.map((n) => [n.chainId, n.name, n.testnet, n.isDefault]),
+    [
+      [8453, "base", false, true],
+      [84532, "base-sepolia", true, false],
+      [31337, "local", true, false],
+      [999, "mychain", true, false],
+    ]
+  );
+  assert.equal(nets[0].contract, CONTRACT);
+  assert.deepEqual(nets[0].rpcUrls, ["https://base.example", "https://backup.example"]);
+  assert.equal(nets[1].contract, SEPOLIA_CONTRACT);
+  assert.deepEqual(nets[1].rpcUrls, ["https://sepolia.base.org"]);
+  assert.equal(nets[2].contract, null, "ROASTER_CONTRACT only applies to the default");
+
+  assert.throws(() => networksFromEnv({ ROASTER_NETWORKS: "nope" }), /unknown network "nope"/);
+  assert.throws(
+    () => networksFromEnv({ ROASTER_NETWORKS: "local,31337" }),
+    /chain 31337 is listed twice/
+  );
+  assert.throws(
+    () => networksFromEnv({ ROASTER_NETWORKS: "local", NETWORK_LOCAL_CONTRACT: CONTRACT }),
+    /NETWORK_LOCAL_USDC must be set/
+  );
+});
+
+test("plans, entitlement and tx builders follow the requested chainId", async (t) => {
+  const { app, base, sepolia } = createTwoChainApp();
+  t.after(() => app.close());
+  const buyer = "0x2222222222222222222222222222222222222222";
+  sepolia.setEntitlement(buyer, 1, inAMonth());
+
+  const list = (await app.inject({ method: "GET", url: "/api/v1/networks" })).json();
+  assert.equal(list.defaultChainId, 8453);
+  assert.deepEqual(
+    list.networks.map((n) => [n.chainId, n.name, n.testnet, n.default, n.contract]),
+    [
+      [8453, "base", false, true, CONTRACT],
+      [84532, "base-sepolia", true, false, SEPOLIA_CONTRACT],
+    ]
+  );
+
+  const plans = (await app.inject({ method: "GET", url: "/api/v1/plans?chainId=84532" })).json();
+  assert.equal(plans.chainId, 84532);
+  assert.equal(plans.plans.length, 1);
+  const defaultPlans = (await app.inject({ method: "GET", url: "/api/v1/plans" })).json();
+  assert.equal(defaultPlans.plans.length, 2, "each network has its own plan cache");
+  assert.equal(base.calls.getAllPlans, 1);
+  assert.equal(sepolia.calls.getAllPlans, 1);
+
+  const ent = (
+    await app.inject({ method: "GET", url: `/api/v1/entitlement/${buyer}?chainId=84532` })
+  ).json();
+  assert.equal(ent.tier, 1);
+  assert.equal(ent.active, true);
+  const baseEnt = (await app.inject({ method: "GET", url: `/api/v1/entitlement/${buyer}` })).json();
+  assert.equal(baseEnt.active, false);
+
+  const res = await app.inject({
+    method: "POST",
+    url: "/api/v1/tx/purchase",
+    payload: { buyer, tier: 1, durationId: 0, chainId: 84532 },
+  });
+  assert.equal(res.statusCode, 200, res.body);
+  assert.equal(res.json().tx.to, SEPOLIA_CONTRACT);
+  assert.equal(res.json().tx.chainId, 84532);
+
+  const bad = await app.inject({ method: "GET", url: "/api/v1/plans?chainId=10" });
+  assert.equal(bad.statusCode, 400);
+  assert.match(bad.json().error, /Unsupported chainId: 10/);
+  assert.match(bad.json().hint, /84532 \(base-sepolia\)/);
+});
+
+test("a testnet claim records its chain and leaves mainnet keys alone", async (t) => {
+  const { app, db, base, sepolia } = createTwoChainApp();
+  t.after(() => app.close());
+  const wallet = ethers.Wallet.createRandom();
+  base.setEntitlement(wallet.address, 2, inAMonth());
+  sepolia.setEntitlement(wallet.address, 1, inAMonth());
+
+  const mainnet = await claimOn(app, wallet, undefined);
+  assert.equal(mainnet.statusCode, 200, mainnet.body);
+  assert.equal(mainnet.json().chainId, 8453);
+
+  const testnet = await claimOn(app, wallet, 84532);
+  assert.equal(testnet.statusCode, 200, testnet.body);
+  assert.equal(testnet.json().chainId, 84532);
+  assert.equal(testnet.json().tier, 1);
+
+  const active = db.keys.filter((r) => !r.revoked_at);
+  assert.deepEqual(
+    active.map((r) => [r.chain_id, r.tier]),
+    [
+      [8453, "pro"],
+      [84532, "basic"],
+    ],
+    "same agent on another network is a separate key; mainnet tier is untouched"
+  );
+
+  const me = await app.inject({
+    method: "GET",
+    url: "/api/v1/me",
+    headers: { authorization: `Bearer ${testnet.json().api_key}` },
+  });
+  assert.equal(me.json().chain_id, 84532);
+});
+
+test("claim must use the chainId its nonce was issued for", async (t) => {
+  const { app, sepolia } = createTwoChainApp();
+  t.after(() => app.close());
+  const wallet = ethers.Wallet.createRandom();
+  sepolia.setEntitlement(wallet.address, 1, inAMonth());
+
+  const issued = await app.inject({
+    method: "POST",
+    url: "/api/v1/auth/nonce",
+    payload: { address: wallet.address, chainId: 84532 },
+  });
+  assert.match(issued.json().message, /Chain ID: 84532/);
+
+  const res = await app.inject({
+    method: "POST",
+    url: "/api/v1/auth/claim",
+    payload: {
+      requester: "NetBot",
+      address: wallet.address,
+      signature: await wallet.signMessage(issued.json().message),
+    },
+  });
+  assert.equal(res.statusCode, 400);
+  assert.match(res.json().error, /issued for chainId 84532/);
+});
@@ -0,0 +1,127 @@
+"use strict";
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { ethers } = require("ethers");
+
+const { createTestApp } = require("./helpers");
+const { ERROR_CODES } = require("../schemas");
+
+test("/openapi.json documents every /api/v1 route with a shared error schema", async (t) => {
+  const { app } = createTestApp();
+  t.after(() => app.close());
+
+  const res = await app.inject({ method: "GET", url: "/openapi.json" });
+  assert.equal(res.statusCode, 200);
+  const doc = res.json();
+  assert.equal(doc.openapi, "3.1.0");
+  assert.equal(doc.servers[0].url, "https://theroaster.test");
+
+  const roast = doc.paths["/api/v1/roast"].post;
+  assert.equal(roast.operationId, "createRoast");
+  assert.deepEqual(roast.security, [{}, { bearerAuth: [] }], "key optional");
+  assert.equal(roast.requestBody.content["application/json"].schema.required[0], "requester");
+  assert.deepEqual(roast.responses["4XX"].content["application/json"].schema, {
+    $ref: "#/components/schemas/ApiError",
+  });
+
+  const keyUpdate = doc.paths["/api/v1/wallet/{address}/keys/{id}"].post;
+  assert.deepEqual(
+    keyUpdate.parameters.filter((p) => p.in === "path").map((p) => p.name),
+    ["address", "id"]
+  );
+  assert.deepEqual(keyUpdate.security, [{ bearerAuth: [] }, { walletSignature: [] }]);
+
+  const ops = Object.values(doc.paths).flatMap((p) => Object.values(p));
+  assert.equal(new Set(ops.map((o) => o.operationId)).size, ops.length, "unique operationIds");
+  assert.ok(ops.every((o) => o.responses["200"]));
+  const codes = doc.components.schemas.ApiError.properties.code.enum;
+  assert.deepEqual(codes, Object.keys(ERROR_CODES));
+});
+
+test("invalid input is a 400 INVALID_REQUEST naming the field", async (t) => {
+  const { app } = createTestApp();
+  t.after(() => app.close());
+
+  const send = (url, payload) => app.inject({ method: "POST", url, payload });
+
+  let res = await send("/api/v1/roast", { name: "SomeMolty" });
+  assert.equal(res.statusCode, 400);
+  assert.deepEqual(res.json(), {
+    success: false,
+    error: "Send 'requester'.",
+    code: "INVALID_REQUEST",
+  });
+
+  res = await send("/api/v1/roast", { requester: "BotA", name: "x", tone: "cruel" });
+  assert.match(res.json().error, /^'tone' must be one of: /);
+
+  res = await send("/api/v1/roast/batch", { requester: "BotA", items: [{ name: {} }] });
+  assert.equal(res.json().error, "'items[0].name' must be a string.");
+
+  res = await app.inject({
+    method: "POST",
+    url: "/api/v1/roast",
+    headers: { "content-type": "application/json" },
+    payload: "{not json",
+  });
+  assert.equal(res.statusCode, 400);
+  assert.equal(res.json().code, "INVALID_REQUEST");
+});
+
+test("unknown routes, bad addresses and auth failures carry a code", async (t) => {
+  const { app } = createTestApp();
+  t.after(() => app.close());
+
+  let res = await app.inject({ method: "GET", url: "/api/v1/nope" });
+  assert.equal(res.statusCode, 404);
+  assert.equal(res.json().code, "NOT_FOUND");
+  assert.equal(res.json().error, "No route for GET /api/v1/nope");
+
+  // Right shape, wrong checksum: ethers rejects it, which used to surface as a 500
+  const badChecksum = "0x52908400098527886e0F7030069857D2E4169EE7";
+  res = await app.inject({ method: "GET", url: `/api/v1/entitlement/${badChecksum}` });
+  assert.equal(res.statusCode, 400);
+  assert.equal(res.json().code, "BAD_ADDRESS");
+
+  res = await app.inject({
+    method: "GET",
+    url: "/api/v1/me",
+    headers: { authorization: "Bearer rk_nope" },
+  });
+  assert.equal(res.statusCode, 401);
+  assert.equal(res.json().code, "INVALID_API_KEY");
+
+  const wallet = ethers.Wallet.createRandom();
+  res = await app.inject({ method: "GET", url: `/api/v1/wallet/${wallet.address}/keys` });
+  assert.equal(res.statusCode, 401);
+  assert.equal(res.json().code, "AUTH_REQUIRED");
+
+  res = await app.inject({
+    method: "POST",
+    url: "/api/v1/auth/claim",
+    payload: {
+      requester: "Bot",
+      address: wallet.address,
+      signature: await wallet.signMessage("hello"),
+    },
+  });
+  assert.equal(res.statusCode, 400);
+  assert.equal(res.json().code, "NONCE_EXPIRED");
+});
+
+test("quota errors keep their fields and add a code", async (t) => {
+  const { app } = createTestApp({ config: { freeDailyLimit: 1, freeIpDailyLimit: 10 } });
+  t.after(() => app.close());
+
+  const roast = () =>
+    app.inject({
+      method: "POST",
+      url: "/api/v1/roast",
+      payload: { requester: "BotA", name: "SomeMolty" },
+    });
+  assert.equal((await roast()).statusCode, 200);
+  const limited = await roast();
+  assert.equal(limited.statusCode, 429);
+  assert.equal(limited.json().code, "FREE_LIMIT");
+  assert.equal(limited.json().daily_limit, 1);
+});
@@ -0,0 +1,141 @@
+"use strict";
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { DEFAULT_STYLE, parseThread, threadSummary, roastRequest } = require("../prompt");
+const { createLLM, createMockProvider } = require("../llm");
+const { createTestApp } = require("./helpers");
+
+const turn = (author, text) => ({ author, text });
+
+test("parseThread trims turns and rejects malformed or oversized threads", () => {
+  assert.deepEqual(parseThread(undefined), { thread: [] });
+  assert.deepEqual(parseThread([turn("  Alice ", "  hi  "), { text: "anon" }]), {
+    thread: [turn("Alice", "hi"), turn("unknown", "anon")],
+  });
+
+  for (const [raw, error] of [
+    ["not a list", /'thread' must be an array/],
+    [[turn("a", "ok"), turn("b", "   ")], /thread\[1\]: 'text' is required/],
+    [[{ author: "a", text: 42 }], /thread\[0\]: 'text' is required/],
+    [Array.from({ length: 31 }, () => turn("a", "x")), /too long \(max 30 turns\)/],
+    [Array.from({ length: 13 }, () => turn("a", "x".repeat(1000))), /max 12000 characters/],
+  ]) {
+    assert.match(parseThread(raw).error, error);
+  }
+});
+
+test("roast prompts quote the thread oldest first before the last message", () => {
+  const { thread } = parseThread([turn("Alice", "gm"), turn("SomeMolty", "wen moon")]);
+  const req = roastRequest({
+    requester: "RoastBot",
+    name: "SomeMolty",
+    message: "I only buy tops",
+    thread,
+    mode: "roast",
+    style: { ...DEFAULT_STYLE, length: "one-liner" },
+    tier: "pro",
+  });
+
+  assert.equal(req.tier, "pro");
+  assert.equal(req.maxTokens, 50);
+  assert.match(req.system, /- Length: Exactly one sentence\./);
+  assert.match(req.system, /VERY IMPORTANT RULES/);
+  assert.equal(
+    req.user,
+    [
+      "Roast this user based on the details below.",
+      "",
+      "Requester bot: RoastBot",
+      "Target username: SomeMolty",
+      "",
+      "Conversation so far (oldest first):",
+      'Alice: "gm"',
+      'SomeMolty: "wen moon"',
+      "",
+      'Last message from user: "I only buy tops"',
+    ].join("\n")
+  );
+});
+
+test("comeback prompts answer the jab aimed at the requester", () => {
+  const req = roastRequest({
+    requester: "RoastBot",
+    name: "SomeMolty",
+    message: "RoastBot runs on a potato",
+    thread: [turn("SomeMolty", "watch this")],
+    mode: "comeback",
+    style: DEFAULT_STYLE,
+  });
+
+  assert.match(req.user, /^SomeMolty just roasted RoastBot \(that's us\)\. Fire back/);
+  assert.match(req.user, /flip their own jab back on them/);
+  assert.match(req.user, /SomeMolty: "watch this"\n\nTheir roast of RoastBot: "RoastBot runs/);
+  assert.doesNotMatch(req.user, /Last message from user/);
+
+  const anonymous = roastRequest({
+    requester: "RoastBot",
+    message: "lol",
+    mode: "comeback",
+    style: DEFAULT_STYLE,
+  });
+  assert.match(anonymous.user, /^This user just roasted RoastBot/);
+});
+
+test("long threads keep the newest turns and summarize what was cut", () => {
+  const thread = Array.from({ length: 20 }, (_, i) => turn(`u${i % 3}`, `${i} `.repeat(200)));
+  thread.push(turn("last", "short and recent"));
+
+  // 400-char cap per turn, 2500 chars for the whole thread
+  assert.deepEqual(threadSummary(thread), { turns: 21, included: 7, omitted: 14 });
+
+  const { user } = roastRequest({
+    requester: "RoastBot",
+    name: "SomeMolty",
+    thread,
+    mode: "roast",
+    style: DEFAULT_STYLE,
+  });
+  assert.match(user, /u1: "19 19 [^"]*…"\nlast: "short and recent"/);
+  assert.match(user, /\[14 earlier message\(s\) omitted, from: u0, u1, u2\]\nu2: "14 14/);
+  assert.doesNotMatch(user, /"13 13/);
+});
+
+test("the roast route sends thread and mode through to the model", async (t) => {
+  const seen = [];
+  const mock = createMockProvider();
+  const recorder = {
+    ...mock,
+    async generate(req) {
+      seen.push(req);
+      return mock.generate(req);
+    },
+  };
+  const { app } = createTestApp({ llm: createLLM({ primary: recorder }) });
+  t.after(() => app.close());
+
+  const res = await app.inject({
+    method: "POST",
+    url: "/api/v1/roast",
+    payload: {
+      requester: "RoastBot",
+      name: "SomeMolty",
+      message: "your jokes are recycled",
+      mode: "comeback",
+      thread: [turn("SomeMolty", "hey RoastBot"), turn("RoastBot", "hey yourself")],
+    },
+  });
+  assert.equal(res.statusCode, 200, res.body);
+  assert.equal(res.json().mode, "comeback");
+  assert.deepEqual(res.json().thread, { turns: 2, included: 2, omitted: 0 });
+  assert.match(seen[0].user, /^SomeMolty just roasted RoastBot/);
+  assert.match(seen[0].user, /RoastBot: "hey yourself"/);
+
+  const noMessage = await app.inject({
+    method: "POST",
+    url: "/api/v1/roast",
+    payload: { requester: "RoastBot", name: "SomeMolty", mode: "comeback" },
+  });
+  assert.equal(noMessage.statusCode, 400);
+  assert.match(noMessage.json().error, /Comeback mode needs 'message'/);
+});
@@ -0,0 +1,166 @@
+"use strict";
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { ethers } = require("ethers");
+
+const { createTestApp, createFakeChain } = require("./helpers");
+const {
+  RpcUnavailableError,
+  isRpcFailure,
+  createCircuitBreaker,
+  guardProvider,
+  createRpcProvider,
+} = require("../rpc");
+
+const BUYER = "0x2222222222222222222222222222222222222222";
+const inAMonth = () => Math.floor(Date.now() / 1000) + 30 * 86400;
+
+function rpcError(code, message = "boom") {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+test("the breaker opens after repeated failures, fails fast, then probes once", async () => {
+  let t = 0;
+  const breaker = createCircuitBreaker({ failureThreshold: 2, cooldownMs: 10_000, now: () => t });
+  const down = () => Promise.reject(rpcError("SERVER_ERROR"));
+
+  // A revert is an answer: it doesn't count
+  await assert.rejects(breaker.run(() => Promise.reject(rpcError("CALL_EXCEPTION"))));
+  assert.equal(breaker.failures(), 0);
+
+  await assert.rejects(breaker.run(down), { code: "SERVER_ERROR" });
+  assert.equal(breaker.state(), "closed");
+  await assert.rejects(breaker.run(down), { code: "SERVER_ERROR" });
+  assert.equal(breaker.state(), "open");
+
+  let called = false;
+  await assert.rejects(
+    breaker.run(async () => (called = true)),
+    (e) => e instanceof RpcUnavailableError && e.retryAfter === 10
+  );
+  assert.equal(called, false, "open breaker doesn't touch the RPC");
+
+  t = 10_000;
+  assert.equal(breaker.state(), "half-open");
+  await assert.rejects(breaker.run(down));
+  assert.equal(breaker.state(), "open", "a failed probe re-opens");
+
+  t = 20_000;
+  assert.equal(await breaker.run(async () => 42), 42);
+  assert.equal(breaker.state(), "closed");
+
+  assert.equal(isRpcFailure(new Error("no runners?!")), true);
+  assert.equal(isRpcFailure(rpcError("ECONNREFUSED")), true);
+  assert.equal(isRpcFailure(rpcError("BAD_DATA")), false);
+});
+
+test("guarded providers time out slow calls and pass reverts through", async () => {
+  const revert = rpcError("CALL_EXCEPTION", "execution reverted");
+  const provider = {
+    call: () => new Promise(() => {}), // never answers
+    estimateGas: () => Promise.reject(revert),
+    name: "raw",
+  };
+  const breaker = createCircuitBreaker();
+  const guarded = guardProvider(provider, { breaker, timeoutMs: 20, chainId: 84532 });
+
+  await assert.rejects(
+    guarded.call({}),
+    (e) => e instanceof RpcUnavailableError && e.chainId === 84532 && e.cause.code === "TIMEOUT"
+  );
+  assert.equal(breaker.failures(), 1);
+  await assert.rejects(guarded.estimateGas({}), (e) => e === revert);
+  assert.equal(guarded.name, "raw", "other properties are untouched");
+});
+
+test("several RPC URLs become a priority-ordered FallbackProvider", async () => {
+  const single = createRpcProvider({ urls: ["http://127.0.0.1:1"], chainId: 8453 });
+  assert.ok(single instanceof ethers.JsonRpcProvider);
+  single.destroy();
+
+  const multi = createRpcProvider({
+    urls: ["http://127.0.0.1:1", "http://127.0.0.1:2"],
+    chainId: 8453,
+    stallMs: 250,
+    quorum: 5,
+  });
+  assert.ok(multi instanceof ethers.FallbackProvider);
+  assert.equal(multi.quorum, 2, "quorum is capped at the number of URLs");
+  assert.deepEqual(
+    multi.providerConfigs.map((c) => [c.priority, c.stallTimeout]),
+    [
+      [1, 250],
+      [2, 250],
+    ]
+  );
+  multi.destroy();
+
+  assert.equal(createRpcProvider({ urls: [], chainId: 8453 }), null);
+});
+
+test("an RPC outage answers 503 with Retry-After, and the open breaker spares the RPC", async (t) => {
+  const chain = createFakeChain({
+    breaker: createCircuitBreaker({ failureThreshold: 2, cooldownMs: 30_000 }),
+  });
+  const { app } = createTestApp({ chain });
+  t.after(() => app.close());
+  chain.fail(rpcError("SERVER_ERROR", "upstream 502 from rpc.vendor.example"));
+
+  for (let i = 0; i < 3; i++) {
+    const res = await app.inject({ method: "GET", url: `/api/v1/entitlement/${BUYER}` });
+    assert.equal(res.statusCode, 503);
+    assert.ok(Number(res.headers["retry-after"]) > 0);
+    assert.doesNotMatch(res.body, /rpc\.vendor/, "ethers' error text is not leaked");
+    assert.equal(res.json().chainId, 8453);
+  }
+  assert.equal(chain.calls.entitlement || 0, 0);
+  assert.equal(chain.breaker.state(), "open");
+  assert.equal(
+    (await app.inject({ method: "GET", url: "/api/v1/entitlement/" + BUYER })).headers[
+      "retry-after"
+    ],
+    "30"
+  );
+
+  const plans = await app.inject({ method: "GET", url: "/api/v1/plans" });
+  assert.equal(plans.statusCode, 503);
+});
+
+test("entitlement reads are cached, and a cached inactive one is re-read on claim", async (t) => {
+  const { app, chain } = createTestApp();
+  t.after(() => app.close());
+
+  for (let i = 0; i < 3; i++) {
+    const res = await app.inject({ method: "GET", url: `/api/v1/entitlement/${BUYER}` });
+    assert.equal(res.json().active, false);
+  }
+  assert.equal(chain.calls.entitlement, 1);
+
+  // Bought since the cached read: the claim must see it
+  const wallet = ethers.Wallet.createRandom();
+  await app.inject({ method: "GET", url: `/api/v1/entitlement/${wallet.address}` });
+  chain.setEntitlement(wallet.address, 1, inAMonth());
+
+  const issued = await app.inject({
+    method: "POST",
+    url: "/api/v1/auth/nonce",
+    payload: { address: wallet.address },
+  });
+  const res = await app.inject({
+    method: "POST",
+    url: "/api/v1/auth/claim",
+    payload: {
+      requester: "CacheBot",
+      address: wallet.address,
+      signature: await wallet.signMessage(issued.json().message),
+    },
+  });
+  assert.equal(res.statusCode, 200, res.body);
+
+  // ... and the fresh read replaced the cached one
+  const after = await app.inject({ method: "GET", url: `/api/v1/entitlement/${wallet.address}` });
+  assert.equal(after.json().active, true);
+  assert.equal(chain.calls.entitlement, 3);
+});
@@ -0,0 +1,151 @@
+"use strict";
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const http = require("http");
+const os = require("os");
+const path = require("path");
+
+const { createTestApp } = require("./helpers");
+const { createLLM, createMockProvider } = require("../llm");
+const { checkBlocklist, loadBlocklist } = require("../safety");
+
+// "event: x\ndata: {...}\n\n" blocks -> [{ event, data }]
+function parseSSE(body) {
+  return body
+    .split("\n\n")
+    .filter(Boolean)
+    .map((block) => {
+      const event = block.match(/^event: (.+)$/m)[1];
+      const data = JSON.parse(block.match(/^data: (.+)$/m)[1]);
+      return { event, data };
+    });
+}
+
+// Deltas after the last reset; what the caller ends up showing
+function shownText(events) {
+  const last = events.findLastIndex((e) => e.event === "reset");
+  return events
+    .slice(last + 1)
+    .filter((e) => e.event === "delta")
+    .map((e) => e.data.text)
+    .join("");
+}
+
+function streamRoast(app) {
+  return app.inject({
+    method: "POST",
+    url: "/api/v1/roast",
+    payload: { requester: "BotA", name: "SomeMolty", stream: true },
+  });
+}
+
+// Streams `fixture`; generate() (used for regenerations) returns `regen`
+function dirtyApp(t, fixture, regen = "Your heartbeat posts more than it thinks.") {
+  const dirty = createMockProvider({ fixtures: [fixture] });
+  const clean = createMockProvider({ fixtures: [regen] });
+  const { app } = createTestApp({
+    llm: createLLM({ primary: { ...dirty, generate: clean.generate } }),
+  });
+  t.after(() => app.close());
+  return app;
+}
+
+test("streamed deltas only carry text that passed the blocklist", async (t) => {
+  const app = dirtyApp(t, "Your replies are so racist it hurts.");
+
+  const res = await streamRoast(app);
+  assert.equal(res.statusCode, 200);
+  const events = parseSSE(res.body);
+  const done = events.at(-1);
+
+  assert.equal(done.event, "done");
+  assert.equal(done.data.replaced, true);
+  assert.equal(done.data.safety.regenerated, 1);
+  assert.ok(events.every((e) => e.event !== "delta" || !/racist/i.test(e.data.text)));
+  assert.ok(!events.some((e) => e.event === "reset"), "nothing went out, nothing to take back");
+  assert.equal(shownText(events), done.data.roast);
+});
+
+test("clauses stream until one trips the blocklist; a reset then replaces them", async (t) => {
+  const app = dirtyApp(t, "Bold move, posting daily. Also you are so racist, wow.");
+
+  const events = parseSSE((await streamRoast(app)).body);
+  const deltas = events.filter((e) => e.event === "delta").map((e) => e.data.text);
+
+  assert.deepEqual(deltas.slice(0, 2), ["Bold move,", " posting daily."]);
+  assert.equal(events[2].event, "reset");
+  assert.ok(deltas.every((text) => !/racist/i.test(text)));
+  assert.equal(events.at(-1).data.replaced, true);
+  assert.equal(shownText(events), events.at(-1).data.roast);
+});
+
+test("a clean draft streams clause by clause while the model is still writing", async (t) => {
+  // The model pauses after its first clause until the caller has seen it (or 2s pass)
+  let seen;
+  const firstClauseSeen = new Promise((resolve) => (seen = resolve));
+  const mock = createMockProvider();
+  const primary = {
+    ...mock,
+    async *stream() {
+      yield { type: "delta", text: "Your heartbeat posts, " };
+      const early = await Promise.race([
+        firstClauseSeen.then(() => true),
+        new Promise((resolve) => setTimeout(resolve, 2000, false)),
+      ]);
+      yield { type: "delta", text: early ? "nobody reads them." : "too late." };
+      yield { type: "done", usage: null };
+    },
+  };
+  const { app } = createTestApp({ llm: createLLM({ primary }) });
+  t.after(() => app.close());
+  const base = await app.listen({ port: 0, host: "127.0.0.1" });
+
+  const body = await new Promise((resolve, reject) => {
+    const req = http.request(
+      `${base}/api/v1/roast`,
+      { method: "POST", headers: { "content-type": "application/json" } },
+      (res) => {
+        let text = "";
+        res.setEncoding("utf8");
+        res.on("data", (chunk) => {
+          text += chunk;
+          if (text.includes("event: delta")) seen();
+        });
+        res.on("end", () => resolve(text));
+      }
+    );
+    req.on("error", reject);
+    req.end(JSON.stringify({ requester: "BotA", name: "SomeMolty", stream: true }));
+  });
+
+  const events = parseSSE(body);
+  const done = events.at(-1).data;
+  assert.equal(done.roast, "Your heartbeat posts, nobody reads them.");
+  assert.equal(done.replaced, undefined);
+  assert.equal(events[0].data.text, "Your heartbeat posts,");
+  assert.equal(shownText(events), done.roast);
+});
+
+test("custom blocklist rules: g / y flags are dropped, split regexes fail loudly", (t) => {
+  const rules = loadBlocklist({
+    SAFETY_BLOCKLIST: "/clanker/gy, beep boop",
+    SAFETY_BLOCKLIST_DEFAULTS: "off",
+  });
+  assert.equal(rules[0].re.flags, "i");
+  for (let i = 0; i < 3; i++) {
+    assert.deepEqual(checkBlocklist("Clanker energy", rules), ["blocklist:custom:/clanker/gy"]);
+  }
+  assert.deepEqual(checkBlocklist("Beep boop", rules), ["blocklist:custom:beep boop"]);
+
+  assert.throws(
+    () => loadBlocklist({ SAFETY_BLOCKLIST: "/a{1,3}h/", SAFETY_BLOCKLIST_DEFAULTS: "off" }),
+    /"\/a\{1" is not a complete \/regex\/.*SAFETY_BLOCKLIST_FILE/
+  );
+
+  const file = path.join(os.tmpdir(), `blocklist-${process.pid}.txt`);
+  fs.writeFileSync(file, "# one per line\n/a{1,3}h/\n");
+  t.after(() => fs.rmSync(file, { force: true }));
+  const fromFile = loadBlocklist({ SAFETY_BLOCKLIST_FILE: file, SAFETY_BLOCKLIST_DEFAULTS: "off" });
+  assert.equal(checkBlocklist("aaah", fromFile).length, 1);
+});
@@ -0,0 +1,288 @@
+"use strict";
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { ethers } = require("ethers");
+
+const { CONTRACT, USDC, createTestApp, createFakeChain } = require("./helpers");
+const { ROASTER_ABI, USDC_ABI } = require("../app");
+
+const BUYER = "0x2222222222222222222222222222222222222222";
+const roasterIface = new ethers.Interface(ROASTER_ABI);
+const usdcIface = new ethers.Interface(USDC_ABI);
+
+function post(app, url, payload) {
+  return app.inject({ method: "POST", url, payload });
+}
+
+test("contract info and plans come from config and the chain", async (t) => {
+  const { app, chain } = createTestApp();
+  t.after(() => app.close());
+
+  const info = (await app.inject({ method: "GET", url: "/api/v1/contract" })).json();
+  assert.deepEqual(info, {
+    success: true,
+    chainId: 8453,
+    network: "base",
+    testnet: false,
+    domain: "theroaster.test",
+    contract: CONTRACT,
+    usdc: USDC,
+  });
+
+  for (let i = 0; i < 2; i++) {
+    const res = await app.inject({ method: "GET", url: "/api/v1/plans" });
+    assert.equal(res.statusCode, 200);
+    assert.deepEqual(res.json().plans[1], {
+      tier: 2,
+      durationId: 0,
+      durationSeconds: 30 * 86400,
+      priceUSDC: "20000000",
+    });
+  }
+  assert.equal(chain.calls.getAllPlans, 1, "second request is served from the plan cache");
+});
+
+test("approve tx approves the plan price to the roaster contract", async (t) => {
+  const { app } = createTestApp();
+  t.after(() => app.close());
+
+  const res = await post(app, "/api/v1/tx/approve", { buyer: BUYER, tier: 1, durationId: 0 });
+  assert.equal(res.statusCode, 200, res.body);
+  const { tx, priceUSDC } = res.json();
+
+  assert.equal(priceUSDC, "5000000");
+  assert.equal(tx.from, BUYER);
+  assert.equal(tx.to, USDC);
+  assert.equal(tx.value, "0x0");
+  const call = usdcIface.parseTransaction({ data: tx.data });
+  assert.equal(call.name, "approve");
+  assert.equal(call.args[0], CONTRACT);
+  assert.equal(call.args[1], 5_000_000n);
+});
+
+test("purchase tx calls purchase(tier, durationId) on the roaster contract", async (t) => {
+  const { app } = createTestApp();
+  t.after(() => app.close());
+
+  const res = await post(app, "/api/v1/tx/purchase", { buyer: BUYER, tier: 2, durationId: 0 });
+  assert.equal(res.statusCode, 200, res.body);
+  const { tx, priceUSDC } = res.json();
+
+  assert.equal(priceUSDC, "20000000");
+  assert.equal(tx.to, CONTRACT);
+  const call = roasterIface.parseTransaction({ data: tx.data });
+  assert.equal(call.name, "purchase");
+  assert.deepEqual([...call.args].map(Number), [2, 0]);
+});
+
+test("tx builders reject unknown plans and bad buyers", async (t) => {
+  const { app } = createTestApp();
+  t.after(() => app.close());
+
+  const unknown = await post(app, "/api/v1/tx/purchase", { buyer: BUYER, tier: 3, durationId: 0 });
+  assert.equal(unknown.statusCode, 400);
+  assert.equal(unknown.json().error, "Unknown plan");
+
+  const bad = await post(app, "/api/v1/tx/approve", {
+    buyer: "not-an-address",
+    tier: 1,
+    durationId: 0,
+  });
+  assert.equal(bad.statusCode, 400);
+  assert.deepEqual(bad.json(), {
+    success: false,
+    error: "'buyer' is malformed.",
+    code: "INVALID_REQUEST",
+  });
+
+  // Right shape, wrong checksum: caught by ethers, not the schema
+  const checksum = await post(app, "/api/v1/tx/approve", {
+    buyer: "0x52908400098527886e0F7030069857D2E4169EE7",
+    tier: 1,
+    durationId: 0,
+  });
+  assert.equal(checksum.statusCode, 400);
+  assert.equal(checksum.json().code, "BAD_ADDRESS");
+});
+
+test("preflight only includes the approve step when the allowance is short", async (t) => {
+  const chain = createFakeChain();
+  const { app } = createTestApp({ chain });
+  t.after(() => app.close());
+
+  chain.setUsdc(BUYER, { balance: 50_000_000n, allowance: 0n });
+  let res = await post(app, "/api/v1/tx/preflight", { buyer: BUYER, tier: 1, durationId: 0 });
+  assert.equal(res.statusCode, 200, res.body);
+  assert.deepEqual(
+    res.json().steps.map((s) => s.step),
+    ["approve", "purchase"]
+  );
+  assert.equal(res.json().simulation.ran, false);
+
+  chain.setUsdc(BUYER, { allowance: 5_000_000n });
+  res = await post(app, "/api/v1/tx/preflight", { buyer: BUYER, tier: 1, durationId: 0 });
+  const body = res.json();
+  assert.deepEqual(
+    body.steps.map((s) => s.step),
+    ["purchase"]
+  );
+  assert.equal(body.ready, true);
+  assert.equal(body.simulation.ok, true);
+  assert.equal(body.steps[0].gasEstimate, "60000");
+});
+
+test("onchain routes answer 500 when no chain is configured", async (t) => {
+  const { app } = createTestApp({ chain: {} });
+  t.after(() => app.close());
+
+  const res = await app.inject({ method: "GET", url: "/api/v1/plans" });
+  assert.equal(res.statusCode, 500);
+  assert.equal(res.json().error, "Onchain not configured");
+});
+
+test("autoClaim polls reuse the buyer's pending nonce instead of replacing it", async (t) => {
+  const chain = createFakeChain();
+  const { app } = createTestApp({ chain });
+  t.after(() => app.close());
+
+  const wallet = ethers.Wallet.createRandom();
+  chain.setEntitlement(wallet.address, 1, Math.floor(Date.now() / 1000) + 30 * 86400);
+  const hash = chain.mine({
+    from: wallet.address,
+    to: CONTRACT,
+    data: roasterIface.encodeFunctionData("purchase", [1, 0]),
+  });
+  const poll = async () =>
+    (await app.inject({ method: "GET", url: `/api/v1/tx/${hash}?autoClaim=1` })).json().next;
+
+  const first = await poll();
+  assert.equal(first.step, "claim");
+  const second = await poll();
+  assert.equal(second.message, first.message, "polling again doesn't invalidate the message");
+  assert.ok(second.expiresInSeconds <= 300);
+
+  const claimed = await post(app, "/api/v1/auth/claim", {
+    requester: "ClaimBot",
+    address: wallet.address,
+    signature: await wallet.signMessage(first.message),
+  });
+  assert.equal(claimed.statusCode, 200, claimed.body);
+
+  // A pending legacy message is left alone: the poll points at /auth/nonce instead
+  const legacy = await post(app, "/api/v1/auth/nonce", {
+    address: wallet.address,
+    format: "legacy",
+  });
+  const next = await poll();
+  assert.equal(next.step, "nonce");
+  assert.equal(next.path, "/api/v1/auth/nonce");
+
+  const res = await post(app, "/api/v1/auth/claim", {
+    requester: "OtherBot",
+    address: wallet.address,
+    signature: await wallet.signMessage(legacy.json().message),
+  });
+  assert.equal(res.statusCode, 200, res.body);
+});
+
+function txStatus(app, hash, query = "") {
+  return app.inject({ method: "GET", url: `/api/v1/tx/${hash}${query}` });
+}
+
+// A USDC Transfer log as it appears in a receipt
+function transferLog(from, to, value, address = USDC) {
+  return { address, ...usdcIface.encodeEventLog("Transfer", [from, to, value]) };
+}
+
+test("tx status decodes approve and purchase calls and USDC transfers", async (t) => {
+  const chain = createFakeChain();
+  const { app } = createTestApp({ chain });
+  t.after(() => app.close());
+  chain.setEntitlement(BUYER, 2, Math.floor(Date.now() / 1000) + 30 * 86400);
+
+  const approveData = usdcIface.encodeFunctionData("approve", [CONTRACT, 5_000_000n]);
+  const approve = chain.mine({ from: BUYER, to: USDC, data: approveData }, { confirmations: 3 });
+  const res = await txStatus(app, approve);
+  assert.equal(res.statusCode, 200, res.body);
+  const body = res.json();
+  assert.equal(body.status, "confirmed");
+  assert.equal(body.confirmations, 3);
+  assert.equal(body.from, BUYER);
+  assert.deepEqual(body.call, {
+    contract: "usdc",
+    method: "approve",
+    spender: ethers.getAddress(CONTRACT),
+    amount: "5000000",
+  });
+  assert.deepEqual(body.usdcTransfers, []);
+
+  const purchase = chain.mine(
+    { from: BUYER, to: CONTRACT, data: roasterIface.encodeFunctionData("purchase", [2, 0]) },
+    {
+      logs: [
+        transferLog(BUYER, CONTRACT, 20_000_000n),
+        // Same event shape from another token: not ours, not reported
+        transferLog(BUYER, CONTRACT, 1n, "0x3333333333333333333333333333333333333333"),
+      ],
+    }
+  );
+  const bought = (await txStatus(app, purchase)).json();
+  assert.equal(bought.status, "confirmed");
+  assert.deepEqual(bought.call, {
+    contract: "roaster",
+    method: "purchase",
+    tier: 2,
+    durationId: 0,
+  });
+  assert.deepEqual(bought.usdcTransfers, [
+    { from: BUYER, to: ethers.getAddress(CONTRACT), valueUSDC: "20000000" },
+  ]);
+  assert.equal(bought.entitlement.tier, 2);
+  assert.equal(bought.entitlement.active, true);
+  assert.equal(bought.next, undefined, "no claim step without autoClaim");
+
+  // A tx to some other contract is reported without a decoded call
+  const other = chain.mine({ from: BUYER, to: BUYER, data: "0x" });
+  assert.equal((await txStatus(app, other)).json().call, null);
+});
+
+test("tx status reports reverted purchases with the replayed reason", async (t) => {
+  const chain = createFakeChain();
+  const { app } = createTestApp({ chain });
+  t.after(() => app.close());
+
+  const hash = chain.mine(
+    { from: BUYER, to: CONTRACT, data: roasterIface.encodeFunctionData("purchase", [9, 9]) },
+    { revert: "Plan not found" }
+  );
+  const res = await txStatus(app, hash, "?autoClaim=1");
+  assert.equal(res.statusCode, 200, res.body);
+  const body = res.json();
+  assert.equal(body.status, "reverted");
+  assert.equal(body.revertReason, "Plan not found");
+  assert.equal(body.call.method, "purchase");
+  assert.equal(body.entitlement.active, false);
+  assert.equal(body.next, undefined, "a reverted purchase never offers a claim");
+});
+
+test("tx status tells pending and unknown hashes apart", async (t) => {
+  const chain = createFakeChain();
+  const { app } = createTestApp({ chain });
+  t.after(() => app.close());
+
+  const pending = chain.mine(
+    { from: BUYER, to: CONTRACT, data: roasterIface.encodeFunctionData("purchase", [1, 0]) },
+    { pending: true }
+  );
+  const waiting = (await txStatus(app, pending)).json();
+  assert.equal(waiting.status, "pending");
+  assert.equal(waiting.confirmations, 0);
+  assert.equal(waiting.call.tier, 1);
+  assert.equal(waiting.entitlement, undefined);
+
+  const unknown = (await txStatus(app, ethers.id("never sent"))).json();
+  assert.equal(unknown.status, "not-found");
+  assert.match(unknown.hint, /retry shortly/);
+
+  assert.equal((await txStatus(app, "0x1234")).statusCode, 400);
+});
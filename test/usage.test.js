@@ -0,0 +1,220 @@
+"use strict";
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { createTestApp, seedKey } = require("./helpers");
+
+const WALLET = "0x1111111111111111111111111111111111111111";
+const OTHER_WALLET = "0x2222222222222222222222222222222222222222";
+const ADMIN_TOKEN = "admin-token-for-tests";
+
+function get(app, url, headers = {}) {
+  return app.inject({ method: "GET", url, headers });
+}
+
+const bearer = (rawKey) => ({ authorization: `Bearer ${rawKey}` });
+
+// A usage_events row as recordRoast writes it, at noon UTC on `day`
+function event(day, key, fields = {}) {
+  return {
+    created_at: new Date(`${day}T12:00:00Z`),
+    endpoint: "roast",
+    key_id: key.id,
+    key_hash: key.key_hash,
+    wallet_address: key.wallet_address,
+    requester: key.agent_name,
+    tier: key.tier,
+    outcome: "ok",
+    status_code: 200,
+    items: 1,
+    latency_ms: 100,
+    provider: "mock",
+    model: "mock-1",
+    input_tokens: 10,
+    output_tokens: 20,
+    total_tokens: 30,
+    ...fields,
+  };
+}
+
+async function seedLedger(db) {
+  const a = await seedKey(db, { walletAddress: WALLET, tier: "pro", agentName: "BotA" });
+  const b = await seedKey(db, { walletAddress: WALLET, tier: "pro", agentName: "BotB" });
+  const stranger = await seedKey(db, { walletAddress: OTHER_WALLET, agentName: "Stranger" });
+  const loose = await seedKey(db, { agentName: "Loose" }); // no wallet
+
+  db.usage.push(
+    event("2026-02-28", a.row), // before the range below
+    event("2026-03-01", a.row, { latency_ms: 200 }),
+    event("2026-03-01", a.row, { outcome: "rate_limited", status_code: 429, latency_ms: 5 }),
+    event("2026-03-01", b.row, { model: "mock-2", latency_ms: 300 }),
+    event("2026-03-02", b.row, { endpoint: "roast/batch", items: 3, total_tokens: 90 }),
+    event("2026-03-02", b.row, { outcome: "error", status_code: 502, total_tokens: null }),
+    event("2026-03-02", stranger.row),
+    event("2026-03-02", loose.row)
+  );
+  return { a, b, stranger, loose };
+}
+
+test("/me/usage reports the whole wallet by day, grouped by key or model", async (t) => {
+  const { app, db } = createTestApp();
+  t.after(() => app.close());
+  const { a, b } = await seedLedger(db);
+
+  const range = "from=2026-03-01&to=2026-03-02";
+  const res = await get(app, `/api/v1/me/usage?${range}`, bearer(a.rawKey));
+  assert.equal(res.statusCode, 200, res.body);
+  const body = res.json();
+  assert.equal(body.scope, "wallet");
+  assert.equal(body.wallet, WALLET);
+  assert.equal(body.from, "2026-03-01");
+  assert.equal(body.to, "2026-03-02");
+  assert.deepEqual(
+    body.rows.map((r) => [r.period, r.requests, r.roasts, r.failed, r.rate_limited]),
+    [
+      ["2026-03-01", 3, 2, 0, 1],
+      ["2026-03-02", 4, 3, 1, 0],
+    ]
+  );
+  assert.equal(body.rows[0].avg_latency_ms, 168);
+  assert.equal(body.rows[0].p95_latency_ms, 290);
+  assert.deepEqual(body.totals, {
+    requests: 7,
+    roasts: 5,
+    failed: 1,
+    rate_limited: 1,
+    total_tokens: 180,
+  });
+
+  const byKey = await get(app, `/api/v1/me/usage?${range}&group=key`, bearer(b.rawKey));
+  assert.deepEqual(
+    byKey.json().rows.map((r) => [r.period, r.key, r.requests]),
+    [
+      ["2026-03-01", a.row.id, 2],
+      ["2026-03-01", b.row.id, 1],
+      ["2026-03-02", b.row.id, 4],
+    ]
+  );
+
+  const byModel = await get(app, `/api/v1/me/usage?${range}&group=model`, bearer(a.rawKey));
+  assert.deepEqual(
+    byModel.json().rows.map((r) => [r.period, r.model, r.requests]),
+    [
+      ["2026-03-01", "mock-1", 2],
+      ["2026-03-01", "mock-2", 1],
+      ["2026-03-02", "mock-1", 4],
+    ]
+  );
+});
+
+test("keys without a wallet only see themselves", async (t) => {
+  const { app, db } = createTestApp();
+  t.after(() => app.close());
+  const { loose } = await seedLedger(db);
+
+  const url = "/api/v1/me/usage?from=2026-03-01&to=2026-03-31";
+  const res = await get(app, url, bearer(loose.rawKey));
+  assert.equal(res.statusCode, 200, res.body);
+  assert.equal(res.json().scope, "key");
+  assert.equal(res.json().key_id, loose.row.id);
+  assert.equal(res.json().totals.requests, 1);
+
+  // Nothing to split by key
+  const grouped = await get(app, "/api/v1/me/usage?group=key", bearer(loose.rawKey));
+  assert.equal(grouped.statusCode, 400);
+  assert.match(grouped.json().error, /'group' must be one of: model/);
+});
+
+test("usage queries validate period, dates and range", async (t) => {
+  const { app, db } = createTestApp();
+  t.after(() => app.close());
+  const { a } = await seedLedger(db);
+
+  for (const [qs, error] of [
+    ["period=week", /'period' must be day or month/],
+    ["from=2026-3-1", /'from' must be YYYY-MM-DD/],
+    ["period=month&to=2026-03-01", /'to' must be YYYY-MM/],
+    ["from=2026-03-02&to=2026-03-01", /'from' must be on or before 'to'/],
+    ["from=2024-01-01&to=2026-03-01", /Range too large \(max 366 days\)/],
+  ]) {
+    const res = await get(app, `/api/v1/me/usage?${qs}`, bearer(a.rawKey));
+    assert.equal(res.statusCode, 400, qs);
+    assert.match(res.json().error, error);
+  }
+});
+
+test("the wallet usage route sums by month and stays within the wallet", async (t) => {
+  const { app, db } = createTestApp();
+  t.after(() => app.close());
+  const { a, stranger } = await seedLedger(db);
+
+  const url = `/api/v1/wallet/${WALLET}/usage?period=month&from=2026-02&to=2026-03`;
+  const res = await get(app, url, bearer(a.rawKey));
+  assert.equal(res.statusCode, 200, res.body);
+  assert.deepEqual(
+    res.json().rows.map((r) => [r.period, r.requests]),
+    [
+      ["2026-02", 1],
+      ["2026-03", 7],
+    ]
+  );
+
+  const foreign = await get(app, url, bearer(stranger.rawKey));
+  assert.equal(foreign.statusCode, 403);
+  assert.equal(foreign.json().code, "WRONG_WALLET");
+});
+
+test("admins can aggregate across wallets, filtered and grouped", async (t) => {
+  const { app, db } = createTestApp({
+    config: { adminTokens: [{ name: "alice", token: ADMIN_TOKEN }] },
+  });
+  t.after(() => app.close());
+  const { b } = await seedLedger(db);
+  const admin = (qs) => get(app, `/admin/v1/usage?${qs}`, { "x-admin-token": ADMIN_TOKEN });
+
+  const byTier = await admin("from=2026-03-01&to=2026-03-02&group=tier");
+  assert.equal(byTier.statusCode, 200, byTier.body);
+  assert.deepEqual(
+    byTier.json().rows.map((r) => [r.period, r.tier, r.requests]),
+    [
+      ["2026-03-01", "pro", 3],
+      ["2026-03-02", "basic", 2],
+      ["2026-03-02", "pro", 4],
+    ]
+  );
+
+  const byRequester = await admin("from=2026-03-01&to=2026-03-02&requester=botb");
+  assert.equal(byRequester.json().totals.requests, 5);
+
+  const byKey = await admin(`from=2026-03-01&to=2026-03-02&key_id=${b.row.id}`);
+  assert.equal(byKey.json().totals.requests, 5);
+  assert.equal((await admin("key_id=9999")).statusCode, 404);
+
+  const [lookup] = db.audit.filter((r) => r.action === "usage.lookup");
+  assert.equal(lookup.actor, "alice");
+  assert.equal(lookup.details.group, "tier");
+});
+
+test("keyed roasts show up in /me/usage once the ledger flushes", async (t) => {
+  const { app, db } = createTestApp();
+  t.after(() => app.close());
+  const { rawKey } = await seedKey(db, { walletAddress: WALLET, agentName: "BotA" });
+
+  for (let i = 0; i < 2; i++) {
+    const res = await app.inject({
+      method: "POST",
+      url: "/api/v1/roast",
+      headers: bearer(rawKey),
+      payload: { requester: "BotA", name: "SomeMolty" },
+    });
+    assert.equal(res.statusCode, 200, res.body);
+  }
+  await app.ledger.flush();
+
+  const res = await get(app, "/api/v1/me/usage?group=model", bearer(rawKey));
+  const [row] = res.json().rows;
+  assert.equal(res.json().rows.length, 1);
+  assert.equal(row.period, new Date().toISOString().slice(0, 10));
+  assert.equal(row.requests, 2);
+  assert.equal(row.roasts, 2);
+});
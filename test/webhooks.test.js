@@ -0,0 +1,339 @@
+"use strict";
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const http = require("http");
+
+const { createFakeDb, createTestApp, seedKey } = require("./helpers");
+const {
+  checkWebhookUrl,
+  createWebhookWorker,
+  quotaEvents,
+  signWebhook,
+  verifyWebhookSignature,
+} = require("../webhooks");
+
+const WALLET = "0x1111111111111111111111111111111111111111";
+const quiet = { info() {}, warn() {}, error() {} };
+
+function api(app, rawKey, method, url, payload) {
+  return app.inject({ method, url, headers: { authorization: `Bearer ${rawKey}` }, payload });
+}
+
+function roast(app, rawKey) {
+  return api(app, rawKey, "POST", "/api/v1/roast", { requester: "KeyBot", name: "SomeMolty" });
+}
+
+// A local receiver answering with `statuses` in turn (then 200); records each request
+async function startReceiver(t, statuses = []) {
+  const received = [];
+  const server = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", (c) => (body += c));
+    req.on("end", () => {
+      received.push({ headers: req.headers, body });
+      res.statusCode = statuses.shift() ?? 200;
+      res.end();
+    });
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  t.after(() => new Promise((resolve) => server.close(resolve)));
+  return { url: `http://127.0.0.1:${server.address().port}/hook`, received };
+}
+
+test("receiver URLs must be public https unless private receivers are allowed", () => {
+  assert.equal(checkWebhookUrl("https://hooks.example.com/roaster"), null);
+  assert.equal(checkWebhookUrl("http://hooks.example.com/roaster"), "'url' must use https.");
+  assert.equal(checkWebhookUrl("not a url"), "'url' must be an absolute URL.");
+  assert.equal(checkWebhookUrl("https://u:p@hooks.example.com/"), "'url' must not contain credentials.");
+  for (const url of [
+    "https://localhost/hook",
+    "https://127.0.0.1/hook",
+    "https://10.1.2.3/hook",
+    "https://192.168.0.10/hook",
+    "https://169.254.169.254/latest",
+    "https://[::1]/hook",
+    "https://[::ffff:127.0.0.1]/hook",
+    "https://[::ffff:a9fe:a9fe]/latest", // 169.254.169.254, hex-mapped
+    "https://[64:ff9b::a9fe:a9fe]/latest", // the same through NAT64
+    "https://[64:ff9b:1::a00:1]/hook",
+  ]) {
+    assert.equal(checkWebhookUrl(url), "'url' must point to a public host.", url);
+  }
+  assert.equal(checkWebhookUrl("https://[2606:4700:4700::1111]/hook"), null);
+  assert.equal(checkWebhookUrl("https://8.8.8.8/hook"), null);
+  assert.equal(checkWebhookUrl("http://127.0.0.1:8080/hook", { allowPrivate: true }), null);
+});
+
+test("signatures verify, and reject tampering, wrong secrets and stale timestamps", () => {
+  const body = JSON.stringify({ type: "quota.warning" });
+  const header = signWebhook("whsec_a", body);
+  assert.match(header, /^t=\d+,v1=[0-9a-f]{64}$/);
+  assert.equal(verifyWebhookSignature("whsec_a", body, header), true);
+  assert.equal(verifyWebhookSignature("whsec_a", body + " ", header), false);
+  assert.equal(verifyWebhookSignature("whsec_b", body, header), false);
+
+  const old = signWebhook("whsec_a", body, Math.floor(Date.now() / 1000) - 3600);
+  assert.equal(verifyWebhookSignature("whsec_a", body, old), false);
+});
+
+test("quota thresholds fire once, when the counter crosses them", () => {
+  assert.deepEqual(quotaEvents({ used: 79, count: 1, limit: 100 }), []);
+  assert.deepEqual(quotaEvents({ used: 80, count: 1, limit: 100 }), ["quota.warning"]);
+  assert.deepEqual(quotaEvents({ used: 81, count: 1, limit: 100 }), []);
+  assert.deepEqual(quotaEvents({ used: 100, count: 25, limit: 100 }), [
+    "quota.warning",
+    "quota.exhausted",
+  ]);
+  assert.deepEqual(quotaEvents({ used: 5, count: 1, limit: Infinity }), []);
+});
+
+test("webhooks are registered per wallet and the secret is shown once", async (t) => {
+  const { app, db } = createTestApp();
+  t.after(() => app.close());
+  const { rawKey } = await seedKey(db, { walletAddress: WALLET, agentName: "KeyBot" });
+  const { rawKey: siblingKey } = await seedKey(db, { walletAddress: WALLET, agentName: "Other" });
+
+  const local = await api(app, rawKey, "POST", "/api/v1/webhooks", {
+    url: "http://127.0.0.1:9/hook",
+  });
+  assert.equal(local.statusCode, 400);
+
+  const badEvents = await api(app, rawKey, "POST", "/api/v1/webhooks", {
+    url: "https://hooks.example.com/roaster",
+    events: ["quota.nope"],
+  });
+  assert.equal(badEvents.statusCode, 400);
+
+  const res = await api(app, rawKey, "POST", "/api/v1/webhooks", {
+    url: "https://hooks.example.com/roaster",
+    events: ["quota.exhausted"],
+  });
+  assert.equal(res.statusCode, 200, res.body);
+  const { webhook, secret } = res.json();
+  assert.match(secret, /^whsec_/);
+  assert.deepEqual(webhook.events, ["quota.exhausted"]);
+
+  // Any key on the wallet manages it; the secret never comes back
+  const list = await api(app, siblingKey, "GET", "/api/v1/webhooks");
+  assert.equal(list.statusCode, 200);
+  assert.deepEqual(
+    list.json().webhooks.map((w) => w.id),
+    [webhook.id]
+  );
+  assert.equal(list.body.includes(secret), false);
+
+  const paused = await api(app, siblingKey, "POST", `/api/v1/webhooks/${webhook.id}`, {
+    enabled: false,
+  });
+  assert.equal(paused.json().webhook.enabled, false);
+  const ping = await api(app, rawKey, "POST", `/api/v1/webhooks/${webhook.id}/test`);
+  assert.equal(ping.statusCode, 409);
+
+  const { rawKey: strangerKey } = await seedKey(db, { agentName: "Stranger" });
+  const foreign = await api(app, strangerKey, "POST", `/api/v1/webhooks/${webhook.id}/delete`);
+  assert.equal(foreign.statusCode, 404);
+  const deleted = await api(app, rawKey, "POST", `/api/v1/webhooks/${webhook.id}/delete`);
+  assert.equal(deleted.json().deleted, true);
+  assert.equal(db.webhooks.length, 0);
+});
+
+test("crossing 80% and 100% of the daily pool queues one event each", async (t) => {
+  const { app, db } = createTestApp();
+  t.after(() => app.close());
+  const { rawKey } = await seedKey(db, {
+    walletAddress: WALLET,
+    tier: "pro",
+    dailyLimit: 5,
+    agentName: "KeyBot",
+  });
+  await api(app, rawKey, "POST", "/api/v1/webhooks", { url: "https://hooks.example.com/r" });
+
+  for (let i = 0; i < 6; i++) await roast(app, rawKey);
+
+  assert.deepEqual(
+    db.deliveries.map((d) => d.event),
+    ["quota.warning", "quota.exhausted"]
+  );
+  const { data } = db.deliveries[1].payload;
+  assert.equal(data.scope, "wallet");
+  assert.equal(data.wallet, WALLET);
+  assert.equal(data.used, 5);
+  assert.equal(data.daily_limit, 5);
+});
+
+test("rotating and revoking a key queue key events; wallet-less hooks follow the rotation", async (t) => {
+  const { app, db } = createTestApp();
+  t.after(() => app.close());
+  const { rawKey, row } = await seedKey(db, { agentName: "KeyBot" });
+
+  const created = await api(app, rawKey, "POST", "/api/v1/webhooks", {
+    url: "https://hooks.example.com/r",
+    events: ["key.rotated", "key.revoked"],
+  });
+  assert.equal(created.statusCode, 200, created.body);
+  assert.equal(db.webhooks[0].key_id, row.id, "a wallet-less key owns its webhooks");
+
+  const rotated = await api(app, rawKey, "POST", "/api/v1/me/rotate");
+  assert.equal(rotated.statusCode, 200, rotated.body);
+  const newKey = rotated.json().api_key;
+  assert.equal(db.deliveries[0].payload.data.key_id, row.id);
+  assert.equal(db.deliveries[0].event, "key.rotated");
+
+  const list = await api(app, newKey, "GET", "/api/v1/webhooks");
+  assert.equal(list.json().webhooks.length, 1, "the webhook moved to the new key");
+
+  const revoked = await api(app, newKey, "POST", "/api/v1/me/revoke");
+  assert.equal(revoked.statusCode, 200, revoked.body);
+  assert.deepEqual(
+    db.deliveries.map((d) => d.event),
+    ["key.rotated", "key.revoked"]
+  );
+  assert.equal(db.deliveries[1].payload.data.by, "key");
+});
+
+test("the worker delivers signed events and retries failures with backoff", async (t) => {
+  const { app, db } = createTestApp({ config: { webhookAllowPrivate: true } });
+  t.after(() => app.close());
+  const receiver = await startReceiver(t, [500]);
+  const { rawKey } = await seedKey(db, { walletAddress: WALLET, agentName: "KeyBot" });
+
+  const created = await api(app, rawKey, "POST", "/api/v1/webhooks", { url: receiver.url });
+  assert.equal(created.statusCode, 200, created.body);
+  const { webhook, secret } = created.json();
+
+  const ping = await api(app, rawKey, "POST", `/api/v1/webhooks/${webhook.id}/test`);
+  assert.equal(ping.json().queued, true);
+
+  const worker = createWebhookWorker({ db, log: quiet, allowPrivate: true, scanMs: Infinity });
+
+  // First attempt gets a 500 and is rescheduled
+  let r = await worker.tick();
+  assert.deepEqual(r, { scanned: null, claimed: 1, delivered: 0 });
+  let [d] = db.deliveries;
+  assert.equal(d.status, "pending");
+  assert.equal(d.last_error, "HTTP 500");
+  assert.ok(d.next_attempt_at > new Date(Date.now() + 20_000), "backed off ~30s");
+  assert.deepEqual(await worker.tick(), { scanned: null, claimed: 0, delivered: 0 });
+
+  d.next_attempt_at = new Date(0); // skip the wait
+  r = await worker.tick();
+  assert.equal(r.delivered, 1);
+  assert.equal(d.status, "delivered");
+
+  const last = receiver.received[1];
+  assert.equal(last.headers["x-roaster-event"], "webhook.test");
+  assert.equal(last.headers["x-roaster-delivery"], String(d.id));
+  assert.equal(verifyWebhookSignature(secret, last.body, last.headers["x-roaster-signature"]), true);
+  assert.equal(JSON.parse(last.body).type, "webhook.test");
+
+  const log = await api(app, rawKey, "GET", `/api/v1/webhooks/${webhook.id}/deliveries`);
+  assert.equal(log.statusCode, 200);
+  const [entry] = log.json().deliveries;
+  assert.equal(entry.status, "delivered");
+  assert.equal(entry.attempts, 2);
+  assert.equal(entry.last_status_code, 200);
+});
+
+test("deliveries give up after maxAttempts, and private receivers are refused by default", async () => {
+  const db = createFakeDb();
+  const hook = await db.insertWebhook({
+    wallet: WALLET,
+    url: "http://127.0.0.1:9/hook",
+    secret: "whsec_x",
+    events: ["quota.warning"],
+  });
+  await db.enqueueWebhookEvent({
+    event: "quota.warning",
+    dedupe_key: "q",
+    payload: {},
+    wallet: WALLET,
+  });
+
+  let fetched = 0;
+  const worker = createWebhookWorker({
+    db,
+    log: quiet,
+    maxAttempts: 1,
+    scanMs: Infinity,
+    fetch: async () => fetched++,
+  });
+  await worker.tick();
+
+  const [d] = db.deliveries;
+  assert.equal(fetched, 0);
+  assert.equal(d.status, "failed");
+  assert.match(d.last_error, /private address/);
+  assert.equal(d.webhook_id, hook.id);
+});
+
+test("the entitlement scan queues expiring and expired events once per expiry", async () => {
+  const db = createFakeDb();
+  const soon = new Date(Date.now() + 86400_000);
+  const lapsed = new Date(Date.now() - 3600_000);
+  const other = "0x3333333333333333333333333333333333333333";
+  await seedKey(db, { walletAddress: WALLET, tier: "pro" });
+  await seedKey(db, { walletAddress: other, tier: "basic" });
+  db.keys[0].entitlement_expires_at = soon;
+  db.keys[1].entitlement_expires_at = lapsed;
+  for (const wallet of [WALLET, other]) {
+    await db.insertWebhook({
+      wallet,
+      url: "https://hooks.example.com/r",
+      secret: "whsec_x",
+      events: ["entitlement.expiring", "entitlement.expired"],
+    });
+  }
+
+  const worker = createWebhookWorker({ db, log: quiet, expiryWarnDays: 3 });
+  assert.equal(await worker.scanEntitlements(), 2);
+  assert.equal(await worker.scanEntitlements(), 0, "deduped per wallet and expiry");
+
+  const byWallet = Object.fromEntries(db.deliveries.map((d) => [d.payload.data.wallet, d]));
+  assert.equal(byWallet[WALLET].event, "entitlement.expiring");
+  assert.equal(byWallet[WALLET].payload.data.tier, "pro");
+  assert.equal(byWallet[other].event, "entitlement.expired");
+});
+
+test("a receiver that rebinds to a private address after the check is never reached", async (t) => {
+  const receiver = await startReceiver(t);
+  const port = new URL(receiver.url).port;
+  const db = createFakeDb();
+  await db.insertWebhook({
+    wallet: WALLET,
+    url: `http://rebind.example.com:${port}/hook`,
+    secret: "whsec_x",
+    events: ["quota.warning"],
+  });
+  await db.enqueueWebhookEvent({
+    event: "quota.warning",
+    dedupe_key: "q",
+    payload: {},
+    wallet: WALLET,
+  });
+
+  // Public on the first answer, loopback (where the receiver is) on every one after
+  const answers = ["192.0.2.10", "127.0.0.1", "127.0.0.1"];
+  let lookups = 0;
+  const lookup = (hostname, options, callback) => {
+    const address = answers[Math.min(lookups++, answers.length - 1)];
+    callback(null, [{ address, family: 4 }]);
+  };
+
+  const worker = createWebhookWorker({
+    db,
+    log: quiet,
+    timeoutMs: 500,
+    scanMs: Infinity,
+    lookup,
+  });
+  const [d] = db.deliveries;
+  await worker.tick();
+  assert.equal(lookups, 1, "resolved once, and the connection used that answer");
+  assert.equal(d.status, "pending");
+
+  d.next_attempt_at = new Date(0);
+  await worker.tick();
+  assert.equal(lookups, 2);
+  assert.match(d.last_error, /private address/);
+  assert.equal(receiver.received.length, 0);
+});
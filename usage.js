@@ -0,0 +1,185 @@
+"use strict";
+
+// --------------------
+// Usage ledger: every roast call becomes a usage_events row.
+//
+// record() only appends to an in-memory buffer; rows are written in batches
+// (every flushMs, or as soon as maxBatch are waiting) so the roast path never
+// waits on Postgres. If the database is down, rows stay buffered up to
+// maxBuffer; beyond that the oldest are dropped (and counted in the logs).
+// --------------------
+
+/**
+ * createUsageLedger({ db, log, flushMs, maxBatch, maxBuffer })
+ *
+ * db must provide insertUsageEvents(rows).
+ */
+function createUsageLedger({
+  db,
+  log = console,
+  flushMs = 2000,
+  maxBatch = 500,
+  maxBuffer = 20_000,
+}) {
+  let buffer = [];
+  let dropped = 0;
+  let flushing = null;
+  let timer = null;
+  let failedAt = 0;
+
+  function trim() {
+    const over = buffer.length - maxBuffer;
+    if (over > 0) {
+      buffer.splice(0, over);
+      dropped += over;
+    }
+  }
+
+  async function drain() {
+    while (buffer.length) {
+      const batch = buffer.splice(0, maxBatch);
+      try {
+        await db.insertUsageEvents(batch);
+      } catch (err) {
+        // Put the batch back in front and try again on the next flush
+        buffer = batch.concat(buffer);
+        trim();
+        failedAt = Date.now();
+        log.error({ err, buffered: buffer.length }, "Usage ledger flush failed");
+        break;
+      }
+    }
+    if (dropped) {
+      log.warn({ dropped }, "Usage ledger buffer overflowed; oldest events dropped");
+      dropped = 0;
+    }
+  }
+
+  // Concurrent callers share the in-flight flush
+  function flush() {
+    if (!flushing) flushing = drain().finally(() => (flushing = null));
+    return flushing;
+  }
+
+  return {
+    record(event) {
+      buffer.push({ created_at: new Date(), ...event });
+      trim();
+      // After a failed write, leave retries to the timer instead of every request
+      if (buffer.length >= maxBatch && Date.now() - failedAt >= flushMs) flush();
+    },
+    flush,
+    start() {
+      if (timer) return;
+      timer = setInterval(flush, flushMs);
+      timer.unref();
+    },
+    // Stops the timer and writes whatever is still buffered
+    async stop() {
+      if (timer) clearInterval(timer);
+      timer = null;
+      await flush();
+    },
+    get pending() {
+      return buffer.length;
+    },
+  };
+}
+
+function ledgerOptionsFromEnv(env = process.env) {
+  return {
+    flushMs: Number(env.USAGE_FLUSH_MS || 2000),
+    maxBatch: Number(env.USAGE_BATCH_SIZE || 500),
+    maxBuffer: Number(env.USAGE_BUFFER_MAX || 20_000),
+  };
+}
+
+// --------------------
+// Aggregate queries (shared by /api/v1/me/usage, the wallet route and /admin/v1/usage)
+// --------------------
+
+const PERIODS = {
+  day: { re: /^\d{4}-\d{2}-\d{2}$/, defaultSpan: 30, maxSpan: 366 },
+  month: { re: /^\d{4}-\d{2}$/, defaultSpan: 12, maxSpan: 60 },
+};
+
+// First instant of the day/month containing `d` (UTC), shifted by `n` periods
+function periodStart(period, d, n = 0) {
+  return period === "month"
+    ? new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth() + n, 1))
+    : new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate() + n));
+}
+
+function periodsBetween(period, from, to) {
+  if (period === "month") {
+    return (
+      (to.getUTCFullYear() - from.getUTCFullYear()) * 12 + to.getUTCMonth() - from.getUTCMonth()
+    );
+  }
+  return Math.round((to - from) / 86_400_000);
+}
+
+/**
+ * Validate ?period=day|month&from=&to=&group= (from/to inclusive, as
+ * YYYY-MM-DD or YYYY-MM to match the period). Defaults to the last 30 days /
+ * 12 months. Returns { period, from, to, group } with from/to as Dates
+ * (to exclusive), or { error }.
+ */
+function parseUsageQuery(q = {}, { groups = [] } = {}) {
+  const period = String(q.period || "day").toLowerCase();
+  const spec = PERIODS[period];
+  if (!spec) return { error: "'period' must be day or month." };
+
+  for (const f of ["from", "to"]) {
+    if (q[f] != null && !spec.re.test(String(q[f]))) {
+      return { error: `'${f}' must be ${period === "month" ? "YYYY-MM" : "YYYY-MM-DD"}.` };
+    }
+  }
+
+  const to = q.to
+    ? periodStart(period, new Date(`${q.to}${period === "month" ? "-01" : ""}T00:00:00Z`), 1)
+    : periodStart(period, new Date(), 1);
+  const from = q.from
+    ? new Date(`${q.from}${period === "month" ? "-01" : ""}T00:00:00Z`)
+    : periodStart(period, to, -spec.defaultSpan);
+
+  if (Number.isNaN(from.getTime()) || Number.isNaN(to.getTime()) || from >= to) {
+    return { error: "'from' must be on or before 'to'." };
+  }
+  if (periodsBetween(period, from, to) > spec.maxSpan) {
+    return { error: `Range too large (max ${spec.maxSpan} ${period}s).` };
+  }
+
+  const group = q.group ? String(q.group).toLowerCase() : null;
+  if (group && !groups.includes(group)) {
+    return { error: `'group' must be one of: ${groups.join(", ")}.` };
+  }
+  return { period, from, to, group };
+}
+
+// Totals across all returned rows
+function usageTotals(rows) {
+  const totals = { requests: 0, roasts: 0, failed: 0, rate_limited: 0, total_tokens: 0 };
+  for (const r of rows) {
+    for (const k of Object.keys(totals)) totals[k] += Number(r[k] || 0);
+  }
+  return totals;
+}
+
+function usageReport(query, rows) {
+  return {
+    period: query.period,
+    from: query.from.toISOString().slice(0, query.period === "month" ? 7 : 10),
+    to: new Date(query.to - 1).toISOString().slice(0, query.period === "month" ? 7 : 10),
+    group: query.group,
+    rows,
+    totals: usageTotals(rows),
+  };
+}
+
+module.exports = {
+  createUsageLedger,
+  ledgerOptionsFromEnv,
+  parseUsageQuery,
+  usageReport,
+};
@@ -0,0 +1,88 @@
+"use strict";
+const crypto = require("crypto");
+
+// --------------------
+// Small helpers shared by the API, the admin routes and the operator CLI
+// --------------------
+
+const SALT = process.env.API_KEY_SALT || "dev_salt_change_me";
+
+// Tier limits (API usage limits; not on-chain pricing)
+const FREE_DAILY_LIMIT = Number(process.env.FREE_DAILY_LIMIT || 5);
+const BASIC_DAILY_LIMIT = Number(process.env.BASIC_DAILY_LIMIT || 50);
+const PRO_DAILY_LIMIT = Number(process.env.PRO_DAILY_LIMIT || 250);
+const FREE_IP_DAILY_LIMIT = Number(process.env.FREE_IP_DAILY_LIMIT || 20);
+
+// Seconds until next UTC midnight (so daily counters auto-reset)
+function secondsUntilUtcMidnight() {
+  const now = new Date();
+  const next = new Date(
+    Date.UTC(
+      now.getUTCFullYear(),
+      now.getUTCMonth(),
+      now.getUTCDate() + 1,
+      0,
+      0,
+      0,
+      0
+    )
+  );
+  const diffMs = next.getTime() - now.getTime();
+  return Math.max(1, Math.floor(diffMs / 1000));
+}
+
+function utcDayKey() {
+  return new Date().toISOString().slice(0, 10); // YYYY-MM-DD (UTC)
+}
+
+function hashKey(rawKey) {
+  return crypto.createHash("sha256").update(rawKey + SALT).digest("hex");
+}
+
+// sanitize requester/agent name for logs + redis key safety
+function cleanRequester(v) {
+  if (typeof v !== "string") return "";
+  const s = v.trim().slice(0, 48);
+  return s.replace(/[^a-zA-Z0-9_-]/g, "");
+}
+
+function randomNonce() {
+  return crypto.randomBytes(16).toString("hex");
+}
+
+function makeApiKey() {
+  return "rk_" + crypto.randomBytes(24).toString("base64url");
+}
+
+// Tier -> daily limit (DB override if daily_limit exists)
+function tierLimit(rec) {
+  if (rec && rec.daily_limit != null) {
+    const n = Number(rec.daily_limit);
+    if (Number.isFinite(n) && n > 0) return n;
+  }
+  const tier = String(rec?.tier || "").toLowerCase();
+  if (tier === "pro") return PRO_DAILY_LIMIT;
+  if (tier === "basic") return BASIC_DAILY_LIMIT;
+
+  // Default for unknown tiers with keys: treat as basic
+  return BASIC_DAILY_LIMIT;
+}
+
+// Optional per-key sub-cap within the wallet pool (null = no cap)
+function keyDailyCap(rec) {
+  const n = Number(rec?.key_daily_cap);
+  return rec?.key_daily_cap != null && Number.isFinite(n) && n > 0 ? n : null;
+}
+
+module.exports = {
+  secondsUntilUtcMidnight,
+  utcDayKey,
+  hashKey,
+  cleanRequester,
+  randomNonce,
+  makeApiKey,
+  FREE_DAILY_LIMIT,
+  FREE_IP_DAILY_LIMIT,
+  tierLimit,
+  keyDailyCap,
+};
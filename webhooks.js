@@ -0,0 +1,428 @@
+"use strict";
+const crypto = require("crypto");
+const dns = require("dns");
+const net = require("net");
+const { Agent, fetch: undiciFetch } = require("undici");
+
+// --------------------
+// Outbound webhooks: quota, entitlement and key lifecycle events for key holders.
+//
+// emit() only queues rows in webhook_deliveries (db.js), so nothing on the
+// request path waits on a receiver. The worker below POSTs each delivery as
+// JSON signed with the webhook's secret and retries failures with
+// exponential backoff; the queue lives in Postgres, so restarts lose nothing.
+// --------------------
+
+const WEBHOOK_EVENTS = [
+  "quota.warning", // 80% of today's allowance used
+  "quota.exhausted", // 100%: further roasts get 429 until the UTC day resets
+  "entitlement.expiring", // ends within WEBHOOK_EXPIRY_WARN_DAYS
+  "entitlement.expired",
+  "key.revoked",
+  "key.rotated",
+];
+
+// Sent by POST /api/v1/webhooks/:id/test; not subscribable
+const TEST_EVENT = "webhook.test";
+
+const QUOTA_WARNING_RATIO = 0.8;
+
+function makeWebhookSecret() {
+  return "whsec_" + crypto.randomBytes(24).toString("base64url");
+}
+
+/**
+ * X-Roaster-Signature value for `body` (the exact string sent):
+ * "t=<unix seconds>,v1=<hex HMAC-SHA256(secret, `${t}.${body}`)>".
+ */
+function signWebhook(secret, body, t = Math.floor(Date.now() / 1000)) {
+  const mac = crypto.createHmac("sha256", secret).update(`${t}.${body}`).digest("hex");
+  return `t=${t},v1=${mac}`;
+}
+
+/**
+ * Receiver side of signWebhook: true if `header` signs `body` with `secret`
+ * and is at most toleranceSeconds old (replay protection).
+ */
+function verifyWebhookSignature(secret, body, header, { toleranceSeconds = 300 } = {}) {
+  const parts = {};
+  for (const part of String(header || "").split(",")) {
+    const i = part.indexOf("=");
+    if (i > 0) parts[part.slice(0, i).trim()] = part.slice(i + 1).trim();
+  }
+  const t = Number(parts.t);
+  if (!Number.isInteger(t) || !parts.v1) return false;
+  if (Math.abs(Date.now() / 1000 - t) > toleranceSeconds) return false;
+
+  const expected = Buffer.from(signWebhook(secret, body, t).split("v1=")[1]);
+  const got = Buffer.from(parts.v1);
+  return got.length === expected.length && crypto.timingSafeEqual(got, expected);
+}
+
+// ---- Receiver URLs ----
+
+// Loopback, RFC 1918, link-local, CGNAT, multicast and other non-public ranges
+const PRIVATE_RANGES = new net.BlockList();
+for (const [ip, prefix] of [
+  ["0.0.0.0", 8],
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10],
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16],
+  ["172.16.0.0", 12],
+  ["192.168.0.0", 16],
+  ["198.18.0.0", 15],
+  ["224.0.0.0", 4],
+  ["240.0.0.0", 4],
+]) {
+  PRIVATE_RANGES.addSubnet(ip, prefix, "ipv4");
+}
+// IPv4-mapped addresses (::ffff:0:0/96, dotted or hex) are checked against the
+// IPv4 ranges above by BlockList itself. NAT64 prefixes embed an IPv4 address
+// that a gateway translates to, so they're refused outright.
+for (const [ip, prefix] of [
+  ["::", 127], // :: and ::1
+  ["64:ff9b::", 96], // NAT64 well-known prefix
+  ["64:ff9b:1::", 48], // NAT64 local-use prefix
+  ["fc00::", 7],
+  ["fe80::", 10],
+  ["ff00::", 8],
+]) {
+  PRIVATE_RANGES.addSubnet(ip, prefix, "ipv6");
+}
+
+function isPrivateAddress(ip) {
+  const mapped = String(ip).match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+  if (mapped) return PRIVATE_RANGES.check(mapped[1], "ipv4");
+  const family = net.isIP(ip);
+  if (!family) return false;
+  return PRIVATE_RANGES.check(ip, family === 6 ? "ipv6" : "ipv4");
+}
+
+function urlHost(url) {
+  return url.hostname.replace(/^\[|\]$/g, "").toLowerCase();
+}
+
+/**
+ * Registration check. https only, and no loopback / private hosts unless
+ * allowPrivate (WEBHOOK_ALLOW_PRIVATE, for local test receivers; plain http
+ * is allowed then too). Returns an error message or null.
+ */
+function checkWebhookUrl(raw, { allowPrivate = false } = {}) {
+  if (typeof raw !== "string" || raw.length > 2048) return "'url' must be a URL string.";
+
+  let url;
+  try {
+    url = new URL(raw);
+  } catch {
+    return "'url' must be an absolute URL.";
+  }
+
+  if (url.protocol !== "https:" && !(allowPrivate && url.protocol === "http:")) {
+    return "'url' must use https.";
+  }
+  if (url.username || url.password) return "'url' must not contain credentials.";
+
+  const host = urlHost(url);
+  if (!allowPrivate && (host === "localhost" || host.endsWith(".localhost") || isPrivateAddress(host))) {
+    return "'url' must point to a public host.";
+  }
+  return null;
+}
+
+// Delivery-time checks: a public hostname may still resolve to a private
+// address. IP literals are checked here; hostnames in publicLookup.
+function assertPublicHost(rawUrl) {
+  const host = urlHost(new URL(rawUrl));
+  if (net.isIP(host) && isPrivateAddress(host)) {
+    throw new Error(`${host} resolves to a private address`);
+  }
+}
+
+/**
+ * A dns.lookup-style resolver for the delivery socket that fails if any
+ * answer is private. The check and the connect use the same answer, so a
+ * receiver can't pass with a public address and then rebind to a private one.
+ */
+function publicLookup(lookup = dns.lookup) {
+  return (hostname, options, callback) => {
+    lookup(hostname, { ...options, all: true }, (err, addrs) => {
+      if (err) return callback(err);
+      if (!addrs.length || addrs.some((a) => isPrivateAddress(a.address))) {
+        return callback(new Error(`${hostname} resolves to a private address`));
+      }
+      if (options.all) return callback(null, addrs);
+      callback(null, addrs[0].address, addrs[0].family);
+    });
+  };
+}
+
+// ---- Queueing ----
+
+/**
+ * createWebhookEvents({ db, log }).emit(event, { wallet, key_id, webhook_id, dedupe, data })
+ *
+ * Queues `event` for the owner's subscribed webhooks (or for webhook_id only).
+ * `dedupe` makes repeats of the same logical event no-ops. Never throws, so
+ * callers may fire and forget. Resolves to the number of deliveries queued.
+ */
+function createWebhookEvents({ db, log = console }) {
+  async function emit(event, { wallet = null, key_id = null, webhook_id = null, dedupe = null, data = {} }) {
+    const payload = {
+      id: "evt_" + crypto.randomBytes(12).toString("hex"),
+      type: event,
+      created_at: new Date().toISOString(),
+      data,
+    };
+    try {
+      return await db.enqueueWebhookEvent({
+        event,
+        dedupe_key: dedupe || payload.id,
+        payload,
+        wallet,
+        key_id,
+        webhook_id,
+      });
+    } catch (err) {
+      log.error({ err, event }, "Webhook enqueue failed");
+      return 0;
+    }
+  }
+
+  // key.rotated / key.revoked; data.key_id is the key that went away
+  function emitKeyEvent(event, wallet, data) {
+    const walletLc = wallet ? wallet.toLowerCase() : null;
+    return emit(event, {
+      wallet: walletLc,
+      key_id: data.new_key_id ?? data.key_id,
+      dedupe: `${event}:${data.key_id}`,
+      data: { wallet: walletLc, ...data },
+    });
+  }
+
+  return { emit, emitKeyEvent };
+}
+
+// Thresholds crossed by taking `count` roasts that brought the counter to `used`
+function quotaEvents({ used, count, limit }) {
+  if (!Number.isFinite(limit) || limit <= 0) return [];
+  const before = used - count;
+  const warnAt = Math.ceil(limit * QUOTA_WARNING_RATIO);
+  const out = [];
+  if (used >= warnAt && before < warnAt && warnAt < limit) out.push("quota.warning");
+  if (used >= limit && before < limit) out.push("quota.exhausted");
+  return out;
+}
+
+// ---- Delivery worker ----
+
+/**
+ * createWebhookWorker({ db, log, ... })
+ *
+ * Options (all optional):
+ * - pollMs: delay between queue polls (default 5000)
+ * - batchSize: deliveries per poll (default 20)
+ * - maxAttempts: attempts before a delivery is marked failed (default 8)
+ * - timeoutMs: per-request timeout (default 5000)
+ * - retryBaseSeconds / retryMaxSeconds: backoff 30s, 60s, 120s ... capped (default 6h)
+ * - allowPrivate: deliver to loopback / private addresses (default false)
+ * - scanMs / expiryWarnDays: how often to look for entitlements ending within
+ *   expiryWarnDays (default every 15 min, 3 days)
+ * - fetch: fetch implementation (default undici's, which takes the dispatcher)
+ * - lookup: dns.lookup-style resolver behind publicLookup (default dns.lookup)
+ */
+function createWebhookWorker({
+  db,
+  log = console,
+  pollMs = 5000,
+  batchSize = 20,
+  maxAttempts = 8,
+  timeoutMs = 5000,
+  retryBaseSeconds = 30,
+  retryMaxSeconds = 6 * 3600,
+  allowPrivate = false,
+  scanMs = 15 * 60_000,
+  expiryWarnDays = 3,
+  fetch: fetchFn = undiciFetch,
+  lookup = dns.lookup,
+}) {
+  const events = createWebhookEvents({ db, log });
+  const dispatcher = allowPrivate
+    ? undefined
+    : new Agent({ connect: { lookup: publicLookup(lookup) } });
+  // Long enough that a slow receiver finishes before anyone else retries it
+  const leaseSeconds = Math.ceil(timeoutMs / 1000) + 30;
+
+  let timer = null;
+  let running = false;
+  let lastScan = 0;
+
+  function retryDelay(attempt) {
+    const base = Math.min(retryBaseSeconds * 2 ** (attempt - 1), retryMaxSeconds);
+    return Math.round(base * (0.8 + Math.random() * 0.4)); // +-20% jitter
+  }
+
+  async function send(d) {
+    if (!allowPrivate) assertPublicHost(d.url);
+
+    const body = JSON.stringify(d.payload);
+    const res = await fetchFn(d.url, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        "User-Agent": "TheRoaster-Webhooks/1",
+        "X-Roaster-Event": d.event,
+        "X-Roaster-Delivery": String(d.id),
+        "X-Roaster-Signature": signWebhook(d.secret, body),
+      },
+      body,
+      redirect: "manual",
+      signal: AbortSignal.timeout(timeoutMs),
+      dispatcher,
+    });
+    await res.body?.cancel().catch(() => {});
+    return res.status;
+  }
+
+  async function deliver(d) {
+    let status = null;
+    let error = null;
+    try {
+      status = await send(d);
+      if (status >= 200 && status < 300) {
+        await db.finishWebhookDelivery(d.id, { delivered: true, status_code: status });
+        return true;
+      }
+      error = `HTTP ${status}`;
+    } catch (err) {
+      // undici reports socket errors (refused, private lookup) as the cause
+      error = String(err?.cause?.message || err?.message || err).slice(0, 500);
+    }
+
+    const retry = d.attempts < maxAttempts ? retryDelay(d.attempts) : null;
+    await db.finishWebhookDelivery(d.id, {
+      delivered: false,
+      status_code: status,
+      error,
+      retry_in_seconds: retry,
+    });
+    log.warn({ delivery: d.id, webhook: d.webhook_id, attempt: d.attempts, error, retry }, "Webhook delivery failed");
+    return false;
+  }
+
+  // Queue entitlement.expiring / .expired once per wallet and expiry
+  async function scanEntitlements() {
+    const rows = await db.expiringEntitlements({ days: expiryWarnDays });
+    const now = Date.now() / 1000;
+    let queued = 0;
+    for (const row of rows) {
+      const expiresAt = Math.floor(new Date(row.expires_at).getTime() / 1000);
+      const event = expiresAt <= now ? "entitlement.expired" : "entitlement.expiring";
+      queued += await events.emit(event, {
+        wallet: row.wallet_address,
+        dedupe: `${event}:${row.wallet_address}:${expiresAt}`,
+        data: {
+          wallet: row.wallet_address,
+          tier: row.tier,
+          expires_at: expiresAt,
+          seconds_left: Math.max(0, Math.round(expiresAt - now)),
+        },
+      });
+    }
+    return queued;
+  }
+
+  /**
+   * One pass: the entitlement scan when it's due, then one batch of due
+   * deliveries. Returns { scanned, claimed, delivered }.
+   */
+  async function tick() {
+    let scanned = null;
+    if (Date.now() - lastScan >= scanMs) {
+      lastScan = Date.now();
+      scanned = await scanEntitlements();
+    }
+
+    const due = await db.claimWebhookDeliveries({ limit: batchSize, leaseSeconds });
+    const results = await Promise.all(due.map(deliver));
+    return { scanned, claimed: due.length, delivered: results.filter(Boolean).length };
+  }
+
+  async function loop() {
+    if (!running) return;
+    let r = null;
+    try {
+      r = await tick();
+      if (r.claimed || r.scanned) log.info(r, "Webhook worker tick");
+    } catch (err) {
+      log.error({ err }, "Webhook worker tick failed");
+    }
+    // A full batch means there is probably more waiting
+    if (running) timer = setTimeout(loop, r && r.claimed >= batchSize ? 0 : pollMs);
+  }
+
+  return {
+    tick,
+    scanEntitlements,
+    start() {
+      if (running) return;
+      running = true;
+      loop();
+    },
+    stop() {
+      running = false;
+      if (timer) clearTimeout(timer);
+      timer = null;
+    },
+  };
+}
+
+function webhookOptionsFromEnv(env = process.env) {
+  return {
+    pollMs: Number(env.WEBHOOK_POLL_MS || 5000),
+    batchSize: Number(env.WEBHOOK_BATCH_SIZE || 20),
+    maxAttempts: Number(env.WEBHOOK_MAX_ATTEMPTS || 8),
+    timeoutMs: Number(env.WEBHOOK_TIMEOUT_MS || 5000),
+    allowPrivate: /^(1|true|on|yes)$/i.test(env.WEBHOOK_ALLOW_PRIVATE || ""),
+    scanMs: Number(env.WEBHOOK_SCAN_MS || 15 * 60_000),
+    expiryWarnDays: Number(env.WEBHOOK_EXPIRY_WARN_DAYS || 3),
+  };
+}
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  TEST_EVENT,
+  makeWebhookSecret,
+  signWebhook,
+  verifyWebhookSignature,
+  checkWebhookUrl,
+  createWebhookEvents,
+  quotaEvents,
+  createWebhookWorker,
+  webhookOptionsFromEnv,
+};
+
+// Standalone worker: `node webhooks.js` (loop) or `node webhooks.js --once`
+if (require.main === module) {
+  require("dotenv").config();
+  const db = require("./db");
+
+  const worker = createWebhookWorker({ db, ...webhookOptionsFromEnv() });
+
+  if (process.argv.includes("--once")) {
+    worker
+      .tick()
+      .then((r) => console.log(JSON.stringify(r)))
+      .catch((err) => {
+        console.error(err);
+        process.exitCode = 1;
+      })
+      .finally(() => db.pool.end());
+  } else {
+    worker.start();
+    process.on("SIGINT", () => {
+      worker.stop();
+      db.pool.end().finally(() => process.exit(0));
+    });
+  }
+}